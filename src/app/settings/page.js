@@ -6,6 +6,19 @@ import ProcessingModeSelector from '../../components/ProcessingModeSelector';
 import { useRouter } from 'next/navigation';
 import scoreWorkerManager from '../../utils/ScoreWorkerManager';
 import useProcessingMode from '../../hooks/useProcessingMode';
+import {
+  importProblemSet,
+  getImportedProblemSets,
+  deleteImportedProblemSet,
+} from '../../utils/ProblemImporter';
+import { DIFFICULTIES } from '../../utils/ProblemData';
+
+// 取り込む問題の難易度の選択肢
+const IMPORT_DIFFICULTY_OPTIONS = [
+  { value: DIFFICULTIES.EASY, label: 'かんたん' },
+  { value: DIFFICULTIES.NORMAL, label: 'ふつう' },
+  { value: DIFFICULTIES.HARD, label: 'むずかしい' },
+];
 
 /**
  * ゲーム設定ページ
@@ -17,6 +30,12 @@ export default function Settings() {
   const [testResult, setTestResult] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [isWebWorkerSupported, setIsWebWorkerSupported] = useState(true);
+  const [importText, setImportText] = useState('');
+  const [importFileName, setImportFileName] = useState('');
+  const [importSetName, setImportSetName] = useState('');
+  const [importDifficulty, setImportDifficulty] = useState(DIFFICULTIES.NORMAL);
+  const [importResult, setImportResult] = useState(null);
+  const [problemSets, setProblemSets] = useState([]);
 
   // クライアント側でのみレンダリングを行う
   useEffect(() => {
@@ -25,8 +44,43 @@ export default function Settings() {
     // WebWorkerサポート状態を確認
     const isSupported = typeof Worker !== 'undefined' && typeof window !== 'undefined';
     setIsWebWorkerSupported(isSupported && !scoreWorkerManager.fallbackMode);
+
+    // 取り込み済みの問題セットを読み込む
+    setProblemSets(getImportedProblemSets());
   }, []);
 
+  // 問題ファイルを読み込んでテキスト欄に入れる
+  const handleImportFileChange = async (event) => {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+
+    setImportText(await file.text());
+    setImportFileName(file.name);
+    setImportResult(null);
+  };
+
+  // 問題セットを取り込んで保存する
+  const handleImportProblems = () => {
+    const result = importProblemSet(importText, {
+      fileName: importFileName,
+      name: importSetName,
+      difficulty: importDifficulty,
+    });
+
+    setImportResult(result);
+    if (result.success) {
+      setProblemSets(getImportedProblemSets());
+    }
+  };
+
+  // 取り込んだ問題セットを削除する
+  const handleDeleteProblemSet = (problemSet) => {
+    if (!window.confirm(`問題セット「${problemSet.name}」を削除しますか？`)) return;
+
+    deleteImportedProblemSet(problemSet.id);
+    setProblemSets(getImportedProblemSets());
+  };
+
   // WebWorkerとメインスレッドでスコア計算速度をテスト
   const runSpeedTest = async () => {
     setIsLoading(true);
@@ -195,6 +249,102 @@ export default function Settings() {
         <ProcessingModeSelector />
       </div>
 
+      <div className={styles.section}>
+        <h2>問題セットの取り込み</h2>
+        <p>
+          JSON・CSV/TSV、または1行に「表示テキスト＋全角スペース＋読み」を書いたテキスト（例: 笑顔　えがお）から問題を取り込みます。
+          表示テキストには {'{思|おも}い{立|た}ったが{吉日|きちじつ}'} のように振り仮名を付けられます（読みを省略すると振り仮名から読みを作ります）。
+          取り込んだ問題は、組み込みの問題と一緒に出題されます。
+        </p>
+
+        <div className={styles.importForm}>
+          <input
+            type="file"
+            accept=".json,.csv,.tsv,.txt"
+            onChange={handleImportFileChange}
+          />
+          <textarea
+            className={styles.importText}
+            value={importText}
+            onChange={(e) => {
+              setImportText(e.target.value);
+              setImportResult(null);
+            }}
+            placeholder={'笑顔　えがお\n東京タワー　とうきょうたわー'}
+            rows={8}
+          />
+          <div className={styles.importOptions}>
+            <label>
+              問題セット名
+              <input
+                type="text"
+                value={importSetName}
+                onChange={(e) => setImportSetName(e.target.value)}
+                placeholder={importFileName || '取り込んだ問題'}
+              />
+            </label>
+            <label>
+              難易度（指定がない問題）
+              <select
+                value={importDifficulty}
+                onChange={(e) => setImportDifficulty(e.target.value)}
+              >
+                {IMPORT_DIFFICULTY_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <button
+            className={styles.testButton}
+            onClick={handleImportProblems}
+            disabled={!importText.trim()}
+          >
+            取り込む
+          </button>
+        </div>
+
+        {importResult && (
+          <div className={importResult.success ? styles.testResults : styles.errorMessage}>
+            {importResult.success ? (
+              <h3>
+                「{importResult.set.name}」に{importResult.set.problems.length}問を取り込みました
+              </h3>
+            ) : (
+              <div>問題を取り込めませんでした</div>
+            )}
+            {importResult.errors.length > 0 && (
+              <ul className={styles.importErrors}>
+                {importResult.errors.map((error, index) => (
+                  <li key={index}>
+                    {error.line > 0 && `${error.line}行目: `}
+                    {error.reason}
+                    {error.text && <span>（{error.text}）</span>}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {problemSets.length > 0 && (
+          <div className={styles.testResults}>
+            <h3>取り込み済みの問題セット</h3>
+            {problemSets.map(problemSet => (
+              <div key={problemSet.id} className={styles.resultItem}>
+                <span>{problemSet.name}（{problemSet.problems.length}問）</span>
+                <button
+                  className={styles.deleteButton}
+                  onClick={() => handleDeleteProblemSet(problemSet)}
+                >
+                  削除
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
       <div className={styles.section}>
         <h2>WebWorker診断</h2>
         <p>ブラウザのWebWorkerサポート状況と関連問題を診断します</p>
@@ -1,102 +1,134 @@
 'use client';
 
 import { useState, useEffect } from 'react';
-import {
-  initWasm,
-  processCharWasm,
-  processInputWasm,
-  calculateTypingScoreWasm
-} from '../../wasm/typing-engine';
+import { initWasm } from '../../wasm/typing-engine';
+import { WasmTypingSession } from '../../wasm/typing-session';
+import { TypingSession } from '../../utils/typing/TypingSession';
+import { typingSessionFactory } from '../../utils/typing/TypingSessionFactory';
+import { allProblems } from '../../utils/ProblemData';
 import styles from './page.module.css';
 
+/**
+ * 問題をガイドどおりに打ち切るキー列を求める（ベンチマークの入力用）
+ * @param {Object} sessionOptions - セッションの構築オプション
+ * @returns {string[]} キー列
+ */
+function buildGuideKeys(sessionOptions) {
+  const session = new TypingSession(sessionOptions);
+  const keys = [];
+  while (!session.isCompleted() && keys.length < 1000) {
+    const key = session.getCurrentExpectedKey();
+    if (!key || session.accept(key) !== 1) break;
+    keys.push(key);
+  }
+  return keys;
+}
+
+/**
+ * 全問題をセッションの作成から打ち切るまで再生し、所要時間を計測する
+ * @param {Function} SessionClass - セッションのクラス
+ * @param {Array<{options: Object, keys: string[]}>} cases - 問題ごとの構築オプションとキー列
+ * @param {number} iterations - 繰り返し回数
+ * @returns {number} 所要時間（ミリ秒）
+ */
+function measureSessions(SessionClass, cases, iterations) {
+  const start = performance.now();
+  for (let n = 0; n < iterations; n++) {
+    for (const { options, keys } of cases) {
+      const session = new SessionClass(options);
+      for (const key of keys) {
+        session.accept(key);
+      }
+    }
+  }
+  return performance.now() - start;
+}
+
+/**
+ * 照合処理だけを繰り返し、所要時間を計測する
+ * 各入力単位で、先頭の綴りの1文字目から全体までを順に照合する
+ * @param {TypingSession} session - 照合に使うセッション
+ * @param {number} iterations - 繰り返し回数
+ * @returns {number} 所要時間（ミリ秒）
+ */
+function measureMatching(session, iterations) {
+  const start = performance.now();
+  for (let n = 0; n < iterations; n++) {
+    for (let i = 0; i < session.patterns.length; i++) {
+      const variant = session.patterns[i][0];
+      for (let length = 1; length <= variant.length; length++) {
+        session._matchPattern(i, variant.slice(0, length));
+      }
+    }
+  }
+  return performance.now() - start;
+}
+
+/**
+ * 2つの計測結果を比較する
+ * @param {number} wasmTime - WebAssembly版の所要時間
+ * @param {number} jsTime - JavaScript版の所要時間
+ * @returns {Object} 表示用の比較結果
+ */
+function compareTimes(wasmTime, jsTime) {
+  const faster = wasmTime < jsTime ? 'WebAssembly' : 'JavaScript';
+  const ratio = Math.max(wasmTime, jsTime) / Math.max(Math.min(wasmTime, jsTime), 0.001);
+  return {
+    wasm: wasmTime.toFixed(2),
+    js: jsTime.toFixed(2),
+    faster,
+    ratio: ratio.toFixed(2),
+  };
+}
+
 export default function WebAssemblyTestPage() {
   const [wasmInitialized, setWasmInitialized] = useState(false);
-  const [testResults, setTestResults] = useState({
-    charTest: null,
-    stringTest: null,
-    scoreTest: null
-  });
-  const [inputChar, setInputChar] = useState('');
-  const [expectedChar, setExpectedChar] = useState('a');
-  const [inputText, setInputText] = useState('');
-  const [expectedText, setExpectedText] = useState('hello');
-  const [correctCount, setCorrectCount] = useState(100);
-  const [missCount, setMissCount] = useState(5);
-  const [elapsedTime, setElapsedTime] = useState(60000);
+  const [kanaText, setKanaText] = useState('きょうはいいてんきですね');
+  const [typedKeys, setTypedKeys] = useState('kyouhaiitenkidesune');
+  const [matchResult, setMatchResult] = useState(null);
+  const [iterations, setIterations] = useState(20);
   const [benchmarkResults, setBenchmarkResults] = useState(null);
 
   // WebAssemblyの初期化
   useEffect(() => {
     async function initialize() {
-      try {
-        const success = await initWasm();
-        setWasmInitialized(success);
-        console.log(`WebAssembly初期化: ${success ? '成功' : '失敗'}`);
-      } catch (err) {
-        console.error('WebAssembly初期化エラー:', err);
-        setWasmInitialized(false);
-      }
+      const success = await initWasm();
+      setWasmInitialized(success);
+      console.log(`WebAssembly初期化: ${success ? '成功' : '失敗（JavaScript版で照合します）'}`);
     }
 
     initialize();
   }, []);
 
-  // 一文字テスト
-  const testProcessChar = () => {
-    if (!wasmInitialized) {
-      alert('WebAssemblyが初期化されていません');
-      return;
-    }
-
-    const result = processCharWasm(inputChar, expectedChar);
-    setTestResults({
-      ...testResults,
-      charTest: {
-        input: inputChar,
-        expected: expectedChar,
-        result,
-        message: result ? '一致しました' : '一致しませんでした'
-      }
-    });
-  };
-
-  // 文字列テスト
-  const testProcessInput = () => {
-    if (!wasmInitialized) {
-      alert('WebAssemblyが初期化されていません');
+  // 同じキー列をJavaScript版とWebAssembly版のセッションに入力して比べる
+  const testMatcher = () => {
+    const problem = { kanaText };
+    const sessionOptions = typingSessionFactory.buildSessionOptions(problem);
+    if (!sessionOptions) {
+      alert('かなの問題文を入力してください');
       return;
     }
 
-    const result = processInputWasm(inputText, expectedText);
-    setTestResults({
-      ...testResults,
-      stringTest: {
-        input: inputText,
-        expected: expectedText,
-        matchCount: result.matchCount,
-        matchRatio: result.matchRatio,
-        message: `一致文字数: ${result.matchCount}/${Math.min(inputText.length, expectedText.length)} (${(result.matchRatio * 100).toFixed(1)}%)`
-      }
-    });
-  };
+    const jsSession = new TypingSession(sessionOptions);
+    const wasmSession = new WasmTypingSession(
+      typingSessionFactory.buildSessionOptions(problem)
+    );
 
-  // スコア計算テスト
-  const testCalculateScore = () => {
-    if (!wasmInitialized) {
-      alert('WebAssemblyが初期化されていません');
-      return;
-    }
+    const jsResults = [...typedKeys].map((key) => jsSession.accept(key));
+    const wasmResults = [...typedKeys].map((key) => wasmSession.accept(key));
+    const jsColoring = jsSession.getColoringInfo();
+    const wasmColoring = wasmSession.getColoringInfo();
 
-    const score = calculateTypingScoreWasm(correctCount, missCount, elapsedTime);
-    setTestResults({
-      ...testResults,
-      scoreTest: {
-        correctCount,
-        missCount,
-        elapsedTime,
-        score,
-        message: `計算されたスコア: ${score}`
-      }
+    setMatchResult({
+      keys: [...typedKeys],
+      jsResults,
+      wasmResults,
+      jsColoring,
+      wasmColoring,
+      completed: wasmSession.isCompleted(),
+      identical:
+        JSON.stringify(jsResults) === JSON.stringify(wasmResults) &&
+        JSON.stringify(jsColoring) === JSON.stringify(wasmColoring),
     });
   };
 
@@ -107,67 +139,49 @@ export default function WebAssemblyTestPage() {
       return;
     }
 
-    const iterations = 10000;
-    let wasmTime = 0;
-    let jsTime = 0;
+    const cases = allProblems
+      .map((problem) => typingSessionFactory.buildSessionOptions(problem))
+      .filter(Boolean)
+      .map((options) => ({ options, keys: buildGuideKeys(options) }));
+    const keyCount = cases.reduce((sum, { keys }) => sum + keys.length, 0);
 
     // ウォームアップ
-    for (let i = 0; i < 100; i++) {
-      processCharWasm('a', 'a');
-      'a' === 'a';
-    }
+    measureSessions(TypingSession, cases, 1);
+    measureSessions(WasmTypingSession, cases, 1);
 
-    // WebAssemblyのベンチマーク
-    const wasmStart = performance.now();
-    for (let i = 0; i < iterations; i++) {
-      processCharWasm('a', 'a');
-    }
-    wasmTime = performance.now() - wasmStart;
+    const sessionWasmTime = measureSessions(WasmTypingSession, cases, iterations);
+    const sessionJsTime = measureSessions(TypingSession, cases, iterations);
 
-    // JavaScript標準のベンチマーク
-    const jsStart = performance.now();
-    for (let i = 0; i < iterations; i++) {
-      'a' === 'a';
-    }
-    jsTime = performance.now() - jsStart;
-
-    // 文字列処理のベンチマーク
-    const testString = 'Hello, WebAssembly performance test!';
-    const wasmStringStart = performance.now();
-    for (let i = 0; i < iterations; i++) {
-      processInputWasm(testString, testString);
-    }
-    const wasmStringTime = performance.now() - wasmStringStart;
-
-    // JavaScript標準の文字列処理ベンチマーク
-    const jsStringStart = performance.now();
-    for (let i = 0; i < iterations; i++) {
-      // 単純な文字列比較の実装（WebAssemblyと同等の処理）
-      let matchCount = 0;
-      for (let j = 0; j < testString.length; j++) {
-        if (testString[j] === testString[j]) matchCount++;
-      }
-      const matchRatio = matchCount / testString.length;
-    }
-    const jsStringTime = performance.now() - jsStringStart;
+    // 照合処理のみ（セッションの作成・状態更新を含まない）
+    const matchIterations = iterations * 10;
+    let matchWasmTime = 0;
+    let matchJsTime = 0;
+    cases.forEach(({ options }) => {
+      matchWasmTime += measureMatching(new WasmTypingSession(options), matchIterations);
+      matchJsTime += measureMatching(new TypingSession(options), matchIterations);
+    });
 
     setBenchmarkResults({
       iterations,
-      charComparison: {
-        wasm: wasmTime.toFixed(2),
-        js: jsTime.toFixed(2),
-        diff: ((jsTime / wasmTime) - 1) * 100,
-        faster: wasmTime < jsTime ? 'WebAssembly' : 'JavaScript'
-      },
-      stringProcessing: {
-        wasm: wasmStringTime.toFixed(2),
-        js: jsStringTime.toFixed(2),
-        diff: ((jsStringTime / wasmStringTime) - 1) * 100,
-        faster: wasmStringTime < jsStringTime ? 'WebAssembly' : 'JavaScript'
-      }
+      matchIterations,
+      problemCount: cases.length,
+      keyCount,
+      sessionReplay: compareTimes(sessionWasmTime, sessionJsTime),
+      matching: compareTimes(matchWasmTime, matchJsTime),
     });
   };
 
+  const renderComparison = (title, comparison) => (
+    <div className={styles.benchmarkItem}>
+      <h4>{title}:</h4>
+      <p>WebAssembly: {comparison.wasm}ms</p>
+      <p>JavaScript: {comparison.js}ms</p>
+      <p className={styles.benchmarkDiff}>
+        {comparison.faster} が {comparison.ratio}倍 速い
+      </p>
+    </div>
+  );
+
   return (
     <main className={styles.main}>
       <h1>WebAssembly タイピングエンジンテスト</h1>
@@ -175,131 +189,69 @@ export default function WebAssemblyTestPage() {
       <div className={styles.status}>
         <p>WebAssembly状態: <strong>{wasmInitialized ? '初期化済み' : '未初期化'}</strong></p>
         {!wasmInitialized && (
-          <p className={styles.warning}>WebAssemblyが初期化されていません。機能テストはできません。</p>
+          <p className={styles.warning}>
+            WebAssemblyが使えません。ゲームではJavaScript版で照合します。
+          </p>
         )}
       </div>
 
       <div className={styles.testArea}>
-        <h2>1. 一文字入力テスト</h2>
+        <h2>1. 照合テスト</h2>
         <div className={styles.testInputs}>
           <div>
-            <label>入力文字:</label>
+            <label>問題（かな）:</label>
             <input
               type="text"
-              value={inputChar}
-              onChange={(e) => setInputChar(e.target.value.charAt(0))}
-              maxLength={1}
+              value={kanaText}
+              onChange={(e) => setKanaText(e.target.value)}
             />
           </div>
           <div>
-            <label>期待文字:</label>
+            <label>入力キー:</label>
             <input
               type="text"
-              value={expectedChar}
-              onChange={(e) => setExpectedChar(e.target.value.charAt(0))}
-              maxLength={1}
+              value={typedKeys}
+              onChange={(e) => setTypedKeys(e.target.value)}
             />
           </div>
-          <button onClick={testProcessChar} disabled={!wasmInitialized}>テスト実行</button>
+          <button onClick={testMatcher} disabled={!wasmInitialized}>テスト実行</button>
         </div>
 
-        {testResults.charTest && (
+        {matchResult && (
           <div className={styles.result}>
             <h3>結果:</h3>
-            <p>入力: '{testResults.charTest.input}'</p>
-            <p>期待: '{testResults.charTest.expected}'</p>
-            <p className={testResults.charTest.result ? styles.success : styles.error}>
-              {testResults.charTest.message}
+            <p>
+              WebAssembly: {matchResult.wasmResults.filter((r) => r === 1).length}打正解 /{' '}
+              {matchResult.wasmResults.filter((r) => r === -1).length}打ミス
+              {matchResult.completed ? '（完了）' : ''}
             </p>
-          </div>
-        )}
-      </div>
-
-      <div className={styles.testArea}>
-        <h2>2. 文字列入力テスト</h2>
-        <div className={styles.testInputs}>
-          <div>
-            <label>入力文字列:</label>
-            <input
-              type="text"
-              value={inputText}
-              onChange={(e) => setInputText(e.target.value)}
-            />
-          </div>
-          <div>
-            <label>期待文字列:</label>
-            <input
-              type="text"
-              value={expectedText}
-              onChange={(e) => setExpectedText(e.target.value)}
-            />
-          </div>
-          <button onClick={testProcessInput} disabled={!wasmInitialized}>テスト実行</button>
-        </div>
-
-        {testResults.stringTest && (
-          <div className={styles.result}>
-            <h3>結果:</h3>
-            <p>入力: '{testResults.stringTest.input}'</p>
-            <p>期待: '{testResults.stringTest.expected}'</p>
             <p>
-              {testResults.stringTest.message}
+              ミスしたキー:{' '}
+              {matchResult.keys.filter((_, i) => matchResult.wasmResults[i] === -1).join(' ') || 'なし'}
+            </p>
+            <p>ガイド（WebAssembly）: {matchResult.wasmColoring.romaji}</p>
+            <p>ガイド（JavaScript）: {matchResult.jsColoring.romaji}</p>
+            <p className={matchResult.identical ? styles.success : styles.error}>
+              {matchResult.identical
+                ? 'JavaScript版と同じ結果になりました'
+                : 'JavaScript版と結果が異なります'}
             </p>
-            <div className={styles.matchBar}>
-              <div
-                className={styles.matchFill}
-                style={{ width: `${testResults.stringTest.matchRatio * 100}%` }}
-              ></div>
-            </div>
           </div>
         )}
       </div>
 
       <div className={styles.testArea}>
-        <h2>3. スコア計算テスト</h2>
+        <h2>2. パフォーマンステスト</h2>
         <div className={styles.testInputs}>
           <div>
-            <label>正解数:</label>
+            <label>繰り返し回数:</label>
             <input
               type="number"
-              value={correctCount}
-              onChange={(e) => setCorrectCount(parseInt(e.target.value) || 0)}
+              value={iterations}
+              onChange={(e) => setIterations(Math.max(1, parseInt(e.target.value) || 1))}
             />
           </div>
-          <div>
-            <label>ミス数:</label>
-            <input
-              type="number"
-              value={missCount}
-              onChange={(e) => setMissCount(parseInt(e.target.value) || 0)}
-            />
-          </div>
-          <div>
-            <label>経過時間(ms):</label>
-            <input
-              type="number"
-              value={elapsedTime}
-              onChange={(e) => setElapsedTime(parseInt(e.target.value) || 0)}
-            />
-          </div>
-          <button onClick={testCalculateScore} disabled={!wasmInitialized}>テスト実行</button>
         </div>
-
-        {testResults.scoreTest && (
-          <div className={styles.result}>
-            <h3>結果:</h3>
-            <p>正解数: {testResults.scoreTest.correctCount}</p>
-            <p>ミス数: {testResults.scoreTest.missCount}</p>
-            <p>経過時間: {testResults.scoreTest.elapsedTime}ms</p>
-            <p className={styles.scoreResult}>
-              {testResults.scoreTest.message}
-            </p>
-          </div>
-        )}
-      </div>
-
-      <div className={styles.testArea}>
-        <h2>4. パフォーマンステスト</h2>
         <button
           onClick={runBenchmark}
           disabled={!wasmInitialized}
@@ -310,32 +262,22 @@ export default function WebAssemblyTestPage() {
 
         {benchmarkResults && (
           <div className={styles.benchmarkResults}>
-            <h3>ベンチマーク結果 ({benchmarkResults.iterations}回実行):</h3>
-
-            <div className={styles.benchmarkItem}>
-              <h4>一文字比較:</h4>
-              <p>WebAssembly: {benchmarkResults.charComparison.wasm}ms</p>
-              <p>JavaScript: {benchmarkResults.charComparison.js}ms</p>
-              <p className={styles.benchmarkDiff}>
-                {benchmarkResults.charComparison.faster} は
-                {Math.abs(benchmarkResults.charComparison.diff).toFixed(2)}%
-                {benchmarkResults.charComparison.diff > 0 ? '速い' : '遅い'}
-              </p>
-            </div>
+            <h3>
+              ベンチマーク結果（全{benchmarkResults.problemCount}問・
+              {benchmarkResults.keyCount}打鍵）:
+            </h3>
 
-            <div className={styles.benchmarkItem}>
-              <h4>文字列処理:</h4>
-              <p>WebAssembly: {benchmarkResults.stringProcessing.wasm}ms</p>
-              <p>JavaScript: {benchmarkResults.stringProcessing.js}ms</p>
-              <p className={styles.benchmarkDiff}>
-                {benchmarkResults.stringProcessing.faster} は
-                {Math.abs(benchmarkResults.stringProcessing.diff).toFixed(2)}%
-                {benchmarkResults.stringProcessing.diff > 0 ? '速い' : '遅い'}
-              </p>
-            </div>
+            {renderComparison(
+              `セッション再生（${benchmarkResults.iterations}回）`,
+              benchmarkResults.sessionReplay
+            )}
+            {renderComparison(
+              `照合のみ（${benchmarkResults.matchIterations}回）`,
+              benchmarkResults.matching
+            )}
           </div>
         )}
       </div>
     </main>
   );
-}
\ No newline at end of file
+}
@@ -51,6 +51,7 @@ const DEFAULT_SETTINGS = Object.freeze({
   highlightColor: '#FFB41E', // 入力中の文字の色
   errorColor: '#ff3333', // エラー時の色
   nextCharColor: '#88FF88', // 次の文字の色
+  ghostColor: 'rgba(120, 180, 255, 0.85)', // ゴーストのカーソルの色
 
   // レイアウト設定
   keyboardHeight: 200, // 仮想キーボードの高さ
@@ -255,7 +256,16 @@ export default class CanvasTypingEngine {
       prevState.romaji !== this.gameState.romaji ||
       prevState.typedLength !== this.gameState.typedLength ||
       prevState.isError !== this.gameState.isError ||
-      prevState.currentInput !== this.gameState.currentInput;
+      prevState.currentInput !== this.gameState.currentInput ||
+      prevState.errorInput !== this.gameState.errorInput ||
+      prevState.codeLayout !== this.gameState.codeLayout ||
+      prevState.codeCursor !== this.gameState.codeCursor ||
+      prevState.rubySegments !== this.gameState.rubySegments ||
+      prevState.ghostTypedLength !== this.gameState.ghostTypedLength ||
+      prevState.readingChallenge?.typedKanaLength !==
+        this.gameState.readingChallenge?.typedKanaLength ||
+      prevState.readingChallenge?.hintedKanaLength !==
+        this.gameState.readingChallenge?.hintedKanaLength;
 
     // 表示に関わる状態変更があった場合、描画フラグをセット
     if (hasImportantChange) {
@@ -279,10 +289,11 @@ export default class CanvasTypingEngine {
       // 正解の場合は部分入力を更新（新しいロジックでは単純化）
       if (isCorrect && key) {
         // 次の文字が期待されるキーと一致する場合、入力を進める
-        const expectedPos = this.gameState.typedLength || 0;
+        const currentInput = this.gameState.currentInput || '';
+        const expectedPos = (this.gameState.typedLength || 0) + currentInput.length;
         if (expectedPos < this.gameState.romaji?.length) {
-          // ここでは部分入力を直接更新せず、gameStateに必要な情報のみ保持
-          this.gameState.currentInput = key;
+          // 部分入力の末尾に追加（確定時はReact側の状態更新で置き換わる）
+          this.gameState.currentInput = currentInput + key;
         }
       }
     }
@@ -363,12 +374,17 @@ export default class CanvasTypingEngine {
     ctx.fillStyle = this.settings.backgroundColor;
     ctx.fillRect(0, 0, this.settings.width, this.settings.height);
 
-    // 問題テキストの描画
-    this._renderProblem(ctx);
+    if (this.gameState?.codeLayout) {
+      // コードタイピングでは問題名とコードを複数行で描画
+      this._renderCode(ctx);
+    } else {
+      // 問題テキストの描画
+      this._renderProblem(ctx);
 
-    // タイピングテキストの描画（最も重要な要素）
-    // 状態ベースのレンダリングに変更
-    this._renderTypingText(ctx);
+      // タイピングテキストの描画（最も重要な要素）
+      // 状態ベースのレンダリングに変更
+      this._renderTypingText(ctx);
+    }
 
     // バーチャルキーボードの描画
     this._renderKeyboard(ctx);
@@ -394,7 +410,7 @@ export default class CanvasTypingEngine {
   _renderProblem(ctx) {
     if (!this.gameState || !this.gameState.currentProblem) return;
 
-    const { currentProblem } = this.gameState;
+    const { currentProblem, rubySegments, readingChallenge } = this.gameState;
     const displayText = currentProblem.displayText || '';
 
     if (!displayText) return;
@@ -408,14 +424,227 @@ export default class CanvasTypingEngine {
     let y = 80;
     const lineHeight = this.settings.fontSize * 1.5;
 
-    lines.forEach((line, index) => {
+    if (rubySegments && lines.length === 1) {
+      // 振り仮名付きの1行表示
+      this._renderRuby(ctx, rubySegments, y);
+    } else {
+      lines.forEach((line, index) => {
+        ctx.fillText(
+          line,
+          this.settings.width / 2,
+          y + index * lineHeight,
+          this.settings.width - 40
+        );
+      });
+    }
+
+    // 読みチャレンジ：入力済みのかなとヒントで表示したかなを問題の下に表示
+    if (readingChallenge) {
+      this._renderRevealedKana(ctx, readingChallenge, y + lines.length * lineHeight);
+    }
+  }
+  /**
+   * 振り仮名付きの問題テキストの描画
+   * 区切りごとに本文を並べ、読みのある区切りの上に小さく読みを表示する
+   * 横幅に収まらない場合は文字を縮める
+   * @param {CanvasRenderingContext2D} ctx 描画コンテキスト
+   * @param {Array<{text: string, reading: string}>} segments 区切りの配列
+   * @param {number} y 本文のベースライン
+   * @private
+   */
+  _renderRuby(ctx, segments, y) {
+    const maxWidth = this.settings.width - 40;
+    const baseFont = ctx.font;
+
+    // 本文の幅を測り、収まらない場合はフォントサイズを縮める
+    const measure = (size) => {
+      ctx.font = `${size}px ${this.settings.fontFamily}`;
+      return segments.map((segment) => ctx.measureText(segment.text).width);
+    };
+    let fontSize = this.settings.fontSize;
+    let widths = measure(fontSize);
+    const totalWidth = widths.reduce((sum, width) => sum + width, 0);
+    if (totalWidth > maxWidth) {
+      fontSize = Math.floor((fontSize * maxWidth) / totalWidth);
+      widths = measure(fontSize);
+    }
+    const rubySize = Math.max(8, Math.round(fontSize * 0.5));
+
+    let x =
+      (this.settings.width - widths.reduce((sum, width) => sum + width, 0)) / 2;
+    ctx.textAlign = 'left';
+    segments.forEach((segment, index) => {
+      ctx.font = `${fontSize}px ${this.settings.fontFamily}`;
+      ctx.fillStyle = this.settings.textColor;
+      ctx.fillText(segment.text, Math.round(x), y);
+
+      if (segment.reading) {
+        // 読みは区切りの中央にそろえ、区切りより長い場合ははみ出して表示する
+        ctx.font = `${rubySize}px ${this.settings.fontFamily}`;
+        ctx.textAlign = 'center';
+        ctx.fillStyle = this.settings.highlightColor;
+        ctx.fillText(
+          segment.reading,
+          Math.round(x + widths[index] / 2),
+          Math.round(y - fontSize - 2)
+        );
+        ctx.textAlign = 'left';
+      }
+      x += widths[index];
+    });
+
+    ctx.font = baseFont;
+    ctx.textAlign = 'center';
+  }
+  /**
+   * 読みチャレンジのかなの描画
+   * 入力済みのかなは緑色、ヒントで表示した入力前のかなはオレンジ色で表示する
+   * まだ表示していないかなは文字数がわからないように何も描画しない
+   * @param {CanvasRenderingContext2D} ctx 描画コンテキスト
+   * @param {{kanaText: string, typedKanaLength: number, hintedKanaLength: number}} readingChallenge 読みチャレンジの状態
+   * @param {number} y ベースライン
+   * @private
+   */
+  _renderRevealedKana(ctx, readingChallenge, y) {
+    const { kanaText = '', typedKanaLength = 0, hintedKanaLength = 0 } =
+      readingChallenge;
+    const typed = kanaText.slice(0, typedKanaLength);
+    const hinted = kanaText.slice(typedKanaLength, Math.max(typedKanaLength, hintedKanaLength));
+    if (!typed && !hinted) return;
+
+    const baseFont = ctx.font;
+    ctx.font = `${Math.round(this.settings.fontSize * 0.75)}px ${this.settings.fontFamily}`;
+    const typedWidth = ctx.measureText(typed).width;
+    const x = (this.settings.width - typedWidth - ctx.measureText(hinted).width) / 2;
+
+    ctx.textAlign = 'left';
+    ctx.fillStyle = this.settings.typedColor;
+    ctx.fillText(typed, Math.round(x), Math.round(y));
+    ctx.fillStyle = this.settings.highlightColor;
+    ctx.fillText(hinted, Math.round(x + typedWidth), Math.round(y));
+
+    ctx.font = baseFont;
+    ctx.textAlign = 'center';
+  }
+  /**
+   * コードタイピングの描画
+   * - 問題名を上部に小さく表示し、その下にコードを左揃えで複数行表示
+   * - カーソルより前の文字は緑色、カーソル位置の文字はオレンジ色（ミス時は赤色）
+   * - カーソルが行末にあるときは改行記号（↵）を表示
+   * - 自由入力モードで間違えて入力した文字はカーソル位置から赤色で表示
+   * - コードが収まるようにフォントサイズを縮める
+   * @param {CanvasRenderingContext2D} ctx 描画コンテキスト
+   * @private
+   */
+  _renderCode(ctx) {
+    const {
+      codeLayout,
+      codeCursor = 0,
+      errorInput = '',
+      isError = false,
+      currentProblem,
+    } = this.gameState;
+    const { text = '' } = codeLayout;
+    const lines = text.split('\n');
+
+    ctx.textAlign = 'left';
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+
+    // 問題名
+    const titleSize = Math.round(this.settings.fontSize * 0.75);
+    const titleY = 40;
+    if (currentProblem?.displayText) {
+      ctx.fillStyle = this.settings.textColor;
+      ctx.font = `${titleSize}px ${this.settings.fontFamily}`;
+      ctx.fillText(currentProblem.displayText, 20, titleY, this.settings.width - 40);
+    }
+
+    // コードの表示領域（キーボード描画がある場合はその上まで）
+    const top = titleY + titleSize * 1.5;
+    const bottom = this.settings.renderKeyboard
+      ? this.settings.height - 250
+      : this.settings.height - 20;
+    const maxLineLength = Math.max(1, ...lines.map(line => line.length + 1));
+    const fontSize = Math.floor(
+      Math.min(
+        this.settings.fontSize,
+        (this.settings.width - 40) / (maxLineLength * 0.6),
+        (bottom - top) / (lines.length * 1.4)
+      )
+    );
+    const charWidth = fontSize * 0.6;
+    const lineHeight = fontSize * 1.4;
+    ctx.font = `${fontSize}px ${this.settings.fontFamily}`;
+
+    // 間違えて入力した文字は、カーソル位置から本来の文字の代わりに表示する
+    const errorEnd = codeCursor + errorInput.length;
+
+    let lineStart = 0;
+    lines.forEach((line, lineIndex) => {
+      const y = Math.round(top + (lineIndex + 1) * lineHeight - lineHeight * 0.3);
+      const lineEnd = lineStart + line.length; // 改行の位置
+      // カーソルのある行では間違えて入力した文字が行末からはみ出す分も描画する
+      const hasCursor = codeCursor >= lineStart && codeCursor <= lineEnd;
+      const drawLength = hasCursor
+        ? Math.max(line.length, errorEnd - lineStart - 1)
+        : line.length;
+
+      for (let col = 0; col <= drawLength; col++) {
+        const index = lineStart + col;
+        const isNewline = col === line.length;
+        const isCursor = index === codeCursor && !errorInput;
+        const x = Math.round(20 + col * charWidth);
+
+        if (index >= codeCursor && index < errorEnd) {
+          // 自由入力モードで間違えて入力された文字
+          const errorChar = errorInput[index - codeCursor];
+          ctx.fillStyle = this.settings.errorColor;
+          ctx.fillText(errorChar === '\n' ? '↵' : errorChar, x, y);
+          continue;
+        }
+        if (col > line.length) continue;
+
+        // 行末の改行はカーソルがあるときだけ表示
+        if (isNewline && !(isCursor && lineIndex < lines.length - 1)) continue;
+
+        const char = isNewline ? '↵' : line[col];
+        if (index < codeCursor) {
+          ctx.fillStyle = this.settings.typedColor; // 入力済み
+        } else if (isCursor) {
+          // 次に入力すべき文字（ミス時は赤色）
+          ctx.fillStyle = isError
+            ? this.settings.errorColor
+            : this.settings.highlightColor;
+        } else {
+          ctx.fillStyle = this.settings.textColor; // 未入力
+        }
+
+        if (isCursor) {
+          // 空白でも位置がわかるように下線を引き、軽い発光効果をつける
+          ctx.fillRect(x, y + 4, Math.ceil(charWidth), 2);
+          ctx.shadowColor = ctx.fillStyle;
+          ctx.shadowBlur = 4;
+          ctx.fillText(char, x, y);
+          ctx.shadowBlur = 0;
+        } else {
+          ctx.fillText(char, x, y);
+        }
+      }
+
+      lineStart = lineEnd + 1;
+    });
+
+    // 入力完了時のチェックマーク
+    if (codeCursor >= text.length && text.length > 0) {
+      const lastLine = lines[lines.length - 1];
+      ctx.fillStyle = this.settings.typedColor;
       ctx.fillText(
-        line,
-        this.settings.width / 2,
-        y + index * lineHeight,
-        this.settings.width - 40
+        '✓',
+        Math.round(20 + (lastLine.length + 1) * charWidth),
+        Math.round(top + lines.length * lineHeight - lineHeight * 0.3)
       );
-    });
+    }
   }
   /**
    * タイピングテキスト（ローマ字）の描画
@@ -434,7 +663,9 @@ export default class CanvasTypingEngine {
    * - 入力済み文字は緑色で表示
    * - 部分入力中の文字（「と」の「t」など）も緑色で表示
    * - 次に入力すべき文字はオレンジ色（部分入力中はエラー時でも赤くしない）
-   * - 残りの文字は白色で表示
+   * - 自由入力モードで間違えて入力した文字は、その位置に赤色で表示
+   * - 残りの文字は白色で表示（読みチャレンジでは表示しない）
+   * - ゴースト対戦ではゴーストが次に打つ文字の下に青い下線のカーソルを表示
    * - 高DPI環境でもシャープに表示
    *
    * @param {CanvasRenderingContext2D} ctx 描画コンテキスト
@@ -445,13 +676,20 @@ export default class CanvasTypingEngine {
     if (!state || !state.romaji) return;
 
     const {
-      romaji = '',
       typedLength = 0,
       currentInput = '', // 部分入力（例：「と」の「t」）を取得
+      errorInput = '', // 自由入力モードで間違えて入力された文字列
       isError = false,
       startY = 160, // 垂直位置（オプション）
       displayParts = null, // InputProcessorから提供されるパーツ情報（オプション）
+      readingChallenge = null, // 読みチャレンジの状態（入力前のローマ字を隠す）
+      ghostTypedLength = null, // ゴーストが打ち終えたローマ字の文字数（同じ問題にいない場合はnull）
     } = state;
+    // 読みチャレンジでは入力済みのローマ字だけを表示する
+    const romaji = readingChallenge
+      ? state.romaji.slice(0, typedLength + currentInput.length)
+      : state.romaji;
+    const isCompleted = state.romaji.length > 0 && typedLength >= state.romaji.length;
 
     // 高品質テキストレンダリングのための設定
     ctx.textAlign = 'left';
@@ -465,8 +703,12 @@ export default class CanvasTypingEngine {
     // 文字幅を計算（モノスペースフォント前提）
     const charWidth = fontSize * 0.6;
 
-    // タイピングテキスト表示位置
-    const textWidth = romaji.length * charWidth;
+    // タイピングテキスト表示位置（間違いの入力が文末からはみ出す分も含めて中央揃え）
+    const errorOverflow = Math.max(
+      0,
+      typedLength + currentInput.length + errorInput.length - romaji.length
+    );
+    const textWidth = (romaji.length + errorOverflow) * charWidth;
     const startX = (this.settings.width - textWidth) / 2;
 
     // InputProcessorから提供されるパーツ情報がある場合、それを使用
@@ -511,7 +753,7 @@ export default class CanvasTypingEngine {
       });
 
       // 入力完了チェック
-      if (romaji.length > 0 && typedLength >= romaji.length) {
+      if (isCompleted) {
         ctx.fillStyle = this.settings.typedColor;
         ctx.fillText('✓', xPos, startY);
       }
@@ -522,18 +764,26 @@ export default class CanvasTypingEngine {
     // 従来の方式でのレンダリング（互換性のため）
     // 部分入力が存在する場合は、入力済み文字数 + 部分入力の次の位置
     // 部分入力がない場合は、入力済み文字数の位置
-    const nextCharPosition = currentInput ? typedLength + 1 : typedLength; // すべての文字を一文字ずつ処理
-    for (let i = 0; i < romaji.length; i++) {
-      const char = romaji[i];
+    // （「し」を sh まで打った場合のように部分入力は複数文字になることがある）
+    const nextCharPosition = typedLength + currentInput.length;
+    // 間違いの入力は正しい入力の続きの位置に、本来の文字の代わりに表示する
+    const errorEndPosition = nextCharPosition + errorInput.length;
+    const drawLength = Math.max(romaji.length, errorEndPosition); // すべての文字を一文字ずつ処理
+    for (let i = 0; i < drawLength; i++) {
+      let char = romaji[i];
 
       // 文字の状態に基づいて色を決定
-      if (i < typedLength) {
+      if (i >= nextCharPosition && i < errorEndPosition) {
+        // 自由入力モードで間違えて入力された文字
+        char = errorInput[i - nextCharPosition];
+        ctx.fillStyle = this.settings.errorColor; // 赤色
+      } else if (i < typedLength) {
         // すでに入力済みの文字
         ctx.fillStyle = this.settings.typedColor; // 緑色
-      } else if (i === typedLength && currentInput) {
+      } else if (i < nextCharPosition) {
         // 部分入力の文字（例：「と」の「t」）
         ctx.fillStyle = this.settings.typedColor; // 緑色
-      } else if (i === nextCharPosition) {
+      } else if (i === nextCharPosition && !errorInput) {
         // 次に入力すべき文字
         // 部分入力がある場合は常にオレンジ色を使用（エラー時でも赤くしない）
         if (currentInput) {
@@ -557,7 +807,7 @@ export default class CanvasTypingEngine {
       const intY = Math.round(y);
 
       // 影付きテキストで視認性を向上（オプション）
-      if (i === nextCharPosition) {
+      if (i === nextCharPosition && !errorInput) {
         // 次の入力文字には軽い発光効果
         ctx.shadowColor = ctx.fillStyle;
         ctx.shadowBlur = 4;
@@ -569,7 +819,16 @@ export default class CanvasTypingEngine {
       }
     }
 
-    if (romaji.length > 0 && typedLength >= romaji.length) {
+    // ゴーストのカーソル（読みチャレンジでは入力前のローマ字を隠すため表示しない）
+    if (Number.isInteger(ghostTypedLength) && !readingChallenge) {
+      const ghostX = Math.round(
+        startX + Math.min(ghostTypedLength, romaji.length) * charWidth
+      );
+      ctx.fillStyle = this.settings.ghostColor;
+      ctx.fillRect(ghostX, Math.round(startY + fontSize * 0.55), Math.round(charWidth), 3);
+    }
+
+    if (isCompleted) {
       // 入力完了時のチェックマーク（高品質描画）
       ctx.fillStyle = this.settings.typedColor; // 緑色（完了）
       const checkX = Math.round(startX + romaji.length * charWidth);
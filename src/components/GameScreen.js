@@ -16,6 +16,10 @@ import {
   useGameController,
   useGameCompleteHandler,
 } from './typing/GameController';
+import {
+  READING_HINT_KEY,
+  READING_HINT_PENALTY_RATE,
+} from '../utils/typing/Furigana';
 
 // デバッグログフラグ - デフォルトで無効化
 const DEBUG_GAME_SCREEN = process.env.NODE_ENV === 'development' && false;
@@ -44,6 +48,11 @@ const GameScreen = () => {
     getNextKey,
     gameState: currentGameState,
     scoreInfo, // スコア情報を取得
+    readingChallenge, // 読みチャレンジの状態
+    timeAttack, // タイムアタックの状態
+    quitEndless, // エンドレスをやめる（エンドレス以外はnull）
+    ghost, // ゴースト対戦の状態（ゴースト対戦以外はnull）
+    pause, // 一時停止の状態と操作
   } = useGameController({
     onDebugInfoUpdate: DEBUG_GAME_SCREEN ? setDebugInfo : null,
     onLastPressedKeyChange: setLastPressedKey,
@@ -53,31 +62,14 @@ const GameScreen = () => {
   // ゲーム完了ハンドラー
   useGameCompleteHandler(gameState, goToScreen, typingRef);
 
-  // ショートカットボタンのクリックハンドラー
-  const handleMenuButtonClick = useCallback(() => {
+  // 一時停止メニューからメニュー画面に戻る
+  const handleBackToMenu = useCallback(() => {
     goToScreen(SCREENS.MAIN_MENU, {
       playSound: true,
       soundType: 'button',
     });
   }, [goToScreen]);
 
-  // ESCキーのショートカット機能を追加
-  useEffect(() => {
-    const handleKeyDown = (e) => {
-      if (e.key === 'Escape') {
-        handleMenuButtonClick();
-      }
-    };
-
-    // キーボードイベントリスナーを登録
-    window.addEventListener('keydown', handleKeyDown);
-
-    // クリーンアップ関数
-    return () => {
-      window.removeEventListener('keydown', handleKeyDown);
-    };
-  }, [handleMenuButtonClick]);
-
   // キャンバスにフォーカスを当てる
   useEffect(() => {
     if (canvasWrapperRef.current) {
@@ -104,8 +96,26 @@ const GameScreen = () => {
             requiredCount={gameState.requiredProblemCount || 5}
             typingStats={typing?.stats || {}}
             scoreInfo={scoreInfo}
+            survival={gameState.survival}
+            endless={gameState.endless}
+            ghost={ghost}
+            paused={pause.isPaused}
           />
 
+          {/* タイムアタックの残り時間と解いた問題数 */}
+          {timeAttack && (
+            <div
+              className={`${styles.typing_game__time_limit} ${
+                timeAttack.remainingMs <= 10000
+                  ? styles['typing_game__time_limit--warning']
+                  : ''
+              }`}
+            >
+              残り {Math.ceil(timeAttack.remainingMs / 1000)}秒・
+              {gameState.solvedCount}問
+            </div>
+          )}
+
           {/* メイン画面 */}
           <main
             className={styles.typing_game__main}
@@ -122,6 +132,8 @@ const GameScreen = () => {
                   gameState.currentProblem
                 }
                 lastPressedKey={lastPressedKey}
+                readingChallenge={readingChallenge}
+                ghostUnitIndex={ghost ? ghost.cursorUnitIndex : null}
                 className={styles.typing_game__typing_area}
               />
             </div>
@@ -138,13 +150,50 @@ const GameScreen = () => {
             )}
           </main>
 
-          {/* SF風のショートカットメニューボタン */}
+          {/* SF風のショートカットメニューボタン（Escキーと同じく一時停止する） */}
           <button
-            onClick={handleMenuButtonClick}
+            onClick={pause.pauseGame}
             className={styles.typing_game__menu_button}
           >
-            <span>Esc:</span> メニュー
+            <span>Esc:</span> 一時停止
           </button>
+
+          {/* 一時停止メニュー・再開のカウントダウン */}
+          {pause.isPaused && (
+            <div className={styles.typing_game__pause_overlay}>
+              {pause.resumeCountdown ? (
+                <div className={styles.typing_game__pause_countdown}>
+                  {pause.resumeCountdown}
+                </div>
+              ) : (
+                <div className={styles.typing_game__pause_menu}>
+                  <h2 className={styles.typing_game__pause_title}>PAUSE</h2>
+                  <button
+                    className={styles.typing_game__pause_button}
+                    onClick={pause.resumeGame}
+                  >
+                    <span>Esc:</span> 再開
+                  </button>
+                  {/* エンドレスはやめてリザルト画面に進み、それ以外はメニューに戻る */}
+                  <button
+                    className={styles.typing_game__pause_button}
+                    onClick={quitEndless || handleBackToMenu}
+                  >
+                    {quitEndless ? 'やめる' : 'メニューに戻る'}
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* 読みチャレンジのヒントキーの案内 */}
+          {readingChallenge && (
+            <div className={styles.typing_game__hint_key}>
+              {READING_HINT_KEY}: ヒント（KPM -
+              {Math.round(READING_HINT_PENALTY_RATE * 100)}%・
+              {readingChallenge.hintCount}回）
+            </div>
+          )}
         </div>
       </div>
     </ErrorBoundary>
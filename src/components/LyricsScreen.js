@@ -0,0 +1,438 @@
+'use client';
+
+/**
+ * LyricsScreen.js
+ * 歌詞タイピング画面コンポーネント
+ * 責任: LRCファイルと音源の読み込み、曲の再生位置に合わせた行の表示と入力、結果の集計
+ */
+
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import styles from '../styles/LyricsScreen.module.css';
+import { useGameContext, SCREENS, GAME_MODES } from '../contexts/GameContext';
+import { usePageTransition } from './TransitionManager';
+import ErrorBoundary from './common/ErrorBoundary';
+import soundSystem from '../utils/SoundUtils';
+import TypingUtils from '../utils/TypingUtils';
+import { getInputKeyFromEvent } from '../utils/typing/InputSchemes';
+import { parseLrc, SAMPLE_LRC } from '../utils/typing/LrcParser';
+import { LyricsGame } from '../utils/typing/LyricsGame';
+
+// デバッグログフラグ - デフォルトで無効化
+const DEBUG_LYRICS_SCREEN = process.env.NODE_ENV === 'development' && false;
+
+// 画面の状態
+const PHASES = {
+  SETUP: 'setup', // 歌詞ファイル・音源の選択
+  PLAYING: 'playing', // プレイ中
+};
+
+/**
+ * ミリ秒を「m:ss」形式にする
+ * @param {number} ms - ミリ秒
+ * @returns {string} 表示用の時間
+ */
+const formatTime = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+};
+
+/**
+ * 歌詞タイピング画面
+ * 曲の再生位置（音源がない場合は経過時間）に合わせて歌詞の行を表示し、行の時間内に打つ
+ */
+const LyricsScreen = () => {
+  const { gameState, setGameState, settings } = useGameContext();
+  const { goToScreen } = usePageTransition();
+
+  // 前回遊んだ曲（リトライ時に使う）
+  const previousSource = gameState.lyricsSource || null;
+
+  const [phase, setPhase] = useState(PHASES.SETUP);
+  const [lrcText, setLrcText] = useState(previousSource?.lrcText || '');
+  const [lrcFileName, setLrcFileName] = useState(previousSource?.lrcFileName || '');
+  const [audioUrl, setAudioUrl] = useState(previousSource?.audioUrl || null);
+  const [audioName, setAudioName] = useState(previousSource?.audioName || '');
+  const [parsed, setParsed] = useState(() =>
+    previousSource?.lrcText ? parseLrc(previousSource.lrcText) : null
+  );
+
+  // 表示の更新（行の切り替え・入力のたびに再描画する）
+  const [currentTime, setCurrentTime] = useState(0);
+  const [, setRenderCount] = useState(0);
+
+  const gameRef = useRef(null);
+  const audioRef = useRef(null);
+  const startedAtRef = useRef(0);
+  const animationFrameRef = useRef(null);
+  const finishedRef = useRef(false);
+
+  const freeInput = !!settings?.freeInputMode;
+
+  const debugLog = (message, ...args) => {
+    if (DEBUG_LYRICS_SCREEN) console.log(`[LyricsScreen] ${message}`, ...args);
+  };
+
+  // 曲の再生位置（ミリ秒）。音源がない場合は開始からの経過時間
+  const getSongTime = useCallback(() => {
+    if (audioUrl && audioRef.current) {
+      return audioRef.current.currentTime * 1000;
+    }
+    return performance.now() - startedAtRef.current;
+  }, [audioUrl]);
+
+  // 歌詞ファイルを読み込む
+  const handleLrcFileChange = async (event) => {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+
+    const text = await file.text();
+    setLrcText(text);
+    setLrcFileName(file.name);
+    setParsed(parseLrc(text));
+  };
+
+  // 歌詞を直接編集する
+  const handleLrcTextChange = (event) => {
+    setLrcText(event.target.value);
+    setLrcFileName('');
+    setParsed(parseLrc(event.target.value));
+  };
+
+  // サンプルの歌詞を使う
+  const handleUseSample = () => {
+    setLrcText(SAMPLE_LRC);
+    setLrcFileName('');
+    setParsed(parseLrc(SAMPLE_LRC));
+  };
+
+  // 音源ファイルを読み込む（端末内のファイルを再生するだけで、どこにも送信しない）
+  const handleAudioFileChange = (event) => {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+
+    if (audioUrl) URL.revokeObjectURL(audioUrl);
+    setAudioUrl(URL.createObjectURL(file));
+    setAudioName(file.name);
+  };
+
+  // 音源を外す（経過時間で進める）
+  const handleClearAudio = () => {
+    if (audioUrl) URL.revokeObjectURL(audioUrl);
+    setAudioUrl(null);
+    setAudioName('');
+  };
+
+  // 結果を集計してリザルト画面に進む
+  const finishGame = useCallback(() => {
+    const game = gameRef.current;
+    if (!game || finishedRef.current) return;
+    finishedRef.current = true;
+
+    cancelAnimationFrame(animationFrameRef.current);
+    if (audioRef.current) audioRef.current.pause();
+
+    game.finishAll();
+    const lyricsStats = game.getStats();
+    const elapsedTimeMs = getSongTime();
+
+    // 打鍵速度は各行に使った時間（打ち終えるまで、または時間切れまで）で計算する
+    const kpm =
+      lyricsStats.typingTime > 0
+        ? Math.round((lyricsStats.correctKeyCount / (lyricsStats.typingTime / 60000)) * 10) / 10
+        : 0;
+    const totalKeys = lyricsStats.correctKeyCount + lyricsStats.missCount;
+    const accuracy = totalKeys > 0 ? (lyricsStats.correctKeyCount / totalKeys) * 100 : 100;
+
+    debugLog('歌詞タイピング終了:', lyricsStats);
+
+    setGameState((prev) => ({
+      ...prev,
+      gameMode: GAME_MODES.LYRICS,
+      isGameClear: true,
+      lyricsSource: { lrcText, lrcFileName, audioUrl, audioName },
+      stats: {
+        kpm,
+        correctCount: lyricsStats.correctKeyCount,
+        missCount: lyricsStats.missCount,
+        accuracy,
+        freeInput,
+        rank: TypingUtils.getRank(kpm) || 'F',
+        problemKPMs: [],
+        elapsedTimeMs,
+        totalTime: elapsedTimeMs / 1000,
+        solvedProblems: lyricsStats.clearedLines,
+        // 歌詞タイピングの結果（スコア・クリアした行・打ち残した文字数・タイミングボーナス）
+        lyrics: {
+          title: game.title || lrcFileName || '無題',
+          artist: game.artist,
+          score: lyricsStats.score,
+          clearedLines: lyricsStats.clearedLines,
+          totalLines: lyricsStats.totalLines,
+          leftoverChars: lyricsStats.leftoverChars,
+          timingBonus: lyricsStats.timingBonus,
+        },
+      },
+    }));
+
+    goToScreen(SCREENS.RESULT, {
+      playSound: true,
+      soundType: 'result',
+      gameState: {},
+    });
+  }, [getSongTime, setGameState, goToScreen, lrcText, lrcFileName, audioUrl, audioName, freeInput]);
+
+  // 毎フレーム、曲の再生位置に合わせて行を進める
+  const tick = useCallback(() => {
+    const game = gameRef.current;
+    if (!game || finishedRef.current) return;
+
+    const time = getSongTime();
+    if (game.update(time)) {
+      setRenderCount((count) => count + 1);
+    }
+    setCurrentTime(time);
+
+    if (game.isFinished(time)) {
+      finishGame();
+      return;
+    }
+    animationFrameRef.current = requestAnimationFrame(tick);
+  }, [getSongTime, finishGame]);
+
+  // プレイを始める
+  const handleStart = useCallback(() => {
+    if (!parsed || parsed.lines.length === 0) return;
+
+    gameRef.current = new LyricsGame(parsed, { freeInput });
+    finishedRef.current = false;
+    setPhase(PHASES.PLAYING);
+
+    // 曲とBGMが重ならないようにBGMを止める
+    soundSystem.stopBgm();
+
+    startedAtRef.current = performance.now();
+    if (audioUrl && audioRef.current) {
+      audioRef.current.currentTime = 0;
+      audioRef.current.play().catch((error) => {
+        console.error('[LyricsScreen] 音源を再生できません:', error);
+      });
+    }
+
+    animationFrameRef.current = requestAnimationFrame(tick);
+  }, [parsed, freeInput, audioUrl, tick]);
+
+  // メニューに戻る
+  const handleBackToMenu = useCallback(() => {
+    cancelAnimationFrame(animationFrameRef.current);
+    if (audioRef.current) audioRef.current.pause();
+    goToScreen(SCREENS.MAIN_MENU, { playSound: true, soundType: 'button' });
+  }, [goToScreen]);
+
+  // キー入力
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        handleBackToMenu();
+        return;
+      }
+      if (phase !== PHASES.PLAYING || !gameRef.current) return;
+
+      if (e.key === 'Backspace' && freeInput) {
+        e.preventDefault();
+        gameRef.current.handleBackspace();
+        setRenderCount((count) => count + 1);
+        return;
+      }
+
+      // Shiftなど文字を入力しないキーは無視する
+      const inputKey = getInputKeyFromEvent(e);
+      if (!inputKey || inputKey.length !== 1 || e.ctrlKey || e.metaKey || e.altKey) return;
+      e.preventDefault();
+
+      const result = gameRef.current.processInput(inputKey, getSongTime());
+      if (result.status !== 'inactive_line') {
+        soundSystem.playSound(result.success ? 'success' : 'error');
+      }
+      setRenderCount((count) => count + 1);
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [phase, freeInput, getSongTime, handleBackToMenu]);
+
+  // 画面を離れる時に再生を止める
+  useEffect(() => {
+    return () => {
+      cancelAnimationFrame(animationFrameRef.current);
+      if (audioRef.current) audioRef.current.pause();
+    };
+  }, []);
+
+  // 現在の行の表示
+  const renderCurrentLine = () => {
+    const game = gameRef.current;
+    const line = game?.getCurrentLine();
+    const nextLine = game?.getNextLine();
+
+    if (!line) {
+      return (
+        <div className={styles.lyrics_game__line}>
+          <p className={styles.lyrics_game__waiting}>
+            {nextLine ? `${formatTime(nextLine.startTime - currentTime)} 後に始まります` : ''}
+          </p>
+        </div>
+      );
+    }
+
+    const info = line.session.getColoringInfo();
+    const typedLength = info.typedLength;
+    const romaji = info.romaji;
+    const duration = line.endTime - line.startTime;
+    const remainingRatio = duration > 0
+      ? Math.min(1, Math.max(0, (line.endTime - currentTime) / duration))
+      : 0;
+
+    return (
+      <div className={styles.lyrics_game__line}>
+        <p
+          className={`${styles.lyrics_game__display} ${
+            line.result ? styles['lyrics_game__display--finished'] : ''
+          }`}
+        >
+          {line.displayText}
+        </p>
+        <p className={styles.lyrics_game__romaji}>
+          <span className={styles.lyrics_game__typed}>{romaji.slice(0, typedLength)}</span>
+          {info.errorInput && (
+            <span className={styles.lyrics_game__error}>{info.errorInput}</span>
+          )}
+          <span>{romaji.slice(typedLength + info.errorInput.length)}</span>
+        </p>
+        {line.result && (
+          <p
+            className={`${styles.lyrics_game__result} ${
+              line.result.cleared ? styles['lyrics_game__result--cleared'] : ''
+            }`}
+          >
+            {line.result.cleared
+              ? `CLEAR +${line.result.timingBonus}`
+              : `打ち残し ${line.result.leftover}文字`}
+          </p>
+        )}
+        <div className={styles.lyrics_game__timebar}>
+          <div
+            className={styles.lyrics_game__timebar_fill}
+            style={{ width: `${line.result ? 0 : remainingRatio * 100}%` }}
+          />
+        </div>
+      </div>
+    );
+  };
+
+  const stats = gameRef.current?.getStats();
+  const canStart = !!parsed && parsed.lines.length > 0;
+
+  return (
+    <ErrorBoundary>
+      <div className={styles.lyrics_game}>
+        {/* 音源（画面には表示しない） */}
+        {audioUrl && <audio ref={audioRef} src={audioUrl} preload="auto" onEnded={finishGame} />}
+
+        {phase === PHASES.SETUP ? (
+          <div className={styles.lyrics_game__setup}>
+            <h2 className={styles.lyrics_game__title}>歌詞タイピング</h2>
+            <p className={styles.lyrics_game__note}>
+              LRC形式の歌詞（[分:秒.xx]歌詞　よみ）と音源を選ぶと、曲に合わせて表示される歌詞を時間内に打ちます。
+              漢字を含む行は、全角スペースのあとに読みを書いてください。
+            </p>
+
+            <div className={styles.lyrics_game__field}>
+              <label className={styles.lyrics_game__label}>歌詞（LRC）</label>
+              <input type="file" accept=".lrc,.txt" onChange={handleLrcFileChange} />
+              <button className={styles.lyrics_game__button} onClick={handleUseSample}>
+                サンプル
+              </button>
+            </div>
+            <textarea
+              className={styles.lyrics_game__textarea}
+              value={lrcText}
+              onChange={handleLrcTextChange}
+              placeholder={'[00:01.00]はじめまして\n[00:05.00]歌詞を打とう　かしをうとう'}
+              rows={8}
+            />
+
+            <div className={styles.lyrics_game__field}>
+              <label className={styles.lyrics_game__label}>音源</label>
+              <input type="file" accept="audio/*" onChange={handleAudioFileChange} />
+              {audioName && (
+                <>
+                  <span className={styles.lyrics_game__filename}>{audioName}</span>
+                  <button className={styles.lyrics_game__button} onClick={handleClearAudio}>
+                    外す
+                  </button>
+                </>
+              )}
+            </div>
+            {!audioUrl && (
+              <p className={styles.lyrics_game__note}>
+                音源を選ばない場合は、開始からの経過時間で歌詞が進みます。
+              </p>
+            )}
+
+            {parsed && (
+              <div className={styles.lyrics_game__summary}>
+                {parsed.title && <span>{parsed.title}{parsed.artist ? ` / ${parsed.artist}` : ''}・</span>}
+                {parsed.lines.length}行
+                {parsed.errors.length > 0 && (
+                  <ul className={styles.lyrics_game__errors}>
+                    {parsed.errors.map((error, index) => (
+                      <li key={index}>
+                        {error.line > 0 ? `${error.line}行目: ` : ''}
+                        {error.reason}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+
+            <div className={styles.lyrics_game__actions}>
+              <button
+                className={styles.lyrics_game__start}
+                onClick={handleStart}
+                disabled={!canStart}
+              >
+                スタート
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div className={styles.lyrics_game__play}>
+            <div className={styles.lyrics_game__status}>
+              <span>{gameRef.current?.title || lrcFileName}</span>
+              <span>
+                SCORE {stats?.score || 0}・{stats?.clearedLines || 0}/{stats?.totalLines || 0}行
+              </span>
+              <span>{formatTime(currentTime)}</span>
+            </div>
+
+            {renderCurrentLine()}
+
+            {/* 次の行 */}
+            <p className={styles.lyrics_game__next}>
+              {gameRef.current?.getNextLine()?.displayText || ''}
+            </p>
+          </div>
+        )}
+
+        <button onClick={handleBackToMenu} className={styles.lyrics_game__menu_button}>
+          <span>Esc:</span> メニュー
+        </button>
+      </div>
+    </ErrorBoundary>
+  );
+};
+
+export default LyricsScreen;
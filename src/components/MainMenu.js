@@ -3,7 +3,7 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import styles from '../styles/MainMenu.module.css';
 import Image from 'next/image';
-import { useGameContext, SCREENS } from '../contexts/GameContext';
+import { useGameContext, SCREENS, GAME_MODES } from '../contexts/GameContext';
 import { useSoundContext } from '../contexts/SoundContext';
 import { motion } from 'framer-motion';
 import { usePageTransition } from './TransitionManager';
@@ -11,10 +11,34 @@ import Modal from './common/Modal'; // 共通モーダルコンポーネント
 import Button, { ToggleButton } from './common/Button'; // 共通ボタンコンポーネント
 import SoundSettings from './common/SoundSettings'; // 共通サウンド設定コンポーネント
 import CreditsContent from './common/CreditsContent'; // 共通クレジットコンポーネント
+import ProblemFilterPicker, { getProblemFilterSummary } from './common/ProblemFilterPicker'; // 出題範囲の選択
 import { creditsData } from '../utils/CreditsData'; // クレジットデータ
 import mcpUtils, { useMCPContext } from '../utils/MCPUtils'; // MCP連携の追加
 import typingWorkerManager from '../utils/TypingWorkerManager'; // Worker管理のためのインポートを追加
 import { getStaticPath } from '../utils/StaticPathUtils'; // 静的アセットパス用のユーティリティ
+import { getInputSchemeList, DEFAULT_INPUT_SCHEME } from '../utils/typing/InputSchemes'; // ローマ字入力方式
+import {
+  getRomajiPreferenceOptions,
+  DEFAULT_ROMAJI_PREFERENCES,
+} from '../utils/typing/RomajiPreferences'; // ローマ字表記の好み
+import { PROBLEM_SELECTION_STRATEGIES } from '../utils/ProblemSelector'; // 問題の選び方
+import { normalizeSeed, MAX_SEED_LENGTH } from '../utils/SeededRandom'; // 出題順のシード
+import { getDailyStreak, hasStartedDailyAttempt } from '../utils/DailyChallenge'; // 今日のチャレンジ
+import { CODE_LANGUAGES, CODE_LANGUAGE_LABELS } from '../utils/CodeProblemData'; // コードタイピング
+import { READING_HINT_KEY, READING_HINT_PENALTY_RATE } from '../utils/typing/Furigana'; // 読みチャレンジ
+import {
+  TIME_ATTACK_DURATIONS,
+  normalizeTimeAttackDuration,
+  getTimeAttackLabel,
+} from '../utils/TimeAttack'; // タイムアタック
+import { SURVIVAL_MAX_LIVES } from '../utils/SurvivalMode'; // サバイバル
+import {
+  getBestGhost,
+  exportGhostJson,
+  getGhostFileName,
+  parseGhostJson,
+} from '../utils/GhostRun'; // ゴースト対戦
+import { getUsername } from '../utils/StorageUtils';
 
 // 設定モーダルの表示状態を外部から制御するためのカスタムフック
 export const useSettingsModal = () => {
@@ -52,6 +76,31 @@ const MainMenu = () => {
   } = useMCPContext();
   // モーダル表示状態を管理するstate
   const [showCredits, setShowCredits] = useState(false);
+  const [showProblemFilter, setShowProblemFilter] = useState(false);
+
+  // 今日のチャレンジの連続挑戦日数と、今日のランキング挑戦を済ませたか
+  const [dailyStatus, setDailyStatus] = useState({
+    streak: 0,
+    bestStreak: 0,
+    attemptedToday: false,
+  });
+
+  // 選択中の難易度の自己ベストのゴーストと、読み込んだファイルのエラー
+  const [bestGhost, setBestGhost] = useState(null);
+  const [ghostImportError, setGhostImportError] = useState('');
+  const ghostFileInputRef = useRef(null);
+
+  useEffect(() => {
+    setBestGhost(getBestGhost(getUsername(), settings.difficulty));
+  }, [settings.difficulty]);
+
+  useEffect(() => {
+    const playerName = getUsername();
+    setDailyStatus({
+      ...getDailyStreak(playerName),
+      attemptedToday: hasStartedDailyAttempt(playerName),
+    });
+  }, []);
 
   // グローバル設定モーダル状態を使用
   const {
@@ -192,6 +241,117 @@ const MainMenu = () => {
     [playButtonSound, mcpActive, recordGameEvent, settings, setSettings]
   );
 
+  // ローマ字入力方式を変更する関数
+  const handleInputSchemeChange = useCallback(
+    (inputScheme) => {
+      playButtonSound();
+      setSettings({
+        ...settings,
+        inputScheme,
+      });
+    },
+    [playButtonSound, settings, setSettings]
+  );
+
+  // ミスの扱い（ミスで止める / 自由入力）を変更する関数
+  const handleFreeInputModeChange = useCallback(
+    (freeInputMode) => {
+      playButtonSound();
+      setSettings({
+        ...settings,
+        freeInputMode,
+      });
+    },
+    [playButtonSound, settings, setSettings]
+  );
+
+  // 読みの表示（振り仮名を表示 / 読みチャレンジ）を変更する関数
+  const handleReadingChallengeChange = useCallback(
+    (readingChallenge) => {
+      playButtonSound();
+      setSettings({
+        ...settings,
+        readingChallenge,
+      });
+    },
+    [playButtonSound, settings, setSettings]
+  );
+
+  // タイムアタックの制限時間を変更する関数
+  const handleTimeAttackDurationChange = useCallback(
+    (timeAttackDuration) => {
+      playButtonSound();
+      setSettings({
+        ...settings,
+        timeAttackDuration,
+      });
+    },
+    [playButtonSound, settings, setSettings]
+  );
+
+  // コードタイピングの設定（言語・行頭の空白・行末の改行）を変更する関数
+  const handleCodeSettingChange = useCallback(
+    (key, value) => {
+      playButtonSound();
+      setSettings({
+        ...settings,
+        [key]: value,
+      });
+    },
+    [playButtonSound, settings, setSettings]
+  );
+
+  // 問題の選び方（ランダム / 苦手な問題の復習）を変更する関数
+  const handleProblemSelectionStrategyChange = useCallback(
+    (problemSelectionStrategy) => {
+      playButtonSound();
+      setSettings({
+        ...settings,
+        problemSelectionStrategy,
+      });
+    },
+    [playButtonSound, settings, setSettings]
+  );
+
+  // 出題順のシードを変更する関数（空にするとゲームごとにランダムなシードを使う）
+  const handleProblemSeedChange = useCallback(
+    (problemSeed) => {
+      setSettings({
+        ...settings,
+        problemSeed: normalizeSeed(problemSeed),
+      });
+    },
+    [settings, setSettings]
+  );
+
+  // 出題範囲（カテゴリ・タグ）を変更する関数（設定として保存され、次回も同じ範囲で出題する）
+  const handleProblemFilterChange = useCallback(
+    (problemFilter) => {
+      playButtonSound();
+      setSettings({
+        ...settings,
+        problemFilter,
+      });
+    },
+    [playButtonSound, settings, setSettings]
+  );
+
+  // ローマ字表記の好み（shi/si など）を変更する関数
+  const handleRomajiPreferenceChange = useCallback(
+    (key, choice) => {
+      playButtonSound();
+      setSettings({
+        ...settings,
+        romajiPreferences: {
+          ...DEFAULT_ROMAJI_PREFERENCES,
+          ...settings.romajiPreferences,
+          [key]: choice,
+        },
+      });
+    },
+    [playButtonSound, settings, setSettings]
+  );
+
   // ゲーム画面に遷移する関数 - トランジション対応
   const handleStartGame = useCallback(() => {
     // トランジション中は操作を無効化
@@ -216,6 +376,155 @@ const MainMenu = () => {
     goToScreen,
   ]);
 
+  // 今日のチャレンジを始める関数
+  const handleStartDailyChallenge = useCallback(() => {
+    if (isTransitioning) return;
+
+    if (mcpActive) {
+      recordGameEvent({
+        type: 'game-started',
+        gameMode: GAME_MODES.DAILY,
+        timestamp: Date.now(),
+      });
+    }
+
+    goToScreen(SCREENS.GAME, {
+      playSound: true,
+      gameState: { gameMode: GAME_MODES.DAILY },
+    });
+  }, [isTransitioning, mcpActive, recordGameEvent, goToScreen]);
+
+  // コードタイピングを始める関数
+  const handleStartCodeTyping = useCallback(() => {
+    if (isTransitioning) return;
+
+    if (mcpActive) {
+      recordGameEvent({
+        type: 'game-started',
+        gameMode: GAME_MODES.CODE,
+        timestamp: Date.now(),
+      });
+    }
+
+    goToScreen(SCREENS.GAME, {
+      playSound: true,
+      gameState: { gameMode: GAME_MODES.CODE },
+    });
+  }, [isTransitioning, mcpActive, recordGameEvent, goToScreen]);
+
+  // タイムアタックを始める関数（制限時間は設定の値を使う）
+  const handleStartTimeAttack = useCallback(() => {
+    if (isTransitioning) return;
+
+    if (mcpActive) {
+      recordGameEvent({
+        type: 'game-started',
+        gameMode: GAME_MODES.TIME_ATTACK,
+        timestamp: Date.now(),
+      });
+    }
+
+    goToScreen(SCREENS.GAME, {
+      playSound: true,
+      gameState: { gameMode: GAME_MODES.TIME_ATTACK },
+    });
+  }, [isTransitioning, mcpActive, recordGameEvent, goToScreen]);
+
+  // サバイバルを始める関数
+  const handleStartSurvival = useCallback(() => {
+    if (isTransitioning) return;
+
+    if (mcpActive) {
+      recordGameEvent({
+        type: 'game-started',
+        gameMode: GAME_MODES.SURVIVAL,
+        timestamp: Date.now(),
+      });
+    }
+
+    goToScreen(SCREENS.GAME, {
+      playSound: true,
+      gameState: { gameMode: GAME_MODES.SURVIVAL },
+    });
+  }, [isTransitioning, mcpActive, recordGameEvent, goToScreen]);
+
+  // エンドレスを始める関数
+  const handleStartEndless = useCallback(() => {
+    if (isTransitioning) return;
+
+    if (mcpActive) {
+      recordGameEvent({
+        type: 'game-started',
+        gameMode: GAME_MODES.ENDLESS,
+        timestamp: Date.now(),
+      });
+    }
+
+    goToScreen(SCREENS.GAME, {
+      playSound: true,
+      gameState: { gameMode: GAME_MODES.ENDLESS },
+    });
+  }, [isTransitioning, mcpActive, recordGameEvent, goToScreen]);
+
+  // ゴースト対戦を始める関数（ゴーストの指定がない場合は選択中の難易度の自己ベストと対戦する）
+  const handleStartGhostRace = useCallback(
+    (ghost = null) => {
+      if (isTransitioning) return;
+
+      if (mcpActive) {
+        recordGameEvent({
+          type: 'game-started',
+          gameMode: GAME_MODES.GHOST,
+          timestamp: Date.now(),
+        });
+      }
+
+      goToScreen(SCREENS.GAME, {
+        playSound: true,
+        gameState: { gameMode: GAME_MODES.GHOST, ghost },
+      });
+    },
+    [isTransitioning, mcpActive, recordGameEvent, goToScreen]
+  );
+
+  // 自己ベストのゴーストをJSONファイルとしてダウンロードする（チームメイトと対戦するため）
+  const handleExportGhost = useCallback(() => {
+    if (!bestGhost) return;
+    playButtonSound();
+
+    const blob = new Blob([exportGhostJson(bestGhost)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = getGhostFileName(bestGhost);
+    link.click();
+    URL.revokeObjectURL(url);
+  }, [bestGhost, playButtonSound]);
+
+  // ゴーストのファイルを読み込んで、そのゴーストと対戦する
+  const handleImportGhost = useCallback(
+    async (event) => {
+      const file = event.target.files?.[0];
+      event.target.value = ''; // 同じファイルを選び直せるようにする
+      if (!file) return;
+
+      const { ghost, error } = parseGhostJson(await file.text());
+      if (!ghost) {
+        setGhostImportError(`${file.name}: ${error}`);
+        return;
+      }
+      setGhostImportError('');
+      handleStartGhostRace(ghost);
+    },
+    [handleStartGhostRace]
+  );
+
+  // 歌詞タイピングを始める関数（歌詞ファイルと音源を選ぶ画面に進む）
+  const handleStartLyricsTyping = useCallback(() => {
+    if (isTransitioning) return;
+    goToScreen(SCREENS.LYRICS, { playSound: true });
+  }, [isTransitioning, goToScreen]);
+
   // 設定モーダルを開く関数
   const handleOpenSettings = useCallback(() => {
     playButtonSound();
@@ -248,6 +557,22 @@ const MainMenu = () => {
 
     setShowCredits(true);
   }, [playButtonSound, mcpActive, recordUXElement]);
+
+  // 出題範囲モーダルを開く関数
+  const handleOpenProblemFilter = useCallback(() => {
+    playButtonSound();
+
+    // MCPにモーダル表示イベントを記録
+    if (mcpActive) {
+      recordUXElement({
+        type: 'modal-open',
+        modalName: 'problem-filter',
+        timestamp: Date.now(),
+      });
+    }
+
+    setShowProblemFilter(true);
+  }, [playButtonSound, mcpActive, recordUXElement]);
   // モーダルを閉じる関数
   const handleCloseModal = useCallback(() => {
     playButtonSound();
@@ -256,13 +581,18 @@ const MainMenu = () => {
     if (mcpActive) {
       recordUXElement({
         type: 'modal-close',
-        modalName: showCredits ? 'credits' : 'settings',
+        modalName: showCredits
+          ? 'credits'
+          : showProblemFilter
+          ? 'problem-filter'
+          : 'settings',
         timestamp: Date.now(),
       });
     }
 
     // モーダル表示フラグをリセット
     setShowCredits(false);
+    setShowProblemFilter(false);
 
     if (showSettingsModal) {
       closeSettingsModal();
@@ -272,6 +602,7 @@ const MainMenu = () => {
     mcpActive,
     recordUXElement,
     showCredits,
+    showProblemFilter,
     closeSettingsModal,
     showSettingsModal,
   ]);
@@ -390,6 +721,306 @@ const MainMenu = () => {
           </div>
         </div>
 
+        {/* 入力方式設定 */}
+        <div className={styles.settingsSection}>
+          <h3 className={styles.settingsSectionTitle}>入力方式</h3>
+          <div className={styles.difficultyToggleGroup}>
+            {getInputSchemeList().map((scheme) => {
+              const isActive =
+                (settings.inputScheme || DEFAULT_INPUT_SCHEME) === scheme.id;
+              return (
+                <button
+                  key={scheme.id}
+                  className={`${styles.difficultyToggleButton} ${
+                    isActive ? styles.active : ''
+                  }`}
+                  onClick={() => handleInputSchemeChange(scheme.id)}
+                  aria-pressed={isActive}
+                  title={scheme.description}
+                >
+                  <span className={styles.btnText}>{scheme.label}</span>
+                </button>
+              );
+            })}
+          </div>
+        </div>
+
+        {/* ミスの扱い */}
+        <div className={styles.settingsSection}>
+          <h3 className={styles.settingsSectionTitle}>ミスの扱い</h3>
+          <div className={styles.difficultyToggleGroup}>
+            {[
+              {
+                value: false,
+                label: 'ミスで止める',
+                description: '間違えたキーは入力されず、正しいキーを押すまで進まない',
+              },
+              {
+                value: true,
+                label: '自由入力',
+                description: '間違えたキーも赤く入力され、Backspaceで消して修正する',
+              },
+            ].map((mode) => {
+              const isActive = !!settings.freeInputMode === mode.value;
+              return (
+                <button
+                  key={mode.label}
+                  className={`${styles.difficultyToggleButton} ${
+                    isActive ? styles.active : ''
+                  }`}
+                  onClick={() => handleFreeInputModeChange(mode.value)}
+                  aria-pressed={isActive}
+                  title={mode.description}
+                >
+                  <span className={styles.btnText}>{mode.label}</span>
+                </button>
+              );
+            })}
+          </div>
+        </div>
+
+        {/* 読みの表示 */}
+        <div className={styles.settingsSection}>
+          <h3 className={styles.settingsSectionTitle}>読みの表示</h3>
+          <div className={styles.difficultyToggleGroup}>
+            {[
+              {
+                value: false,
+                label: '振り仮名を表示',
+                description: '漢字に振り仮名を付け、打つローマ字を表示する',
+              },
+              {
+                value: true,
+                label: '読みチャレンジ',
+                description: `振り仮名・ローマ字を隠す。${READING_HINT_KEY}キーで次のかなを表示できる（1回ごとにKPM -${Math.round(
+                  READING_HINT_PENALTY_RATE * 100
+                )}%）`,
+              },
+            ].map((mode) => {
+              const isActive = !!settings.readingChallenge === mode.value;
+              return (
+                <button
+                  key={mode.label}
+                  className={`${styles.difficultyToggleButton} ${
+                    isActive ? styles.active : ''
+                  }`}
+                  onClick={() => handleReadingChallengeChange(mode.value)}
+                  aria-pressed={isActive}
+                  title={mode.description}
+                >
+                  <span className={styles.btnText}>{mode.label}</span>
+                </button>
+              );
+            })}
+          </div>
+        </div>
+
+        {/* タイムアタックの制限時間 */}
+        <div className={styles.settingsSection}>
+          <h3 className={styles.settingsSectionTitle}>タイムアタック</h3>
+          <div className={styles.difficultyToggleGroup}>
+            {TIME_ATTACK_DURATIONS.map((duration) => {
+              const isActive =
+                normalizeTimeAttackDuration(settings.timeAttackDuration) ===
+                duration;
+              return (
+                <button
+                  key={duration}
+                  className={`${styles.difficultyToggleButton} ${
+                    isActive ? styles.active : ''
+                  }`}
+                  onClick={() => handleTimeAttackDurationChange(duration)}
+                  aria-pressed={isActive}
+                  title={`${getTimeAttackLabel(duration)}の間、時間切れまで問題を続けて出題します`}
+                >
+                  <span className={styles.btnText}>
+                    {getTimeAttackLabel(duration)}
+                  </span>
+                </button>
+              );
+            })}
+          </div>
+        </div>
+
+        {/* コードタイピング */}
+        <div className={styles.settingsSection}>
+          <h3 className={styles.settingsSectionTitle}>コードタイピング</h3>
+          <div className={styles.difficultyToggleGroup}>
+            {Object.values(CODE_LANGUAGES).map((language) => {
+              const isActive =
+                (settings.codeLanguage || CODE_LANGUAGES.JAVASCRIPT) === language;
+              return (
+                <button
+                  key={language}
+                  className={`${styles.difficultyToggleButton} ${
+                    isActive ? styles.active : ''
+                  }`}
+                  onClick={() => handleCodeSettingChange('codeLanguage', language)}
+                  aria-pressed={isActive}
+                >
+                  <span className={styles.btnText}>{CODE_LANGUAGE_LABELS[language]}</span>
+                </button>
+              );
+            })}
+          </div>
+          {[
+            {
+              key: 'codeSkipIndent',
+              label: '行頭の空白',
+              options: [
+                {
+                  value: true,
+                  label: '自動で飛ばす',
+                  description: 'インデントの空白は打たずに、行の最初の文字から入力する',
+                },
+                {
+                  value: false,
+                  label: '入力する',
+                  description: 'インデントの空白もスペースキーで入力する',
+                },
+              ],
+            },
+            {
+              key: 'codeTypeEnter',
+              label: '行末',
+              options: [
+                {
+                  value: true,
+                  label: 'Enterで改行',
+                  description: '行の最後でEnterキーを押して次の行に進む',
+                },
+                {
+                  value: false,
+                  label: '自動で改行',
+                  description: '行の最後の文字を打つと自動で次の行に進む',
+                },
+              ],
+            },
+          ].map((option) => (
+            <div key={option.key} className={styles.codeSettingRow}>
+              <span className={styles.codeSettingLabel}>{option.label}</span>
+              <div className={styles.difficultyToggleGroup}>
+                {option.options.map((mode) => {
+                  const isActive = (settings[option.key] ?? true) === mode.value;
+                  return (
+                    <button
+                      key={mode.label}
+                      className={`${styles.difficultyToggleButton} ${
+                        isActive ? styles.active : ''
+                      }`}
+                      onClick={() => handleCodeSettingChange(option.key, mode.value)}
+                      aria-pressed={isActive}
+                      title={mode.description}
+                    >
+                      <span className={styles.btnText}>{mode.label}</span>
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {/* 問題の選び方 */}
+        <div className={styles.settingsSection}>
+          <h3 className={styles.settingsSectionTitle}>問題の選び方</h3>
+          <div className={styles.difficultyToggleGroup}>
+            {[
+              {
+                value: PROBLEM_SELECTION_STRATEGIES.RANDOM,
+                label: 'ランダム',
+                description: 'すべての問題から均等にランダムで出題する',
+              },
+              {
+                value: PROBLEM_SELECTION_STRATEGIES.REVIEW,
+                label: '苦手を復習',
+                description: 'ミスや打鍵の遅れが多かった問題を、間隔をあけながら多めに出題する',
+              },
+            ].map((mode) => {
+              const isActive =
+                (settings.problemSelectionStrategy ||
+                  PROBLEM_SELECTION_STRATEGIES.RANDOM) === mode.value;
+              return (
+                <button
+                  key={mode.value}
+                  className={`${styles.difficultyToggleButton} ${
+                    isActive ? styles.active : ''
+                  }`}
+                  onClick={() => handleProblemSelectionStrategyChange(mode.value)}
+                  aria-pressed={isActive}
+                  title={mode.description}
+                >
+                  <span className={styles.btnText}>{mode.label}</span>
+                </button>
+              );
+            })}
+          </div>
+        </div>
+
+        {/* 出題順のシード */}
+        <div className={styles.settingsSection}>
+          <h3 className={styles.settingsSectionTitle}>出題順のシード</h3>
+          <div className={styles.seedControls}>
+            <input
+              type="text"
+              className={styles.seedInput}
+              value={settings.problemSeed || ''}
+              onChange={(e) => handleProblemSeedChange(e.target.value)}
+              maxLength={MAX_SEED_LENGTH}
+              placeholder="空欄で毎回ランダム"
+              aria-label="出題順のシード"
+              spellCheck={false}
+            />
+            <button
+              className={styles.difficultyToggleButton}
+              onClick={() => {
+                playButtonSound();
+                handleProblemSeedChange('');
+              }}
+              disabled={!settings.problemSeed}
+            >
+              <span className={styles.btnText}>クリア</span>
+            </button>
+          </div>
+          <p className={styles.seedNote}>
+            同じシード・難易度・問題数なら同じ順番で出題されます（リザルト画面にシードが表示されます）。
+            シードを入力している間は「苦手を復習」より出題順の再現を優先します。
+            シードを入力したゲームは、出題範囲と取り込んだ問題セットを使わず、組み込みの問題すべてから出題します。
+            シードが空欄の場合、出題範囲を絞っている・問題セットを取り込んでいる時はシードは表示されません。
+          </p>
+        </div>
+
+        {/* ローマ字表記の好み */}
+        <div className={styles.settingsSection}>
+          <h3 className={styles.settingsSectionTitle}>表示する綴り</h3>
+          {getRomajiPreferenceOptions().map((option) => {
+            const current =
+              (settings.romajiPreferences || {})[option.key] ||
+              DEFAULT_ROMAJI_PREFERENCES[option.key];
+            return (
+              <div key={option.key} className={styles.settingsRow}>
+                <label className={styles.settingsLabel}>{option.label}</label>
+                <div className={styles.difficultyToggleGroup}>
+                  {option.choices.map((choice) => (
+                    <button
+                      key={choice}
+                      className={`${styles.difficultyToggleButton} ${
+                        current === choice ? styles.active : ''
+                      }`}
+                      onClick={() =>
+                        handleRomajiPreferenceChange(option.key, choice)
+                      }
+                      aria-pressed={current === choice}
+                    >
+                      <span className={styles.btnText}>{choice}</span>
+                    </button>
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
         {/* 新しいセクション：パフォーマンス設定 */}
         <div className={styles.settingsSection}>
           <h3 className={styles.settingsSectionTitle}>パフォーマンス設定</h3>
@@ -439,7 +1070,30 @@ const MainMenu = () => {
         </div>
       </div>
     );
-  }, [settings.difficulty, setSettings, handleDifficultyChange]);
+  }, [
+    settings.difficulty,
+    settings.inputScheme,
+    settings.romajiPreferences,
+    settings.freeInputMode,
+    settings.readingChallenge,
+    settings.timeAttackDuration,
+    settings.problemSelectionStrategy,
+    settings.problemSeed,
+    settings.codeLanguage,
+    settings.codeSkipIndent,
+    settings.codeTypeEnter,
+    setSettings,
+    handleDifficultyChange,
+    handleInputSchemeChange,
+    handleRomajiPreferenceChange,
+    handleFreeInputModeChange,
+    handleReadingChallengeChange,
+    handleTimeAttackDurationChange,
+    handleProblemSelectionStrategyChange,
+    handleProblemSeedChange,
+    handleCodeSettingChange,
+    playButtonSound,
+  ]);
 
   // クレジットコンテンツをレンダリングする関数
   const renderCreditsContent = useCallback(() => {
@@ -460,7 +1114,7 @@ const MainMenu = () => {
   useEffect(() => {
     const handleKeyDown = (e) => {
       // モーダルが開いている場合
-      if (showSettingsModal || showCredits) {
+      if (showSettingsModal || showCredits || showProblemFilter) {
         // ESCキーが押されたらモーダルを閉じる
         if (e.key === 'Escape') {
           handleCloseModal();
@@ -553,6 +1207,7 @@ const MainMenu = () => {
     isTransitioning,
     showSettingsModal,
     showCredits,
+    showProblemFilter,
     playButtonSound,
     mcpActive,
     recordUXElement,
@@ -665,6 +1320,132 @@ const MainMenu = () => {
           ))}
         </motion.div>
 
+        {/* 出題範囲（カテゴリ・タグ）の選択 */}
+        <motion.div className={styles.problemFilter} variants={itemVariants}>
+          <button
+            className={styles.problemFilterButton}
+            onClick={handleOpenProblemFilter}
+            title="出題するカテゴリ・タグを選びます"
+          >
+            出題範囲: {getProblemFilterSummary(settings.problemFilter)}
+          </button>
+        </motion.div>
+
+        {/* 今日のチャレンジ（全員共通の問題セット・1日1回ランキング挑戦） */}
+        <motion.div className={styles.dailyChallenge} variants={itemVariants}>
+          <button
+            className={styles.dailyChallengeButton}
+            onClick={handleStartDailyChallenge}
+            title={
+              dailyStatus.attemptedToday
+                ? '今日のランキング挑戦は済んでいます（練習として遊べます）'
+                : '全員共通の問題に挑戦します（1日1回ランキングに登録できます）'
+            }
+          >
+            今日のチャレンジ
+            {dailyStatus.attemptedToday && (
+              <span className={styles.dailyChallengePractice}>練習</span>
+            )}
+          </button>
+          <div className={styles.dailyStreak} aria-label="連続挑戦日数">
+            連続挑戦 {dailyStatus.streak}日
+            {dailyStatus.bestStreak > 0 && (
+              <span className={styles.dailyBestStreak}>
+                （最高 {dailyStatus.bestStreak}日）
+              </span>
+            )}
+          </div>
+        </motion.div>
+
+        {/* タイムアタック・サバイバル・エンドレス・コードタイピング・歌詞タイピング */}
+        <motion.div className={styles.codeTyping} variants={itemVariants}>
+          <button
+            className={styles.codeTypingButton}
+            onClick={handleStartTimeAttack}
+            title="制限時間の間、時間切れまで問題を続けて出題します（打ちかけの問題も時間切れまでの打鍵を集計します）"
+          >
+            タイムアタック（
+            {getTimeAttackLabel(
+              normalizeTimeAttackDuration(settings.timeAttackDuration)
+            )}
+            ）
+          </button>
+          <button
+            className={styles.codeTypingButton}
+            onClick={handleStartSurvival}
+            title={`問題ごとの制限時間は進むほど短くなります。ミス入力と時間切れでライフを失い、${SURVIVAL_MAX_LIVES}つなくなったら終わりです`}
+          >
+            サバイバル
+          </button>
+          <button
+            className={styles.codeTypingButton}
+            onClick={handleStartEndless}
+            title="やさしい問題から始め、直近のKPMと正確率に合わせて難易度が上下します。一時停止メニュー（Escキー）でやめるまで続きます"
+          >
+            エンドレス
+          </button>
+          <button
+            className={styles.codeTypingButton}
+            onClick={handleStartCodeTyping}
+            title="ソースコードを記号・大文字小文字・改行も含めて書かれたとおりに入力します"
+          >
+            コードタイピング（
+            {CODE_LANGUAGE_LABELS[settings.codeLanguage] ||
+              CODE_LANGUAGE_LABELS[CODE_LANGUAGES.JAVASCRIPT]}
+            ）
+          </button>
+          <button
+            className={styles.codeTypingButton}
+            onClick={handleStartLyricsTyping}
+            title="LRC形式の歌詞と音源を読み込み、曲に合わせて表示される歌詞を時間内に入力します"
+          >
+            歌詞タイピング
+          </button>
+        </motion.div>
+
+        {/* ゴースト対戦（自己ベスト・チームメイトのゴーストのファイル） */}
+        <motion.div className={styles.ghostRace} variants={itemVariants}>
+          <button
+            className={styles.codeTypingButton}
+            onClick={() => handleStartGhostRace()}
+            disabled={!bestGhost}
+            title={
+              bestGhost
+                ? `自己ベスト（${bestGhost.kpm} KPM・${bestGhost.problems.length}問）と同じ問題を打ち、ゴーストと競います`
+                : `${difficultyLabels[settings.difficulty] || settings.difficulty}の自己ベストがまだありません（通常のゲームを最後まで打つと記録されます）`
+            }
+          >
+            ゴースト対戦
+          </button>
+          <button
+            className={styles.codeTypingButton}
+            onClick={handleExportGhost}
+            disabled={!bestGhost}
+            title="自己ベストのゴーストをファイルに書き出します"
+          >
+            ゴーストを書き出す
+          </button>
+          <button
+            className={styles.codeTypingButton}
+            onClick={() => ghostFileInputRef.current?.click()}
+            title="書き出したゴーストのファイルを読み込んで対戦します"
+          >
+            ゴーストを読み込む
+          </button>
+          <input
+            ref={ghostFileInputRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={handleImportGhost}
+            hidden
+          />
+          {ghostImportError && (
+            <div className={styles.ghostRaceError} role="alert">
+              {ghostImportError}
+            </div>
+          )}
+        </motion.div>
+
         <motion.div className={styles.instructions} variants={itemVariants}>
           <div className={styles.instructionText}>
             ロゴをクリックまたはSPACEキーでスタート！
@@ -701,6 +1482,17 @@ const MainMenu = () => {
       >
         {renderCreditsContent()}
       </Modal>
+      <Modal
+        isOpen={showProblemFilter}
+        onClose={handleCloseModal}
+        title="出題範囲"
+      >
+        <ProblemFilterPicker
+          value={settings.problemFilter}
+          onChange={handleProblemFilterChange}
+          difficulty={settings.difficulty}
+        />
+      </Modal>
       {/* 開発者設定モーダル - 不要なため削除 */}
       {/* MCP状態表示（開発環境のみ） */}
       {process.env.NODE_ENV === 'development' && mcpActive && (
@@ -9,8 +9,18 @@ import {
   getTopRankings,
   getRecentRankings,
   saveOnlineRanking,
+  saveDailyChallengeScore,
+  getDailyChallengeRankings,
   debugCheckAllRankings,
 } from '../utils/FirebaseUtils';
+import { getDailyDateKey } from '../utils/DailyChallenge';
+import {
+  TIME_ATTACK_DURATIONS,
+  DEFAULT_TIME_ATTACK_DURATION,
+  getTimeAttackLabel,
+  getTimeAttackRankingKey,
+  isTimeAttackRankingKey,
+} from '../utils/TimeAttack';
 import soundSystem from '../utils/SoundUtils';
 import TypingUtils from '../utils/TypingUtils';
 import { motion } from 'framer-motion';
@@ -18,6 +28,12 @@ import { usePageTransition } from './TransitionManager';
 import { useRouter } from 'next/navigation';
 import Button from './common/Button'; // 共通ボタンコンポーネントをインポート
 
+// 今日のチャレンジのタブ（難易度タブと並べて表示する）
+const DAILY_TAB = 'daily';
+
+// コードタイピングのタブ（1分あたりの文字数（CPM）で順位をつける）
+const CODE_TAB = 'code';
+
 // アニメーション設定
 const containerVariants = {
   hidden: { opacity: 0 },
@@ -51,11 +67,35 @@ const itemVariants = {
   },
 };
 
+// 難易度別のランキングに登録しないモード（statsのキーと表示名）
+// ゴースト対戦は読み込んだファイルの問題で遊び、サバイバルは到達距離で比べ、エンドレスは難易度が途中で変わり、
+// 歌詞タイピングは曲ごとに長さが違うため
+const UNRANKED_MODES = [
+  { key: 'ghostRace', label: 'ゴースト対戦' },
+  { key: 'survival', label: 'サバイバル' },
+  { key: 'endless', label: 'エンドレス' },
+  { key: 'lyrics', label: '歌詞タイピング' },
+];
+
 const RankingScreen = () => {
   const navigate = useRouter();
   const { goToScreen } = usePageTransition();
   const { gameState } = useGameContext(); // GameContextからゲーム状態を取得
 
+  // 今日のチャレンジのプレイ結果（日付・ランキング対象か）
+  const dailyChallenge = gameState?.stats?.dailyChallenge || null;
+
+  // コードタイピングのプレイ結果（言語・CPM）
+  const codeTyping = gameState?.stats?.codeTyping || null;
+  // タイムアタックの記録は制限時間ごとの区分（timeAttack-60 など）に登録する
+  const timeAttack = gameState?.stats?.timeAttack || null;
+  const timeAttackKey = timeAttack
+    ? getTimeAttackRankingKey(timeAttack.duration)
+    : null;
+  // ランキングに登録しないモードのプレイ結果
+  const unrankedMode =
+    UNRANKED_MODES.find((mode) => gameState?.stats?.[mode.key]) || null;
+
   // 画面遷移とアニメーション状態を管理 - 初期化をfalseに明示的に設定
   const [isExiting, setIsExiting] = useState(false);
   const [isTransitioning, setIsTransitioning] = useState(false);
@@ -113,8 +153,14 @@ const RankingScreen = () => {
     // 記録データの取得
     loadRankingData();
 
-    // デフォルトで現在の難易度をアクティブに
-    setActiveDifficulty(settings.difficulty);
+    // デフォルトで現在の難易度をアクティブに（今日のチャレンジ・コードタイピング・タイムアタックの後はそのタブ）
+    setActiveDifficulty(
+      dailyChallenge
+        ? DAILY_TAB
+        : codeTyping
+          ? CODE_TAB
+          : timeAttackKey || settings.difficulty
+    );
 
     // ローカルストレージから前回使用したプレイヤー名を取得
     const savedName = localStorage.getItem('playerName');
@@ -213,8 +259,11 @@ const RankingScreen = () => {
   const loadOnlineRankings = async () => {
     setIsLoading(true);
     try {
-      // 常にトップランキングを取得
-      const rankings = await getTopRankings(activeDifficulty, 20);
+      // 今日のチャレンジは日付ごとのランキング、それ以外は難易度別のトップランキングを取得
+      const rankings =
+        activeDifficulty === DAILY_TAB
+          ? await getDailyChallengeRankings(getDailyDateKey(), 20)
+          : await getTopRankings(activeDifficulty, 20);
       console.log(
         `Loaded ${rankings.length} online rankings for difficulty: ${activeDifficulty}`
       );
@@ -249,8 +298,15 @@ const RankingScreen = () => {
 
   // KPM順にソートされたデータを取得
   const getKpmSortedData = () => {
+    // 今日のチャレンジは、今日のランキング対象の挑戦だけを表示する（練習と過去の日付の記録は除く）
+    const todayKey = getDailyDateKey();
     return [...rankingData]
       .filter((record) => record.difficulty === activeDifficulty)
+      .filter(
+        (record) =>
+          activeDifficulty !== DAILY_TAB ||
+          (record.dateKey === todayKey && record.ranked)
+      )
       .sort((a, b) => b.kpm - a.kpm)
       .slice(0, 20); // 上位20件のみ表示
   };
@@ -356,6 +412,23 @@ const RankingScreen = () => {
       return;
     }
 
+    if (unrankedMode) {
+      setRegistrationStatus({
+        success: false,
+        message: `${unrankedMode.label}の記録はランキングに登録できません。`,
+      });
+      return;
+    }
+
+    // 今日のチャレンジは1日1回目の挑戦のみ登録できる
+    if (dailyChallenge && !dailyChallenge.ranked) {
+      setRegistrationStatus({
+        success: false,
+        message: '今日のチャレンジの2回目以降は練習のため登録できません。',
+      });
+      return;
+    }
+
     setIsLoading(true);
     try {
       // ローカルストレージに名前を保存
@@ -432,15 +505,29 @@ const RankingScreen = () => {
       const finalMissCount = gameState.mistakes || (gameState.stats && gameState.stats.missCount) || 0;
       const finalPlayTime = gameState.playTime || (gameState.stats && gameState.stats.elapsedTimeMs) || 0;
 
-      const recordId = await saveOnlineRanking(
-        playerName,
-        kpmValue,
-        accuracyValue,
-        finalPlayTime,
-        finalMissCount,
-        settings.difficulty || 'normal',
-        rankValue // ランク情報を追加
-      );
+      // 今日のチャレンジは日付ごとのランキングに登録する
+      // コードタイピングはCPM（KPMと同じ値）で「コード」のランキングに登録する
+      const recordId = dailyChallenge
+        ? await saveDailyChallengeScore(
+          dailyChallenge.dateKey,
+          playerName,
+          kpmValue,
+          accuracyValue,
+          finalPlayTime,
+          finalMissCount,
+          rankValue
+        )
+        : await saveOnlineRanking(
+          playerName,
+          kpmValue,
+          accuracyValue,
+          finalPlayTime,
+          finalMissCount,
+          codeTyping
+            ? CODE_TAB
+            : timeAttackKey || settings.difficulty || 'normal',
+          rankValue // ランク情報を追加
+        );
 
       if (recordId) {
         // 登録ボタンを完全に無効化するためにフラグを設定
@@ -466,7 +553,16 @@ const RankingScreen = () => {
 
         // オンラインモードに切り替えて最新データを表示
         setIsOnlineMode(true);
-        await loadOnlineRankings();
+        if (dailyChallenge && activeDifficulty !== DAILY_TAB) {
+          // タブの切り替えでランキングが再読み込みされる
+          setActiveDifficulty(DAILY_TAB);
+        } else if (codeTyping && activeDifficulty !== CODE_TAB) {
+          setActiveDifficulty(CODE_TAB);
+        } else if (timeAttackKey && activeDifficulty !== timeAttackKey) {
+          setActiveDifficulty(timeAttackKey);
+        } else {
+          await loadOnlineRankings();
+        }
       } else {
         throw new Error('登録に失敗しました');
       }
@@ -651,8 +747,61 @@ const RankingScreen = () => {
         >
           むずかしい
         </Button>
+        <Button
+          className="button--difficulty"
+          active={activeDifficulty === DAILY_TAB}
+          variant={activeDifficulty === DAILY_TAB ? 'primary' : 'default'}
+          onClick={() => handleDifficultyChange(DAILY_TAB)}
+        >
+          今日のチャレンジ
+        </Button>
+        <Button
+          className="button--difficulty"
+          active={activeDifficulty === CODE_TAB}
+          variant={activeDifficulty === CODE_TAB ? 'primary' : 'default'}
+          onClick={() => handleDifficultyChange(CODE_TAB)}
+        >
+          コード
+        </Button>
+        <Button
+          className="button--difficulty"
+          active={isTimeAttackRankingKey(activeDifficulty)}
+          variant={
+            isTimeAttackRankingKey(activeDifficulty) ? 'primary' : 'default'
+          }
+          onClick={() =>
+            handleDifficultyChange(
+              isTimeAttackRankingKey(activeDifficulty)
+                ? activeDifficulty
+                : getTimeAttackRankingKey(DEFAULT_TIME_ATTACK_DURATION)
+            )
+          }
+        >
+          タイムアタック
+        </Button>
       </div>
 
+      {/* タイムアタックは制限時間ごとに別のランキング */}
+      {isTimeAttackRankingKey(activeDifficulty) && (
+        <div className={styles.difficultyNav}>
+          {TIME_ATTACK_DURATIONS.map((duration) => {
+            const key = getTimeAttackRankingKey(duration);
+            return (
+              <Button
+                key={key}
+                className="button--difficulty"
+                active={activeDifficulty === key}
+                variant={activeDifficulty === key ? 'primary' : 'default'}
+                onClick={() => handleDifficultyChange(key)}
+                size="small"
+              >
+                {getTimeAttackLabel(duration)}
+              </Button>
+            );
+          })}
+        </div>
+      )}
+
       <div className={styles.rankingContent}>
         {isLoading ? (
           <div className={styles.loadingSpinner}>読み込み中...</div>
@@ -670,7 +819,7 @@ const RankingScreen = () => {
                 <tr>
                   <th>順位</th>
                   <th>プレイヤー</th>
-                  <th>KPM</th>
+                  <th>{activeDifficulty === CODE_TAB ? 'CPM' : 'KPM'}</th>
                   <th>ランク</th>
                   <th>正解率</th>
                   <th>ミス</th>
@@ -738,7 +887,7 @@ const RankingScreen = () => {
               <thead>
                 <tr>
                   <th>順位</th>
-                  <th>KPM</th>
+                  <th>{activeDifficulty === CODE_TAB ? 'CPM' : 'KPM'}</th>
                   <th>ランク</th>
                   <th>正解率</th>
                   <th>ミス</th>
@@ -793,9 +942,21 @@ const RankingScreen = () => {
             variant="primary"
             size="medium"
             onClick={handleShowRegisterModal}
-            disabled={!gameState || (!gameState.correctKeyCount && !gameState.stats) || isScoreRegistered}
+            disabled={
+              !gameState ||
+              (!gameState.correctKeyCount && !gameState.stats) ||
+              isScoreRegistered ||
+              !!unrankedMode ||
+              (dailyChallenge && !dailyChallenge.ranked)
+            }
           >
-            {isScoreRegistered ? 'すでに登録済み' : 'ランキング登録'}
+            {isScoreRegistered
+              ? 'すでに登録済み'
+              : unrankedMode
+                ? `${unrankedMode.label}は登録不可`
+                : dailyChallenge && !dailyChallenge.ranked
+                  ? '練習のため登録不可'
+                  : 'ランキング登録'}
           </Button>
         </motion.div>
 
@@ -919,15 +1080,19 @@ const RankingScreen = () => {
                   <div className={styles.previewItem}>
                     <span>難易度:</span>
                     <span>
-                      {settings.difficulty === 'easy'
-                        ? 'やさしい'
-                        : settings.difficulty === 'normal'
-                          ? '普通'
-                          : 'むずかしい'}
+                      {codeTyping
+                        ? 'コード'
+                        : timeAttack
+                          ? `タイムアタック（${getTimeAttackLabel(timeAttack.duration)}）`
+                        : settings.difficulty === 'easy'
+                          ? 'やさしい'
+                          : settings.difficulty === 'normal'
+                            ? '普通'
+                            : 'むずかしい'}
                     </span>
                   </div>
                   <div className={styles.previewItem}>
-                    <span>KPM:</span>
+                    <span>{codeTyping ? 'CPM:' : 'KPM:'}</span>
                     <span>
                       {gameState.stats && typeof gameState.stats.kpm === 'number'
                         ? Math.floor(gameState.stats.kpm)
@@ -1008,7 +1173,7 @@ const RankingScreen = () => {
                 size="medium"
                 onClick={handleRegisterScore}
                 loading={isLoading}
-                disabled={isLoading || isScoreRegistered || registrationStatus.success}
+                disabled={isLoading || isScoreRegistered || registrationStatus.success || !!unrankedMode}
                 className={`${styles.registerButton} ${(isScoreRegistered || registrationStatus.success) ? styles.disabledButton : ''}`}
               >
                 {registrationStatus.success ? '登録完了' : isScoreRegistered ? 'すでに登録済み' : '登録'}
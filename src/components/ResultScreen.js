@@ -7,6 +7,10 @@ import { usePageTransition } from './TransitionManager';
 import soundSystem from '../utils/SoundUtils'; // サウンドシステムを直接インポート
 import { saveGameRecord } from '../utils/RecordUtils'; // ローカルランキング保存用に追加
 import { getStaticPath } from '../utils/StaticPathUtils'; // 静的アセットパス用のユーティリティを追加
+import { CODE_LANGUAGE_LABELS } from '../utils/CodeProblemData'; // コードタイピングの言語名
+import { getTimeAttackLabel, getTimeAttackRankingKey } from '../utils/TimeAttack'; // タイムアタック
+import { getEndlessTierLabel } from '../utils/EndlessMode'; // エンドレスの段階の表示名
+import { formatGhostDelta } from '../utils/GhostRun'; // ゴーストとの時間差の表示
 
 /**
  * リザルト画面コンポーネント
@@ -54,6 +58,29 @@ const ResultScreen = ({
           missCount: finalStats.missCount || 0,
           accuracy: finalStats.accuracy || 0,
           timestamp: Date.now(),
+          // 今日のチャレンジの記録はランキング画面の「今日のチャレンジ」タブに表示する
+          // （日付ごとの問題セットのため、日付とランキング対象の挑戦かも残す）
+          ...(finalStats.dailyChallenge
+            ? {
+                difficulty: 'daily',
+                dateKey: finalStats.dailyChallenge.dateKey,
+                ranked: !!finalStats.dailyChallenge.ranked,
+              }
+            : {}),
+          // コードタイピングの記録はCPMとして「コード」タブに表示する
+          ...(finalStats.codeTyping ? { difficulty: 'code' } : {}),
+          // 歌詞タイピングは曲ごとに長さが違うため難易度別のランキングに混ぜない
+          ...(finalStats.lyrics ? { difficulty: 'lyrics' } : {}),
+          // サバイバルは到達距離で比べるため難易度別のランキングに混ぜない
+          ...(finalStats.survival ? { difficulty: 'survival' } : {}),
+          // エンドレスは難易度が途中で変わるため難易度別のランキングに混ぜない
+          ...(finalStats.endless ? { difficulty: 'endless' } : {}),
+          // ゴースト対戦は読み込んだファイルの問題で遊ぶため難易度別のランキングに混ぜない
+          ...(finalStats.ghostRace ? { difficulty: 'ghost' } : {}),
+          // タイムアタックの記録は制限時間ごとに「タイムアタック」タブに表示する
+          ...(finalStats.timeAttack
+            ? { difficulty: getTimeAttackRankingKey(finalStats.timeAttack.duration) }
+            : {}),
         });
         console.log('ResultScreen: ローカルランキングにスコアを保存しました');
       } catch (error) {
@@ -200,6 +227,21 @@ const ResultScreen = ({
         rank: inputStats.rank || 'F',
         problemKPMs: inputStats.problemKPMs || [],
         solvedProblems: inputStats.solvedProblems,
+        // 自由入力モードのミスの内訳
+        freeInput: !!inputStats.freeInput,
+        correctedErrorCount: inputStats.correctedErrorCount || 0,
+        uncorrectedErrorCount: inputStats.uncorrectedErrorCount || 0,
+        netAccuracy: inputStats.netAccuracy || 0,
+        problemSeed: inputStats.problemSeed || null,
+        dailyChallenge: inputStats.dailyChallenge || null,
+        codeTyping: inputStats.codeTyping || null,
+        lyrics: inputStats.lyrics || null,
+        readingChallenge: inputStats.readingChallenge || null,
+        timeAttack: inputStats.timeAttack || null,
+        survival: inputStats.survival || null,
+        endless: inputStats.endless || null,
+        ghostRace: inputStats.ghostRace || null,
+        newGhostBest: !!inputStats.newGhostBest,
       };
     }
 
@@ -256,6 +298,27 @@ const ResultScreen = ({
       rank: safeStats.rank || '-',
       rankColor: rankColor,
       problemKPMs: safeStats.problemKPMs || [],
+      freeInput: safeStats.freeInput,
+      correctedErrorCount: safeStats.correctedErrorCount || 0,
+      uncorrectedErrorCount: safeStats.uncorrectedErrorCount || 0,
+      endsMidProblem: !!(
+        safeStats.timeAttack ||
+        safeStats.survival ||
+        safeStats.endless
+      ),
+      netAccuracy: safeStats.netAccuracy
+        ? formatDecimal(safeStats.netAccuracy)
+        : '0.0',
+      problemSeed: safeStats.problemSeed || null,
+      dailyChallenge: safeStats.dailyChallenge || null,
+      codeTyping: safeStats.codeTyping || null,
+      lyrics: safeStats.lyrics || null,
+      readingChallenge: safeStats.readingChallenge || null,
+      timeAttack: safeStats.timeAttack || null,
+      survival: safeStats.survival || null,
+      endless: safeStats.endless || null,
+      ghostRace: safeStats.ghostRace || null,
+      newGhostBest: !!safeStats.newGhostBest,
     };
   }, [safeStats]);
 
@@ -302,6 +365,87 @@ const ResultScreen = ({
 
       <motion.div className={styles.resultHeader} variants={itemVariants}>
         <h1 className={`screen-title ${styles.resultTitle}`}>RESULT</h1>
+        {/* 今日のチャレンジ：ランキング対象か練習か、連続挑戦日数 */}
+        {fixedStats.dailyChallenge && (
+          <p className={styles.resultSubtitle}>
+            今日のチャレンジ {fixedStats.dailyChallenge.dateKey}（
+            {fixedStats.dailyChallenge.ranked ? 'ランキング対象' : '練習'}）・
+            {fixedStats.dailyChallenge.streak}日連続
+          </p>
+        )}
+        {/* 歌詞タイピング：曲名とスコアの内訳 */}
+        {fixedStats.lyrics && (
+          <p className={styles.resultSubtitle}>
+            歌詞タイピング「{fixedStats.lyrics.title}」・SCORE {fixedStats.lyrics.score}・
+            クリア {fixedStats.lyrics.clearedLines}/{fixedStats.lyrics.totalLines}行・
+            打ち残し {fixedStats.lyrics.leftoverChars}文字・タイミング +{fixedStats.lyrics.timingBonus}
+          </p>
+        )}
+        {/* タイムアタック：制限時間と、時間切れ時に打ちかけだった問題の進み具合 */}
+        {fixedStats.timeAttack && (
+          <p className={styles.resultSubtitle}>
+            タイムアタック（{getTimeAttackLabel(fixedStats.timeAttack.duration)}）・
+            途中の問題 {Math.round(fixedStats.timeAttack.partialProgress || 0)}%
+          </p>
+        )}
+        {/* サバイバル：到達距離と、ライフを失った内訳 */}
+        {fixedStats.survival && (
+          <p className={styles.resultSubtitle}>
+            サバイバル GAME OVER・到達 {fixedStats.survival.distance}問・
+            ミス {fixedStats.survival.mistakeCount}回・時間切れ{' '}
+            {fixedStats.survival.timeoutCount}回
+          </p>
+        )}
+        {/* エンドレス：最高到達の段階と段階ごとの内訳 */}
+        {fixedStats.endless && (
+          <>
+            <p className={styles.resultSubtitle}>
+              エンドレス・最高到達 {getEndlessTierLabel(fixedStats.endless.highestTier)}
+            </p>
+            <ul className={styles.tierBreakdown}>
+              {fixedStats.endless.tiers.map((tier) => (
+                <li key={tier.tier} className={styles.tierBreakdownItem}>
+                  {tier.label}: {tier.problems}問・平均 {tier.averageKPM} KPM・
+                  正確率 {tier.accuracy}%
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+        {/* ゴースト対戦：勝敗とゴーストとの時間差 */}
+        {fixedStats.ghostRace && (
+          <p className={styles.resultSubtitle}>
+            ゴースト対戦（{fixedStats.ghostRace.opponentName}）・
+            {fixedStats.ghostRace.deltaMs > 0
+              ? 'WIN'
+              : fixedStats.ghostRace.deltaMs < 0
+                ? 'LOSE'
+                : 'DRAW'}{' '}
+            {formatGhostDelta(fixedStats.ghostRace.deltaMs)}・ゴースト{' '}
+            {formatDecimal(fixedStats.ghostRace.opponentTimeMs / 1000)}秒
+          </p>
+        )}
+        {/* 自己ベストのゴーストを更新した場合 */}
+        {fixedStats.newGhostBest && (
+          <p className={styles.resultSubtitle}>自己ベストのゴーストを更新しました</p>
+        )}
+        {/* 読みチャレンジ：ヒントの回数とKPMの減点 */}
+        {fixedStats.readingChallenge && (
+          <p className={styles.resultSubtitle}>
+            読みチャレンジ・ヒント {fixedStats.readingChallenge.hintCount}回
+            {fixedStats.readingChallenge.hintCount > 0 &&
+              `（KPM -${Math.round(fixedStats.readingChallenge.penaltyRate * 100)}%）`}
+          </p>
+        )}
+        {/* コードタイピング：言語 */}
+        {fixedStats.codeTyping && (
+          <p className={styles.resultSubtitle}>
+            コードタイピング（
+            {CODE_LANGUAGE_LABELS[fixedStats.codeTyping.language] ||
+              fixedStats.codeTyping.language}
+            ）
+          </p>
+        )}
       </motion.div>
 
       <motion.div className={styles.resultContent} variants={itemVariants}>
@@ -322,13 +466,15 @@ const ResultScreen = ({
 
         {/* 主要スタッツを2×2グリッドで表示 */}
         <motion.div className={styles.statsContainer} variants={itemVariants}>
-          {/* KPMを特別に強調表示 */}
+          {/* KPMを特別に強調表示（コードタイピングは1打鍵1文字なのでCPMとして表示） */}
           <motion.div
             className={`${styles.statCard} ${styles.keyStatCard}`}
             whileHover={{ scale: 1.05 }}
             transition={{ type: 'spring', stiffness: 300, damping: 15 }}
           >
-            <div className={styles.statLabel}>KPM</div>
+            <div className={styles.statLabel}>
+              {fixedStats.codeTyping ? 'CPM' : 'KPM'}
+            </div>
             <div className={styles.statValue}>{fixedStats.kpm}</div>
           </motion.div>
           {/* 正解率を特別に強調表示 */}
@@ -350,6 +496,53 @@ const ResultScreen = ({
             <div className={styles.statLabel}>Miss</div>
             <div className={styles.statValue}>{fixedStats.missCount}</div>
           </motion.div>
+          {/* 自由入力モードのみ：訂正したミス */}
+          {fixedStats.freeInput && (
+            <motion.div
+              className={styles.statCard}
+              whileHover={{ scale: 1.03 }}
+            >
+              <div className={styles.statLabel}>Corrected</div>
+              <div className={styles.statValue}>
+                {fixedStats.correctedErrorCount}
+              </div>
+            </motion.div>
+          )}
+          {/* 未訂正のミスと訂正後の正確率（間違いを消さないと問題を打ち終えられないため、
+              打ちかけのまま終わることがあるタイムアタック・サバイバル・エンドレスのみ） */}
+          {fixedStats.freeInput && fixedStats.endsMidProblem && (
+            <>
+              <motion.div
+                className={styles.statCard}
+                whileHover={{ scale: 1.03 }}
+              >
+                <div className={styles.statLabel}>Uncorrected</div>
+                <div className={styles.statValue}>
+                  {fixedStats.uncorrectedErrorCount}
+                </div>
+              </motion.div>
+              <motion.div
+                className={styles.statCard}
+                whileHover={{ scale: 1.03 }}
+              >
+                <div className={styles.statLabel}>Net Accuracy</div>
+                <div className={styles.statValue}>
+                  {fixedStats.netAccuracy}%
+                </div>
+              </motion.div>
+            </>
+          )}
+          {/* 出題順のシード（メインメニューの設定で入力すると同じ順番で遊べる） */}
+          {fixedStats.problemSeed && (
+            <motion.div
+              className={styles.statCard}
+              whileHover={{ scale: 1.03 }}
+              title="設定でこのシードを入力すると、同じ難易度・問題数で同じ順番に出題されます"
+            >
+              <div className={styles.statLabel}>Seed</div>
+              <div className={styles.statValue}>{fixedStats.problemSeed}</div>
+            </motion.div>
+          )}
           {/* 問題数（必要な場合のみ表示） */}
           {fixedStats.solvedProblems !== undefined && (
             <motion.div
@@ -366,15 +559,21 @@ const ResultScreen = ({
       </motion.div>
 
       <motion.div className={styles.buttonContainer} variants={itemVariants}>
-        {/* ランキングボタン */}
-        <motion.button
-          className={styles.resultButton}
-          onClick={handleRankingClick}
-          whileHover={{ scale: 1.05 }}
-          whileTap={{ scale: 0.95 }}
-        >
-          ランキング
-        </motion.button>
+        {/* ランキングボタン（歌詞タイピングは曲ごとに、サバイバルは到達距離で比べ、エンドレスは難易度が変わり、
+            ゴースト対戦は読み込んだファイルの問題で遊ぶためランキングなし） */}
+        {!fixedStats.lyrics &&
+          !fixedStats.survival &&
+          !fixedStats.endless &&
+          !fixedStats.ghostRace && (
+          <motion.button
+            className={styles.resultButton}
+            onClick={handleRankingClick}
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+          >
+            ランキング
+          </motion.button>
+        )}
 
         <motion.button
           className={styles.resultButton}
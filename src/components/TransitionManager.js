@@ -2,7 +2,7 @@
 
 import React, { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { useGameContext, SCREENS } from '../contexts/GameContext';
+import { useGameContext, SCREENS, GAME_MODES } from '../contexts/GameContext';
 import { useSoundContext } from '../contexts/SoundContext';
 import soundSystem from '../utils/SoundUtils'; // soundSystemをインポート
 import MainMenu from './MainMenu';
@@ -10,6 +10,7 @@ import GameScreen from './GameScreen';
 // GameScreenRefactoredはもう使用しません（標準バージョンに統合済み）
 import ResultScreen from './ResultScreen';
 import RankingScreen from './RankingScreen';
+import LyricsScreen from './LyricsScreen';
 import { useSettingsModal } from './MainMenu';
 
 // トランジションタイプのプリセット
@@ -197,7 +198,20 @@ const TransitionManager = () => {
         return (
           <ResultScreen
             stats={statsToPass}
-            onClickRetry={() => goToScreen(SCREENS.GAME, { playSound: true })}
+            onClickRetry={() =>
+              // 同じゲームモードでもう一度遊ぶ（今日のチャレンジの2回目以降は練習になる）
+              // ゴースト対戦は同じゴーストともう一度対戦する
+              // 歌詞タイピングは前回の歌詞・音源を選んだ状態で歌詞タイピング画面に戻る
+              gameState?.gameMode === GAME_MODES.LYRICS
+                ? goToScreen(SCREENS.LYRICS, { playSound: true })
+                : goToScreen(SCREENS.GAME, {
+                    playSound: true,
+                    gameState: {
+                      gameMode: gameState?.gameMode,
+                      ghost: gameState?.ghost || null,
+                    },
+                  })
+            }
             onClickMenu={() =>
               goToScreen(SCREENS.MAIN_MENU, { playSound: true })
             }
@@ -212,6 +226,8 @@ const TransitionManager = () => {
         );
       case SCREENS.RANKING:
         return <RankingScreen />;
+      case SCREENS.LYRICS:
+        return <LyricsScreen />;
       case SCREENS.MAIN_MENU:
       default:
         return <MainMenu />;
@@ -367,7 +383,10 @@ export const usePageTransition = () => {
 
     setTimeout(() => {
       // ゲーム状態データが提供されている場合は、遷移先に応じて処理
-      if (options.gameState && screen === SCREENS.RANKING) {
+      if (
+        options.gameState &&
+        (screen === SCREENS.RANKING || screen === SCREENS.GAME)
+      ) {
         console.log(
           'ランキング画面に遷移するためのゲーム状態データ:',
           options.gameState
@@ -5,6 +5,8 @@ import styles from '../../styles/admin/AdminPopup.module.css';
 import { useGameContext } from '../../contexts/GameContext';
 import html2canvas from 'html2canvas';
 import FirebaseUtils from '../../utils/FirebaseUtils';
+import ProblemSetEditor from './ProblemSetEditor';
+import DifficultyReport from './DifficultyReport';
 
 // デバッグモード設定（デフォルトで無効化）
 const DEBUG_MODE = process.env.NODE_ENV === 'development' && false;
@@ -23,7 +25,7 @@ const logError = (message, error) => {
 const AdminPopup = ({ isOpen, onClose, backgroundRef }) => {
   const { gameState, setGameState, currentScreen } = useGameContext();
   const [problemCount, setProblemCount] = useState(5); // デフォルト値は5問
-  const [activeTab, setActiveTab] = useState('settings'); // 'settings'、'background'、'gallery'、または 'rankings'
+  const [activeTab, setActiveTab] = useState('settings'); // 'settings'、'background'、'gallery'、'rankings'、'problems'、または 'difficulty'
   
   // ポップアップが開かれた際にgameStateから現在の必要問題数を読み込む
   useEffect(() => {
@@ -809,6 +811,20 @@ const AdminPopup = ({ isOpen, onClose, backgroundRef }) => {
           >
             ランキング
           </button>
+          <button
+            className={`${styles.adminPopup__tab} ${activeTab === 'problems' ? styles['adminPopup__tab--active'] : ''
+              }`}
+            onClick={() => handleTabChange('problems')}
+          >
+            お題
+          </button>
+          <button
+            className={`${styles.adminPopup__tab} ${activeTab === 'difficulty' ? styles['adminPopup__tab--active'] : ''
+              }`}
+            onClick={() => handleTabChange('difficulty')}
+          >
+            難易度
+          </button>
         </div>
 
         <div className={styles.adminPopup__content}>
@@ -1129,6 +1145,12 @@ const AdminPopup = ({ isOpen, onClose, backgroundRef }) => {
               )}
             </div>
           )}
+
+          {/* お題セットの編集タブ */}
+          {activeTab === 'problems' && <ProblemSetEditor />}
+
+          {/* 難易度レポートタブ */}
+          {activeTab === 'difficulty' && <DifficultyReport />}
         </div>
 
         <div className={styles.adminPopup__footer}>
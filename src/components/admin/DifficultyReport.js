@@ -0,0 +1,76 @@
+'use client';
+
+import React, { useState } from 'react';
+import styles from '../../styles/admin/AdminPopup.module.css';
+import { DIFFICULTIES, getDifficultyMismatches } from '../../utils/ProblemData';
+
+// 難易度の表示名
+const DIFFICULTY_LABELS = {
+  [DIFFICULTIES.EASY]: 'かんたん',
+  [DIFFICULTIES.NORMAL]: 'ふつう',
+  [DIFFICULTIES.HARD]: 'むずかしい',
+};
+
+/**
+ * 難易度レポート
+ * 手動で割り当てた難易度と、打鍵データから計算した難易度が食い違う問題を一覧にする
+ */
+const DifficultyReport = () => {
+  // 難易度が食い違う問題（取り込んだ問題セットの変更は「再計算」で反映する）
+  const [mismatches, setMismatches] = useState(() => getDifficultyMismatches());
+
+  return (
+    <div className={styles.adminPopup__difficultyReport}>
+      <h3 className={styles.adminPopup__subTitle}>難易度レポート</h3>
+      <p className={styles.adminPopup__difficultyNote}>
+        打鍵数・珍しいキー・指の移動量・促音や拗音・同じ指の連続から計算した難易度と、
+        設定されている難易度が異なるお題の一覧です。
+      </p>
+
+      <div className={styles.adminPopup__problemToolbar}>
+        <span>{mismatches.length}件</span>
+        <button
+          className={`${styles.adminPopup__button} ${styles['adminPopup__button--secondary']}`}
+          onClick={() => setMismatches(getDifficultyMismatches())}
+        >
+          再計算
+        </button>
+      </div>
+
+      {mismatches.length === 0 ? (
+        <p>食い違っているお題はありません</p>
+      ) : (
+        <table className={styles.adminPopup__difficultyTable}>
+          <thead>
+            <tr>
+              <th>お題</th>
+              <th>設定</th>
+              <th>計算</th>
+              <th>スコア</th>
+            </tr>
+          </thead>
+          <tbody>
+            {mismatches.map(({ problem, manualTier, computedTier, score, source }, index) => (
+              <tr key={`${source}-${index}`}>
+                <td>
+                  {problem.displayText}
+                  <span className={styles.adminPopup__difficultyKana}>{problem.kanaText}</span>
+                  {source === 'custom' && (
+                    <span className={styles.adminPopup__difficultySource}>取り込み</span>
+                  )}
+                </td>
+                <td>{DIFFICULTY_LABELS[manualTier] || manualTier}</td>
+                <td className={styles.adminPopup__difficultyComputed}>
+                  {DIFFICULTY_LABELS[computedTier]}
+                </td>
+                <td>{score}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default DifficultyReport;
@@ -0,0 +1,405 @@
+'use client';
+
+import React, { useState, useEffect, useMemo } from 'react';
+import styles from '../../styles/admin/AdminPopup.module.css';
+import { CATEGORIES, DIFFICULTIES } from '../../utils/ProblemData';
+import {
+  getImportedProblemSets,
+  deleteImportedProblemSet,
+  saveProblemSet,
+  validateProblem,
+  previewProblemInput,
+  exportProblemSetJson,
+} from '../../utils/ProblemImporter';
+import { formatRubyNotation, getRubySegments } from '../../utils/typing/Furigana';
+
+// 難易度の選択肢
+const DIFFICULTY_OPTIONS = [
+  { value: DIFFICULTIES.EASY, label: 'かんたん' },
+  { value: DIFFICULTIES.NORMAL, label: 'ふつう' },
+  { value: DIFFICULTIES.HARD, label: 'むずかしい' },
+];
+
+// 新しく追加する問題の初期値
+const createEmptyProblem = () => ({
+  displayText: '',
+  kanaText: '',
+  category: CATEGORIES.GENERAL,
+  tagsText: '',
+  difficulty: DIFFICULTIES.NORMAL,
+  caseSensitive: false,
+});
+
+/**
+ * 保存済みの問題を編集用の行データにする（タグは「,」区切りの文字列で編集する）
+ * 振り仮名は表示テキストの {漢字|よみ} 記法で編集する
+ * @param {Object} problem - 問題データ
+ * @returns {Object} 編集用の行データ
+ */
+const toEditableProblem = (problem) => ({
+  displayText: getRubySegments(problem)
+    ? formatRubyNotation(getRubySegments(problem))
+    : problem.displayText || '',
+  kanaText: problem.kanaText || '',
+  category: problem.category || CATEGORIES.GENERAL,
+  tagsText: (problem.tags || []).join(', '),
+  difficulty: problem.difficulty || DIFFICULTIES.NORMAL,
+  caseSensitive: !!problem.caseSensitive,
+});
+
+/**
+ * 編集用の行データを問題のフィールドに戻す
+ * @param {Object} row - 編集用の行データ
+ * @returns {Object} 問題のフィールド
+ */
+const toProblemFields = (row) => ({
+  displayText: row.displayText,
+  kanaText: row.kanaText,
+  category: row.category,
+  tags: row.tagsText.split(/[,、]/),
+  difficulty: row.difficulty,
+  caseSensitive: row.caseSensitive,
+});
+
+/**
+ * 管理者設定の「お題」タブ
+ * 取り込んだ問題セットの作成・編集・削除・並べ替えと、JSONでの書き出しを行う
+ */
+const ProblemSetEditor = () => {
+  const [problemSets, setProblemSets] = useState([]);
+  const [selectedSetId, setSelectedSetId] = useState(null); // 編集中の問題セット（新規作成中はnull）
+  const [setName, setSetName] = useState('');
+  const [rows, setRows] = useState([]);
+  const [isDirty, setIsDirty] = useState(false);
+  const [saveErrors, setSaveErrors] = useState([]);
+  const [showSaveSuccess, setShowSaveSuccess] = useState(false);
+
+  // 保存済みの問題セットを読み込み、先頭のセットを編集対象にする
+  useEffect(() => {
+    const sets = getImportedProblemSets();
+    setProblemSets(sets);
+    if (sets.length > 0) {
+      loadSet(sets[0]);
+    }
+  }, []);
+
+  // 行ごとの検証結果と入力プレビュー
+  const rowPreviews = useMemo(
+    () =>
+      rows.map((row) => {
+        if (!row.kanaText.trim()) return null;
+        const { reason } = validateProblem(toProblemFields(row));
+        if (reason) return { error: reason };
+        return previewProblemInput(row.kanaText, { caseSensitive: row.caseSensitive });
+      }),
+    [rows]
+  );
+
+  // 選択肢に出すカテゴリ（組み込みのカテゴリ＋問題セットで使われているカテゴリ）
+  const categoryOptions = useMemo(() => {
+    const categories = new Set(Object.values(CATEGORIES));
+    rows.forEach((row) => row.category && categories.add(row.category));
+    return Array.from(categories);
+  }, [rows]);
+
+  const hasInvalidRow = rowPreviews.some((preview) => !preview || preview.error);
+
+  // 問題セットを編集対象にする
+  function loadSet(problemSet) {
+    setSelectedSetId(problemSet ? problemSet.id : null);
+    setSetName(problemSet ? problemSet.name : '');
+    setRows(problemSet ? problemSet.problems.map(toEditableProblem) : [createEmptyProblem()]);
+    setIsDirty(false);
+    setSaveErrors([]);
+  }
+
+  // 未保存の変更を破棄してよいか確認する
+  const confirmDiscard = () =>
+    !isDirty || window.confirm('保存していない変更があります。破棄しますか？');
+
+  const handleSelectSet = (e) => {
+    if (!confirmDiscard()) return;
+    const problemSet = problemSets.find((set) => set.id === e.target.value);
+    loadSet(problemSet || null);
+  };
+
+  const handleCreateSet = () => {
+    if (!confirmDiscard()) return;
+    loadSet(null);
+    setSetName('新しいお題セット');
+    setIsDirty(true);
+  };
+
+  const updateRows = (nextRows) => {
+    setRows(nextRows);
+    setIsDirty(true);
+    setSaveErrors([]);
+  };
+
+  const handleRowChange = (index, field, value) => {
+    updateRows(rows.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const handleAddRow = () => updateRows([...rows, createEmptyProblem()]);
+
+  const handleDeleteRow = (index) => updateRows(rows.filter((_, i) => i !== index));
+
+  // 問題の順番を入れ替える（direction: -1で上へ、1で下へ）
+  const handleMoveRow = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= rows.length) return;
+    const nextRows = [...rows];
+    [nextRows[index], nextRows[target]] = [nextRows[target], nextRows[index]];
+    updateRows(nextRows);
+  };
+
+  const handleSave = () => {
+    const result = saveProblemSet({
+      id: selectedSetId,
+      name: setName,
+      problems: rows.map(toProblemFields),
+    });
+
+    if (!result.success) {
+      setSaveErrors(result.errors);
+      return;
+    }
+
+    const sets = getImportedProblemSets();
+    setProblemSets(sets);
+    loadSet(sets.find((set) => set.id === result.set.id));
+    setShowSaveSuccess(true);
+    setTimeout(() => setShowSaveSuccess(false), 3000);
+  };
+
+  const handleDeleteSet = () => {
+    if (!selectedSetId) {
+      loadSet(problemSets[0] || null);
+      return;
+    }
+    if (!window.confirm(`お題セット「${setName}」を削除しますか？この操作は取り消せません。`)) {
+      return;
+    }
+
+    deleteImportedProblemSet(selectedSetId);
+    const sets = getImportedProblemSets();
+    setProblemSets(sets);
+    loadSet(sets[0] || null);
+  };
+
+  // 保存済みの内容をJSONファイルとしてダウンロードする
+  const handleExport = () => {
+    const problemSet = problemSets.find((set) => set.id === selectedSetId);
+    if (!problemSet) return;
+
+    const blob = new Blob([exportProblemSetJson(problemSet)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${problemSet.name}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className={styles.adminPopup__problemEditor}>
+      <h3 className={styles.adminPopup__subTitle}>お題セットの編集</h3>
+
+      <div className={styles.adminPopup__formGroup}>
+        <label className={styles.adminPopup__label} htmlFor="problemSetSelector">
+          お題セット
+        </label>
+        <div className={styles.adminPopup__problemToolbar}>
+          <select
+            className={styles.adminPopup__input}
+            id="problemSetSelector"
+            value={selectedSetId || ''}
+            onChange={handleSelectSet}
+          >
+            {!selectedSetId && <option value="">（新しいセット）</option>}
+            {problemSets.map((set) => (
+              <option key={set.id} value={set.id}>
+                {set.name}（{set.problems.length}問）
+              </option>
+            ))}
+          </select>
+          <button
+            className={`${styles.adminPopup__button} ${styles['adminPopup__button--secondary']}`}
+            onClick={handleCreateSet}
+          >
+            新規
+          </button>
+        </div>
+        <p className={styles.adminPopup__info}>
+          保存したお題は、組み込みのお題と一緒に出題されます。書き出したJSONは設定画面から取り込めます。
+        </p>
+      </div>
+
+      {(selectedSetId || isDirty) && (
+        <>
+          <div className={styles.adminPopup__formGroup}>
+            <label className={styles.adminPopup__label} htmlFor="problemSetName">
+              セット名
+            </label>
+            <input
+              className={styles.adminPopup__input}
+              id="problemSetName"
+              type="text"
+              value={setName}
+              onChange={(e) => {
+                setSetName(e.target.value);
+                setIsDirty(true);
+              }}
+            />
+          </div>
+
+          <ol className={styles.adminPopup__problemList}>
+            {rows.map((row, index) => {
+              const preview = rowPreviews[index];
+              return (
+                <li key={index} className={styles.adminPopup__problemRow}>
+                  <div className={styles.adminPopup__problemFields}>
+                    <input
+                      className={styles.adminPopup__input}
+                      type="text"
+                      placeholder="表示テキスト（例: 笑顔、振り仮名付き: {笑顔|えがお}）"
+                      value={row.displayText}
+                      onChange={(e) => handleRowChange(index, 'displayText', e.target.value)}
+                    />
+                    <input
+                      className={styles.adminPopup__input}
+                      type="text"
+                      placeholder="読み（例: えがお）"
+                      value={row.kanaText}
+                      onChange={(e) => handleRowChange(index, 'kanaText', e.target.value)}
+                    />
+                    <select
+                      className={styles.adminPopup__input}
+                      value={row.category}
+                      onChange={(e) => handleRowChange(index, 'category', e.target.value)}
+                    >
+                      {categoryOptions.map((category) => (
+                        <option key={category} value={category}>{category}</option>
+                      ))}
+                    </select>
+                    <select
+                      className={styles.adminPopup__input}
+                      value={row.difficulty}
+                      onChange={(e) => handleRowChange(index, 'difficulty', e.target.value)}
+                    >
+                      {DIFFICULTY_OPTIONS.map((option) => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                    <input
+                      className={styles.adminPopup__input}
+                      type="text"
+                      placeholder="タグ（, 区切り）"
+                      value={row.tagsText}
+                      onChange={(e) => handleRowChange(index, 'tagsText', e.target.value)}
+                    />
+                    <label className={styles.adminPopup__radioLabel}>
+                      <input
+                        type="checkbox"
+                        checked={row.caseSensitive}
+                        onChange={(e) => handleRowChange(index, 'caseSensitive', e.target.checked)}
+                      />
+                      大文字小文字を区別
+                    </label>
+                  </div>
+
+                  <div className={styles.adminPopup__problemPreview}>
+                    {!preview && <span className={styles.adminPopup__problemError}>読みを入力してください</span>}
+                    {preview && preview.error && (
+                      <span className={styles.adminPopup__problemError}>{preview.error}</span>
+                    )}
+                    {preview && !preview.error && (
+                      <>
+                        <code>{preview.romaji}</code>
+                        <span>{preview.keystrokes}打鍵</span>
+                      </>
+                    )}
+                  </div>
+
+                  <div className={styles.adminPopup__problemActions}>
+                    <button
+                      className={`${styles.adminPopup__button} ${styles['adminPopup__button--secondary']}`}
+                      onClick={() => handleMoveRow(index, -1)}
+                      disabled={index === 0}
+                      aria-label="上へ"
+                    >
+                      ↑
+                    </button>
+                    <button
+                      className={`${styles.adminPopup__button} ${styles['adminPopup__button--secondary']}`}
+                      onClick={() => handleMoveRow(index, 1)}
+                      disabled={index === rows.length - 1}
+                      aria-label="下へ"
+                    >
+                      ↓
+                    </button>
+                    <button
+                      className={`${styles.adminPopup__button} ${styles['adminPopup__button--reset']}`}
+                      onClick={() => handleDeleteRow(index)}
+                    >
+                      削除
+                    </button>
+                  </div>
+                </li>
+              );
+            })}
+          </ol>
+
+          <div className={styles.adminPopup__problemToolbar}>
+            <button
+              className={`${styles.adminPopup__button} ${styles['adminPopup__button--secondary']}`}
+              onClick={handleAddRow}
+            >
+              ＋ お題を追加
+            </button>
+            <button
+              className={`${styles.adminPopup__button} ${styles['adminPopup__button--primary']}`}
+              onClick={handleSave}
+              disabled={rows.length === 0 || hasInvalidRow}
+            >
+              保存
+            </button>
+            <button
+              className={`${styles.adminPopup__button} ${styles['adminPopup__button--secondary']}`}
+              onClick={handleExport}
+              disabled={!selectedSetId || isDirty}
+            >
+              JSONで書き出す
+            </button>
+            <button
+              className={`${styles.adminPopup__button} ${styles['adminPopup__button--reset']}`}
+              onClick={handleDeleteSet}
+            >
+              {selectedSetId ? 'セットを削除' : '破棄'}
+            </button>
+          </div>
+
+          {saveErrors.length > 0 && (
+            <ul className={styles.adminPopup__problemErrors}>
+              {saveErrors.map((error, index) => (
+                <li key={index}>
+                  {error.line > 0 && `${error.line}問目: `}
+                  {error.reason}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {showSaveSuccess && (
+            <div className={styles.adminPopup__successMessage}>
+              <span className={styles.adminPopup__successIcon}>✓</span>{' '}
+              お題セットを保存しました！
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ProblemSetEditor;
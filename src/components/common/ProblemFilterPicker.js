@@ -0,0 +1,132 @@
+'use client';
+
+import React, { useMemo, useCallback } from 'react';
+import { CATEGORY_LABELS, getProblemCounts } from '../../utils/ProblemData';
+import styles from '../../styles/common/ProblemFilterPicker.module.css';
+
+/**
+ * 選んだカテゴリ・タグを短い文字列にまとめる（メニューのボタン表示用）
+ * @param {Object} filter - 出題範囲 { categories, tags }
+ * @returns {string} 例: 'すべて'、'格言'、'格言 ほか2件'
+ */
+export const getProblemFilterSummary = (filter) => {
+  const labels = [
+    ...(filter?.categories || []).map(category => CATEGORY_LABELS[category] || category),
+    ...(filter?.tags || []),
+  ];
+  if (labels.length === 0) return 'すべて';
+  if (labels.length === 1) return labels[0];
+  return `${labels[0]} ほか${labels.length - 1}件`;
+};
+
+/**
+ * 出題範囲（カテゴリ・タグ）の選択コンポーネント
+ * BEM記法に準拠した再利用可能なUI
+ * 複数選択でき、選んだカテゴリ・タグのいずれかに当てはまる問題が出題される
+ *
+ * @param {Object} props - コンポーネントのプロパティ
+ * @param {Object} props.value - 選択中の出題範囲 { categories: string[], tags: string[] }
+ * @param {Function} props.onChange - 選択が変わったときに新しい出題範囲を受け取る関数
+ * @param {string} props.difficulty - 問題数を数える難易度
+ * @param {string} [props.className] - 追加のCSSクラス名
+ * @returns {React.ReactElement} 出題範囲の選択UI
+ */
+const ProblemFilterPicker = ({ value, onChange, difficulty, className = '' }) => {
+  const categories = value?.categories || [];
+  const tags = value?.tags || [];
+
+  // 選択中の難易度で出題される問題のカテゴリ別・タグ別の数（問題がないものは表示しない）
+  const counts = useMemo(() => getProblemCounts(difficulty), [difficulty]);
+  const categoryOptions = useMemo(
+    () =>
+      Object.entries(counts.categories || {})
+        .filter(([, count]) => count > 0)
+        .sort((a, b) => b[1] - a[1]),
+    [counts]
+  );
+  const tagOptions = useMemo(
+    () =>
+      Object.entries(counts.tags || {})
+        .filter(([, count]) => count > 0)
+        .sort((a, b) => b[1] - a[1]),
+    [counts]
+  );
+
+  // 選択を切り替える
+  const toggle = useCallback(
+    (key, item) => {
+      const selected = key === 'categories' ? categories : tags;
+      const next = selected.includes(item)
+        ? selected.filter(selectedItem => selectedItem !== item)
+        : [...selected, item];
+      onChange({ categories, tags, [key]: next });
+    },
+    [categories, tags, onChange]
+  );
+
+  const handleClear = useCallback(() => {
+    onChange({ categories: [], tags: [] });
+  }, [onChange]);
+
+  const isAll = categories.length === 0 && tags.length === 0;
+
+  const renderOptions = (key, options, selected, getLabel) => (
+    <div className={styles.problem_filter__options}>
+      {options.map(([item, count]) => {
+        const isActive = selected.includes(item);
+        return (
+          <label
+            key={item}
+            className={`${styles.problem_filter__option} ${
+              isActive ? styles['problem_filter__option--active'] : ''
+            }`}
+          >
+            <input
+              type="checkbox"
+              className={styles.problem_filter__checkbox}
+              checked={isActive}
+              onChange={() => toggle(key, item)}
+            />
+            <span>{getLabel(item)}</span>
+            <span className={styles.problem_filter__count}>{count}</span>
+          </label>
+        );
+      })}
+    </div>
+  );
+
+  return (
+    <div className={`${styles.problem_filter} ${className}`}>
+      <div className={styles.problem_filter__toolbar}>
+        <span className={styles.problem_filter__summary}>
+          出題範囲: {getProblemFilterSummary(value)}
+        </span>
+        <button
+          className={styles.problem_filter__clear}
+          onClick={handleClear}
+          disabled={isAll}
+        >
+          すべて
+        </button>
+      </div>
+
+      <div className={styles.problem_filter__section}>
+        <h4 className={styles.problem_filter__title}>カテゴリ</h4>
+        {renderOptions('categories', categoryOptions, categories, item => CATEGORY_LABELS[item] || item)}
+      </div>
+
+      {tagOptions.length > 0 && (
+        <div className={styles.problem_filter__section}>
+          <h4 className={styles.problem_filter__title}>タグ</h4>
+          {renderOptions('tags', tagOptions, tags, item => item)}
+        </div>
+      )}
+
+      <p className={styles.problem_filter__note}>
+        選んだカテゴリ・タグのどれかに当てはまるお題が出題されます。数字は今の難易度のお題の数です。
+      </p>
+    </div>
+  );
+};
+
+export default ProblemFilterPicker;
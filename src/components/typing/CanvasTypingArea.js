@@ -10,6 +10,12 @@ import React, { useRef, useEffect, useState } from 'react';
 import styles from '../../styles/typing/CanvasTypingArea.module.css';
 import CanvasTypingEngine from '../../canvas-typing-engine';
 import RetroSFKeyboard from './RetroSFKeyboard';
+import {
+  getInputKeyFromEvent,
+  isKanaDirectInput,
+} from '../../utils/typing/InputSchemes';
+import { CODE_NEWLINE } from '../../utils/typing/CodeTyping';
+import { getRubySegments } from '../../utils/typing/Furigana';
 
 /**
  * Canvas描画によるタイピングエリアコンポーネント
@@ -19,6 +25,8 @@ const CanvasTypingArea = ({
   typing,
   currentProblem,
   lastPressedKey = '',
+  readingChallenge = null,
+  ghostUnitIndex = null,
   className = '',
 }) => {
   // デバッグモード設定
@@ -94,6 +102,12 @@ const CanvasTypingArea = ({
     };
   }, []);
 
+  // 読みチャレンジでヒントで表示したかなの文字数（読みチャレンジでない場合はnull）
+  // readingChallenge は描画のたびに作り直されるため、効果の依存には値だけを使う
+  const hintedKanaLength = readingChallenge
+    ? readingChallenge.hintedKanaLength || 0
+    : null;
+
   // 表示データの更新
   useEffect(() => {
     // typing存在チェック
@@ -115,9 +129,31 @@ const CanvasTypingArea = ({
         typedLength = 0,
         currentCharIndex = 0,
         currentInput = '',
+        errorInput = '',
         currentCharRomaji = '',
         expectedNextChar = '',
+        codeCursor = -1,
       } = typing.displayInfo;
+      // コードタイピングではコードの配置情報をもとに複数行で描画する
+      const codeLayout = typing.typingSession?.codeLayout || null;
+      // 読みチャレンジでは振り仮名・次のキーを隠し、入力済みとヒントで表示したかなだけを描画する
+      const challengeState =
+        hintedKanaLength !== null
+          ? {
+              kanaText: typing.typingSession?.kanaText || '',
+              typedKanaLength: typing.typingSession?.getTypedKanaLength?.() || 0,
+              hintedKanaLength,
+            }
+          : null;
+
+      // ゴースト対戦：ゴーストが打ち終えた入力単位の数を、表示しているローマ字の位置に直す
+      const displayIndices = typing.typingSession?.displayIndices;
+      const ghostTypedLength =
+        Number.isInteger(ghostUnitIndex) && displayIndices && !codeLayout
+          ? ghostUnitIndex < displayIndices.length
+            ? displayIndices[ghostUnitIndex]
+            : (romaji || '').length
+          : null;
 
       // ローマ字データの有効性確認
       const hasValidRomaji = typeof romaji === 'string';
@@ -153,14 +189,24 @@ const CanvasTypingArea = ({
         romaji: romaji || '',
         typedLength: typedLength || 0,
         isError: typing.errorAnimation || false,
-        nextKey: expectedNextChar || '',
+        // 改行（Enterキー）は仮想キーボードにないためハイライトしない
+        nextKey:
+          challengeState || expectedNextChar === CODE_NEWLINE
+            ? ''
+            : expectedNextChar || '',
         lastPressedKey: lastPressedKey || '',
         progress: typing.stats?.progressPercentage || 0,
         score: typing.stats?.score || 0,
         kpm: typing.stats?.kpm || 0,
         currentProblem: currentProblem || null,
         currentInput: currentInput || '',
+        errorInput: errorInput || '',
         expectedNextChar: expectedNextChar || '',
+        codeLayout,
+        codeCursor,
+        rubySegments: challengeState ? null : getRubySegments(currentProblem),
+        readingChallenge: challengeState,
+        ghostTypedLength,
       }; // 状態を更新して再描画を促す
       if (engineRef.current) {
         engineRef.current.updateGameState(gameStateRef.current);
@@ -182,14 +228,19 @@ const CanvasTypingArea = ({
     typing?.displayInfo?.typedLength,
     typing?.displayInfo?.currentCharIndex,
     typing?.displayInfo?.currentInput,
+    typing?.displayInfo?.errorInput,
     typing?.displayInfo?.currentCharRomaji,
     typing?.displayInfo?.expectedNextChar,
+    typing?.displayInfo?.codeCursor,
+    typing?.typingSession,
     typing?.errorAnimation,
     typing?.stats?.progressPercentage,
     typing?.stats?.score,
     typing?.stats?.kpm,
     currentProblem,
     lastPressedKey,
+    hintedKanaLength,
+    ghostUnitIndex,
   ]);
 
   // キー入力時にCanvasEngineに通知 - リフレッシュレート同期版
@@ -210,13 +261,22 @@ const CanvasTypingArea = ({
 
       // キーボードイベントの処理 - 状態変更のみ行い描画はrequestAnimationFrameに任せる
       if (engineRef.current && typing) {
-        const key = event.key;
+        // コードタイピングでは押した文字をそのまま使い、大文字・小文字も区別する
+        // JISかな入力では物理キーからかなに変換して判定する
+        const isCode = !!typing?.typingSession?.codeLayout;
+        const key = isCode ? event.key : getInputKeyFromEvent(event);
+        if (!key) return;
         // 現在のキーが期待されるキーと一致するかを判定
         const expectedKey = typing?.displayInfo?.expectedNextChar || '';
 
         if (expectedKey && key.length === 1) {
           // キーの状態更新のみを行う（描画は行わない）
-          const isCorrect = key.toLowerCase() === expectedKey.toLowerCase();
+          // 自由入力モードで間違いが残っている間は、どのキーも正しい入力にならない
+          const isCorrect =
+            !typing?.displayInfo?.errorInput &&
+            (isCode
+              ? key === expectedKey
+              : key.toLowerCase() === expectedKey.toLowerCase());
           engineRef.current.handleKeyInput(key, isCorrect);
 
           // 正確な入力の場合、preventDefault()でブラウザ標準の入力動作を抑制
@@ -238,7 +298,11 @@ const CanvasTypingArea = ({
         capture: true, // イベント削除時も同じオプションを指定
       });
     };
-  }, [typing?.displayInfo?.expectedNextChar]); // 入力確定（typedLengthの変更）を検出して部分入力をリセット
+  }, [
+    typing?.displayInfo?.expectedNextChar,
+    typing?.displayInfo?.errorInput,
+    typing?.typingSession,
+  ]); // 入力確定（typedLengthの変更）を検出して部分入力をリセット
   const prevTypedLengthRef = useRef(0);
   useEffect(() => {
     const currentTypedLength = typing?.displayInfo?.typedLength || 0;
@@ -313,6 +377,11 @@ const CanvasTypingArea = ({
         <RetroSFKeyboard
           nextKey={gameStateRef.current.nextKey || ''}
           lastPressedKey={gameStateRef.current.lastPressedKey || ''}
+          inputMode={
+            isKanaDirectInput() && !gameStateRef.current.codeLayout
+              ? 'kana'
+              : 'romaji'
+          }
         />
       </div>
     </div>
@@ -6,13 +6,96 @@
  * 責任: ゲームロジックとUI連携
  */
 
-import { useState, useEffect, useCallback, useRef } from 'react';
-import { useGameContext, SCREENS } from '../../contexts/GameContext';
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { useGameContext, SCREENS, GAME_MODES } from '../../contexts/GameContext';
 import { useTypingGame } from '../../hooks/useTypingGame';
 import soundSystem from '../../utils/SoundUtils';
-import { getRandomProblem } from '../../utils/ProblemSelector';
+import { getRandomProblem, PROBLEM_SELECTION_STRATEGIES } from '../../utils/ProblemSelector';
 import TypingUtils from '../../utils/TypingUtils'; // KPM計算用にTypingUtilsをインポート
 import typingWorkerManager from '../../utils/TypingWorkerManager'; // Worker管理のためのインポート
+import { getInputKeyFromEvent } from '../../utils/typing/InputSchemes'; // JISかな入力のキー変換
+import { recordProblemResult } from '../../utils/ReviewScheduler'; // 復習スケジュールの記録
+import { recordDailyCompletion } from '../../utils/DailyChallenge'; // 今日のチャレンジの連続挑戦日数
+import { CODE_NEWLINE, isCodeProblem } from '../../utils/typing/CodeTyping'; // コードタイピング
+import {
+  READING_HINT_KEY,
+  READING_HINT_PENALTY_RATE,
+  applyReadingHintPenalty,
+} from '../../utils/typing/Furigana'; // 読みチャレンジのヒント
+import { calculateTimeAttackKPM } from '../../utils/TimeAttack'; // タイムアタックの集計
+import { startSurvivalProblem, loseSurvivalLife } from '../../utils/SurvivalMode'; // サバイバルのライフと制限時間
+import {
+  recordEndlessProblem,
+  summarizeEndlessTiers,
+} from '../../utils/EndlessMode'; // エンドレスの難易度の調整と段階ごとの集計
+import {
+  createGhostRecorder,
+  startGhostProblem,
+  recordGhostKeystroke,
+  finishGhostRecording,
+  saveGhostIfBest,
+  createGhostReplay,
+  getGhostProgress,
+  getGhostPositionAt,
+  getGhostDeltaMs,
+} from '../../utils/GhostRun'; // ゴーストの記録と再生
+
+// 一時停止から再開する前のカウントダウン（秒）
+const RESUME_COUNTDOWN_SECONDS = 3;
+
+/**
+ * ゲーム全体の累積のキー入力統計を求める
+ * これまでに解いた問題の累積（gameState）に、表示中の問題の打鍵を加える
+ * 表示中の問題は打ちかけでも、それまでの打鍵を含める（タイムアタックの時間切れ）
+ * @param {Object} gameState - ゲーム状態（totalCorrectKeys などの累積）
+ * @param {Object} typing - useTypingGameの戻り値
+ * @returns {{totalCorrectKeyCount: number, totalMissCount: number, accuracy: number,
+ *   totalCorrectedErrors: number, totalUncorrectedErrors: number, netAccuracy: number}} 累積の統計
+ */
+function summarizeKeyStats(gameState, typing) {
+  // 表示中のお題のキー入力状況
+  const problemStats = typing?.typingStats?.statsRef?.current || {};
+  const problemCorrectKeys = problemStats.correctKeyCount || 0;
+  const problemMissKeys = problemStats.mistakeCount || 0;
+  // 自由入力モードのミスの内訳（Backspaceで消したミスと、消されずに残ったミス）
+  const problemCorrectedErrors = problemStats.correctedErrorCount || 0;
+  const problemUncorrectedErrors =
+    typing?.typingSessionRef?.current?.getErrorStats?.()
+      ?.uncorrectedErrorCount || 0;
+
+  // 累積入力数の計算（全問題の累積）
+  const totalCorrectKeyCount =
+    (gameState.totalCorrectKeys || 0) + problemCorrectKeys;
+  const totalMissCount = (gameState.totalMissKeys || 0) + problemMissKeys;
+  const totalKeystrokes = totalCorrectKeyCount + totalMissCount;
+  const accuracy =
+    totalKeystrokes > 0
+      ? Math.round((totalCorrectKeyCount / totalKeystrokes) * 100)
+      : 100;
+
+  // 自由入力モードでは訂正したミスと未訂正のミスを分けて集計する
+  // 訂正後の正確率は、最後まで残った未訂正のミスだけを減点する
+  // （未訂正のミスは、タイムアタック・サバイバル・エンドレスで打ちかけのまま終わった問題にだけ残る）
+  const totalCorrectedErrors =
+    (gameState.totalCorrectedErrors || 0) + problemCorrectedErrors;
+  const totalUncorrectedErrors =
+    (gameState.totalUncorrectedErrors || 0) + problemUncorrectedErrors;
+  const netAccuracy =
+    totalKeystrokes > 0
+      ? Math.round(
+          ((totalKeystrokes - totalUncorrectedErrors) / totalKeystrokes) * 100
+        )
+      : 100;
+
+  return {
+    totalCorrectKeyCount,
+    totalMissCount,
+    accuracy,
+    totalCorrectedErrors,
+    totalUncorrectedErrors,
+    netAccuracy,
+  };
+}
 
 /**
  * ゲームコントローラーフック（リファクタリング・安定化版 2025年5月12日）
@@ -39,7 +122,32 @@ export function useGameController(options = {}) {
   );
 
   // Game Contextから状態取得
-  const { gameState } = useGameContext();
+  const { gameState, settings } = useGameContext();
+
+  // 自由入力モード（ミスも入力し、Backspaceで修正）
+  const freeInput = !!settings?.freeInputMode;
+
+  // コードタイピングのオプション（行頭の空白を飛ばすか・行末でEnterを打つか）
+  const codeOptions = useMemo(
+    () =>
+      gameState.codeTyping
+        ? {
+            skipIndent: gameState.codeTyping.skipIndent,
+            typeEnter: gameState.codeTyping.typeEnter,
+          }
+        : null,
+    [gameState.codeTyping]
+  );
+
+  // 読みチャレンジ（かな・ローマ字を隠す。コードの問題には読みがないため使わない）
+  const readingChallenge =
+    !!settings?.readingChallenge && gameState.gameMode !== GAME_MODES.CODE;
+
+  // 問題の選び方（ランダム / 苦手な問題の復習）
+  // シード付きのゲームでは出題順を再現するため常にランダム（シードの乱数列）で選ぶ
+  const problemSelectionStrategy = gameState.problemSeed
+    ? PROBLEM_SELECTION_STRATEGIES.RANDOM
+    : settings?.problemSelectionStrategy;
 
   // スコア情報の状態管理を追加
   const [scoreInfo, setScoreInfo] = useState({
@@ -52,6 +160,55 @@ export function useGameController(options = {}) {
   // 問題状態 - 型チェック付き
   const [currentProblem, setCurrentProblem] = useState(null);
 
+  // 読みチャレンジ：ヒントで表示したかなの文字数（問題ごと）と、ゲーム全体のヒントの回数
+  const [hintedKanaLength, setHintedKanaLength] = useState(0);
+  const hintCountRef = useRef(0);
+
+  // タイムアタック：残り時間（ミリ秒）
+  const isTimeAttack = gameState.gameMode === GAME_MODES.TIME_ATTACK;
+  const [timeAttackRemainingMs, setTimeAttackRemainingMs] = useState(null);
+  const handleTimeUpRef = useRef(null);
+
+  // サバイバル：最新のライフと制限時間（連続したミスでも古い状態から数えないようRefで持つ）
+  const isSurvival = gameState.gameMode === GAME_MODES.SURVIVAL;
+  const survivalRef = useRef(null);
+  if (!survivalRef.current && gameState.survival) {
+    survivalRef.current = gameState.survival;
+  }
+  const handleSurvivalLifeLostRef = useRef(null);
+
+  // エンドレス：やめるまで続け、難易度の段階は打ち終えた問題ごとに決める
+  const isEndless = gameState.gameMode === GAME_MODES.ENDLESS;
+
+  // ゴースト：通常のゲームとゴースト対戦では打鍵を記録し、すべての問題を打ち終えたら自己ベストと比べて保存する
+  const isGhostRace = gameState.gameMode === GAME_MODES.GHOST;
+  const ghostRecorderRef = useRef(null);
+  if (
+    !ghostRecorderRef.current &&
+    (gameState.gameMode === GAME_MODES.NORMAL || isGhostRace)
+  ) {
+    ghostRecorderRef.current = createGhostRecorder();
+  }
+  // ゴースト対戦：再生用のデータと、ゴーストの位置・時間差
+  const ghostReplay = useMemo(
+    () => (isGhostRace && gameState.ghost ? createGhostReplay(gameState.ghost) : null),
+    [isGhostRace, gameState.ghost]
+  );
+  const [ghostStatus, setGhostStatus] = useState(null);
+  // 表示中の問題が何問目か（0から）と、最後に表示した問題
+  const problemIndexRef = useRef(-1);
+  const shownProblemRef = useRef(null);
+
+  // 一時停止：再開のカウントダウン中も一時停止として扱い、入力と計時を止める
+  const [isPaused, setIsPaused] = useState(false);
+  const [resumeCountdown, setResumeCountdown] = useState(null);
+  const pausedAtRef = useRef(null);
+  const resumeTimerRef = useRef(null);
+
+  // タイムアタック・サバイバル・エンドレス・ゴースト：計測の開始時刻と、ゲームが終わったか（時間切れ・ゲームオーバー・やめた）
+  const runStartRef = useRef(null);
+  const runOverRef = useRef(false);
+
   // 前回のゲーム状態を保存
   const prevGameStateRef = useRef({
     solvedCount: 0,
@@ -76,18 +233,78 @@ export function useGameController(options = {}) {
   // Game Contextから状態更新関数を取得
   const { setGameState } = useGameContext();
 
+  /**
+   * 次に出題する問題を選ぶ
+   * 今日のチャレンジ・コードタイピング・ゴースト対戦では用意した問題セットを順番に出題し、それ以外はProblemSelectorで選ぶ
+   * @param {number} index - 出題する問題の番号（0から）
+   * @param {Object|null} previousProblem - 直前の問題（連続して同じ問題を出さないため）
+   * @param {string} [difficulty] - 出題する難易度（エンドレスで段階が変わった直後に指定する）
+   * @returns {Object|null} 問題
+   */
+  const selectProblem = useCallback(
+    (index, previousProblem = null, difficulty = gameState.difficulty) => {
+      if (
+        gameState.gameMode === GAME_MODES.DAILY ||
+        gameState.gameMode === GAME_MODES.CODE ||
+        gameState.gameMode === GAME_MODES.GHOST
+      ) {
+        return gameState.problems?.[index] || null;
+      }
+
+      return getRandomProblem({
+        difficulty,
+        category: gameState.category,
+        categories: gameState.problemFilter?.categories || [],
+        tags: gameState.problemFilter?.tags || [],
+        excludeRecent: previousProblem ? [previousProblem.displayText] : [],
+        strategy: problemSelectionStrategy,
+        playerName: gameState.playerName,
+        // シード付きのゲームは組み込みの問題だけから出題する（同じシードで誰でも同じ順番になる）
+        includeCustom: !gameState.problemSeed,
+      });
+    },
+    [
+      gameState.gameMode,
+      gameState.problems,
+      gameState.difficulty,
+      gameState.category,
+      gameState.problemFilter,
+      gameState.playerName,
+      gameState.problemSeed,
+      problemSelectionStrategy,
+    ]
+  );
+
   /**
    * 問題が完了した時の処理
    */ const handleProblemComplete = useCallback(
     (typingStats) => {
+      // タイムアタック・サバイバル・エンドレスのゲームが終わった後は集計済みのため何もしない
+      if (runOverRef.current) return;
+
       // 効果音再生は省略（リザルト画面の音声とかぶるため）
 
+      // 問題ごとのミスと打鍵間隔を復習記録に残す（出題の選び方に関わらず記録する）
+      // コードの問題は復習の出題対象ではないため記録しない
+      const problemStatsRef = typing?.typingStats?.statsRef?.current;
+      if (currentProblem && problemStatsRef && !isCodeProblem(currentProblem)) {
+        recordProblemResult(gameState.playerName, currentProblem, {
+          keyCount: problemStatsRef.correctKeyCount || 0,
+          missCount: problemStatsRef.mistakeCount || 0,
+          keyIntervals: problemStatsRef.keyIntervals || [],
+        });
+      }
+
       // 次の問題数を計算
       const newSolvedCount = gameState.solvedCount + 1;
       // 問題完了のログは削除
 
-      // ゲームクリア判定
-      const isGameClear = newSolvedCount >= gameState.requiredProblemCount;
+      // ゲームクリア判定（タイムアタック・サバイバル・エンドレスは問題数では終わらず、時間切れ・ライフがなくなる・やめるまで続ける）
+      const isGameClear =
+        !isTimeAttack &&
+        !isSurvival &&
+        !isEndless &&
+        newSolvedCount >= gameState.requiredProblemCount;
 
       // すべてのスコア計算は削除 - リファクタリングのための準備
 
@@ -95,7 +312,8 @@ export function useGameController(options = {}) {
 
       if (isGameClear) {
         // ゲームクリア時の処理
-        // 全問題完了のログを削除
+        // リザルト画面に進むまでの間に一時停止しないよう、ゲームは終わったものとして扱う
+        runOverRef.current = true;
 
         // 終了時間を記録
         const endTime = Date.now();
@@ -127,27 +345,70 @@ export function useGameController(options = {}) {
           );
         }
 
-        // ゲーム全体の累積キー入力統計の計算
-        // 最後のお題のキー入力状況
-        const lastProblemCorrectKeys =
-          typing?.typingStats?.statsRef?.current?.correctKeyCount || 0;
-        const lastProblemMissKeys =
-          typing?.typingStats?.statsRef?.current?.mistakeCount || 0;
+        // 読みチャレンジではヒントの回数に応じてKPMを減点する
+        if (readingChallenge) {
+          averageKPM = applyReadingHintPenalty(averageKPM, hintCountRef.current);
+        }
 
-        // 累積入力数の計算（全問題の累積）
-        const totalCorrectKeyCount =
-          (gameState.totalCorrectKeys || 0) + lastProblemCorrectKeys;
-        const totalMissCount =
-          (gameState.totalMissKeys || 0) + lastProblemMissKeys;
-        const totalKeystrokes = totalCorrectKeyCount + totalMissCount;
-        const accuracy =
-          totalKeystrokes > 0
-            ? Math.round((totalCorrectKeyCount / totalKeystrokes) * 100)
-            : 100;
+        // ゲーム全体の累積キー入力統計の計算（最後のお題の打鍵を含める）
+        const {
+          totalCorrectKeyCount,
+          totalMissCount,
+          accuracy,
+          totalCorrectedErrors,
+          totalUncorrectedErrors,
+          netAccuracy,
+        } = summarizeKeyStats(gameState, typing);
 
         // 問題数は「解いた問題数」を表示
         const correctProblemCount = newSolvedCount; // 詳細なデバッグログを削除
 
+        // ゴースト対戦の結果（計測開始から最後の打鍵までの時間で比べる。一時停止していた時間は除く）
+        const runTimeMs = runStartRef.current ? endTime - runStartRef.current : null;
+        const ghostRace =
+          gameState.ghost && runTimeMs !== null
+            ? {
+                opponentName: gameState.ghost.playerName,
+                opponentKPM: gameState.ghost.kpm,
+                opponentTimeMs: gameState.ghost.totalTimeMs,
+                timeMs: runTimeMs,
+                deltaMs: gameState.ghost.totalTimeMs - runTimeMs, // 正なら勝ち
+              }
+            : null;
+
+        // 打鍵の記録をゴーストにして、自己ベストを上回っていれば保存する
+        // 最後の打鍵はキー入力の処理がこの後に記録するため、記録の締めくくりは後に回す
+        const recorder = ghostRecorderRef.current;
+        if (recorder) {
+          const roundedKPM = Math.round(averageKPM * 10) / 10;
+          queueMicrotask(() => {
+            ghostRecorderRef.current = null;
+            const ghost = finishGhostRecording(recorder, {
+              difficulty: gameState.difficulty,
+              playerName: gameState.playerName,
+              kpm: roundedKPM,
+              accuracy,
+            });
+            if (saveGhostIfBest(gameState.playerName, ghost)) {
+              setGameState((prev) => ({
+                ...prev,
+                stats: prev.stats ? { ...prev.stats, newGhostBest: true } : prev.stats,
+              }));
+            }
+          });
+        }
+
+        // 今日のチャレンジは完了した日を記録して連続挑戦日数を更新
+        const dailyChallenge = gameState.dailyChallenge
+          ? {
+              ...gameState.dailyChallenge,
+              ...recordDailyCompletion(
+                gameState.playerName,
+                gameState.dailyChallenge.dateKey
+              ),
+            }
+          : null;
+
         // スコアデータをGameContextに保存
         setGameState((prev) => ({
           ...prev,
@@ -159,17 +420,41 @@ export function useGameController(options = {}) {
           // 全問題の累積統計を保存
           totalCorrectKeys: totalCorrectKeyCount,
           totalMissKeys: totalMissCount,
+          totalCorrectedErrors,
+          totalUncorrectedErrors,
           // リザルト画面で使用する統計情報（従来モードと同じ形式で提供）
           stats: {
             kpm: Math.round(averageKPM * 10) / 10, // 小数点1位までの平均KPM
             correctCount: totalCorrectKeyCount, // 累積の正解キー数
             missCount: totalMissCount, // 累積のミス入力数
             accuracy: accuracy, // 正確率（累積値から計算）
+            freeInput, // 自由入力モードで遊んだか
+            correctedErrorCount: totalCorrectedErrors, // Backspaceで消したミス
+            uncorrectedErrorCount: totalUncorrectedErrors, // 消されずに残ったミス
+            netAccuracy, // 訂正後の正確率（未訂正のミスのみ減点）
             rank: TypingUtils.getRank(averageKPM) || 'F',
             problemKPMs: allProblemKPMs,
             elapsedTimeMs: elapsedTimeMs,
             totalTime: elapsedTimeMs / 1000,
             solvedProblems: correctProblemCount, // 別途、解いた問題数も追加
+            problemSeed: gameState.problemSeed || null, // 出題順のシード（同じシードで同じ順番に出題される）
+            dailyChallenge, // 今日のチャレンジの情報（日付・ランキング対象か・連続挑戦日数）
+            // コードタイピングの情報（コードは1打鍵で1文字なので、KPMがそのままCPM（1分あたりの文字数）になる）
+            codeTyping: gameState.codeTyping
+              ? { ...gameState.codeTyping, cpm: Math.round(averageKPM * 10) / 10 }
+              : null,
+            // 読みチャレンジの情報（ヒントの回数とKPMの減点の割合）
+            readingChallenge: readingChallenge
+              ? {
+                  hintCount: hintCountRef.current,
+                  penaltyRate: Math.min(
+                    1,
+                    READING_HINT_PENALTY_RATE * hintCountRef.current
+                  ),
+                }
+              : null,
+            ghostRace, // ゴースト対戦の結果（ゴースト対戦以外はnull）
+            newGhostBest: false, // 自己ベストのゴーストを更新したか（保存後に反映する）
           },
         }));
 
@@ -193,6 +478,11 @@ export function useGameController(options = {}) {
           typing?.typingStats?.statsRef?.current?.correctKeyCount || 0;
         const currentProblemMistakes =
           typing?.typingStats?.statsRef?.current?.mistakeCount || 0;
+        const currentProblemCorrectedErrors =
+          typing?.typingStats?.statsRef?.current?.correctedErrorCount || 0;
+        const currentProblemUncorrectedErrors =
+          typing?.typingSessionRef?.current?.getErrorStats?.()
+            ?.uncorrectedErrorCount || 0;
         if (DEBUG_MODE)
           console.log('[GameController] 問題完了統計: ', {
             KPM: currentProblemKPM,
@@ -206,30 +496,51 @@ export function useGameController(options = {}) {
           currentProblemKPM,
         ].filter((kpm) => kpm > 0);
 
+        // エンドレスは打ち終えた問題のKPMと正確率で次の問題の段階を決める
+        const nextEndless = gameState.endless
+          ? recordEndlessProblem(gameState.endless, {
+              kpm: currentProblemKPM,
+              correctKeyCount: currentProblemCorrectKeys,
+              missCount: currentProblemMistakes,
+            })
+          : null;
+
+        // サバイバルは次の問題を表示するまで計時を止める
+        if (survivalRef.current) {
+          survivalRef.current = { ...survivalRef.current, deadline: null };
+        }
+
         // 全問題の累積統計を更新
         setGameState((prev) => ({
           ...prev,
           solvedCount: newSolvedCount,
+          survival: survivalRef.current || prev.survival,
+          endless: nextEndless || prev.endless,
           problemKPMs: updatedProblemKPMs,
           // 累積打鍵数も追跡
           totalCorrectKeys:
             (prev.totalCorrectKeys || 0) + currentProblemCorrectKeys,
           totalMissKeys: (prev.totalMissKeys || 0) + currentProblemMistakes,
+          totalCorrectedErrors:
+            (prev.totalCorrectedErrors || 0) + currentProblemCorrectedErrors,
+          totalUncorrectedErrors:
+            (prev.totalUncorrectedErrors || 0) +
+            currentProblemUncorrectedErrors,
         })); // 次の問題をセット（超高速応答バージョン - マイクロタスクを使用）
         queueMicrotask(() => {
           try {
             // 新しい問題を即座に生成（ログは開発環境でのみ出力）
-            const nextProblem = getRandomProblem({
-              difficulty: gameState.difficulty,
-              category: gameState.category,
-              excludeRecent: [currentProblem?.displayText],
-            });
+            const nextProblem = selectProblem(
+              newSolvedCount,
+              currentProblem,
+              nextEndless?.tier
+            );
 
             // デバッグ情報（開発環境のみ）
             if (DEBUG_MODE) {
               debugLog('次の問題を選択:', {
                 displayText: nextProblem?.displayText?.substring(0, 10) + '...',
-                難易度: gameState.difficulty,
+                難易度: nextEndless?.tier || gameState.difficulty,
               });
             }
 
@@ -257,7 +568,18 @@ export function useGameController(options = {}) {
         });
       }
     },
-    [gameState, currentProblem, setGameState, goToScreen]
+    [
+      gameState,
+      currentProblem,
+      setGameState,
+      goToScreen,
+      freeInput,
+      readingChallenge,
+      isTimeAttack,
+      isSurvival,
+      isEndless,
+      selectProblem,
+    ]
   );
 
   /**
@@ -265,6 +587,8 @@ export function useGameController(options = {}) {
    */
   const typing = useTypingGame({
     initialProblem: currentProblem,
+    freeInput,
+    codeOptions,
     playSound: true,
     soundSystem,
     onProblemComplete: handleProblemComplete,
@@ -274,6 +598,513 @@ export function useGameController(options = {}) {
   // 初期化後にRefに保存
   typingRef.current = typing;
 
+  /**
+   * 問題数で終わらないモード（タイムアタック・サバイバル・エンドレス）のゲームを終えてリザルト画面に進む
+   * 打ちかけの問題もそれまでの打鍵を集計に含める
+   * @param {Object} options - 終了の情報
+   * @param {number} options.startTime - 計測を始めた時刻
+   * @param {number} options.elapsedTimeMs - プレイ時間（ミリ秒）
+   * @param {Function} options.getKPM - 累積の統計からKPMを求める関数（読みチャレンジの減点は後でかける）
+   * @param {Object} options.modeStats - リザルト画面に渡すモードごとの情報（{ timeAttack: ... } など）
+   * @param {Object} [options.stateUpdates] - ゲーム状態に合わせて反映する値（isGameClear など）
+   */
+  const finishRun = useCallback(
+    ({ startTime, elapsedTimeMs, getKPM, modeStats, stateUpdates = {} }) => {
+      runOverRef.current = true;
+
+      // これまでに解いた問題と、打ちかけの問題の打鍵を合わせて集計する
+      const keyStats = summarizeKeyStats(gameState, typingRef.current);
+      const {
+        totalCorrectKeyCount,
+        totalMissCount,
+        accuracy,
+        totalCorrectedErrors,
+        totalUncorrectedErrors,
+        netAccuracy,
+      } = keyStats;
+
+      let kpm = getKPM(keyStats);
+      if (readingChallenge) {
+        kpm = applyReadingHintPenalty(kpm, hintCountRef.current);
+      }
+      kpm = Math.round(kpm * 10) / 10;
+
+      if (DEBUG_MODE)
+        console.log('[GameController] ゲーム終了:', {
+          KPM: kpm,
+          正解キー数: totalCorrectKeyCount,
+          解いた問題数: gameState.solvedCount,
+          モード: modeStats,
+        });
+
+      setGameState((prev) => ({
+        ...prev,
+        ...stateUpdates,
+        startTime,
+        endTime: startTime + elapsedTimeMs,
+        totalCorrectKeys: totalCorrectKeyCount,
+        totalMissKeys: totalMissCount,
+        totalCorrectedErrors,
+        totalUncorrectedErrors,
+        stats: {
+          kpm,
+          correctCount: totalCorrectKeyCount,
+          missCount: totalMissCount,
+          accuracy,
+          freeInput,
+          correctedErrorCount: totalCorrectedErrors,
+          uncorrectedErrorCount: totalUncorrectedErrors,
+          netAccuracy,
+          rank: TypingUtils.getRank(kpm) || 'F',
+          problemKPMs: gameState.problemKPMs || [],
+          elapsedTimeMs,
+          totalTime: elapsedTimeMs / 1000,
+          solvedProblems: gameState.solvedCount,
+          problemSeed: gameState.problemSeed || null,
+          dailyChallenge: null,
+          codeTyping: null,
+          readingChallenge: readingChallenge
+            ? {
+                hintCount: hintCountRef.current,
+                penaltyRate: Math.min(
+                  1,
+                  READING_HINT_PENALTY_RATE * hintCountRef.current
+                ),
+              }
+            : null,
+          ...modeStats,
+        },
+      }));
+
+      // リザルト画面に遷移
+      window.lastResultTransition = Date.now();
+      setTimeout(() => {
+        goToScreen(SCREENS.RESULT, {
+          playSound: true,
+          soundType: 'result',
+          gameState: {},
+        });
+      }, 300);
+    },
+    [gameState, setGameState, goToScreen, freeInput, readingChallenge]
+  );
+
+  /**
+   * 打ち終えた問題ごとのKPMの平均を求める（1問も打ち終えていない場合は経過時間から求める）
+   * @param {number} totalCorrectKeyCount - 累積の正しいキーの数
+   * @param {number} elapsedTimeMs - プレイ時間（ミリ秒）
+   * @returns {number} KPM
+   */
+  const getAverageProblemKPM = useCallback(
+    (totalCorrectKeyCount, elapsedTimeMs) => {
+      const problemKPMs = gameState.problemKPMs || [];
+      if (problemKPMs.length > 0) {
+        return (
+          problemKPMs.reduce((sum, value) => sum + value, 0) /
+          problemKPMs.length
+        );
+      }
+      return elapsedTimeMs > 0
+        ? totalCorrectKeyCount / (elapsedTimeMs / 60000)
+        : 0;
+    },
+    [gameState.problemKPMs]
+  );
+
+  /**
+   * タイムアタックの時間切れの処理
+   * 打ちかけの問題も含めた正しいキーの数を制限時間で割ったKPMで、リザルト画面に進む
+   */
+  const handleTimeUp = useCallback(() => {
+    const duration = gameState.timeAttack?.duration || 0;
+
+    // 打ちかけの問題の進み具合（%）
+    const partialProgress =
+      typingRef.current?.typingSessionRef?.current?.getCompletionPercentage?.() ||
+      0;
+
+    finishRun({
+      startTime: runStartRef.current || Date.now(),
+      elapsedTimeMs: duration * 1000,
+      getKPM: ({ totalCorrectKeyCount }) =>
+        calculateTimeAttackKPM(totalCorrectKeyCount, duration),
+      // タイムアタックの情報（制限時間と、時間切れ時に打ちかけだった問題の進み具合）
+      modeStats: { timeAttack: { duration, partialProgress } },
+      stateUpdates: { isGameClear: true },
+    });
+  }, [gameState.timeAttack, finishRun]);
+
+  // タイマーからは最新の処理を呼ぶ
+  handleTimeUpRef.current = handleTimeUp;
+
+  // タイムアタックの計時（最初の問題が表示された時から始める）
+  const hasProblem = !!currentProblem;
+  const timeAttackDuration = gameState.timeAttack?.duration || 0;
+  useEffect(() => {
+    if (!isTimeAttack || !timeAttackDuration || !hasProblem) return;
+
+    if (!runStartRef.current) {
+      runStartRef.current = Date.now();
+    }
+
+    const timer = setInterval(() => {
+      // 一時停止中は残り時間を減らさない（再開時に開始時刻をずらす）
+      if (pausedAtRef.current) return;
+
+      const remaining = Math.max(
+        0,
+        timeAttackDuration * 1000 - (Date.now() - runStartRef.current)
+      );
+      setTimeAttackRemainingMs(remaining);
+
+      if (remaining <= 0 && !runOverRef.current) {
+        runOverRef.current = true;
+        clearInterval(timer);
+        handleTimeUpRef.current?.();
+      }
+    }, 100);
+
+    return () => clearInterval(timer);
+  }, [isTimeAttack, timeAttackDuration, hasProblem]);
+
+  /**
+   * サバイバルの状態を更新する（Refに最新の状態を持ち、GameContextに反映する）
+   */
+  const updateSurvival = useCallback(
+    (nextSurvival) => {
+      survivalRef.current = nextSurvival;
+      setGameState((prev) => ({ ...prev, survival: nextSurvival }));
+    },
+    [setGameState]
+  );
+
+  /**
+   * サバイバルのゲームオーバーの処理
+   * 到達距離（時間内に打ち終えた問題数）と、ライフを失った内訳を付けてリザルト画面に進む
+   * @param {Object} survival - ライフが0になった状態
+   * @param {'mistake'|'timeout'} reason - 最後のライフを失った理由
+   */
+  const handleSurvivalGameOver = useCallback(
+    (survival, reason) => {
+      const endTime = Date.now();
+      const startTime = runStartRef.current || endTime;
+      const elapsedTimeMs = endTime - startTime;
+
+      finishRun({
+        startTime,
+        elapsedTimeMs,
+        getKPM: ({ totalCorrectKeyCount }) =>
+          getAverageProblemKPM(totalCorrectKeyCount, elapsedTimeMs),
+        // サバイバルの情報（到達距離と、ライフを失った内訳）
+        modeStats: {
+          survival: {
+            distance: gameState.solvedCount,
+            maxLives: survival.maxLives,
+            mistakeCount: survival.mistakeCount,
+            timeoutCount: survival.timeoutCount,
+            reason,
+          },
+        },
+        stateUpdates: {
+          isGameOver: true,
+          survival: { ...survival, deadline: null },
+        },
+      });
+    },
+    [gameState.solvedCount, finishRun, getAverageProblemKPM]
+  );
+
+  /**
+   * サバイバルでライフを1つ失った時の処理
+   * ライフが0になったらゲームオーバー、時間切れの場合は打ちかけの打鍵を累積に加えて次の問題に進む
+   * @param {'mistake'|'timeout'} reason - 失った理由
+   */
+  const handleSurvivalLifeLost = useCallback(
+    (reason) => {
+      if (runOverRef.current || !survivalRef.current) return;
+
+      const nextSurvival = loseSurvivalLife(survivalRef.current, reason);
+      if (nextSurvival.lives <= 0) {
+        survivalRef.current = nextSurvival;
+        handleSurvivalGameOver(nextSurvival, reason);
+        return;
+      }
+      updateSurvival(nextSurvival);
+
+      if (reason !== 'timeout') return;
+
+      soundSystem.playSound('error');
+
+      // 時間切れの問題の打鍵も累積に加える（到達距離には数えない）
+      const problemStats = typing?.typingStats?.statsRef?.current || {};
+      const problemUncorrectedErrors =
+        typing?.typingSessionRef?.current?.getErrorStats?.()
+          ?.uncorrectedErrorCount || 0;
+      setGameState((prev) => ({
+        ...prev,
+        totalCorrectKeys:
+          (prev.totalCorrectKeys || 0) + (problemStats.correctKeyCount || 0),
+        totalMissKeys:
+          (prev.totalMissKeys || 0) + (problemStats.mistakeCount || 0),
+        totalCorrectedErrors:
+          (prev.totalCorrectedErrors || 0) +
+          (problemStats.correctedErrorCount || 0),
+        totalUncorrectedErrors:
+          (prev.totalUncorrectedErrors || 0) + problemUncorrectedErrors,
+      }));
+
+      const nextProblem = selectProblem(gameState.solvedCount, currentProblem);
+      setCurrentProblem(nextProblem);
+      if (nextProblem && typing?.setProblem) {
+        typing.setProblem(nextProblem);
+      }
+    },
+    [
+      typing,
+      gameState.solvedCount,
+      currentProblem,
+      setGameState,
+      selectProblem,
+      updateSurvival,
+      handleSurvivalGameOver,
+    ]
+  );
+
+  // タイマー・キー入力からは最新の処理を呼ぶ
+  handleSurvivalLifeLostRef.current = handleSurvivalLifeLost;
+
+  // サバイバル：問題が表示されたら、その問題の制限時間で計時を始める
+  useEffect(() => {
+    if (!isSurvival || !currentProblem || runOverRef.current) return;
+    if (!survivalRef.current) return;
+
+    if (!runStartRef.current) {
+      runStartRef.current = Date.now();
+    }
+    updateSurvival(startSurvivalProblem(survivalRef.current, currentProblem));
+  }, [isSurvival, currentProblem, updateSurvival]);
+
+  // サバイバル：締め切りを過ぎたらライフを1つ失う
+  // 一時停止中は計時せず、再開時に締め切りを一時停止した時間だけ延ばす
+  const survivalDeadline = gameState.survival?.deadline || null;
+  useEffect(() => {
+    if (!survivalDeadline || isPaused) return;
+
+    const timer = setTimeout(() => {
+      handleSurvivalLifeLostRef.current?.('timeout');
+    }, Math.max(0, survivalDeadline - Date.now()));
+
+    return () => clearTimeout(timer);
+  }, [survivalDeadline, isPaused]);
+
+  // エンドレス・ゴーストの記録：最初の問題が表示された時から計測する
+  // 表示した問題はゴーストの記録に加える（同じ問題で二度呼ばれても一度だけ数える）
+  useEffect(() => {
+    if (!currentProblem || currentProblem === shownProblemRef.current) return;
+    shownProblemRef.current = currentProblem;
+    problemIndexRef.current += 1;
+
+    if ((isEndless || ghostRecorderRef.current) && !runStartRef.current) {
+      runStartRef.current = Date.now();
+    }
+    if (ghostRecorderRef.current) {
+      startGhostProblem(ghostRecorderRef.current, currentProblem);
+    }
+  }, [isEndless, currentProblem]);
+
+  // ゴースト対戦：ゴーストの位置とプレイヤーとの時間差を更新する（一時停止中は止める）
+  useEffect(() => {
+    if (!ghostReplay || !hasProblem) return;
+
+    const timer = setInterval(() => {
+      if (pausedAtRef.current || runOverRef.current || !runStartRef.current) return;
+
+      const elapsedMs = Date.now() - runStartRef.current;
+      const session = typingRef.current?.typingSessionRef?.current;
+      const problemIndex = Math.max(0, problemIndexRef.current);
+      const playerProgress = getGhostProgress(
+        ghostReplay,
+        problemIndex,
+        session?.currentCharIndex || 0
+      );
+      const position = getGhostPositionAt(ghostReplay, elapsedMs);
+
+      setGhostStatus({
+        deltaMs: getGhostDeltaMs(ghostReplay, playerProgress, elapsedMs),
+        // ゴーストが同じ問題にいる場合だけ、問題の中の位置にカーソルを表示する
+        cursorUnitIndex:
+          position.problemIndex === problemIndex && !position.finished
+            ? position.unitIndex
+            : null,
+        finished: position.finished,
+      });
+    }, 100);
+
+    return () => clearInterval(timer);
+  }, [ghostReplay, hasProblem]);
+
+  /**
+   * エンドレスをやめる（Escキー・メニューボタン）
+   * 最高到達の段階と段階ごとの内訳を付けてリザルト画面に進む（まだ1打鍵もしていない場合はメニューに戻る）
+   */
+  const handleEndlessQuit = useCallback(() => {
+    if (runOverRef.current || !gameState.endless) return;
+
+    const typedKeys =
+      (typingRef.current?.typingStats?.statsRef?.current?.correctKeyCount ||
+        0) + (gameState.totalCorrectKeys || 0);
+    if (typedKeys === 0) {
+      runOverRef.current = true;
+      goToScreen(SCREENS.MAIN_MENU, { playSound: true, soundType: 'button' });
+      return;
+    }
+
+    // 一時停止の画面からやめた場合は、一時停止している時間をプレイ時間に含めない
+    const endTime = Date.now();
+    const startTime = runStartRef.current || endTime;
+    const pausedMs = pausedAtRef.current ? endTime - pausedAtRef.current : 0;
+    const elapsedTimeMs = endTime - startTime - pausedMs;
+
+    finishRun({
+      startTime,
+      elapsedTimeMs,
+      getKPM: ({ totalCorrectKeyCount }) =>
+        getAverageProblemKPM(totalCorrectKeyCount, elapsedTimeMs),
+      // エンドレスの情報（最高到達の段階、やめた時の段階、段階ごとの内訳）
+      modeStats: {
+        endless: {
+          highestTier: gameState.endless.highestTier,
+          finalTier: gameState.endless.tier,
+          tiers: summarizeEndlessTiers(gameState.endless),
+        },
+      },
+      stateUpdates: { isGameOver: true },
+    });
+  }, [
+    gameState.endless,
+    gameState.totalCorrectKeys,
+    goToScreen,
+    finishRun,
+    getAverageProblemKPM,
+  ]);
+
+  /**
+   * 一時停止する（Escキー・ウィンドウのフォーカスが外れた時）
+   * 再開のカウントダウン中に呼ばれた場合は、カウントダウンをやめて一時停止に戻る
+   */
+  const pauseGame = useCallback(() => {
+    if (runOverRef.current) return;
+
+    if (resumeTimerRef.current) {
+      clearInterval(resumeTimerRef.current);
+      resumeTimerRef.current = null;
+      setResumeCountdown(null);
+    }
+    if (pausedAtRef.current) return;
+
+    const now = Date.now();
+    pausedAtRef.current = now;
+    typingRef.current?.typingStats?.pauseStats?.(now);
+    setIsPaused(true);
+    debugLog('一時停止');
+  }, [debugLog]);
+
+  /**
+   * 一時停止を終えて計時を再開する（カウントダウンの後）
+   * 一時停止していた時間だけ、タイムアタック・エンドレスの開始時刻とサバイバルの締め切りをずらす
+   */
+  const finishPause = useCallback(() => {
+    if (!pausedAtRef.current) return;
+
+    const now = Date.now();
+    const pausedMs = now - pausedAtRef.current;
+    pausedAtRef.current = null;
+    typingRef.current?.typingStats?.resumeStats?.(now);
+
+    if (runStartRef.current) {
+      runStartRef.current += pausedMs;
+    }
+    if (survivalRef.current?.deadline) {
+      updateSurvival({
+        ...survivalRef.current,
+        deadline: survivalRef.current.deadline + pausedMs,
+      });
+    }
+
+    setResumeCountdown(null);
+    setIsPaused(false);
+    debugLog('再開:', { 一時停止した時間ms: pausedMs });
+  }, [updateSurvival, debugLog]);
+
+  /**
+   * 一時停止から再開する（3-2-1のカウントダウンの後に入力を受け付ける）
+   */
+  const resumeGame = useCallback(() => {
+    if (!pausedAtRef.current || resumeTimerRef.current) return;
+
+    let count = RESUME_COUNTDOWN_SECONDS;
+    setResumeCountdown(count);
+    resumeTimerRef.current = setInterval(() => {
+      count -= 1;
+      if (count > 0) {
+        setResumeCountdown(count);
+        return;
+      }
+      clearInterval(resumeTimerRef.current);
+      resumeTimerRef.current = null;
+      finishPause();
+    }, 1000);
+  }, [finishPause]);
+
+  // ウィンドウのフォーカスが外れた時・タブが隠れた時は自動で一時停止する
+  useEffect(() => {
+    const handleBlur = () => pauseGame();
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        pauseGame();
+      }
+    };
+
+    window.addEventListener('blur', handleBlur);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      window.removeEventListener('blur', handleBlur);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [pauseGame]);
+
+  // アンマウント時に再開のカウントダウンを止める
+  useEffect(() => {
+    return () => {
+      if (resumeTimerRef.current) {
+        clearInterval(resumeTimerRef.current);
+        resumeTimerRef.current = null;
+      }
+    };
+  }, []);
+
+  // 問題が変わったらヒントで表示したかなを隠す
+  useEffect(() => {
+    setHintedKanaLength(0);
+  }, [currentProblem]);
+
+  /**
+   * 読みチャレンジのヒント：入力中の位置の次のかなを1文字表示する
+   * 入力済みのかなより先に表示したかながある場合は、その続きを表示する
+   */
+  const revealNextKana = useCallback(() => {
+    const session = typing?.typingSessionRef?.current;
+    if (!session || session.completed || !session.kanaText) return;
+
+    const typedKanaLength = session.getTypedKanaLength?.() || 0;
+    const nextLength = Math.max(hintedKanaLength, typedKanaLength) + 1;
+    if (nextLength > session.kanaText.length) return;
+
+    hintCountRef.current++;
+    setHintedKanaLength(nextLength);
+    debugLog('ヒントを表示:', { nextLength, hintCount: hintCountRef.current });
+  }, [typing, hintedKanaLength, debugLog]);
+
   /**
    * スコア情報の更新処理
    * TypingManiaスタイルのスコアリングシステムをGameControllerレベルで反映
@@ -335,16 +1166,61 @@ export function useGameController(options = {}) {
       // 最小限のセーフティチェック（処理速度優先）
       if (!e?.key) return;
 
-      // Escキーは特別処理（ショートカット）
+      // Escキーで一時停止する（一時停止中は再開、再開のカウントダウン中は一時停止に戻る）
       if (e.key === 'Escape') {
-        goToScreen(SCREENS.MAIN_MENU, { playSound: true, soundType: 'button' });
+        e.preventDefault();
+        if (pausedAtRef.current && !resumeTimerRef.current) {
+          resumeGame();
+        } else {
+          pauseGame();
+        }
+        return;
+      }
+
+      // 一時停止中（再開のカウントダウン中を含む）は入力を受け付けない
+      if (pausedAtRef.current) return;
+
+      // タイムアタック・サバイバル・エンドレスのゲームが終わった後は入力を受け付けない
+      if (runOverRef.current) return;
+
+      // 読みチャレンジではヒントキーで次のかなを表示する（フォーカスの移動は止める）
+      if (readingChallenge && e.key === READING_HINT_KEY) {
+        e.preventDefault();
+        revealNextKana();
         return;
       }
 
+      // 自由入力モードではBackspaceで入力を消す
+      if (e.key === 'Backspace' && typing?.freeInput) {
+        e.preventDefault();
+        typing.handleBackspace();
+        return;
+      }
+
+      // 入力方式に応じた入力文字（JISかな入力では物理キーからかなに変換）
+      const isCode = !!typing?.typingSession?.codeLayout;
+      let inputKey;
+      if (isCode && e.key === 'Tab') {
+        // コードタイピングではTabはフォーカスが移動しないように止めるだけ（インデントは空白で打つ）
+        e.preventDefault();
+        return;
+      }
+      if (isCode && e.key === 'Enter') {
+        // コードタイピングではEnterは改行として入力する
+        e.preventDefault();
+        inputKey = CODE_NEWLINE;
+      } else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        // コードタイピングでは押した文字をそのまま使う
+        inputKey = isCode ? e.key : getInputKeyFromEvent(e);
+      } else {
+        return; // Shift・Tab・矢印キーなど文字を入力しないキー
+      }
+      if (!inputKey) return;
+
       // 入力キー記録を非同期処理に移動してメインスレッドを高速化
       if (onLastPressedKeyChange) {
         queueMicrotask(() => {
-          onLastPressedKeyChange(e.key);
+          onLastPressedKeyChange(inputKey);
         });
       }
 
@@ -355,7 +1231,23 @@ export function useGameController(options = {}) {
       } // パフォーマンス最適化 - 最小限の処理のみをメインスレッドで行う
       try {
         // 入力処理を直接実行して高速化（typingmania-refの実装に着想）
-        const result = typing.handleInput(e.key);
+        // 問題を打ち終えるとすぐに次の問題に切り替わるため、打鍵前のセッションを控えておく
+        const session = typing.typingSessionRef?.current;
+        const result = typing.handleInput(inputKey);
+
+        // ゴーストの記録（正しい入力とミス入力のみ。計測開始からの時刻で記録する）
+        if (
+          ghostRecorderRef.current &&
+          runStartRef.current &&
+          (result?.success || result?.reason === 'incorrect_input')
+        ) {
+          recordGhostKeystroke(ghostRecorderRef.current, {
+            timeMs: Date.now() - runStartRef.current,
+            unitIndex: session?.currentCharIndex || 0,
+            key: inputKey,
+            correct: !!result?.success,
+          });
+        }
 
         // キー入力カウント更新を非同期処理に移動
         queueMicrotask(() => {
@@ -374,6 +1266,14 @@ export function useGameController(options = {}) {
         // キー入力イベントの伝播を即座に止める（最高優先度）
         if (result?.success) {
           e.preventDefault();
+        } else if (
+          isSurvival &&
+          result?.reason === 'incorrect_input' &&
+          inputKey.length === 1
+        ) {
+          // サバイバルでは文字キーのミス入力でのみライフを1つ失う
+          // （Shift・Alt+Tab・矢印キーなどは上で除いているため、ここに来るのは打ち間違えた文字だけ）
+          handleSurvivalLifeLostRef.current?.('mistake');
         }
       } catch (err) {
         // エラー発生時もユーザー体験を維持
@@ -382,7 +1282,15 @@ export function useGameController(options = {}) {
         }
       }
     },
-    [typing, goToScreen, onLastPressedKeyChange]
+    [
+      typing,
+      onLastPressedKeyChange,
+      readingChallenge,
+      revealNextKana,
+      isSurvival,
+      pauseGame,
+      resumeGame,
+    ]
   );
 
   /**
@@ -434,10 +1342,7 @@ export function useGameController(options = {}) {
           category: gameState.category,
         });
 
-      const initialProblem = getRandomProblem({
-        difficulty: gameState.difficulty,
-        category: gameState.category,
-      });
+      const initialProblem = selectProblem(0);
       if (DEBUG_MODE)
         console.log('[GameController] 初期問題をロード:', {
           displayText: initialProblem?.displayText,
@@ -475,7 +1380,7 @@ export function useGameController(options = {}) {
         }, 20); // 遅延を若干増やして確実に設定されるようにする
       }
     }
-  }, [gameState.difficulty, gameState.category, currentProblem, typing]);
+  }, [selectProblem, currentProblem, typing]);
 
   // 返す前の問題状態のログ出力を削除
   return {
@@ -490,8 +1395,43 @@ export function useGameController(options = {}) {
     // スコア情報
     scoreInfo,
 
+    // 読みチャレンジの状態（無効の場合はnull）
+    readingChallenge: readingChallenge
+      ? { hintedKanaLength, hintCount: hintCountRef.current }
+      : null,
+
+    // タイムアタックの状態（タイムアタック以外はnull）
+    timeAttack: isTimeAttack
+      ? {
+          duration: timeAttackDuration,
+          remainingMs: timeAttackRemainingMs ?? timeAttackDuration * 1000,
+        }
+      : null,
+
+    // ゴースト対戦の状態（ゴースト対戦以外はnull）
+    // deltaMs は先行が正・遅れが負、cursorUnitIndex はゴーストが同じ問題にいない場合null
+    ghost: ghostReplay
+      ? {
+          opponentName: gameState.ghost.playerName,
+          opponentKPM: gameState.ghost.kpm,
+          deltaMs: ghostStatus?.deltaMs ?? 0,
+          cursorUnitIndex: ghostStatus ? ghostStatus.cursorUnitIndex : 0,
+          finished: ghostStatus?.finished ?? false,
+        }
+      : null,
+
     // メソッド
     getNextKey,
+    // エンドレスをやめる（エンドレス以外はnull）
+    quitEndless: isEndless ? handleEndlessQuit : null,
+
+    // 一時停止の状態（再開のカウントダウン中は resumeCountdown に残り秒数）
+    pause: {
+      isPaused,
+      resumeCountdown,
+      pauseGame,
+      resumeGame,
+    },
 
     // パフォーマンス測定
     performanceMetrics: {
@@ -1,8 +1,13 @@
 'use client';
 
-import React, { useMemo } from 'react';
+import React, { useMemo, useState, useEffect } from 'react';
 import styles from '../../styles/typing/GameStatusBar.module.css';
 import { getStaticPath } from '../../utils/StaticPathUtils'; // 静的アセットパス用のユーティリティ
+import {
+  getEndlessTierLabel,
+  ENDLESS_TREND_LABELS,
+} from '../../utils/EndlessMode'; // エンドレスの段階と傾向の表示名
+import { formatGhostDelta } from '../../utils/GhostRun'; // ゴーストとの時間差の表示
 
 /**
  * ゲームステータスバーコンポーネント
@@ -16,7 +21,26 @@ const GameStatusBar = React.memo(
     typingStats = {},
     className = '',
     scoreInfo = {}, // スコア情報（score, combo, maxCombo, rank）
+    survival = null, // サバイバルのライフと問題ごとの制限時間（gameState.survival）
+    endless = null, // エンドレスの難易度の段階と傾向（gameState.endless）
+    ghost = null, // ゴースト対戦の相手と時間差（useGameControllerのghost）
+    paused = false, // 一時停止中（残り時間の表示を止める）
   }) => {
+    // サバイバルの問題ごとの残り時間（締め切りの時刻から求める）
+    const deadline = survival?.deadline || null;
+    const [now, setNow] = useState(() => Date.now());
+    useEffect(() => {
+      if (!deadline || paused) return;
+      setNow(Date.now());
+      const timer = setInterval(() => setNow(Date.now()), 100);
+      return () => clearInterval(timer);
+    }, [deadline, paused]);
+    const remainingMs = deadline ? Math.max(0, deadline - now) : 0;
+    const remainingRatio =
+      deadline && survival.timeLimitMs > 0
+        ? remainingMs / survival.timeLimitMs
+        : 0;
+
     // スコア情報の分解（安全なアクセス）- useMemoを使用して再計算を最小化
     const {
       score = 0,
@@ -79,6 +103,99 @@ const GameStatusBar = React.memo(
             height={35}
           />
         </div>
+
+        {/* エンドレス：今の段階と、直近の平均KPMの傾向 */}
+        {endless && (
+          <div className={styles.game_status__endless}>
+            <div className={styles.status_item}>
+              <span className={styles.status_label}>TIER</span>
+              <span className={styles.status_value}>
+                {getEndlessTierLabel(endless.tier)}
+              </span>
+            </div>
+            <div className={styles.status_item}>
+              <span className={styles.status_label}>TREND</span>
+              <span
+                className={`${styles.status_value} ${
+                  styles[`game_status__trend--${endless.trend}`] || ''
+                }`}
+              >
+                {ENDLESS_TREND_LABELS[endless.trend]}
+              </span>
+            </div>
+            {endless.recent.length > 0 && (
+              <div className={styles.status_item}>
+                <span className={styles.status_label}>AVG KPM</span>
+                <span className={styles.status_value}>
+                  {Math.round(endless.rollingKPM)}
+                </span>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* ゴースト対戦：相手と、先行（+）・遅れ（-）の時間差 */}
+        {ghost && (
+          <div className={styles.game_status__ghost}>
+            <div className={styles.status_item}>
+              <span className={styles.status_label}>GHOST</span>
+              <span className={styles.status_value}>
+                {ghost.opponentName}（{ghost.opponentKPM} KPM）
+              </span>
+            </div>
+            <div className={styles.status_item}>
+              <span className={styles.status_label}>
+                {ghost.deltaMs >= 0 ? 'AHEAD' : 'BEHIND'}
+              </span>
+              <span
+                className={`${styles.status_value} ${styles.game_status__ghost_delta} ${
+                  ghost.deltaMs > 0
+                    ? styles['game_status__ghost_delta--ahead']
+                    : ghost.deltaMs < 0
+                      ? styles['game_status__ghost_delta--behind']
+                      : ''
+                }`}
+              >
+                {formatGhostDelta(ghost.deltaMs)}
+              </span>
+            </div>
+          </div>
+        )}
+
+        {/* サバイバル：ライフと問題ごとの残り時間 */}
+        {survival && (
+          <div className={styles.game_status__survival}>
+            <div
+              className={styles.game_status__lives}
+              aria-label={`ライフ ${survival.lives}/${survival.maxLives}`}
+            >
+              <span className={styles.status_label}>LIFE</span>
+              {Array.from({ length: survival.maxLives }, (_, index) => (
+                <span
+                  key={index}
+                  className={`${styles.game_status__life} ${
+                    index < survival.lives ? styles['game_status__life--active'] : ''
+                  }`}
+                />
+              ))}
+            </div>
+            <div className={styles.game_status__countdown}>
+              <span className={styles.game_status__countdown_text}>
+                {(remainingMs / 1000).toFixed(1)}秒
+              </span>
+              <div className={styles.progress_bar}>
+                <div
+                  className={`${styles.game_status__countdown_fill} ${
+                    remainingRatio < 0.25
+                      ? styles['game_status__countdown_fill--warning']
+                      : ''
+                  }`}
+                  style={{ width: `${remainingRatio * 100}%` }}
+                />
+              </div>
+            </div>
+          </div>
+        )}
       </header>
     );
   }
@@ -2,6 +2,7 @@ import React, { memo } from 'react';
 import { motion } from 'framer-motion';
 import styles from '../../styles/GameScreen.module.css';
 import { Animation } from '../../utils/DesignTokens';
+import { getRubySegments } from '../../utils/typing/Furigana';
 
 // デバッグログフラグ - デフォルトで無効化（必要時のみ有効化）
 const DEBUG_PROBLEM_DISPLAY = process.env.NODE_ENV === 'development' && false;
@@ -14,10 +15,18 @@ const DEBUG_PROBLEM_DISPLAY = process.env.NODE_ENV === 'development' && false;
  *
  * @param {Object} props
  * @param {string} props.text - 表示する問題テキスト
+ * @param {Object} [props.problem] - 問題データ（rubyがあれば振り仮名を付けて表示する）
+ * @param {boolean} [props.hideReading] - 振り仮名を隠すかどうか（読みチャレンジ）
  * @param {boolean} props.animate - アニメーション効果を適用するかどうか
  * @param {string} props.className - 追加で適用するCSSクラス名
  */
-const ProblemDisplay = ({ text = '', animate = true, className = '' }) => {
+const ProblemDisplay = ({
+  text = '',
+  problem = null,
+  hideReading = false,
+  animate = true,
+  className = '',
+}) => {
   // 入力データの有効性チェック
   const isValidText = typeof text === 'string';
   const safeText = isValidText ? text : '';
@@ -62,6 +71,30 @@ const ProblemDisplay = ({ text = '', animate = true, className = '' }) => {
     }
   };
 
+  // 振り仮名付きの表示（区切りごとに<ruby>で読みを付ける）
+  const renderRuby = (segments) => (
+    <span>
+      {segments.map((segment, index) =>
+        segment.reading ? (
+          <ruby key={index}>
+            {segment.text}
+            <rp>(</rp>
+            <rt className={styles.typing_game__ruby_reading}>{segment.reading}</rt>
+            <rp>)</rp>
+          </ruby>
+        ) : (
+          <React.Fragment key={index}>{segment.text}</React.Fragment>
+        )
+      )}
+    </span>
+  );
+
+  // 問題の表示テキストと一致する振り仮名がある場合だけ使う
+  const rubySegments =
+    !hideReading && problem?.displayText === safeText
+      ? getRubySegments(problem)
+      : null;
+
   // クラス名を結合（修正: GameScreenから渡されるclassNameを優先的に使用）
   const combinedClassName = `typing-problem ${styles.typingProblem} ${className || ''}`.trim();
 
@@ -72,7 +105,9 @@ const ProblemDisplay = ({ text = '', animate = true, className = '' }) => {
       className={combinedClassName}
       data-testid="problem-display"
     >
-      {renderTextWithLineBreaks(safeText)}
+      {rubySegments
+        ? renderRuby(rubySegments)
+        : renderTextWithLineBreaks(safeText)}
     </p>
   );
 };
@@ -90,6 +125,8 @@ const arePropsEqual = (prevProps, nextProps) => {
 
   return (
     // テキスト比較は上で行ったため、残りのプロパティのみチェック
+    prevProps.problem === nextProps.problem &&
+    prevProps.hideReading === nextProps.hideReading &&
     prevProps.animate === nextProps.animate &&
     prevProps.className === nextProps.className
   );
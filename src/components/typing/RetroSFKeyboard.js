@@ -18,10 +18,14 @@ import React, {
   useMemo,
 } from 'react';
 import styles from '../../styles/typing/RetroKeyboard.module.css';
+import {
+  getKanaKeyLegend,
+  getKanaLegend,
+} from '../../utils/typing/JisKanaLayout';
 
 // キーボードのキー配置（日本語キーボード）
 const KEYBOARD_LAYOUT = [
-  ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0', '-', '^', '\\'],
+  ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0', '-', '^', '¥'],
   ['q', 'w', 'e', 'r', 't', 'y', 'u', 'i', 'o', 'p', '@', '['],
   ['a', 's', 'd', 'f', 'g', 'h', 'j', 'k', 'l', ';', ':', ']'],
   ['z', 'x', 'c', 'v', 'b', 'n', 'm', ',', '.', '/', '\\'],
@@ -47,16 +51,32 @@ const PRESSED_HIGHLIGHT_COLOR = 'rgba(255, 136, 0, 1)'; // 押されたキーの
  * @param {Object} props コンポーネントプロパティ
  * @param {string} props.nextKey 次に入力すべきキー
  * @param {string} props.lastPressedKey 最後に押されたキー
+ * @param {string} props.inputMode 入力モード（'romaji' または JISかな入力の 'kana'）
  * @param {number} props.width キャンバスの幅
  * @param {number} props.height キャンバスの高さ
  * @returns {React.Component} キーボードコンポーネント
  */
 const RetroSFKeyboard = ({
-  nextKey = '',
-  lastPressedKey = '',
+  nextKey: nextInput = '',
+  lastPressedKey: lastPressedInput = '',
+  inputMode = 'romaji',
   width = 800,
   height = 300,
 }) => {
+  const isKanaMode = inputMode === 'kana';
+
+  // かな入力では次の文字・押された文字をキーの刻印に変換してハイライトする
+  const nextKanaKey = useMemo(
+    () => (isKanaMode ? getKanaKeyLegend(nextInput) : null),
+    [isKanaMode, nextInput]
+  );
+  const nextKey = nextKanaKey ? nextKanaKey.legend : nextInput;
+  const lastPressedKey = useMemo(() => {
+    if (!isKanaMode) return lastPressedInput;
+    const pressedKanaKey = getKanaKeyLegend(lastPressedInput);
+    return pressedKanaKey ? pressedKanaKey.legend : lastPressedInput;
+  }, [isKanaMode, lastPressedInput]);
+
   // キャンバスの参照
   const canvasRef = useRef(null);
   const animationFrameRef = useRef(null);
@@ -454,6 +474,47 @@ const RetroSFKeyboard = ({
             );
           }
         }
+      } else if (isKanaMode && getKanaLegend(key)) {
+        // かな入力ではかなを大きく、英数字の刻印を左上に小さく表示
+        const kanaLegend = getKanaLegend(key);
+        ctx.font = 'bold 15px "Hiragino Sans", "Noto Sans JP", sans-serif';
+        ctx.fillText(kanaLegend.kana, position.x + position.width / 2, textY + 2);
+
+        ctx.font = '9px "SF Mono", "Courier New", monospace';
+        ctx.textAlign = 'left';
+        ctx.fillText(displayKey, position.x + 4, position.y + 8 + pressOffset);
+
+        // Shift併用のかな（小書き文字・記号）を右上に表示
+        if (kanaLegend.shiftKana) {
+          const needsShift =
+            isNextKey && nextKanaKey && nextKanaKey.shift;
+          ctx.fillStyle = needsShift ? '#FFCC00' : 'rgba(238, 238, 238, 0.6)';
+          ctx.textAlign = 'right';
+          ctx.font = '10px "Hiragino Sans", "Noto Sans JP", sans-serif';
+          ctx.fillText(
+            kanaLegend.shiftKana,
+            position.x + position.width - 3,
+            position.y + 9 + pressOffset
+          );
+        }
+
+        // Shiftが必要な場合は印を表示
+        if (isNextKey && nextKanaKey && nextKanaKey.shift) {
+          ctx.fillStyle = '#FFCC00';
+          ctx.textAlign = 'center';
+          ctx.font = 'bold 9px "SF Mono", "Courier New", monospace';
+          ctx.fillText(
+            'SHIFT',
+            position.x + position.width / 2,
+            position.y + position.height - 5 + pressOffset
+          );
+        } else if (isNextKey) {
+          ctx.fillStyle = '#FFCC00';
+          const dotY = position.y + position.height - 5 + pressOffset;
+          ctx.fillRect(position.x + position.width / 2 - 6, dotY, 2, 2);
+          ctx.fillRect(position.x + position.width / 2, dotY, 2, 2);
+          ctx.fillRect(position.x + position.width / 2 + 6, dotY, 2, 2);
+        }
       } else {
         // 通常キーのテキスト
         ctx.fillText(displayKey, position.x + position.width / 2, textY);
@@ -678,7 +739,9 @@ const RetroSFKeyboard = ({
     ctx,
     keyPositions,
     nextKey,
+    nextKanaKey,
     lastPressedKey,
+    isKanaMode,
     keyStates,
     animatingKey,
     particles,
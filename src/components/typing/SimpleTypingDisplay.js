@@ -4,6 +4,25 @@ import styles from '../../styles/typing/SimpleTypingDisplay.module.css';
 // デバッグログフラグ - デフォルトで無効化
 const DEBUG_TYPING_DISPLAY = process.env.NODE_ENV === 'development' && false;
 
+/**
+ * テキストの一部を、ゴーストが次に打つ文字に下線を付けて描画する
+ * @param {string} text - 描画するテキスト
+ * @param {number} start - テキストの先頭の、ローマ字全体での位置
+ * @param {number|null} ghostPosition - ゴーストが次に打つ文字の位置（表示しない場合はnull）
+ * @returns {React.ReactNode} 描画する内容
+ */
+const renderWithGhostCursor = (text, start, ghostPosition) => {
+  const index = Number.isInteger(ghostPosition) ? ghostPosition - start : -1;
+  if (index < 0 || index >= text.length) return text;
+  return (
+    <>
+      {text.substring(0, index)}
+      <span className={styles.ghostCursor}>{text.charAt(index)}</span>
+      {text.substring(index + 1)}
+    </>
+  );
+};
+
 /**
  * シンプルなタイピング表示コンポーネント（最適化版）
  *
@@ -23,6 +42,7 @@ const SimpleTypingDisplay = memo(
     currentInput = '', // 現在入力中の文字
     currentCharRomaji = '', // 現在入力中の文字の完全なローマ字表現
     visiblePortion = { start: 0, end: 0 }, // 表示領域の範囲（長いローマ字時）
+    ghostTypedLength = null, // ゴースト対戦でゴーストが打ち終えた文字数（表示しない場合はnull）
   }) => {
     // 安全チェック機能強化のため追加
     const isValidRomaji = typeof romaji === 'string';
@@ -78,7 +98,11 @@ const SimpleTypingDisplay = memo(
     // 入力済み部分（typedLength文字まで） - セーフティチェック付き
     const validTypedLength =
       Number.isInteger(typedLength) && typedLength >= 0 ? typedLength : 0;
-    const typed = safeRomaji.substring(0, validTypedLength) || '';
+    // 通常モードでは入力中の部分（sh → shi の sh など）も入力済みとして表示する
+    const partialLength =
+      inputMode !== 'consonant' && isValidCurrentInput ? currentInput.length : 0;
+    const typed =
+      safeRomaji.substring(0, validTypedLength + partialLength) || '';
 
     // 表示用の変数を準備 - 型チェック強化
     let displayCurrentInput =
@@ -127,7 +151,9 @@ const SimpleTypingDisplay = memo(
     // 表示範囲内での相対的な入力位置を計算
     const relativeTypedLength = Math.max(
       0,
-      typedLength - (showFullText ? 0 : visiblePortion?.start || 0)
+      typedLength +
+        partialLength -
+        (showFullText ? 0 : visiblePortion?.start || 0)
     );
 
     // 入力モードによって表示方法を変更
@@ -161,7 +187,8 @@ const SimpleTypingDisplay = memo(
       displayNextChar = nextChar;
 
       if (showFullText) {
-        const remainingStartPos = typedLength + (nextChar ? 1 : 0);
+        const remainingStartPos =
+          typedLength + partialLength + (nextChar ? 1 : 0);
         displayRemaining = safeRomaji.substring(remainingStartPos) || '';
       } else {
         // 表示範囲内のみの残り部分を計算
@@ -255,6 +282,13 @@ const SimpleTypingDisplay = memo(
       }
     }, [visiblePortion]);
 
+    // ゴーストのカーソルの位置（全体を表示している通常モードのみ）
+    const ghostPosition =
+      showFullText && inputMode !== 'consonant' && Number.isInteger(ghostTypedLength)
+        ? ghostTypedLength
+        : null;
+    const nextCharPosition = validTypedLength + partialLength;
+
     // 外部クラスと内部クラスを結合
     const containerClass = `${styles.typingText} ${className || ''} ${
       isError ? styles.errorShake : ''
@@ -302,7 +336,7 @@ const SimpleTypingDisplay = memo(
           {typed && (
             <span className={styles.typed}>
               {showFullText
-                ? typed
+                ? renderWithGhostCursor(typed, 0, ghostPosition)
                 : effectiveRomaji.substring(
                     0,
                     Math.min(relativeTypedLength, effectiveRomaji.length)
@@ -319,7 +353,7 @@ const SimpleTypingDisplay = memo(
               className={`${styles.nextChar} ${styles.optimizedFocus}`}
               ref={nextCharRef}
             >
-              {displayNextChar}
+              {renderWithGhostCursor(displayNextChar, nextCharPosition, ghostPosition)}
             </span>
           )}{' '}
           {/* 子音入力中の場合は、現在の仮名の残りを表示（セーフティチェック強化） */}
@@ -332,7 +366,13 @@ const SimpleTypingDisplay = memo(
             )}
           {/* 残りの未入力部分（セーフティチェック強化） */}
           {displayRemaining && (
-            <span className={styles.remaining}>{displayRemaining}</span>
+            <span className={styles.remaining}>
+              {renderWithGhostCursor(
+                displayRemaining,
+                nextCharPosition + (displayNextChar ? 1 : 0),
+                ghostPosition
+              )}
+            </span>
           )}
           {/* 後の部分が省略されている場合の省略記号 */}
           {suffixEllipsis && (
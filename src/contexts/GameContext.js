@@ -1,9 +1,19 @@
 'use client';
 
 import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
-import { DIFFICULTIES, getRandomizedProblems } from '../utils/ProblemData';
+import { DIFFICULTIES, getCustomProblems, getRandomizedProblems } from '../utils/ProblemData';
 import soundSystem from '../utils/SoundUtils';
 import StorageUtils from '../utils/StorageUtils';
+import { DEFAULT_INPUT_SCHEME, setActiveInputScheme } from '../utils/typing/InputSchemes';
+import { DEFAULT_ROMAJI_PREFERENCES, setRomajiPreferences } from '../utils/typing/RomajiPreferences';
+import { PROBLEM_SELECTION_STRATEGIES, startProblemSequence } from '../utils/ProblemSelector';
+import { createSeededRandom, generateSeed, normalizeSeed } from '../utils/SeededRandom';
+import { getDailyDateKey, getDailyProblems, startDailyAttempt } from '../utils/DailyChallenge';
+import { CODE_LANGUAGES, CODE_PROBLEM_COUNT, getRandomizedCodeProblems } from '../utils/CodeProblemData';
+import { DEFAULT_TIME_ATTACK_DURATION, normalizeTimeAttackDuration } from '../utils/TimeAttack';
+import { createSurvivalState } from '../utils/SurvivalMode';
+import { createEndlessState, ENDLESS_TIERS } from '../utils/EndlessMode';
+import { getBestGhost } from '../utils/GhostRun';
 
 // ゲームの状態を管理するコンテキスト
 const GameContext = createContext();
@@ -25,6 +35,19 @@ export const SCREENS = {
   CREDITS: 'CREDITS',
   RESULT: 'RESULT',
   RANKING: 'RANKING',
+  LYRICS: 'LYRICS', // 歌詞タイピング（曲の時間に合わせて歌詞を打つ）
+};
+
+// ゲームモードを定義
+export const GAME_MODES = {
+  NORMAL: 'normal', // 設定した難易度・問題数で遊ぶ通常モード
+  DAILY: 'daily', // 今日のチャレンジ（日付で決まる全員共通の問題セット）
+  CODE: 'code', // コードタイピング（ソースコードを書かれたとおりに打つ）
+  LYRICS: 'lyrics', // 歌詞タイピング（LRCの時刻に合わせて行を打つ）
+  TIME_ATTACK: 'timeAttack', // タイムアタック（制限時間まで問題を続けて打つ）
+  SURVIVAL: 'survival', // サバイバル（ライフがなくなるまで問題を続けて打つ）
+  ENDLESS: 'endless', // エンドレス（やめるまで問題を続けて打ち、難易度が自動で変わる）
+  GHOST: 'ghost', // ゴースト対戦（自己ベスト・読み込んだゴーストと同じ問題を打って競う）
 };
 
 // デフォルトのゲーム設定
@@ -36,6 +59,17 @@ const DEFAULT_SETTINGS = {
   sfxEnabled: true,
   sfxVolume: 1.0,
   requiredProblemCount: 8, // デフォルトお題数
+  inputScheme: DEFAULT_INPUT_SCHEME, // ローマ字入力方式（標準・AZIK・ACT）
+  romajiPreferences: { ...DEFAULT_ROMAJI_PREFERENCES }, // 表示するローマ字の綴り（shi/si など）
+  freeInputMode: false, // 自由入力モード（ミスも入力され、Backspaceで修正する）。falseはミスで止まる従来の方式
+  readingChallenge: false, // 読みチャレンジ（振り仮名・かな・ローマ字を隠し、ヒントキーで次のかなを表示する）
+  problemSelectionStrategy: PROBLEM_SELECTION_STRATEGIES.RANDOM, // 問題の選び方（ランダム / 苦手な問題の復習）
+  problemSeed: '', // 出題順のシード（空の場合はゲームごとにランダムなシードを使う）
+  problemFilter: { categories: [], tags: [] }, // 出題範囲（カテゴリ・タグの複数選択。空の場合はすべて）
+  codeLanguage: CODE_LANGUAGES.JAVASCRIPT, // コードタイピングの言語
+  codeSkipIndent: true, // コードタイピングで行頭の空白を自動で飛ばす
+  codeTypeEnter: true, // コードタイピングで行末にEnterキーを打つ
+  timeAttackDuration: DEFAULT_TIME_ATTACK_DURATION, // タイムアタックの制限時間（秒）
   // 高速パフォーマンスモードは常に有効
   highPerformanceMode: true,
   // リファクタリング版GameScreenの使用フラグ
@@ -151,6 +185,18 @@ export const GameProvider = ({ children }) => {
     }
   }, [settings.soundEnabled, settings.sfxEnabled, settings.sfxVolume, settings.bgmEnabled, settings.bgmVolume]);
 
+  // 入力方式が変更されたらローマ字変換に反映
+  useEffect(() => {
+    setActiveInputScheme(settings.inputScheme);
+    console.log(`[GameContext] 入力方式「${settings.inputScheme || DEFAULT_INPUT_SCHEME}」に更新`);
+  }, [settings.inputScheme]);
+
+  // ローマ字表記の好みが変更されたらローマ字変換に反映
+  useEffect(() => {
+    setRomajiPreferences(settings.romajiPreferences);
+    console.log('[GameContext] ローマ字表記の好みを更新:', settings.romajiPreferences);
+  }, [settings.romajiPreferences]);
+
   // 画面遷移時の処理
   useEffect(() => {
     try {
@@ -167,21 +213,169 @@ export const GameProvider = ({ children }) => {
     }
   }, [currentScreen]);
 
+  /**
+   * 今日のチャレンジを始める
+   * 日付で決まる問題セットを順番に出題し、その日最初の挑戦だけをランキング対象にする
+   */
+  const resetDailyChallenge = useCallback(() => {
+    const playerName = StorageUtils.getUsername() || INITIAL_GAME_STATE.playerName;
+    const dateKey = getDailyDateKey();
+    const dailyProblems = getDailyProblems(dateKey);
+    const ranked = startDailyAttempt(playerName, dateKey);
+
+    // 前のゲームで記憶した最近の問題をリセット（今日のチャレンジでは出題順を使わない）
+    startProblemSequence(null);
+    setProblems(dailyProblems);
+
+    const resetState = {
+      ...INITIAL_GAME_STATE,
+      gameMode: GAME_MODES.DAILY,
+      currentProblem: dailyProblems[0] || null,
+      problems: dailyProblems,
+      requiredProblemCount: dailyProblems.length,
+      playerName,
+      problemSeed: null,
+      difficulty: DIFFICULTIES.ALL,
+      category: 'all',
+      dailyChallenge: { dateKey, ranked },
+    };
+
+    setGameState(resetState);
+    console.log(
+      `[GameContext] 今日のチャレンジ（${dateKey}）を開始: ${ranked ? 'ランキング対象' : '練習'}`
+    );
+  }, []);
+
+  /**
+   * コードタイピングを始める
+   * 設定した言語のコードを出題し、行頭の空白・行末の改行の扱いは設定に従う
+   */
+  const resetCodeTyping = useCallback(() => {
+    const language = settings.codeLanguage || DEFAULT_SETTINGS.codeLanguage;
+    const codeProblems = getRandomizedCodeProblems(language, CODE_PROBLEM_COUNT);
+
+    // 前のゲームで記憶した最近の問題をリセット（コードタイピングでは出題順を使わない）
+    startProblemSequence(null);
+    setProblems(codeProblems);
+
+    const codeTyping = {
+      language,
+      skipIndent: settings.codeSkipIndent ?? DEFAULT_SETTINGS.codeSkipIndent,
+      typeEnter: settings.codeTypeEnter ?? DEFAULT_SETTINGS.codeTypeEnter,
+    };
+
+    setGameState({
+      ...INITIAL_GAME_STATE,
+      gameMode: GAME_MODES.CODE,
+      currentProblem: codeProblems[0] || null,
+      problems: codeProblems,
+      requiredProblemCount: codeProblems.length,
+      playerName: StorageUtils.getUsername() || INITIAL_GAME_STATE.playerName,
+      problemSeed: null,
+      difficulty: DIFFICULTIES.ALL,
+      category: 'all',
+      codeTyping,
+    });
+    console.log('[GameContext] コードタイピングを開始:', codeTyping);
+  }, [settings.codeLanguage, settings.codeSkipIndent, settings.codeTypeEnter]);
+
+  /**
+   * ゴースト対戦を始める
+   * ゴーストが打った問題を同じ順番で出題する（ゴーストの指定がない場合は設定した難易度の自己ベスト）
+   * @param {Object|null} ghost - 対戦するゴースト（読み込んだファイル・もう一度遊ぶ時の前回のゴースト）
+   */
+  const resetGhostRace = useCallback((ghost) => {
+    const playerName = StorageUtils.getUsername() || INITIAL_GAME_STATE.playerName;
+    const opponent = ghost || getBestGhost(playerName, settings.difficulty);
+    if (!opponent) {
+      console.error('[ERROR] 対戦するゴーストがありません。');
+      return;
+    }
+
+    // 前のゲームで記憶した最近の問題をリセット（ゴースト対戦では出題順を使わない）
+    startProblemSequence(null);
+    setProblems(opponent.problems);
+
+    setGameState({
+      ...INITIAL_GAME_STATE,
+      gameMode: GAME_MODES.GHOST,
+      currentProblem: opponent.problems[0] || null,
+      problems: opponent.problems,
+      requiredProblemCount: opponent.problems.length,
+      playerName,
+      problemSeed: null,
+      difficulty: opponent.difficulty,
+      category: 'all',
+      ghost: opponent,
+    });
+    console.log(
+      `[GameContext] ゴースト対戦を開始: ${opponent.playerName}（${opponent.difficulty}・${opponent.kpm} KPM）`
+    );
+  }, [settings.difficulty]);
+
   // ゲームをリセットする関数
-  const resetGame = useCallback(() => {
+  const resetGame = useCallback((options = {}) => {
     try {
+      if (options?.gameMode === GAME_MODES.DAILY) {
+        resetDailyChallenge();
+        return;
+      }
+      if (options?.gameMode === GAME_MODES.CODE) {
+        resetCodeTyping();
+        return;
+      }
+      if (options?.gameMode === GAME_MODES.GHOST) {
+        resetGhostRace(options.ghost || null);
+        return;
+      }
+
+      // タイムアタックは通常のゲームと同じ出題範囲・シードで、時間切れまで問題を続けて出題する
+      const isTimeAttack = options?.gameMode === GAME_MODES.TIME_ATTACK;
+      // サバイバルも同じく、ライフがなくなるまで問題を続けて出題する
+      const isSurvival = options?.gameMode === GAME_MODES.SURVIVAL;
+      // エンドレスはやめるまで問題を続けて出題し、難易度はやさしいから自動で変える
+      const isEndless = options?.gameMode === GAME_MODES.ENDLESS;
+
       // 問題をランダム化して取得
       const requiredProblemCount =
         settings.requiredProblemCount || DEFAULT_SETTINGS.requiredProblemCount;
         // 詳細なデバッグログ
       console.log('[GameContext] ゲームリセット - 難易度設定:', {
         設定難易度: settings.difficulty,
-        問題数: requiredProblemCount
+        問題数: requiredProblemCount,
+        シード: settings.problemSeed || '自動',
+        出題範囲: settings.problemFilter
       });
       
+      // 出題順のシードを決める
+      // シードを入力した場合は、苦手な問題の復習・出題範囲・取り込んだ問題セットよりも出題順の再現を優先する。
+      // シードを入力していない場合、復習モードや、出題範囲を絞っている・問題セットを取り込んでいる時は
+      // 出題順がその端末の記録や設定に左右され、シードだけでは再現できないためシードを使わない
+      const enteredSeed = normalizeSeed(settings.problemSeed);
+      const savedFilter = settings.problemFilter || DEFAULT_SETTINGS.problemFilter;
+      const usesLocalProblems =
+        (savedFilter.categories || []).length > 0 ||
+        (savedFilter.tags || []).length > 0 ||
+        getCustomProblems().length > 0;
+      const problemSeed =
+        enteredSeed ||
+        (settings.problemSelectionStrategy === PROBLEM_SELECTION_STRATEGIES.REVIEW ||
+        usesLocalProblems
+          ? null
+          : generateSeed());
+      startProblemSequence(problemSeed);
+
+      // 出題範囲（前回選んだカテゴリ・タグ）
+      // シード付きのゲームは、端末ごとに違う出題範囲や取り込んだ問題セットに左右されないよう、
+      // 組み込みの問題すべてから出題する（同じシード・難易度・問題数なら誰でも同じ順番になる）
+      const problemFilter = problemSeed ? DEFAULT_SETTINGS.problemFilter : savedFilter;
+
       const currentProblems = getRandomizedProblems(
         settings.difficulty,
-        requiredProblemCount
+        requiredProblemCount,
+        problemFilter,
+        problemSeed ? createSeededRandom(problemSeed) : Math.random,
+        !problemSeed
       );
       setProblems(currentProblems);
 
@@ -197,13 +391,30 @@ export const GameProvider = ({ children }) => {
       // ゲームステートをリセット
       const resetState = {
         ...INITIAL_GAME_STATE,
+        gameMode: isTimeAttack
+          ? GAME_MODES.TIME_ATTACK
+          : isSurvival
+            ? GAME_MODES.SURVIVAL
+            : isEndless
+              ? GAME_MODES.ENDLESS
+              : GAME_MODES.NORMAL,
         currentProblem: initialProblem,
         problems: currentProblems,
         requiredProblemCount,
         playerName: StorageUtils.getUsername() || INITIAL_GAME_STATE.playerName,
-        // 難易度を明示的にゲームステートにも設定
-        difficulty: settings.difficulty,
-        category: 'all' // カテゴリーも明示的に設定
+        problemSeed, // リザルト画面に表示する出題順のシード
+        problemFilter,
+        // 難易度を明示的にゲームステートにも設定（エンドレスは最初の段階から始める）
+        difficulty: isEndless ? ENDLESS_TIERS[0] : settings.difficulty,
+        category: 'all', // カテゴリーも明示的に設定
+        // タイムアタックの制限時間（秒）
+        timeAttack: isTimeAttack
+          ? { duration: normalizeTimeAttackDuration(settings.timeAttackDuration) }
+          : null,
+        // サバイバルのライフと問題ごとの制限時間
+        survival: isSurvival ? createSurvivalState() : null,
+        // エンドレスの難易度の段階と段階ごとの集計
+        endless: isEndless ? createEndlessState() : null,
       };
 
       setGameState(resetState);
@@ -211,13 +422,24 @@ export const GameProvider = ({ children }) => {
     } catch (error) {
       console.error('[GameContext] ゲームリセットエラー:', error);
     }
-  }, [settings.difficulty, settings.requiredProblemCount]);
+  }, [
+    settings.difficulty,
+    settings.requiredProblemCount,
+    settings.problemSeed,
+    settings.problemSelectionStrategy,
+    settings.problemFilter,
+    settings.timeAttackDuration,
+    resetDailyChallenge,
+    resetCodeTyping,
+    resetGhostRace,
+  ]);
 
   // 画面を切り替える関数
-  const navigateTo = useCallback((screen) => {
+  // ゲーム画面に遷移する場合は options.gameMode でゲームモードを指定できる
+  const navigateTo = useCallback((screen, options = null) => {
     if (Object.values(SCREENS).includes(screen)) {
       if (screen === SCREENS.GAME) {
-        resetGame();
+        resetGame(options || {});
       }
       setCurrentScreen(screen);
       console.log(`[GameContext] 画面遷移: ${screen}`);
@@ -8,6 +8,7 @@
 
 import { useRef, useState, useEffect, useCallback } from 'react';
 import TypingUtils from '@/utils/TypingUtils';
+import { isCodeProblem } from '@/utils/typing/CodeTyping';
 
 /**
  * タイピングセッションのコア状態管理（リファクタリング・安定化版 2025年5月12日）
@@ -18,6 +19,8 @@ export function useTypingCore(options = {}) {
   // オプションのセーフティチェック
   const {
     initialProblem = null,
+    freeInput = false, // 自由入力モード（ミスも入力し、Backspaceで修正）
+    codeOptions = null, // コードの問題の入力オプション（行頭の空白を飛ばすか、行末でEnterを打つか）
     onProblemStateChange = () => {},
     onSessionInitialized = () => {},
   } = options || {};
@@ -56,6 +59,7 @@ export function useTypingCore(options = {}) {
     currentInput: '',
     expectedNextChar: '',
     currentCharRomaji: '',
+    codeCursor: -1, // コードの問題のカーソル位置（かなの問題では-1）
     updated: Date.now(), // 更新時刻を追加
   });
 
@@ -67,7 +71,12 @@ export function useTypingCore(options = {}) {
    */
   const validateProblem = useCallback((problem) => {
     if (!problem) return false;
-    if (!problem.kanaText || typeof problem.kanaText !== 'string') return false;
+    // コードの問題はかなの代わりにソースコードを打つ
+    if (isCodeProblem(problem)) {
+      if (!problem.code.trim()) return false;
+    } else if (!problem.kanaText || typeof problem.kanaText !== 'string') {
+      return false;
+    }
     if (!problem.displayText || typeof problem.displayText !== 'string')
       return false;
     return true;
@@ -108,7 +117,10 @@ export function useTypingCore(options = {}) {
         }
 
         // 新しいタイピングセッションを作成（エラーハンドリング強化）
-        const session = TypingUtils.createTypingSession(problem);
+        const session = TypingUtils.createTypingSession(problem, {
+          freeInput,
+          codeOptions: codeOptions || {},
+        });
         if (!session) {
           console.error('[useTypingCore] セッションの作成に失敗しました');
           sessionStatusRef.current.errorCount++;
@@ -155,6 +167,7 @@ export function useTypingCore(options = {}) {
           currentInput: colorInfo?.currentInput || '',
           expectedNextChar: colorInfo?.expectedNextChar || '',
           currentCharRomaji: colorInfo?.currentCharRomaji || '',
+          codeCursor: colorInfo?.codeCursor ?? -1, // コードの問題のカーソル位置
           updated: Date.now(), // 更新時刻を含める
         };
 
@@ -185,7 +198,7 @@ export function useTypingCore(options = {}) {
         return false;
       }
     },
-    [validateProblem]
+    [validateProblem, freeInput, codeOptions]
   );
 
   /**
@@ -9,6 +9,34 @@
 import { useRef, useState, useCallback, useEffect } from 'react';
 import TypingUtils from '@/utils/TypingUtils';
 
+/**
+ * セッションの色分け情報から表示情報を作る
+ * @param {Object} session タイピングセッション
+ * @returns {Object} 表示情報
+ */
+function buildDisplayInfo(session) {
+  let colorInfo = {};
+  try {
+    // 高速アクセス - 最小限のチェック
+    colorInfo = session.getColoringInfo?.() || {};
+  } catch (e) {
+    console.error('[useTypingInput] 情報取得エラー:', e);
+  }
+
+  return {
+    romaji: colorInfo.romaji || '',
+    typedLength: colorInfo.typedLength || 0,
+    currentInputLength: colorInfo.currentInputLength || 0,
+    currentCharIndex: colorInfo.currentCharIndex || 0,
+    currentInput: colorInfo.currentInput || '',
+    errorInput: colorInfo.errorInput || '', // 自由入力モードで残っている間違いの入力
+    expectedNextChar: colorInfo.expectedNextChar || '',
+    currentCharRomaji: colorInfo.currentCharRomaji || '',
+    codeCursor: colorInfo.codeCursor ?? -1, // コードの問題のカーソル位置（かなの問題では-1）
+    updated: Date.now(),
+  };
+}
+
 /**
  * タイピング入力処理（リファクタリング・安定化版 2025年5月12日）
  * @param {Object} options 設定オプション
@@ -22,6 +50,7 @@ export function useTypingInput(options = {}) {
     completedRef,
     onCorrectInput = () => {},
     onIncorrectInput = () => {},
+    onCorrection = () => {}, // 自由入力モードでBackspaceを押した時のコールバック
     onComplete = () => {},
     onLineEnd = () => {}, // 行の終了時コールバック（タイムベース更新用）
     playSound = true,
@@ -182,7 +211,8 @@ export function useTypingInput(options = {}) {
   const handleInput = useCallback(
     (key) => {
       // キー入力のセーフティチェック（最小限に）
-      if (typeof key !== 'string') {
+      // Shift・Tab・矢印キーなど1文字でないキー名は入力として扱わない（ミスにも数えない）
+      if (typeof key !== 'string' || key.length !== 1) {
         debugLog('無効なキー入力:', key);
         return { success: false, reason: 'invalid_key' };
       }
@@ -229,8 +259,11 @@ export function useTypingInput(options = {}) {
               result.status = 'all_completed';
             }
           } else if (acceptResult === -1) {
-            // 不正解
-            result = { success: false, status: 'wrong_input' };
+            // 不正解（自由入力モードでは間違いとして入力に残る）
+            result = {
+              success: false,
+              status: session.errorInput ? 'error_entered' : 'wrong_input',
+            };
           } else {
             // 無効（通常ここには来ないはず）
             result = { success: false, status: 'invalid_input' };
@@ -280,28 +313,8 @@ export function useTypingInput(options = {}) {
           }
 
           // 表示情報と進捗情報を取得
-          let colorInfo = {};
-          let progress = 0;
-
-          try {
-            // 高速アクセス - 最小限のチェック
-            colorInfo = session.getColoringInfo?.() || {};
-            progress = session.getCompletionPercentage?.() || 0;
-          } catch (e) {
-            console.error('[useTypingInput] 情報取得エラー:', e);
-          }
-
-          // 安全な表示情報を構築
-          const displayInfo = {
-            romaji: colorInfo.romaji || '',
-            typedLength: colorInfo.typedLength || 0,
-            currentInputLength: colorInfo.currentInputLength || 0,
-            currentCharIndex: colorInfo.currentCharIndex || 0,
-            currentInput: colorInfo.currentInput || '',
-            expectedNextChar: colorInfo.expectedNextChar || '',
-            currentCharRomaji: colorInfo.currentCharRomaji || '',
-            updated: Date.now(),
-          };
+          const displayInfo = buildDisplayInfo(session);
+          const progress = session.getCompletionPercentage?.() || 0;
 
           // スコア情報を更新
           updateScore(); // コールバック呼び出しと完了チェック
@@ -357,10 +370,17 @@ export function useTypingInput(options = {}) {
             });
           }
 
+          // 自由入力モードでは間違えた文字が表示に残るため表示情報も渡す
+          const displayInfo =
+            result.status === 'error_entered'
+              ? buildDisplayInfo(session)
+              : null;
+
           // コールバック呼び出し
           onIncorrectInput({
             key,
             expectedKey,
+            displayInfo,
             timestamp: Date.now(),
           });
 
@@ -385,6 +405,35 @@ export function useTypingInput(options = {}) {
     ]
   );
 
+  /**
+   * Backspaceの処理（自由入力モード用）
+   * 間違いの入力を消した場合は訂正したミスとして通知する
+   */
+  const handleBackspace = useCallback(() => {
+    if (completedRef.current || isCompleted) {
+      return { success: false, reason: 'session_completed' };
+    }
+
+    const session = sessionRef.current;
+    if (!session || typeof session.handleBackspace !== 'function') {
+      return { success: false, reason: 'session_not_found' };
+    }
+
+    const result = session.handleBackspace();
+    if (!result.success) {
+      return { success: false, reason: result.status };
+    }
+
+    const displayInfo = buildDisplayInfo(session);
+    debugLog('Backspace:', result.status);
+    onCorrection({
+      displayInfo,
+      correctedError: result.status === 'error_corrected',
+    });
+
+    return { success: true, displayInfo };
+  }, [sessionRef, completedRef, isCompleted, onCorrection, debugLog]);
+
   /**
    * 初期化処理 - リアルタイム更新の開始
    */
@@ -408,6 +457,7 @@ export function useTypingInput(options = {}) {
 
   return {
     handleInput,
+    handleBackspace,
     errorAnimation,
     lastPressedKey,
     setLastPressedKey,
@@ -27,8 +27,13 @@ export function useTypingStats(options = {}) {
   const statsRef = useRef({
     correctKeyCount: 0,
     mistakeCount: 0,
+    correctedErrorCount: 0, // 自由入力モードでBackspaceで消したミス
     startTime: null,
     currentProblemStartTime: null,
+    lastKeyTime: null,
+    keyIntervals: [], // 正解した打鍵の間隔（遅い打鍵の判定用）
+    pausedAt: null, // 一時停止した時刻（一時停止中のみ）
+    pausedMs: 0, // 計測開始後に一時停止していた時間の合計（経過時間から除く）
     problemStats: [],
   });
 
@@ -51,8 +56,13 @@ export function useTypingStats(options = {}) {
     statsRef.current = {
       correctKeyCount: 0,
       mistakeCount: 0,
+      correctedErrorCount: 0,
       startTime: null,
       currentProblemStartTime: null,
+      lastKeyTime: null,
+      keyIntervals: [],
+      pausedAt: null,
+      pausedMs: 0,
       // 前の問題のミス数を記録（問題ごとのミス数計算用）
       previousProblemMistakeCount: keepHistory
         ? currentStats.mistakeCount || 0
@@ -68,6 +78,48 @@ export function useTypingStats(options = {}) {
       rank: 'F',
     });
   }, []);
+  /**
+   * 計測開始からの経過時間（一時停止していた時間を除く）
+   * @param {number} startTime - 計測の開始時刻
+   * @param {number} timestamp - 現在の時刻
+   * @returns {number} 経過時間（ミリ秒）
+   */
+  const getActiveElapsedMs = (startTime, timestamp) => {
+    const stats = statsRef.current;
+    const pausingMs = stats.pausedAt ? timestamp - stats.pausedAt : 0;
+    return Math.max(0, timestamp - startTime - stats.pausedMs - pausingMs);
+  };
+
+  /**
+   * 一時停止する（再開するまでの時間はKPMの経過時間に含めない）
+   * @param {number} [timestamp=Date.now()] - 一時停止した時刻
+   */
+  const pauseStats = useCallback((timestamp = Date.now()) => {
+    const stats = statsRef.current;
+    if (!stats.pausedAt) {
+      stats.pausedAt = timestamp;
+    }
+  }, []);
+
+  /**
+   * 一時停止から再開する
+   * 計測開始後の一時停止の時間を経過時間から除き、打鍵間隔にも含めないようにする
+   * @param {number} [timestamp=Date.now()] - 再開した時刻
+   */
+  const resumeStats = useCallback((timestamp = Date.now()) => {
+    const stats = statsRef.current;
+    if (!stats.pausedAt) return;
+
+    const pausedDuration = Math.max(0, timestamp - stats.pausedAt);
+    stats.pausedAt = null;
+    if (stats.startTime) {
+      stats.pausedMs += pausedDuration;
+    }
+    if (stats.lastKeyTime) {
+      stats.lastKeyTime += pausedDuration;
+    }
+  }, []);
+
   /**
    * 正解入力をカウント
    * Weather Typing方式: 初回キーから計測開始
@@ -88,6 +140,12 @@ export function useTypingStats(options = {}) {
     // 正解カウントを更新
     stats.correctKeyCount += 1;
 
+    // 前の正解からの打鍵間隔を記録
+    if (stats.lastKeyTime) {
+      stats.keyIntervals.push(timestamp - stats.lastKeyTime);
+    }
+    stats.lastKeyTime = timestamp;
+
     // スケジュールされた更新がなければ、新しく設定
     if (!statsUpdateTimerRef.current) {
       statsUpdateTimerRef.current = setTimeout(() => {
@@ -109,6 +167,15 @@ export function useTypingStats(options = {}) {
     }));
   }, []);
 
+  /**
+   * 自由入力モードで間違いをBackspaceで消した回数をカウント
+   * 消されずに残ったミス（未訂正のミス）はここでは数えず、セッションの getErrorStats().uncorrectedErrorCount
+   * （問題が終わった時点で残っている間違いの文字数）を使う
+   */
+  const countCorrection = useCallback(() => {
+    statsRef.current.correctedErrorCount += 1;
+  }, []);
+
   /**
    * 表示用統計情報を更新（Workerベース）
    */
@@ -126,8 +193,9 @@ export function useTypingStats(options = {}) {
     const totalCount = correctCount + missCount;
 
     // 統計データ準備
-    const startTime = stats.startTime || Date.now();
-    const elapsedTimeMs = Date.now() - startTime;
+    const now = Date.now();
+    const startTime = stats.startTime || now;
+    const elapsedTimeMs = getActiveElapsedMs(startTime, now);
 
     // Worker用データ構築
     const statsData = {
@@ -181,8 +249,9 @@ export function useTypingStats(options = {}) {
       const { timestamp = Date.now() } = options;
 
       const stats = statsRef.current; // 問題ごとの統計情報を計算
+      // 一時停止していた時間は問題の経過時間に含めない
       const problemElapsedMs = stats.currentProblemStartTime
-        ? timestamp - stats.currentProblemStartTime
+        ? getActiveElapsedMs(stats.currentProblemStartTime, timestamp)
         : 0;
       const problemKeyCount = stats.correctKeyCount || 0;
       const problemMistakeCount = stats.mistakeCount || 0;
@@ -368,8 +437,11 @@ export function useTypingStats(options = {}) {
     resetStats,
     countCorrectKey,
     countMistake,
+    countCorrection,
     updateDisplayStats,
     recordProblemCompletion,
+    pauseStats,
+    resumeStats,
 
     /**
      * タイピングミスを記録 (互換性用メソッド - countMistakeを呼び出す)
@@ -378,6 +450,13 @@ export function useTypingStats(options = {}) {
       return countMistake();
     }, [countMistake]),
 
+    /**
+     * ミスの訂正を記録 (countCorrectionを呼び出す)
+     */
+    recordCorrection: useCallback(() => {
+      return countCorrection();
+    }, [countCorrection]),
+
     /**
      * 最新の統計情報を取得
      */ getLatestStats: useCallback(() => {
@@ -385,6 +464,7 @@ export function useTypingStats(options = {}) {
         ...displayStats,
         correctKeyCount: statsRef.current.correctKeyCount,
         mistakeCount: statsRef.current.mistakeCount,
+        correctedErrorCount: statsRef.current.correctedErrorCount,
       };
     }, [displayStats]),
 
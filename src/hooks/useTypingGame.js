@@ -25,6 +25,8 @@ const DEBUG_MODE = process.env.NODE_ENV === 'development' && false; // 必要に
  *
  * @param {Object} options タイピングゲームの設定オプション
  * @param {Object} options.initialProblem 初期問題
+ * @param {boolean} options.freeInput 自由入力モード（ミスも入力し、Backspaceで修正）
+ * @param {Object} options.codeOptions コードの問題の入力オプション（skipIndent, typeEnter）
  * @param {boolean} options.playSound 効果音を再生するかどうか
  * @param {Object} options.soundSystem サウンドシステム
  * @param {Function} options.onProblemComplete 問題完了時のコールバック
@@ -34,6 +36,8 @@ const DEBUG_MODE = process.env.NODE_ENV === 'development' && false; // 必要に
 export function useTypingGame(options = {}) {
   const {
     initialProblem = null,
+    freeInput = false,
+    codeOptions = null,
     playSound = true,
     soundSystem = DEFAULT_SOUND_SYSTEM,
     onProblemComplete = () => {},
@@ -72,6 +76,8 @@ export function useTypingGame(options = {}) {
    */
   const typingCore = useTypingCore({
     initialProblem,
+    freeInput,
+    codeOptions,
     onProblemStateChange: handleProblemStateChange,
     onSessionInitialized: (session) => {
       // セッション初期化時の追加処理
@@ -120,10 +126,24 @@ export function useTypingGame(options = {}) {
       // 統計情報を更新
       typingStats.recordCorrectKey();
     },
-    onIncorrectInput: () => {
+    onIncorrectInput: ({ displayInfo }) => {
+      // 自由入力モードでは間違えた文字が表示に残る
+      if (displayInfo) {
+        typingCore.setDisplayData(displayInfo);
+      }
+
       // ミス入力を記録
       typingStats.recordMistake();
     },
+    onCorrection: ({ displayInfo, correctedError }) => {
+      // Backspaceで消した後の表示に更新
+      typingCore.setDisplayData(displayInfo);
+
+      // 間違いを消した場合は訂正したミスとして記録
+      if (correctedError) {
+        typingStats.recordCorrection();
+      }
+    },
     onComplete: ({ result, displayInfo, progress, combo, maxCombo }) => {
       try {
         // 完了フラグを設定（エラーハンドリング強化）
@@ -326,8 +346,10 @@ export function useTypingGame(options = {}) {
           currentInputLength: colorInfo.currentInputLength || 0,
           currentCharIndex: colorInfo.currentCharIndex || 0,
           currentInput: colorInfo.currentInput || '',
+          errorInput: '',
           expectedNextChar: colorInfo.expectedNextChar || '',
           currentCharRomaji: colorInfo.currentCharRomaji || '',
+          codeCursor: colorInfo.codeCursor ?? -1,
         });
       }
 
@@ -371,8 +393,12 @@ export function useTypingGame(options = {}) {
     // 統計参照を直接公開（アクセスしやすいように）
     statsRef: typingStats.statsRef,
 
+    // 自由入力モードかどうか
+    freeInput,
+
     // メソッド
     handleInput: typingInput.handleInput,
+    handleBackspace: typingInput.handleBackspace,
     setProblem,
     getNextKey,
 
@@ -0,0 +1,212 @@
+/**
+ * コードタイピングの問題データ
+ * 言語ごとのスターターパック
+ *
+ * 問題の形式:
+ * - displayText: 画面に表示する問題名
+ * - code: 打つソースコード（書かれたとおりに1文字ずつ打つ。インデントは空白で書く）
+ * - language: 言語（CODE_LANGUAGESの値）
+ * - category / tags: かなの問題と同じ分類（categoryは常にプログラミング）
+ */
+
+import { CATEGORIES } from './ProblemData';
+import { shuffleArray } from './SeededRandom';
+
+// 言語の定義
+export const CODE_LANGUAGES = {
+  JAVASCRIPT: 'javascript',
+  PYTHON: 'python',
+  HTML: 'html',
+};
+
+// 言語の表示名
+export const CODE_LANGUAGE_LABELS = {
+  [CODE_LANGUAGES.JAVASCRIPT]: 'JavaScript',
+  [CODE_LANGUAGES.PYTHON]: 'Python',
+  [CODE_LANGUAGES.HTML]: 'HTML',
+};
+
+// 1回のゲームで出題するコードの数（かなの問題より長いため少なめ）
+export const CODE_PROBLEM_COUNT = 3;
+
+/**
+ * 問題データを作成する
+ * @param {string} language - 言語
+ * @param {string} displayText - 問題名
+ * @param {string} code - ソースコード
+ * @returns {Object} 問題データ
+ */
+const createCodeProblem = (language, displayText, code) => ({
+  displayText,
+  code,
+  language,
+  category: CATEGORIES.PROGRAMMING,
+  tags: [CODE_LANGUAGE_LABELS[language], 'コード'],
+});
+
+// JavaScriptのスターターパック
+export const javascriptProblems = [
+  createCodeProblem(
+    CODE_LANGUAGES.JAVASCRIPT,
+    '配列の合計',
+    `const sum = (numbers) => {
+  return numbers.reduce((total, n) => total + n, 0);
+};`
+  ),
+  createCodeProblem(
+    CODE_LANGUAGES.JAVASCRIPT,
+    'FizzBuzz',
+    `for (let i = 1; i <= 15; i++) {
+  if (i % 15 === 0) console.log('FizzBuzz');
+  else if (i % 3 === 0) console.log('Fizz');
+  else if (i % 5 === 0) console.log('Buzz');
+  else console.log(i);
+}`
+  ),
+  createCodeProblem(
+    CODE_LANGUAGES.JAVASCRIPT,
+    'データの取得',
+    `async function fetchUser(id) {
+  const res = await fetch(\`/api/users/\${id}\`);
+  if (!res.ok) throw new Error(res.statusText);
+  return res.json();
+}`
+  ),
+  createCodeProblem(
+    CODE_LANGUAGES.JAVASCRIPT,
+    'クラスの定義',
+    `class Counter {
+  #count = 0;
+
+  increment() {
+    this.#count += 1;
+    return this.#count;
+  }
+}`
+  ),
+  createCodeProblem(
+    CODE_LANGUAGES.JAVASCRIPT,
+    '配列の絞り込み',
+    `const adults = users
+  .filter((user) => user.age >= 20)
+  .map(({ name }) => name.toUpperCase());`
+  ),
+];
+
+// Pythonのスターターパック
+export const pythonProblems = [
+  createCodeProblem(
+    CODE_LANGUAGES.PYTHON,
+    'あいさつ関数',
+    `def greet(name: str) -> str:
+    return f"Hello, {name}!"`
+  ),
+  createCodeProblem(
+    CODE_LANGUAGES.PYTHON,
+    '偶数の二乗',
+    `squares = [n ** 2 for n in range(10) if n % 2 == 0]
+print(squares)`
+  ),
+  createCodeProblem(
+    CODE_LANGUAGES.PYTHON,
+    'ファイルの読み込み',
+    `with open("data.txt", encoding="utf-8") as f:
+    for line in f:
+        print(line.strip())`
+  ),
+  createCodeProblem(
+    CODE_LANGUAGES.PYTHON,
+    '単語の数え上げ',
+    `from collections import Counter
+
+def count_words(text):
+    words = text.lower().split()
+    return Counter(words).most_common(3)`
+  ),
+  createCodeProblem(
+    CODE_LANGUAGES.PYTHON,
+    '例外処理',
+    `try:
+    value = int(input("> "))
+except ValueError as e:
+    print(f"Error: {e}")
+else:
+    print(value * 2)`
+  ),
+];
+
+// HTMLのスターターパック
+export const htmlProblems = [
+  createCodeProblem(
+    CODE_LANGUAGES.HTML,
+    'リンク',
+    `<a href="https://example.com" target="_blank">Example</a>`
+  ),
+  createCodeProblem(
+    CODE_LANGUAGES.HTML,
+    'リスト',
+    `<ul class="menu">
+  <li><a href="#home">Home</a></li>
+  <li><a href="#about">About</a></li>
+</ul>`
+  ),
+  createCodeProblem(
+    CODE_LANGUAGES.HTML,
+    'フォーム',
+    `<form action="/login" method="post">
+  <label for="name">Name</label>
+  <input id="name" type="text" required>
+  <button type="submit">Login</button>
+</form>`
+  ),
+  createCodeProblem(
+    CODE_LANGUAGES.HTML,
+    'ページの骨組み',
+    `<!DOCTYPE html>
+<html lang="ja">
+  <head>
+    <meta charset="UTF-8">
+    <title>My Page</title>
+  </head>
+</html>`
+  ),
+];
+
+// 言語ごとの問題
+const CODE_PROBLEM_PACKS = {
+  [CODE_LANGUAGES.JAVASCRIPT]: javascriptProblems,
+  [CODE_LANGUAGES.PYTHON]: pythonProblems,
+  [CODE_LANGUAGES.HTML]: htmlProblems,
+};
+
+/**
+ * 言語のコードの問題をすべて取得する
+ * @param {string} language - 言語（CODE_LANGUAGESの値）
+ * @returns {Array} 問題の配列（不明な言語の場合はJavaScript）
+ */
+export const getCodeProblemsByLanguage = (language) => {
+  return CODE_PROBLEM_PACKS[language] || javascriptProblems;
+};
+
+/**
+ * 言語のコードの問題をランダムに並べて取得する
+ * @param {string} language - 言語
+ * @param {number} [count] - 取得する問題数（省略時はすべて）
+ * @param {Function} [random] - 乱数関数
+ * @returns {Array} 問題の配列
+ */
+export const getRandomizedCodeProblems = (language, count = null, random = Math.random) => {
+  const shuffled = shuffleArray(getCodeProblemsByLanguage(language), random);
+  return count ? shuffled.slice(0, count) : shuffled;
+};
+
+export default {
+  CODE_LANGUAGES,
+  CODE_LANGUAGE_LABELS,
+  CODE_PROBLEM_COUNT,
+  javascriptProblems,
+  pythonProblems,
+  htmlProblems,
+  getCodeProblemsByLanguage,
+  getRandomizedCodeProblems,
+};
@@ -0,0 +1,136 @@
+'use client';
+
+/**
+ * DailyChallenge.js
+ * 「今日のチャレンジ」の問題セットと挑戦記録を管理する
+ * 責任: 日付から全員共通の問題セットを決め、1日1回のランキング挑戦と連続挑戦日数を記録する
+ *
+ * - 問題セットは日付をシードにしたシード付き乱数（SeededRandom）で組み込みの問題から選ぶため、
+ *   同じ日なら誰が遊んでも同じ問題が同じ順番で出題される（取り込んだ問題セットは端末ごとに異なるため使わない）
+ * - 日付の切り替わりは日本時間の0時
+ * - その日最初に始めた挑戦だけがランキング対象で、2回目以降は練習として扱う
+ *   （挑戦の記録はこの端末のlocalStorageにあるため、記録を消す・別のブラウザで遊ぶと判定できない。
+ *   ランキングには日付とプレイヤー名ごとに1件しか登録できないので、その日最初に登録した記録が残る）
+ */
+
+import { allProblems } from './ProblemData';
+import { createSeededRandom, shuffleArray } from './SeededRandom';
+import {
+  getPlayerDailyChallengeRecord,
+  savePlayerDailyChallengeRecord,
+} from './StorageUtils';
+
+// 1日の問題数
+export const DAILY_PROBLEM_COUNT = 10;
+
+// 日本時間（UTC+9）のオフセット
+const JST_OFFSET_MS = 9 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 日付キー（日本時間の YYYY-MM-DD）を求める
+ * @param {Date|number} [date] - 日時（省略時は現在）
+ * @returns {string} 日付キー
+ */
+export function getDailyDateKey(date = Date.now()) {
+  const time = date instanceof Date ? date.getTime() : date;
+  return new Date(time + JST_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * 前日の日付キーを求める
+ * @param {string} dateKey - 日付キー
+ * @returns {string} 前日の日付キー
+ */
+function getPreviousDateKey(dateKey) {
+  return new Date(Date.parse(`${dateKey}T00:00:00Z`) - DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * 日付から「今日のチャレンジ」の問題セットを求める
+ * @param {string} [dateKey] - 日付キー（省略時は今日）
+ * @returns {Array} 出題順に並んだ問題
+ */
+export function getDailyProblems(dateKey = getDailyDateKey()) {
+  const random = createSeededRandom(`DAILY-${dateKey}`);
+  return shuffleArray(allProblems, random).slice(0, DAILY_PROBLEM_COUNT);
+}
+
+/**
+ * プレイヤーの挑戦記録を取得する
+ * @param {string} playerName - プレイヤー名
+ * @returns {{lastAttemptDate: (string|null), lastCompletedDate: (string|null), streak: number, bestStreak: number}}
+ */
+function getPlayerDailyRecord(playerName) {
+  return {
+    lastAttemptDate: null,
+    lastCompletedDate: null,
+    streak: 0,
+    bestStreak: 0,
+    ...(getPlayerDailyChallengeRecord(playerName) || {}),
+  };
+}
+
+/**
+ * 今日のランキング挑戦をすでに始めたか
+ * @param {string} playerName - プレイヤー名
+ * @param {string} [dateKey] - 日付キー（省略時は今日）
+ * @returns {boolean} 始めていればtrue（以降の挑戦は練習）
+ */
+export function hasStartedDailyAttempt(playerName, dateKey = getDailyDateKey()) {
+  return getPlayerDailyRecord(playerName).lastAttemptDate === dateKey;
+}
+
+/**
+ * 挑戦の開始を記録する
+ * 途中でやめてもランキング挑戦は使ったものとして扱う（やり直しで良い記録を狙えないようにするため）
+ * @param {string} playerName - プレイヤー名
+ * @param {string} [dateKey] - 日付キー（省略時は今日）
+ * @returns {boolean} ランキング対象の挑戦ならtrue、練習ならfalse
+ */
+export function startDailyAttempt(playerName, dateKey = getDailyDateKey()) {
+  const record = getPlayerDailyRecord(playerName);
+  if (record.lastAttemptDate === dateKey) {
+    return false;
+  }
+
+  savePlayerDailyChallengeRecord(playerName, { ...record, lastAttemptDate: dateKey });
+  return true;
+}
+
+/**
+ * 挑戦の完了を記録し、連続挑戦日数を更新する（同じ日の2回目以降の完了では変わらない）
+ * @param {string} playerName - プレイヤー名
+ * @param {string} [dateKey] - 日付キー（省略時は今日）
+ * @returns {{streak: number, bestStreak: number}} 更新後の連続挑戦日数
+ */
+export function recordDailyCompletion(playerName, dateKey = getDailyDateKey()) {
+  const record = getPlayerDailyRecord(playerName);
+  if (record.lastCompletedDate !== dateKey) {
+    record.streak =
+      record.lastCompletedDate === getPreviousDateKey(dateKey) ? record.streak + 1 : 1;
+    record.bestStreak = Math.max(record.bestStreak, record.streak);
+    record.lastCompletedDate = dateKey;
+    savePlayerDailyChallengeRecord(playerName, record);
+  }
+
+  return { streak: record.streak, bestStreak: record.bestStreak };
+}
+
+/**
+ * 現在の連続挑戦日数を取得する（今日まだ挑戦していなくても、昨日まで続いていれば途切れていない）
+ * @param {string} playerName - プレイヤー名
+ * @param {string} [dateKey] - 日付キー（省略時は今日）
+ * @returns {{streak: number, bestStreak: number, completedToday: boolean}}
+ */
+export function getDailyStreak(playerName, dateKey = getDailyDateKey()) {
+  const record = getPlayerDailyRecord(playerName);
+  const completedToday = record.lastCompletedDate === dateKey;
+  const continuing = completedToday || record.lastCompletedDate === getPreviousDateKey(dateKey);
+
+  return {
+    streak: continuing ? record.streak : 0,
+    bestStreak: record.bestStreak,
+    completedToday,
+  };
+}
@@ -0,0 +1,206 @@
+'use client';
+
+/**
+ * EndlessMode.js
+ * エンドレス（やめるまで問題を続けて打ち、難易度が自動で変わるモード）の難易度の調整と集計
+ * 責任: 直近の問題のKPMと正確率による難易度（段階）の上げ下げ、傾向の判定、段階ごとの集計
+ *
+ * - やさしい（easyProblems）から始め、直近の問題の平均KPMと正確率が基準を超えたら1段階上げる
+ * - 直近の問題に雑な問題（正確率が低い・段階の下限のKPMに届かない）が続いたら1段階下げる
+ * - 状態はGameContextのgameState.endlessに置き、ここの関数で新しい状態を作って差し替える
+ */
+
+import { DIFFICULTIES } from './ProblemData';
+
+// 難易度の段階（この順に上がる）
+export const ENDLESS_TIERS = [
+  DIFFICULTIES.EASY,
+  DIFFICULTIES.NORMAL,
+  DIFFICULTIES.HARD,
+];
+
+// 段階の表示名
+export const ENDLESS_TIER_LABELS = {
+  [DIFFICULTIES.EASY]: 'やさしい',
+  [DIFFICULTIES.NORMAL]: '普通',
+  [DIFFICULTIES.HARD]: 'むずかしい',
+};
+
+// 傾向の表示名
+export const ENDLESS_TREND_LABELS = {
+  up: '上昇',
+  flat: '維持',
+  down: '下降',
+};
+
+// 平均をとる直近の問題の数（今の段階で打った問題のみ）
+const ROLLING_WINDOW = 5;
+
+// 段階を上げるのに必要な、今の段階で打った問題の数
+const MIN_PROBLEMS_TO_PROMOTE = 3;
+
+// 段階を上げる基準（直近の平均KPMと正確率）
+const PROMOTE_THRESHOLDS = {
+  [DIFFICULTIES.EASY]: { kpm: 150, accuracy: 95 },
+  [DIFFICULTIES.NORMAL]: { kpm: 200, accuracy: 95 },
+};
+
+// 雑な問題の基準：正確率がこれより低い、または段階の下限のKPMに届かない
+const SLOPPY_ACCURACY = 90;
+const SLOPPY_KPM = {
+  [DIFFICULTIES.NORMAL]: 100,
+  [DIFFICULTIES.HARD]: 150,
+};
+
+// 直近の問題のうち、雑な問題がこの数に達したら段階を下げる
+const SLOPPY_LIMIT = 3;
+
+// 傾向を「維持」とみなす平均KPMの変化の幅
+const TREND_MARGIN_KPM = 3;
+
+/**
+ * 段階の表示名を求める
+ * @param {string} tier - 段階（easy / normal / hard）
+ * @returns {string} 表示名
+ */
+export function getEndlessTierLabel(tier) {
+  return ENDLESS_TIER_LABELS[tier] || tier;
+}
+
+/**
+ * エンドレスの初期状態を作る
+ * @returns {Object} 状態（tier, highestTier, recent, rollingKPM, rollingAccuracy, trend, lastChange, tiers）
+ */
+export function createEndlessState() {
+  return {
+    tier: ENDLESS_TIERS[0],
+    highestTier: ENDLESS_TIERS[0],
+    recent: [], // 今の段階の直近の問題（{ kpm, accuracy, sloppy }）
+    rollingKPM: 0, // 直近の問題の平均KPM
+    rollingAccuracy: 100, // 直近の問題の平均正確率
+    trend: 'flat', // 平均KPMの傾向（up / flat / down）
+    lastChange: null, // 直前の問題で段階が変わった場合の向き（up / down）
+    // 段階ごとの集計（打ち終えた問題の数、正しいキー・ミスの数、KPMの合計）
+    tiers: Object.fromEntries(
+      ENDLESS_TIERS.map(tier => [
+        tier,
+        { problems: 0, correctKeyCount: 0, missCount: 0, kpmTotal: 0 },
+      ])
+    ),
+  };
+}
+
+/**
+ * 数値の配列の平均を求める
+ * @param {number[]} values - 値
+ * @returns {number} 平均（空の場合は0）
+ */
+function average(values) {
+  return values.length > 0
+    ? values.reduce((sum, value) => sum + value, 0) / values.length
+    : 0;
+}
+
+/**
+ * 打ち終えた問題を記録し、次の問題の段階を決める
+ * @param {Object} endless - 現在の状態
+ * @param {Object} result - 問題の結果
+ * @param {number} result.kpm - 問題のKPM
+ * @param {number} result.correctKeyCount - 正しく打ったキーの数
+ * @param {number} result.missCount - ミスの数
+ * @returns {Object} 新しい状態
+ */
+export function recordEndlessProblem(endless, { kpm = 0, correctKeyCount = 0, missCount = 0 }) {
+  const { tier } = endless;
+  const keystrokes = correctKeyCount + missCount;
+  const accuracy = keystrokes > 0 ? (correctKeyCount / keystrokes) * 100 : 100;
+  const sloppy = accuracy < SLOPPY_ACCURACY || kpm < (SLOPPY_KPM[tier] || 0);
+
+  const tierStats = endless.tiers[tier];
+  const tiers = {
+    ...endless.tiers,
+    [tier]: {
+      problems: tierStats.problems + 1,
+      correctKeyCount: tierStats.correctKeyCount + correctKeyCount,
+      missCount: tierStats.missCount + missCount,
+      kpmTotal: tierStats.kpmTotal + kpm,
+    },
+  };
+
+  const recent = [...endless.recent, { kpm, accuracy, sloppy }].slice(-ROLLING_WINDOW);
+  const rollingKPM = average(recent.map(problem => problem.kpm));
+  const rollingAccuracy = average(recent.map(problem => problem.accuracy));
+
+  // 段階の上げ下げ
+  const tierIndex = ENDLESS_TIERS.indexOf(tier);
+  const promote = PROMOTE_THRESHOLDS[tier];
+  let lastChange = null;
+  if (
+    promote &&
+    recent.length >= MIN_PROBLEMS_TO_PROMOTE &&
+    rollingKPM >= promote.kpm &&
+    rollingAccuracy >= promote.accuracy
+  ) {
+    lastChange = 'up';
+  } else if (
+    tierIndex > 0 &&
+    recent.filter(problem => problem.sloppy).length >= SLOPPY_LIMIT
+  ) {
+    lastChange = 'down';
+  }
+
+  if (lastChange) {
+    const nextTier = ENDLESS_TIERS[tierIndex + (lastChange === 'up' ? 1 : -1)];
+    const highestTier =
+      ENDLESS_TIERS.indexOf(nextTier) > ENDLESS_TIERS.indexOf(endless.highestTier)
+        ? nextTier
+        : endless.highestTier;
+    // 新しい段階では直近の問題を数え直す
+    return {
+      ...endless,
+      tier: nextTier,
+      highestTier,
+      recent: [],
+      rollingKPM: 0,
+      rollingAccuracy: 100,
+      trend: lastChange,
+      lastChange,
+      tiers,
+    };
+  }
+
+  // 傾向：前回の平均KPMからの変化
+  const difference = endless.recent.length > 0 ? rollingKPM - endless.rollingKPM : 0;
+  const trend =
+    difference > TREND_MARGIN_KPM ? 'up' : difference < -TREND_MARGIN_KPM ? 'down' : 'flat';
+
+  return {
+    ...endless,
+    recent,
+    rollingKPM,
+    rollingAccuracy,
+    trend,
+    lastChange: null,
+    tiers,
+  };
+}
+
+/**
+ * 段階ごとの内訳を求める（リザルト画面用。1問も打っていない段階は含めない）
+ * @param {Object} endless - 状態
+ * @returns {Array<{tier: string, label: string, problems: number, averageKPM: number, accuracy: number}>} 内訳
+ */
+export function summarizeEndlessTiers(endless) {
+  return ENDLESS_TIERS.map(tier => {
+    const stats = endless?.tiers?.[tier];
+    if (!stats || stats.problems === 0) return null;
+    const keystrokes = stats.correctKeyCount + stats.missCount;
+    return {
+      tier,
+      label: getEndlessTierLabel(tier),
+      problems: stats.problems,
+      averageKPM: Math.round((stats.kpmTotal / stats.problems) * 10) / 10,
+      accuracy: keystrokes > 0 ? Math.round((stats.correctKeyCount / keystrokes) * 100) : 100,
+    };
+  }).filter(Boolean);
+}
@@ -13,6 +13,7 @@ import {
   limitToLast,
   equalTo,
   child,
+  runTransaction,
 } from 'firebase/database';
 import { getAnalytics } from 'firebase/analytics';
 import TypingUtils from './TypingUtils'; // KPMランク計算のために追加
@@ -171,6 +172,107 @@ export const saveOnlineRanking = async (
   }
 };
 
+/**
+ * 「今日のチャレンジ」の記録のキー（プレイヤー名をFirebaseのキーに使えない文字を含まない形にする）
+ * @param {string} playerName - プレイヤー名
+ * @returns {string} キー
+ */
+const toDailyPlayerKey = (playerName) =>
+  encodeURIComponent(playerName).replace(/\./g, '%2E');
+
+/**
+ * 「今日のチャレンジ」のスコアを日付とプレイヤーごとのノード（dailyScores/日付/プレイヤー）に保存する
+ * 1日1回のランキング挑戦のみ登録するため、同じプレイヤー名の記録が既にあれば上書きしない。
+ * 記録はトランザクションで書き込むため、同時に登録しても2件目の記録はできない
+ * @param {string} dateKey - 日付キー（日本時間の YYYY-MM-DD）
+ * @param {string} playerName - プレイヤー名
+ * @param {number} kpm - KPM値
+ * @param {number} accuracy - 正解率
+ * @param {number} time - プレイ時間（ミリ秒）
+ * @param {number} mistakes - ミス入力回数
+ * @param {string} rank - KPMに基づくランク
+ * @returns {Promise<string|null>} 保存に成功した場合（既に登録済みの場合を含む）は記録のID、失敗した場合はnull
+ */
+export const saveDailyChallengeScore = async (
+  dateKey,
+  playerName,
+  kpm,
+  accuracy,
+  time,
+  mistakes,
+  rank
+) => {
+  if (!initializeFirebase() || !database) {
+    console.error('Firebase not initialized');
+    return null;
+  }
+
+  try {
+    const kpmValue = Math.floor(kpm);
+    const accuracyValue = parseFloat(accuracy.toFixed(1));
+    const name = playerName || 'Anonymous';
+
+    const entryRef = ref(database, `dailyScores/${dateKey}/${toDailyPlayerKey(name)}`);
+
+    // 同じ日に同じプレイヤー名の記録があれば書き込まない（undefinedを返すとトランザクションを中止する）
+    const { committed } = await runTransaction(entryRef, (current) => {
+      if (current) return undefined;
+      return {
+        playerName: name,
+        kpm: kpmValue,
+        accuracy: accuracyValue,
+        time: time || 0,
+        mistakes: mistakes || 0,
+        rank: rank || TypingUtils.getRank(kpmValue),
+        date: new Date().toISOString(),
+        timestamp_num: Date.now(),
+      };
+    });
+
+    if (!committed) {
+      console.log('今日のチャレンジは既に登録済みです:', entryRef.key);
+    } else {
+      console.log(`今日のチャレンジ（${dateKey}）のスコアを保存しました - KPM: ${kpmValue}`);
+    }
+    return entryRef.key;
+  } catch (error) {
+    console.error('Error saving daily challenge score:', error);
+    return null;
+  }
+};
+
+/**
+ * 「今日のチャレンジ」のランキングを取得する
+ * @param {string} dateKey - 日付キー（日本時間の YYYY-MM-DD）
+ * @param {number} limit - 取得する件数
+ * @returns {Promise<Array>} KPMの降順（同点の場合は正解率の降順）に並んだランキングデータの配列
+ */
+export const getDailyChallengeRankings = async (dateKey, limit = 20) => {
+  if (!initializeFirebase() || !database) {
+    console.error('Firebase not initialized');
+    return [];
+  }
+
+  try {
+    const snapshot = await get(ref(database, `dailyScores/${dateKey}`));
+    if (!snapshot.exists()) {
+      return [];
+    }
+
+    const rankings = [];
+    snapshot.forEach((childSnapshot) => {
+      rankings.push({ id: childSnapshot.key, ...childSnapshot.val() });
+    });
+
+    return rankings
+      .sort((a, b) => b.kpm - a.kpm || b.accuracy - a.accuracy)
+      .slice(0, limit);
+  } catch (error) {
+    console.error('Error fetching daily challenge rankings:', error);
+    return [];
+  }
+};
+
 /**
  * 難易度別のトップランキングを取得する
  * @param {string} difficulty - 難易度 ('easy', 'normal', 'hard')
@@ -807,6 +909,8 @@ export const deleteAllRankings = async () => {
 export default {
   initializeFirebase,
   saveOnlineRanking,
+  saveDailyChallengeScore,
+  getDailyChallengeRankings,
   getTopRankings,
   getRecentRankings,
   debugCheckAllRankings,
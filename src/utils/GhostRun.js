@@ -0,0 +1,390 @@
+'use client';
+
+/**
+ * GhostRun.js
+ * ゴースト（自己ベストの打鍵の記録）の記録・保存・再生と、ゴーストのファイルの書き出し・読み込み
+ * 責任: プレイ中の打鍵の記録、難易度ごとの自己ベストの保存、再生位置と先行・遅れの時間差の計算、ファイルの検証
+ *
+ * - 打鍵はゲームの計測開始（最初の問題の表示）からの時刻で [時刻ms, 問題の番号, 入力単位の位置, キー, 正解なら1] と記録する
+ * - 入力単位の位置はかな（「し」「きゃ」など）の単位で数えるため、shi / si のような綴りの違いに左右されない
+ * - 自己ベストはKPMが高い記録（同じならプレイ時間が短い記録）を、出題した問題の一覧と一緒に難易度ごとに保存する
+ * - 先行・遅れは、プレイヤーがいる位置をゴーストが通った時刻（通る時刻）と今の時刻の差で求める
+ */
+
+import { getPlayerGhostRuns, savePlayerGhostRun } from './StorageUtils';
+import { validateProblem } from './ProblemImporter';
+import { DIFFICULTIES } from './ProblemData';
+
+// デバッグモード
+const DEBUG_GHOST = process.env.NODE_ENV === 'development' && false;
+
+// ゴーストのファイルの形式名とバージョン（読み込み時に確認する）
+export const GHOST_FILE_FORMAT = 'typing-game-ghost';
+export const GHOST_FILE_VERSION = 1;
+
+/**
+ * 問題から記録に残すフィールドを取り出す（問題セットの書き出しと同じフィールド）
+ * @param {Object} problem - 問題データ
+ * @returns {Object} 問題データ
+ */
+function pickProblemFields({ displayText, kanaText, category, tags, difficulty, caseSensitive, ruby }) {
+  return {
+    displayText,
+    kanaText,
+    category,
+    tags: tags || [],
+    difficulty,
+    ...(caseSensitive ? { caseSensitive: true } : {}),
+    ...(ruby ? { ruby } : {}),
+  };
+}
+
+/**
+ * 打鍵の記録を始める（Refに持ち、プレイ中は打鍵ごとに書き足す）
+ * @returns {{problems: Array, unitCounts: number[], keystrokes: Array}} 記録中の状態
+ */
+export function createGhostRecorder() {
+  return {
+    problems: [], // 出題した問題（出題順）
+    unitCounts: [], // 問題ごとの入力単位の数
+    keystrokes: [], // [時刻ms, 問題の番号, 入力単位の位置, キー, 正解なら1]
+  };
+}
+
+/**
+ * 次の問題の記録を始める（問題が表示された時）
+ * @param {Object} recorder - 記録中の状態
+ * @param {Object} problem - 表示した問題
+ */
+export function startGhostProblem(recorder, problem) {
+  recorder.problems.push(pickProblemFields(problem));
+  recorder.unitCounts.push(0);
+}
+
+/**
+ * 打鍵を1つ記録する
+ * @param {Object} recorder - 記録中の状態
+ * @param {Object} keystroke - 打鍵
+ * @param {number} keystroke.timeMs - 計測開始からの時刻（一時停止していた時間を除く）
+ * @param {number} keystroke.unitIndex - 打鍵後の入力単位の位置（打ち終えた入力単位の数）
+ * @param {string} keystroke.key - 入力したキー
+ * @param {boolean} keystroke.correct - 正しい入力か
+ */
+export function recordGhostKeystroke(recorder, { timeMs, unitIndex, key, correct }) {
+  const problemIndex = recorder.problems.length - 1;
+  if (problemIndex < 0) return;
+
+  recorder.keystrokes.push([Math.max(0, Math.round(timeMs)), problemIndex, unitIndex, key, correct ? 1 : 0]);
+  recorder.unitCounts[problemIndex] = Math.max(recorder.unitCounts[problemIndex], unitIndex);
+}
+
+/**
+ * 記録を終えてゴーストにする（すべての問題を打ち終えた時）
+ * @param {Object} recorder - 記録中の状態
+ * @param {Object} result - ゲームの結果
+ * @param {string} result.difficulty - 難易度
+ * @param {string} result.playerName - プレイヤー名
+ * @param {number} result.kpm - KPM
+ * @param {number} result.accuracy - 正確率
+ * @returns {Object|null} ゴースト（記録がない場合はnull）
+ */
+export function finishGhostRecording(recorder, { difficulty, playerName, kpm, accuracy }) {
+  if (!recorder || recorder.problems.length === 0 || recorder.keystrokes.length === 0) return null;
+
+  const lastKeystroke = recorder.keystrokes[recorder.keystrokes.length - 1];
+  return {
+    format: GHOST_FILE_FORMAT,
+    version: GHOST_FILE_VERSION,
+    difficulty,
+    playerName,
+    recordedAt: new Date().toISOString(),
+    kpm,
+    accuracy,
+    totalTimeMs: lastKeystroke[0],
+    problems: recorder.problems,
+    unitCounts: recorder.unitCounts,
+    keystrokes: recorder.keystrokes,
+  };
+}
+
+/**
+ * ゴーストが今の自己ベストより良いか（KPMが高い、同じならプレイ時間が短い）
+ * @param {Object} ghost - 新しいゴースト
+ * @param {Object|null} best - 今の自己ベスト
+ * @returns {boolean} 良ければtrue
+ */
+export function isBetterGhost(ghost, best) {
+  if (!ghost) return false;
+  if (!best) return true;
+  if (ghost.kpm !== best.kpm) return ghost.kpm > best.kpm;
+  return ghost.totalTimeMs < best.totalTimeMs;
+}
+
+/**
+ * 難易度の自己ベストのゴーストを取得する
+ * @param {string} playerName - プレイヤー名
+ * @param {string} difficulty - 難易度
+ * @returns {Object|null} ゴースト（未保存の場合はnull）
+ */
+export function getBestGhost(playerName, difficulty) {
+  return getPlayerGhostRuns(playerName)[difficulty] || null;
+}
+
+/**
+ * 自己ベストを上回っていればゴーストを保存する
+ * @param {string} playerName - プレイヤー名
+ * @param {Object} ghost - ゴースト
+ * @returns {boolean} 自己ベストとして保存したらtrue
+ */
+export function saveGhostIfBest(playerName, ghost) {
+  if (!ghost || !isBetterGhost(ghost, getBestGhost(playerName, ghost.difficulty))) return false;
+
+  const saved = savePlayerGhostRun(playerName, ghost.difficulty, ghost);
+  if (DEBUG_GHOST) {
+    console.log('[GhostRun] 自己ベストのゴーストを保存:', {
+      difficulty: ghost.difficulty,
+      kpm: ghost.kpm,
+      totalTimeMs: ghost.totalTimeMs,
+    });
+  }
+  return saved;
+}
+
+/**
+ * ゴーストを再生できる形にする（入力単位が進んだ打鍵の時刻と、ゲーム全体での進み具合）
+ * @param {Object} ghost - ゴースト
+ * @returns {{ghost: Object, offsets: number[], totalUnits: number, times: number[], progress: number[]}} 再生用のデータ
+ */
+export function createGhostReplay(ghost) {
+  // 問題ごとの入力単位の開始位置（ゲーム全体での通し番号）
+  const offsets = [0];
+  ghost.unitCounts.forEach(count => offsets.push(offsets[offsets.length - 1] + count));
+
+  // 入力単位が進んだ時刻だけを残す（ミスと、入力単位の途中の打鍵は位置が変わらない）
+  const times = [];
+  const progress = [];
+  ghost.keystrokes.forEach(([timeMs, problemIndex, unitIndex, , correct]) => {
+    if (!correct) return;
+    const position = offsets[problemIndex] + unitIndex;
+    if (position > (progress[progress.length - 1] || 0)) {
+      times.push(timeMs);
+      progress.push(position);
+    }
+  });
+
+  return { ghost, offsets, totalUnits: offsets[offsets.length - 1], times, progress };
+}
+
+/**
+ * ゲーム全体での進み具合（打ち終えた入力単位の通し番号）を求める
+ * @param {Object} replay - 再生用のデータ
+ * @param {number} problemIndex - 問題の番号
+ * @param {number} unitIndex - 問題の中の入力単位の位置
+ * @returns {number} 進み具合
+ */
+export function getGhostProgress(replay, problemIndex, unitIndex) {
+  const problemUnits = replay.ghost.unitCounts[problemIndex];
+  if (problemUnits === undefined) return replay.totalUnits;
+  return replay.offsets[problemIndex] + Math.min(Math.max(0, unitIndex), problemUnits);
+}
+
+/**
+ * 時刻の時点のゴーストの位置を求める
+ * @param {Object} replay - 再生用のデータ
+ * @param {number} elapsedMs - 計測開始からの時刻
+ * @returns {{progress: number, problemIndex: number, unitIndex: number, finished: boolean}} ゴーストの位置
+ */
+export function getGhostPositionAt(replay, elapsedMs) {
+  // elapsedMs 以前の最後の打鍵を探す（二分探索）
+  let low = 0;
+  let high = replay.times.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (replay.times[mid] <= elapsedMs) low = mid + 1;
+    else high = mid;
+  }
+  const progress = low > 0 ? replay.progress[low - 1] : 0;
+
+  // 打ち終えた問題は次の問題の先頭にいるものとして扱う（最後の問題を除く）
+  let problemIndex = 0;
+  while (
+    problemIndex < replay.ghost.unitCounts.length - 1 &&
+    progress >= replay.offsets[problemIndex + 1]
+  ) {
+    problemIndex++;
+  }
+
+  return {
+    progress,
+    problemIndex,
+    unitIndex: progress - replay.offsets[problemIndex],
+    finished: progress >= replay.totalUnits,
+  };
+}
+
+/**
+ * ゴーストが進み具合に達した時刻を求める
+ * @param {Object} replay - 再生用のデータ
+ * @param {number} progress - 進み具合
+ * @returns {number|null} 時刻（達していない場合はnull）
+ */
+function getGhostTimeAt(replay, progress) {
+  if (progress <= 0) return 0;
+  let low = 0;
+  let high = replay.progress.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (replay.progress[mid] < progress) low = mid + 1;
+    else high = mid;
+  }
+  return low < replay.times.length ? replay.times[low] : null;
+}
+
+/**
+ * プレイヤーとゴーストの時間差を求める
+ * - ゴーストが先にいる場合：プレイヤーの次の位置をゴーストが通ってからの時間だけ遅れている
+ * - プレイヤーが先にいる場合：ゴーストがプレイヤーの位置に着くまでの時間だけ先行している
+ * @param {Object} replay - 再生用のデータ
+ * @param {number} playerProgress - プレイヤーの進み具合
+ * @param {number} elapsedMs - 計測開始からの時刻
+ * @returns {number} 時間差（ミリ秒。先行は正、遅れは負）
+ */
+export function getGhostDeltaMs(replay, playerProgress, elapsedMs) {
+  const ghostProgress = getGhostPositionAt(replay, elapsedMs).progress;
+
+  if (ghostProgress > playerProgress) {
+    const passedAt = getGhostTimeAt(replay, playerProgress + 1);
+    return passedAt === null ? 0 : -(elapsedMs - passedAt);
+  }
+  if (ghostProgress < playerProgress) {
+    const reachAt = getGhostTimeAt(replay, playerProgress);
+    return reachAt === null ? 0 : reachAt - elapsedMs;
+  }
+  return 0;
+}
+
+/**
+ * 時間差の表示（例: +1.2秒、-0.8秒）
+ * @param {number} deltaMs - 時間差（ミリ秒。先行は正、遅れは負）
+ * @returns {string} 表示
+ */
+export function formatGhostDelta(deltaMs) {
+  const seconds = Math.abs(deltaMs) / 1000;
+  return `${deltaMs < 0 ? '-' : '+'}${seconds.toFixed(1)}秒`;
+}
+
+/**
+ * ゴーストをファイルに書き出すJSONにする
+ * @param {Object} ghost - ゴースト
+ * @returns {string} JSON文字列
+ */
+export function exportGhostJson(ghost) {
+  return JSON.stringify(ghost);
+}
+
+/**
+ * 書き出すファイル名（例: ghost-normal-プレイヤー-20260101.json）
+ * @param {Object} ghost - ゴースト
+ * @returns {string} ファイル名
+ */
+export function getGhostFileName(ghost) {
+  const date = String(ghost.recordedAt || '').slice(0, 10).replace(/-/g, '');
+  const name = String(ghost.playerName || 'player').replace(/[\\/:*?"<>|\s]+/g, '_');
+  return `ghost-${ghost.difficulty}-${name}${date ? `-${date}` : ''}.json`;
+}
+
+/**
+ * ゴーストのファイルを読み込んで検証する
+ * @param {string} text - ファイルの内容
+ * @returns {{ghost: (Object|null), error: (string|null)}} ゴースト、または読み込めない理由
+ */
+export function parseGhostJson(text) {
+  let data;
+  try {
+    data = JSON.parse(String(text || '').replace(/^\uFEFF/, ''));
+  } catch {
+    return { ghost: null, error: 'JSONとして読み込めません' };
+  }
+
+  if (!data || data.format !== GHOST_FILE_FORMAT) {
+    return { ghost: null, error: 'ゴーストのファイルではありません' };
+  }
+  if (data.version !== GHOST_FILE_VERSION) {
+    return { ghost: null, error: `対応していないバージョンです（${data.version}）` };
+  }
+
+  const difficulty = Object.values(DIFFICULTIES).includes(data.difficulty)
+    ? data.difficulty
+    : DIFFICULTIES.NORMAL;
+
+  // 問題は取り込みと同じ検証を通す（入力できない読みを含むファイルは使わない）
+  if (!Array.isArray(data.problems) || data.problems.length === 0) {
+    return { ghost: null, error: '問題がありません' };
+  }
+  const problems = [];
+  for (let i = 0; i < data.problems.length; i++) {
+    const { problem, reason } = validateProblem(data.problems[i] || {}, difficulty);
+    if (!problem) {
+      return { ghost: null, error: `${i + 1}問目: ${reason}` };
+    }
+    problems.push(problem);
+  }
+
+  const { unitCounts, keystrokes } = data;
+  if (
+    !Array.isArray(unitCounts) ||
+    unitCounts.length !== problems.length ||
+    !unitCounts.every(count => Number.isInteger(count) && count > 0)
+  ) {
+    return { ghost: null, error: '問題ごとの入力単位の数が正しくありません' };
+  }
+
+  // 打鍵は時刻の順に並び、問題の番号と位置が範囲内であること
+  let lastTime = 0;
+  const validKeystrokes =
+    Array.isArray(keystrokes) &&
+    keystrokes.length > 0 &&
+    keystrokes.every(keystroke => {
+      if (!Array.isArray(keystroke) || keystroke.length < 5) return false;
+      const [timeMs, problemIndex, unitIndex, key] = keystroke;
+      const valid =
+        Number.isFinite(timeMs) &&
+        timeMs >= lastTime &&
+        Number.isInteger(problemIndex) &&
+        problemIndex >= 0 &&
+        problemIndex < problems.length &&
+        Number.isInteger(unitIndex) &&
+        unitIndex >= 0 &&
+        unitIndex <= unitCounts[problemIndex] &&
+        typeof key === 'string';
+      lastTime = timeMs;
+      return valid;
+    });
+  if (!validKeystrokes) {
+    return { ghost: null, error: '打鍵の記録が正しくありません' };
+  }
+
+  const lastKeystroke = keystrokes[keystrokes.length - 1];
+  return {
+    ghost: {
+      format: GHOST_FILE_FORMAT,
+      version: GHOST_FILE_VERSION,
+      difficulty,
+      playerName: String(data.playerName || '').trim() || 'ゲスト',
+      recordedAt: typeof data.recordedAt === 'string' ? data.recordedAt : null,
+      kpm: Number(data.kpm) || 0,
+      accuracy: Number(data.accuracy) || 0,
+      totalTimeMs: lastKeystroke[0],
+      problems,
+      unitCounts,
+      keystrokes: keystrokes.map(([timeMs, problemIndex, unitIndex, key, correct]) => [
+        timeMs,
+        problemIndex,
+        unitIndex,
+        key,
+        correct ? 1 : 0,
+      ]),
+    },
+    error: null,
+  };
+}
@@ -1,8 +1,22 @@
 /**
  * タイピングゲームの問題データ
  * 難易度とカテゴリに基づいて構造化
+ *
+ * 問題の形式:
+ * - displayText: 画面に表示する文
+ * - kanaText: 読み（かな）。英数字・記号はローマ字に変換せずそのまま打つ（全角は半角として扱う）
+ * - caseSensitive: 英字の大文字小文字を区別するか（省略時は区別しない）
+ * - ruby: 表示テキストを区切った振り仮名（省略可）。[漢字, 読み] の組と、読みを付けない文字列を並べる
+ *   例: [['思', 'おも'], 'い', ['立', 'た'], 'ったが', ['吉日', 'きちじつ']]（区切りをつなぐと displayText になる）
+ * - category / tags: 出題の絞り込みに使う分類
+ *
+ * 組み込みの問題に加えて、ProblemImporterで取り込んだ問題セット（ローカルに保存）からも出題する
  */
 
+import { getCustomProblemSets } from './StorageUtils';
+import { analyzeProblemDifficulty } from './typing/DifficultyAnalyzer';
+import { shuffleArray } from './SeededRandom';
+
 // 問題のカテゴリ定義
 export const CATEGORIES = {
   ANIMALS: 'animals',
@@ -19,6 +33,22 @@ export const CATEGORIES = {
   POSITIVE: 'positive', // ポジティブワード用の新しいカテゴリを追加
 };
 
+// カテゴリの表示名
+export const CATEGORY_LABELS = {
+  [CATEGORIES.ANIMALS]: '動物',
+  [CATEGORIES.NATURE]: '自然',
+  [CATEGORIES.COLORS]: '色',
+  [CATEGORIES.FOOD]: '食べ物',
+  [CATEGORIES.TRANSPORT]: '乗り物',
+  [CATEGORIES.ACTIVITIES]: '活動',
+  [CATEGORIES.SENTENCES]: '文章',
+  [CATEGORIES.PROGRAMMING]: 'プログラミング',
+  [CATEGORIES.GEOGRAPHY]: '地理',
+  [CATEGORIES.SCIENCE]: '科学',
+  [CATEGORIES.GENERAL]: '一般',
+  [CATEGORIES.POSITIVE]: 'ポジティブワード',
+};
+
 // 難易度の定義
 export const DIFFICULTIES = {
   EASY: 'easy',
@@ -197,6 +227,18 @@ export const easyProblems = [
     category: CATEGORIES.POSITIVE,
     tags: ['考え', 'ポジティブ'],
   },
+  { 
+    displayText: 'コーヒー', 
+    kanaText: 'コーヒー', 
+    category: CATEGORIES.FOOD,
+    tags: ['飲み物', 'カタカナ'],
+  },
+  { 
+    displayText: 'プログラミング', 
+    kanaText: 'プログラミング', 
+    category: CATEGORIES.PROGRAMMING,
+    tags: ['IT', 'カタカナ'],
+  },
 ];
 
 // 普通の問題セット
@@ -288,36 +330,42 @@ export const normalProblems = [
   { 
     displayText: '笑う門には福来る', 
     kanaText: 'わらうかどにはふくきたる', 
+    ruby: [['笑', 'わら'], 'う', ['門', 'かど'], 'には', ['福', 'ふく'], ['来', 'きた'], 'る'],
     category: CATEGORIES.POSITIVE,
     tags: ['格言', 'ポジティブ'],
   },
   { 
     displayText: '明日は明日の風が吹く', 
     kanaText: 'あしたはあしたのかぜがふく', 
+    ruby: [['明日', 'あした'], 'は', ['明日', 'あした'], 'の', ['風', 'かぜ'], 'が', ['吹', 'ふ'], 'く'],
     category: CATEGORIES.POSITIVE,
     tags: ['格言', '未来'],
   },
   { 
     displayText: '七転び八起き', 
     kanaText: 'ななころびやおき', 
+    ruby: [['七', 'なな'], ['転', 'ころ'], 'び', ['八', 'や'], ['起', 'お'], 'き'],
     category: CATEGORIES.POSITIVE,
     tags: ['格言', '挑戦'],
   },
   { 
     displayText: '継続は力なり', 
     kanaText: 'けいぞくはちからなり', 
+    ruby: [['継続', 'けいぞく'], 'は', ['力', 'ちから'], 'なり'],
     category: CATEGORIES.POSITIVE,
     tags: ['格言', '努力'],
   },
   { 
     displayText: '雨降って地固まる', 
     kanaText: 'あめふってじかたまる', 
+    ruby: [['雨', 'あめ'], ['降', 'ふ'], 'って', ['地', 'じ'], ['固', 'かた'], 'まる'],
     category: CATEGORIES.POSITIVE,
     tags: ['格言', '希望'],
   },
   { 
     displayText: '思い立ったが吉日', 
     kanaText: 'おもいたったがきちじつ', 
+    ruby: [['思', 'おも'], 'い', ['立', 'た'], 'ったが', ['吉日', 'きちじつ']],
     category: CATEGORIES.POSITIVE,
     tags: ['格言', '行動'],
   },
@@ -329,7 +377,7 @@ export const normalProblems = [
   },
   { 
     displayText: '自分のペースで進もう', 
-    kanaText: 'じぶんのぺーすですすもう', 
+    kanaText: 'じぶんのペースですすもう', 
     category: CATEGORIES.POSITIVE,
     tags: ['励まし', '自己肯定'],
   },
@@ -394,36 +442,42 @@ export const hardProblems = [
   { 
     displayText: '継続は力なり', 
     kanaText: 'けいぞくはちからなり', 
+    ruby: [['継続', 'けいぞく'], 'は', ['力', 'ちから'], 'なり'],
     category: CATEGORIES.POSITIVE,
     tags: ['格言', '努力'],
   },
   { 
     displayText: '七転び八起き', 
     kanaText: 'ななころびやおき', 
+    ruby: [['七', 'なな'], ['転', 'ころ'], 'び', ['八', 'や'], ['起', 'お'], 'き'],
     category: CATEGORIES.POSITIVE,
     tags: ['格言', '挑戦'],
   },
   { 
     displayText: '雨降って地固まる', 
     kanaText: 'あめふってじかたまる', 
+    ruby: [['雨', 'あめ'], ['降', 'ふ'], 'って', ['地', 'じ'], ['固', 'かた'], 'まる'],
     category: CATEGORIES.POSITIVE,
     tags: ['格言', '希望'],
   },
   { 
     displayText: '思い立ったが吉日', 
     kanaText: 'おもいたったがきちじつ', 
+    ruby: [['思', 'おも'], 'い', ['立', 'た'], 'ったが', ['吉日', 'きちじつ']],
     category: CATEGORIES.POSITIVE,
     tags: ['格言', '行動'],
   },
   { 
     displayText: '笑う門には福来る', 
     kanaText: 'わらうかどにはふくきたる', 
+    ruby: [['笑', 'わら'], 'う', ['門', 'かど'], 'には', ['福', 'ふく'], ['来', 'きた'], 'る'],
     category: CATEGORIES.POSITIVE,
     tags: ['格言', 'ポジティブ'],
   },
   { 
     displayText: '明日は明日の風が吹く', 
     kanaText: 'あしたはあしたのかぜがふく', 
+    ruby: [['明日', 'あした'], 'は', ['明日', 'あした'], 'の', ['風', 'かぜ'], 'が', ['吹', 'ふ'], 'く'],
     category: CATEGORIES.POSITIVE,
     tags: ['格言', '未来'],
   },
@@ -537,7 +591,7 @@ export const hardProblems = [
   },
   { 
     displayText: '困難は成長のチャンス', 
-    kanaText: 'こんなんはせいちょうのちゃんす', 
+    kanaText: 'こんなんはせいちょうのチャンス', 
     category: CATEGORIES.POSITIVE,
     tags: ['励まし', '成長'],
   },
@@ -690,6 +744,18 @@ export const hardProblems = [
     kanaText: 'じぶんをしんじてまえにすすむゆうきをもとう', 
     category: CATEGORIES.POSITIVE,
     tags: ['励まし', '勇気'],
+  },  {
+    displayText: 'JavaScriptで100点',
+    kanaText: 'JavaScriptで100てん',
+    category: CATEGORIES.PROGRAMMING,
+    tags: ['IT', '英数字'],
+  },
+  {
+    displayText: 'HTMLとCSSを学ぼう',
+    kanaText: 'HTMLとCSSをまなぼう',
+    caseSensitive: true,
+    category: CATEGORIES.PROGRAMMING,
+    tags: ['IT', '英数字'],
   },
 ];
 
@@ -701,11 +767,11 @@ export const allProblems = [
 ];
 
 /**
- * 難易度に基づいて問題セットを取得する
+ * 手動で割り当てた難易度の問題セットを取得する
  * @param {string} difficulty - 難易度 (DIFFICULTIES定数を使用)
  * @returns {Array} 問題セット
  */
-export const getProblemsByDifficulty = (difficulty) => {
+const getManualProblems = (difficulty) => {
   switch (difficulty) {
     case DIFFICULTIES.EASY:
       return easyProblems;
@@ -718,6 +784,72 @@ export const getProblemsByDifficulty = (difficulty) => {
   }
 };
 
+/**
+ * 難易度に基づいて問題セットを取得する
+ * オプションを指定すると、打鍵データから計算した難易度スコア（DifficultyAnalyzer）で絞り込み・並べ替えを行う
+ * @param {string} difficulty - 難易度 (DIFFICULTIES定数を使用)
+ * @param {Object} [options] - 絞り込み・並べ替えのオプション
+ * @param {boolean} [options.computed=false] - 手動の難易度ではなく、計算した難易度で問題を選ぶ
+ * @param {number} [options.minScore] - 難易度スコアの下限
+ * @param {number} [options.maxScore] - 難易度スコアの上限
+ * @param {string} [options.sortBy] - 'score' で難易度スコアの低い順、'-score' で高い順に並べる
+ * @returns {Array} 問題セット
+ */
+export const getProblemsByDifficulty = (difficulty, options = {}) => {
+  const { computed = false, minScore = null, maxScore = null, sortBy = null } = options;
+  if (!computed && minScore === null && maxScore === null && !sortBy) {
+    return getManualProblems(difficulty);
+  }
+
+  let problems = computed ? allProblems : getManualProblems(difficulty);
+  if (computed && difficulty && difficulty !== DIFFICULTIES.ALL) {
+    problems = problems.filter(problem => analyzeProblemDifficulty(problem).tier === difficulty);
+  }
+  if (minScore !== null) {
+    problems = problems.filter(problem => analyzeProblemDifficulty(problem).score >= minScore);
+  }
+  if (maxScore !== null) {
+    problems = problems.filter(problem => analyzeProblemDifficulty(problem).score <= maxScore);
+  }
+  if (sortBy === 'score' || sortBy === '-score') {
+    const direction = sortBy === 'score' ? 1 : -1;
+    problems = [...problems].sort(
+      (a, b) => (analyzeProblemDifficulty(a).score - analyzeProblemDifficulty(b).score) * direction
+    );
+  }
+
+  return problems;
+};
+
+/**
+ * 手動の難易度と計算した難易度が食い違う問題を取得する（管理画面のレポート用）
+ * 取り込んだ問題セットの問題も対象にする
+ * @returns {Array<{problem: Object, manualTier: string, computedTier: string, score: number, source: string}>}
+ *   食い違う問題の一覧（スコアと手動の難易度の差が大きい順）
+ */
+export const getDifficultyMismatches = () => {
+  const entries = [
+    ...easyProblems.map(problem => ({ problem, manualTier: DIFFICULTIES.EASY, source: 'builtin' })),
+    ...normalProblems.map(problem => ({ problem, manualTier: DIFFICULTIES.NORMAL, source: 'builtin' })),
+    ...hardProblems.map(problem => ({ problem, manualTier: DIFFICULTIES.HARD, source: 'builtin' })),
+    ...getCustomProblems().map(problem => ({ problem, manualTier: problem.difficulty, source: 'custom' })),
+  ];
+  const tierOrder = [DIFFICULTIES.EASY, DIFFICULTIES.NORMAL, DIFFICULTIES.HARD];
+
+  return entries
+    .map(entry => {
+      const { score, tier } = analyzeProblemDifficulty(entry.problem);
+      return { ...entry, computedTier: tier, score };
+    })
+    .filter(entry => entry.manualTier !== entry.computedTier)
+    .sort(
+      (a, b) =>
+        Math.abs(tierOrder.indexOf(b.manualTier) - tierOrder.indexOf(b.computedTier)) -
+          Math.abs(tierOrder.indexOf(a.manualTier) - tierOrder.indexOf(a.computedTier)) ||
+        b.score - a.score
+    );
+};
+
 /**
  * カテゴリに基づいて問題を取得する
  * @param {string} category - カテゴリ (CATEGORIES定数を使用)
@@ -746,24 +878,67 @@ export const getProblemsByTag = (tag, difficulty = null) => {
   return problemSet.filter(problem => problem.tags && problem.tags.includes(tag));
 };
 
+/**
+ * 取り込んだ問題セットの問題を取得する
+ * @param {string} difficulty - 難易度で絞り込む場合に指定（ALLまたは省略時はすべて）
+ * @returns {Array} 問題セット
+ */
+export const getCustomProblems = (difficulty = DIFFICULTIES.ALL) => {
+  const problems = getCustomProblemSets().flatMap(set => set.problems || []);
+  if (!difficulty || difficulty === DIFFICULTIES.ALL) {
+    return problems;
+  }
+  return problems.filter(problem => problem.difficulty === difficulty);
+};
+
+/**
+ * 問題が出題範囲（カテゴリ・タグの複数選択）に含まれるかを判定する
+ * 選んだカテゴリのいずれか、または選んだタグのいずれかに当てはまる問題を出題範囲とする
+ * @param {Object} problem - 問題データ
+ * @param {Object} filter - 出題範囲
+ * @param {Array<string>} [filter.categories] - カテゴリ (CATEGORIES定数の値)
+ * @param {Array<string>} [filter.tags] - タグ
+ * @returns {boolean} 出題範囲に含まれるか（何も選んでいない場合は常にtrue）
+ */
+export const matchesProblemFilter = (problem, filter = {}) => {
+  const categories = filter?.categories || [];
+  const tags = filter?.tags || [];
+  if (categories.length === 0 && tags.length === 0) {
+    return true;
+  }
+
+  return (
+    categories.includes(problem.category) ||
+    (problem.tags || []).some(tag => tags.includes(tag))
+  );
+};
+
 /**
  * ランダムに並べ替えられた問題リストを取得する
  * @param {string} difficulty - 難易度 (DIFFICULTIES定数を使用)
  * @param {number} count - 取得する問題数（省略時は全問題）
- * @param {string} category - 特定のカテゴリから取得する場合に指定 (オプション)
+ * @param {string|Object} category - 特定のカテゴリから取得する場合に指定 (オプション)。
+ *   {categories, tags} を渡すと複数のカテゴリ・タグで絞り込む
+ * @param {Function} random - 乱数関数（シード付きの乱数を渡すと並び順を再現できる）
+ * @param {boolean} includeCustom - 取り込んだ問題セットも含めるか（シード付きのゲームでは端末ごとに違うため含めない）
  * @returns {Array} ランダム化された問題セット
  */
-export const getRandomizedProblems = (difficulty, count = null, category = null) => {
-  // 難易度に応じた問題リストを取得
-  let problems = getProblemsByDifficulty(difficulty);
+export const getRandomizedProblems = (difficulty, count = null, category = null, random = Math.random, includeCustom = true) => {
+  // 難易度に応じた問題リストを取得（取り込んだ問題セットも含める）
+  let problems = [
+    ...getProblemsByDifficulty(difficulty),
+    ...(includeCustom ? getCustomProblems(difficulty) : []),
+  ];
   
   // カテゴリが指定されている場合は絞り込む
-  if (category) {
+  if (category && typeof category === 'object') {
+    problems = problems.filter(problem => matchesProblemFilter(problem, category));
+  } else if (category) {
     problems = problems.filter(problem => problem.category === category);
   }
   
   // 問題をランダムに並べ替え
-  const shuffled = [...problems].sort(() => Math.random() - 0.5);
+  const shuffled = shuffleArray(problems, random);
   
   // 指定数だけ返す、または全問題を返す
   if (count && count > 0 && count < shuffled.length) {
@@ -775,15 +950,31 @@ export const getRandomizedProblems = (difficulty, count = null, category = null)
 
 /**
  * 難易度ごとの問題数を取得する
- * @returns {Object} 難易度別の問題数
+ * 難易度を指定すると、その難易度で出題される問題（取り込んだ問題セットを含む）のカテゴリ別・タグ別の問題数も返す
+ * @param {string} difficulty - カテゴリ別・タグ別に数える難易度 (オプション)
+ * @returns {Object} 難易度別の問題数（difficulty指定時は categories と tags も含む）
  */
-export const getProblemCounts = () => {
-  return {
+export const getProblemCounts = (difficulty = null) => {
+  const counts = {
     [DIFFICULTIES.EASY]: easyProblems.length,
     [DIFFICULTIES.NORMAL]: normalProblems.length,
     [DIFFICULTIES.HARD]: hardProblems.length,
     [DIFFICULTIES.ALL]: allProblems.length,
   };
+  if (!difficulty) {
+    return counts;
+  }
+
+  const categories = {};
+  const tags = {};
+  [...getProblemsByDifficulty(difficulty), ...getCustomProblems(difficulty)].forEach(problem => {
+    categories[problem.category] = (categories[problem.category] || 0) + 1;
+    (problem.tags || []).forEach(tag => {
+      tags[tag] = (tags[tag] || 0) + 1;
+    });
+  });
+
+  return { ...counts, categories, tags };
 };
 
 /**
@@ -812,16 +1003,20 @@ export const getAllTags = () => {
 
 export default {
   CATEGORIES,
+  CATEGORY_LABELS,
   DIFFICULTIES,
   easyProblems,
   normalProblems,
   hardProblems,
   allProblems,
   getProblemsByDifficulty,
+  getDifficultyMismatches,
   getProblemsByCategory,
   getProblemsByTag,
+  getCustomProblems,
   getRandomizedProblems,
   getProblemCounts,
+  matchesProblemFilter,
   getAllCategories,
   getAllTags,
 };
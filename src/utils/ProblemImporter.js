@@ -0,0 +1,539 @@
+'use client';
+
+/**
+ * ProblemImporter.js
+ * 独自の問題セットを取り込むユーティリティ
+ * 責任: JSON・CSV/TSV・「表示　かな」形式のテキストの解析、読みの検証、問題セットの保存と書き出し
+ *
+ * 対応する形式:
+ * - JSON: 問題の配列、または { name, problems: [...] }
+ * - CSV/TSV: 1行目が見出し（displayText, kanaText, category, tags, difficulty, caseSensitive, ruby）、
+ *   見出しがない場合は「表示, 読み, カテゴリ, タグ, 難易度」の順
+ * - テキスト: 1行に1問、「表示テキスト＋全角スペース＋読み」（例: 笑顔　えがお）
+ *
+ * どの形式でも表示テキストに {思|おも}い{立|た}ったが{吉日|きちじつ} のように振り仮名を書ける
+ * （読みを省略した場合は振り仮名から読みを作る）
+ */
+
+import { CATEGORIES, DIFFICULTIES } from './ProblemData';
+import {
+  findUnconvertibleChars,
+  normalizeKana,
+  romajiConverter,
+} from './typing/RomajiConverter';
+import {
+  getRubyReading,
+  normalizeRuby,
+  parseRubyNotation,
+} from './typing/Furigana';
+import { getCustomProblemSets, saveCustomProblemSets } from './StorageUtils';
+
+// 取り込み形式
+export const IMPORT_FORMATS = {
+  JSON: 'json',
+  CSV: 'csv',
+  TSV: 'tsv',
+  LINES: 'lines',
+};
+
+// 拡張子ごとの形式
+const FORMAT_BY_EXTENSION = {
+  json: IMPORT_FORMATS.JSON,
+  csv: IMPORT_FORMATS.CSV,
+  tsv: IMPORT_FORMATS.TSV,
+  txt: IMPORT_FORMATS.LINES,
+};
+
+// 見出しの別名（JSONのキーとCSV/TSVの見出しに使える）
+const FIELD_ALIASES = {
+  displayText: ['displaytext', 'display', 'text', '表示', '問題', 'お題'],
+  kanaText: ['kanatext', 'kana', 'reading', '読み', 'よみ', 'かな'],
+  category: ['category', 'カテゴリ', 'カテゴリー'],
+  tags: ['tags', 'tag', 'タグ'],
+  difficulty: ['difficulty', 'level', '難易度'],
+  caseSensitive: ['casesensitive', '大文字小文字を区別'],
+  ruby: ['ruby', 'furigana', 'ルビ', '振り仮名', 'ふりがな'],
+};
+
+// 見出しがないCSV/TSVの列の並び
+const DEFAULT_COLUMNS = ['displayText', 'kanaText', 'category', 'tags', 'difficulty'];
+
+// 1行形式の表示テキストと読みの区切り（全角スペース）
+const LINE_SEPARATOR = '　';
+
+// タグの区切り（CSVの列内で使えるもの）
+const TAG_SEPARATOR_PATTERN = /[|;、，]/;
+
+/**
+ * 見出し・キーの名前から問題のフィールド名を求める
+ * @param {string} name - 見出しやキーの名前
+ * @returns {string|null} フィールド名
+ */
+function resolveField(name) {
+  const normalized = String(name).trim().toLowerCase().replace(/[\s_-]/g, '');
+  const field = Object.keys(FIELD_ALIASES).find(key =>
+    FIELD_ALIASES[key].includes(normalized)
+  );
+  return field || null;
+}
+
+/**
+ * テキストの形式を判定する（拡張子を優先し、なければ内容から推定）
+ * @param {string} text - 取り込むテキスト
+ * @param {string} [fileName] - ファイル名
+ * @returns {string} 形式（IMPORT_FORMATSの値）
+ */
+export function detectFormat(text, fileName = '') {
+  const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+  if (FORMAT_BY_EXTENSION[extension]) {
+    return FORMAT_BY_EXTENSION[extension];
+  }
+
+  const trimmed = (text || '').trim();
+  // 振り仮名の記法（{漢字|よみ}）で始まる行はJSONとして扱わない
+  const startsWithRuby = /^\{[^{}|"\s]+\|/.test(trimmed);
+  if (trimmed.startsWith('[') || (trimmed.startsWith('{') && !startsWithRuby)) {
+    return IMPORT_FORMATS.JSON;
+  }
+
+  const firstLine = trimmed.split(/\r?\n/)[0] || '';
+  if (firstLine.includes('\t')) return IMPORT_FORMATS.TSV;
+  if (firstLine.includes(LINE_SEPARATOR)) return IMPORT_FORMATS.LINES;
+  if (firstLine.includes(',')) return IMPORT_FORMATS.CSV;
+  return IMPORT_FORMATS.LINES;
+}
+
+/**
+ * 区切り文字で区切られたテキストを行と列に分ける
+ * ダブルクォートで囲んだ列（区切り文字・改行・"" を含められる）に対応
+ * @param {string} text - CSV/TSVテキスト
+ * @param {string} delimiter - 区切り文字
+ * @returns {Array<{line: number, cells: string[]}>} 行番号（1始まり）と列の配列
+ */
+function parseDelimited(text, delimiter) {
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    cells.push(cell);
+    if (cells.some(value => value.trim() !== '')) {
+      rows.push({ line: rowLine, cells });
+    }
+    cells = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"' && cell.trim() === '') {
+      quoted = true;
+      cell = '';
+    } else if (char === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n') {
+      endRow();
+      line++;
+      rowLine = line;
+    } else if (char !== '\r') {
+      cell += char;
+    }
+  }
+  endRow();
+
+  return rows;
+}
+
+/**
+ * タグの指定を配列にそろえる
+ * @param {string|string[]} tags - タグ（配列、または区切り文字でつないだ文字列）
+ * @returns {string[]} タグの配列
+ */
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(TAG_SEPARATOR_PATTERN);
+  return list.map(tag => String(tag).trim()).filter(Boolean);
+}
+
+/**
+ * 大文字小文字の区別の指定を真偽値にそろえる
+ * @param {*} value - 指定値（true / "true" / "1" / "はい" など）
+ * @returns {boolean} 区別する場合はtrue
+ */
+function normalizeBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  return ['true', '1', 'yes', 'はい', '区別する'].includes(String(value || '').trim().toLowerCase());
+}
+
+/**
+ * JSONテキストを行データに変換する
+ * @param {string} text - JSONテキスト
+ * @returns {{name: (string|null), rows: Array<{line: number, raw: string, fields: Object}>}} 解析結果
+ */
+function parseJsonRows(text) {
+  const data = JSON.parse(text);
+  const entries = Array.isArray(data) ? data : data && data.problems;
+  if (!Array.isArray(entries)) {
+    throw new Error('問題の配列、または problems を持つオブジェクトが必要です');
+  }
+
+  const rows = entries.map((entry, index) => {
+    const fields = {};
+    if (entry && typeof entry === 'object') {
+      Object.entries(entry).forEach(([key, value]) => {
+        const field = resolveField(key);
+        if (field) fields[field] = value;
+      });
+    }
+    return { line: index + 1, raw: JSON.stringify(entry), fields };
+  });
+
+  return { name: (!Array.isArray(data) && data.name) || null, rows };
+}
+
+/**
+ * CSV/TSVテキストを行データに変換する
+ * 1行目に読み（kanaText）の見出しがあれば見出しとして扱う
+ * @param {string} text - CSV/TSVテキスト
+ * @param {string} delimiter - 区切り文字
+ * @returns {{name: null, rows: Array<{line: number, raw: string, fields: Object}>}} 解析結果
+ */
+function parseDelimitedRows(text, delimiter) {
+  const table = parseDelimited(text, delimiter);
+  if (table.length === 0) return { name: null, rows: [] };
+
+  const headerFields = table[0].cells.map(resolveField);
+  const hasHeader = headerFields.includes('kanaText');
+  const columns = hasHeader ? headerFields : DEFAULT_COLUMNS;
+  const body = hasHeader ? table.slice(1) : table;
+
+  const rows = body.map(({ line, cells }) => {
+    const fields = {};
+    cells.forEach((value, index) => {
+      const field = columns[index];
+      if (field && value.trim() !== '') fields[field] = value.trim();
+    });
+    return { line, raw: cells.join(delimiter), fields };
+  });
+
+  return { name: null, rows };
+}
+
+/**
+ * 「表示　かな」形式のテキストを行データに変換する
+ * 空行と # で始まる行は読み飛ばす。区切りのない行は読みのみの問題として扱う
+ * @param {string} text - テキスト
+ * @returns {{name: null, rows: Array<{line: number, raw: string, fields: Object}>}} 解析結果
+ */
+function parseLineRows(text) {
+  const rows = [];
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+
+    // 区切りのない行は読みのみの問題として扱う（振り仮名の記法がある場合は表示テキスト）
+    const separatorIndex = line.indexOf(LINE_SEPARATOR);
+    const fields =
+      separatorIndex === -1
+        ? parseRubyNotation(line).ruby
+          ? { displayText: line }
+          : { kanaText: line }
+        : {
+            displayText: line.slice(0, separatorIndex).trim(),
+            kanaText: line.slice(separatorIndex + 1).trim(),
+          };
+    rows.push({ line: index + 1, raw: line, fields });
+  });
+
+  return { name: null, rows };
+}
+
+/**
+ * 問題のフィールドを検証して問題データにする
+ * 取り込みの各行と、管理画面で編集した問題の検証に使う
+ * @param {Object} fields - 問題のフィールド（displayText, kanaText, category, tags, difficulty, caseSensitive, ruby）
+ * @param {string} [defaultDifficulty='normal'] - 難易度の指定がない場合の難易度
+ * @returns {{problem: (Object|null), reason: (string|null)}} 問題データ、または取り込めない理由
+ */
+export function validateProblem(fields, defaultDifficulty = DIFFICULTIES.NORMAL) {
+  // 表示テキストの {漢字|よみ} 記法、またはrubyの指定を振り仮名として取り出す
+  const notation = parseRubyNotation(String(fields.displayText || '').trim());
+  let ruby = notation.ruby;
+  if (!ruby && fields.ruby) {
+    ruby = normalizeRuby(fields.ruby);
+    const rubyText = ruby ? ruby.map(segment => segment.text).join('') : '';
+    if (!ruby || (notation.displayText && rubyText !== notation.displayText)) {
+      return { problem: null, reason: '振り仮名（ruby）が表示テキストと一致しません' };
+    }
+  }
+  const displayText = ruby ? ruby.map(segment => segment.text).join('') : notation.displayText;
+
+  const kanaText = String(fields.kanaText || '').trim() || (ruby ? getRubyReading(ruby) : '');
+  if (!kanaText) {
+    return { problem: null, reason: '読み（かな）がありません' };
+  }
+
+  // 読みをローマ字の入力パターンに変換できるか確認する
+  const unconvertible = findUnconvertibleChars(kanaText);
+  if (unconvertible.length > 0) {
+    return {
+      problem: null,
+      reason: `読みに入力できない文字があります: ${unconvertible.join(' ')}`,
+    };
+  }
+
+  const difficulty = String(fields.difficulty || '').trim().toLowerCase();
+  const problem = {
+    displayText: displayText || kanaText,
+    kanaText,
+    category: String(fields.category || '').trim() || CATEGORIES.GENERAL,
+    tags: normalizeTags(fields.tags),
+    difficulty:
+      difficulty && difficulty !== DIFFICULTIES.ALL && Object.values(DIFFICULTIES).includes(difficulty)
+        ? difficulty
+        : defaultDifficulty,
+  };
+  if (normalizeBoolean(fields.caseSensitive)) {
+    problem.caseSensitive = true;
+  }
+  if (ruby) {
+    // 組み込みの問題と同じ [漢字, 読み] と文字列の並びで保存する
+    problem.ruby = ruby.map(segment => (segment.reading ? [segment.text, segment.reading] : segment.text));
+  }
+
+  return { problem, reason: null };
+}
+
+/**
+ * テキストを解析して問題の一覧と取り込めなかった行を求める（保存はしない）
+ * @param {string} text - 取り込むテキスト
+ * @param {Object} [options] - オプション
+ * @param {string} [options.format] - 形式（省略時は自動判定）
+ * @param {string} [options.fileName] - ファイル名（形式の判定に使う）
+ * @param {string} [options.difficulty='normal'] - 難易度の指定がない問題の難易度
+ * @returns {{format: string, name: (string|null), problems: Array, errors: Array<{line: number, text: string, reason: string}>}} 解析結果
+ */
+export function parseProblemSet(text, options = {}) {
+  const { fileName = '', difficulty = DIFFICULTIES.NORMAL } = options;
+  const format = options.format || detectFormat(text, fileName);
+  // 表計算ソフトが付けるBOMを取り除く
+  const source = String(text || '').replace(/^\uFEFF/, '');
+
+  let parsed;
+  try {
+    if (format === IMPORT_FORMATS.JSON) {
+      parsed = parseJsonRows(source);
+    } else if (format === IMPORT_FORMATS.CSV || format === IMPORT_FORMATS.TSV) {
+      parsed = parseDelimitedRows(source, format === IMPORT_FORMATS.TSV ? '\t' : ',');
+    } else {
+      parsed = parseLineRows(source);
+    }
+  } catch (error) {
+    return {
+      format,
+      name: null,
+      problems: [],
+      errors: [{ line: 0, text: '', reason: `ファイルを読み込めません: ${error.message}` }],
+    };
+  }
+
+  const problems = [];
+  const errors = [];
+  const seen = new Set();
+
+  parsed.rows.forEach(({ line, raw, fields }) => {
+    const { problem, reason } = validateProblem(fields, difficulty);
+    if (!problem) {
+      errors.push({ line, text: raw, reason });
+      return;
+    }
+
+    const key = `${problem.displayText}\u0000${problem.kanaText}`;
+    if (seen.has(key)) {
+      errors.push({ line, text: raw, reason: '同じ問題が重複しています' });
+      return;
+    }
+    seen.add(key);
+    problems.push(problem);
+  });
+
+  return { format, name: parsed.name, problems, errors };
+}
+
+/**
+ * テキストを取り込み、問題セットとしてローカルに保存する
+ * 同じ名前の問題セットがある場合は置き換える
+ * @param {string} text - 取り込むテキスト
+ * @param {Object} [options] - オプション（parseProblemSetのオプションに加えて）
+ * @param {string} [options.name] - 問題セット名（省略時はJSONのname、ファイル名の順に使う）
+ * @returns {{success: boolean, set: (Object|null), format: string, errors: Array}} 取り込み結果
+ */
+export function importProblemSet(text, options = {}) {
+  const result = parseProblemSet(text, options);
+  if (result.problems.length === 0) {
+    return { success: false, set: null, format: result.format, errors: result.errors };
+  }
+
+  const fileBaseName = (options.fileName || '').replace(/\.[^.]+$/, '');
+  const name =
+    (options.name || '').trim() || result.name || fileBaseName || '取り込んだ問題';
+
+  const existing = getCustomProblemSets().find(set => set.name === name);
+  const set = storeProblemSet({
+    id: existing ? existing.id : null,
+    name,
+    problems: result.problems,
+  });
+  if (!set) {
+    return {
+      success: false,
+      set: null,
+      format: result.format,
+      errors: [
+        ...result.errors,
+        { line: 0, text: '', reason: '問題セットを保存できませんでした' },
+      ],
+    };
+  }
+
+  console.log(
+    `[ProblemImporter] 問題セット「${name}」を取り込みました: ${set.problems.length}問（取り込めなかった行: ${result.errors.length}）`
+  );
+  return { success: true, set, format: result.format, errors: result.errors };
+}
+
+/**
+ * 問題セットを保存する（同じIDの問題セットがあればその位置で置き換える）
+ * @param {{id: (string|null), name: string, problems: Array}} problemSet - 検証済みの問題セット
+ * @returns {Object|null} 保存した問題セット（保存に失敗した場合はnull）
+ */
+function storeProblemSet({ id, name, problems }) {
+  const setId = id || `custom-${Date.now().toString(36)}`;
+  const set = {
+    id: setId,
+    name,
+    importedAt: new Date().toISOString(),
+    problems: problems.map(problem => ({ ...problem, customSetId: setId })),
+  };
+
+  const problemSets = getCustomProblemSets();
+  const index = problemSets.findIndex(problemSet => problemSet.id === setId);
+  if (index === -1) {
+    problemSets.push(set);
+  } else {
+    problemSets[index] = set;
+  }
+
+  return saveCustomProblemSets(problemSets) ? set : null;
+}
+
+/**
+ * 管理画面で編集した問題セットを検証して保存する
+ * 1問でも検証に失敗した場合は保存しない
+ * @param {{id: (string|undefined), name: string, problems: Array}} problemSet - 問題セット
+ * @returns {{success: boolean, set: (Object|null), errors: Array<{line: number, text: string, reason: string}>}} 保存結果
+ */
+export function saveProblemSet(problemSet) {
+  const name = String(problemSet.name || '').trim();
+  if (!name) {
+    return {
+      success: false,
+      set: null,
+      errors: [{ line: 0, text: '', reason: '問題セット名がありません' }],
+    };
+  }
+
+  const problems = [];
+  const errors = [];
+  (problemSet.problems || []).forEach((fields, index) => {
+    const { problem, reason } = validateProblem(fields);
+    if (problem) {
+      problems.push(problem);
+    } else {
+      errors.push({ line: index + 1, text: fields.displayText || '', reason });
+    }
+  });
+  if (errors.length > 0) {
+    return { success: false, set: null, errors };
+  }
+
+  const set = storeProblemSet({ id: problemSet.id || null, name, problems });
+  if (!set) {
+    return {
+      success: false,
+      set: null,
+      errors: [{ line: 0, text: '', reason: '問題セットを保存できませんでした' }],
+    };
+  }
+  return { success: true, set, errors: [] };
+}
+
+/**
+ * 問題セットを取り込み用のJSON（{ name, problems }）に書き出す
+ * @param {Object} problemSet - 問題セット
+ * @returns {string} JSON文字列
+ */
+export function exportProblemSetJson(problemSet) {
+  const problems = (problemSet.problems || []).map(
+    ({ displayText, kanaText, category, tags, difficulty, caseSensitive, ruby }) => ({
+      displayText,
+      kanaText,
+      category,
+      tags: tags || [],
+      difficulty,
+      ...(caseSensitive ? { caseSensitive: true } : {}),
+      ...(ruby ? { ruby } : {}),
+    })
+  );
+  return JSON.stringify({ name: problemSet.name, problems }, null, 2);
+}
+
+/**
+ * 読みから入力のプレビュー（表示されるローマ字と打鍵数）を作る
+ * 選択中の入力方式と表記の好みを反映する
+ * @param {string} kanaText - 読み（かな）
+ * @param {Object} [options] - オプション
+ * @param {boolean} [options.caseSensitive=false] - 英字の大文字小文字を区別するか
+ * @returns {{romaji: string, keystrokes: number}} プレビュー
+ */
+export function previewProblemInput(kanaText, { caseSensitive = false } = {}) {
+  const kana = normalizeKana(String(kanaText || '').trim());
+  if (!kana) return { romaji: '', keystrokes: 0 };
+
+  const units = romajiConverter.parseTextToUnits(kana, { caseSensitive });
+  const romaji = units.map(unit => unit.patterns[0] || '').join('');
+  return { romaji, keystrokes: romaji.length };
+}
+
+/**
+ * 保存済みの問題セットの一覧を取得する
+ * @returns {Array} 問題セットの配列
+ */
+export function getImportedProblemSets() {
+  return getCustomProblemSets();
+}
+
+/**
+ * 保存済みの問題セットを削除する
+ * @param {string} setId - 問題セットID
+ * @returns {boolean} 削除が成功したかどうか
+ */
+export function deleteImportedProblemSet(setId) {
+  const problemSets = getCustomProblemSets();
+  return saveCustomProblemSets(problemSets.filter(set => set.id !== setId));
+}
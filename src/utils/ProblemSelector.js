@@ -6,23 +6,59 @@
  * 責任: 難易度やカテゴリに基づく問題選定
  */
 
-import { CATEGORIES, DIFFICULTIES, easyProblems, normalProblems, hardProblems } from '../utils/ProblemData';
+import {
+  CATEGORIES,
+  DIFFICULTIES,
+  easyProblems,
+  normalProblems,
+  hardProblems,
+  getCustomProblems,
+  matchesProblemFilter,
+} from '../utils/ProblemData';
+import { pickReviewProblem } from './ReviewScheduler';
+import { createSeededRandom } from './SeededRandom';
+
+// 問題の選び方
+export const PROBLEM_SELECTION_STRATEGIES = {
+  RANDOM: 'random', // 完全ランダム
+  REVIEW: 'review', // 苦手な問題を復習間隔に合わせて多めに出題
+};
 
 // 最近出題された問題を記録（重複防止用）
 const recentProblems = new Set();
 const MAX_RECENT_PROBLEMS = 15; // 記憶する最近の問題数
 
+// 出題に使う乱数関数（シードを指定したゲームではシード付きの乱数に切り替える）
+let sequenceRandom = Math.random;
+
+/**
+ * ゲーム開始時に出題の乱数列を初期化する
+ * シードを指定すると、同じシード・難易度・問題数で同じ順番に出題される。
+ * 再現性のため、前のゲームで記憶した最近の問題もリセットする
+ * @param {string|null} seed - シード（nullの場合はMath.randomを使う）
+ */
+export function startProblemSequence(seed = null) {
+  recentProblems.clear();
+  sequenceRandom = seed ? createSeededRandom(seed) : Math.random;
+  console.log('[ProblemSelector] 出題の乱数列を初期化:', seed || 'シードなし');
+}
+
 /**
  * 問題選択のオプション定義
  * @typedef {Object} ProblemSelectionOptions
  * @property {string} difficulty - 難易度 ('easy', 'normal', 'hard', 'all')
  * @property {string} category - カテゴリ (CATEGORIES定数の値)
+ * @property {Array<string>} categories - 出題範囲のカテゴリ（複数選択、タグとあわせていずれかに当てはまる問題を出題）
+ * @property {Array<string>} tags - 出題範囲のタグ（複数選択）
  * @property {Array<string>} excludeRecent - 除外する問題テキスト配列
  * @property {boolean} useMemory - 最近出題された問題を記憶して重複を避けるか
+ * @property {string} strategy - 問題の選び方 (PROBLEM_SELECTION_STRATEGIES定数の値)
+ * @property {string} playerName - 復習記録を参照するプレイヤー名（strategyが'review'の場合）
+ * @property {boolean} includeCustom - 取り込んだ問題セットからも出題するか（シード付きのゲームではfalse）
  */
 
 /**
- * ランダムに問題を選択する
+ * ランダムに問題を選択する（strategyが'review'の場合は苦手な問題を優先する）
  * 
  * @param {ProblemSelectionOptions} options - 問題選択オプション 
  * @returns {Object} 選択された問題
@@ -31,14 +67,21 @@ export function getRandomProblem(options = {}) {
   const {
     difficulty = DIFFICULTIES.ALL,
     category = null,
+    categories = [],
+    tags = [],
     excludeRecent = [],
     useMemory = true,
+    strategy = PROBLEM_SELECTION_STRATEGIES.RANDOM,
+    playerName = null,
+    includeCustom = true,
   } = options;
 
   // デバッグログ：難易度と選択条件
   console.log('[ProblemSelector] 問題選択:', {
     指定された難易度: difficulty,
     カテゴリ: category || '指定なし',
+    出題範囲: { categories, tags },
+    選び方: strategy,
     除外数: excludeRecent.length,
     難易度設定値チェック: {
       ALL: DIFFICULTIES.ALL,
@@ -72,6 +115,14 @@ export function getRandomProblem(options = {}) {
     console.log('[ProblemSelector] HARD問題を追加:', hardProblems.length);
   }
 
+  // 取り込んだ問題セットの問題も同じ難易度から出題する
+  // シード付きのゲームでは、端末ごとに違う問題セットで出題順が変わらないように含めない
+  const customProblems = includeCustom ? getCustomProblems(difficulty) : [];
+  if (customProblems.length > 0) {
+    availableProblems = availableProblems.concat(customProblems);
+    console.log('[ProblemSelector] 取り込んだ問題を追加:', customProblems.length);
+  }
+
   console.log(`[ProblemSelector] 難易度「${difficulty}」の選択可能な問題数:`, availableProblems.length);
 
   // カテゴリによるフィルタリング
@@ -79,6 +130,17 @@ export function getRandomProblem(options = {}) {
     availableProblems = availableProblems.filter(problem => problem.category === category);
   }
 
+  // 出題範囲（カテゴリ・タグの複数選択）によるフィルタリング
+  // 該当する問題がない場合は絞り込まずに出題する
+  const filteredProblems = availableProblems.filter(problem =>
+    matchesProblemFilter(problem, { categories, tags })
+  );
+  if (filteredProblems.length > 0) {
+    availableProblems = filteredProblems;
+  } else {
+    console.warn('[ProblemSelector] 出題範囲に該当する問題がないため、絞り込まずに選択します');
+  }
+
   // 除外リストの作成（明示的な除外 + 記憶されている最近の問題）
   const excludeList = new Set(excludeRecent);
   if (useMemory) {
@@ -96,8 +158,16 @@ export function getRandomProblem(options = {}) {
     return getRandomFromArray(availableProblems) || fallbackProblem();
   }
 
-  // ランダムに問題を選択
-  const selectedProblem = getRandomFromArray(candidateProblems) || fallbackProblem();
+  // 復習モードでは出題時期を迎えた苦手な問題を優先し、なければランダムに選択
+  const reviewProblem =
+    strategy === PROBLEM_SELECTION_STRATEGIES.REVIEW
+      ? pickReviewProblem(playerName, candidateProblems)
+      : null;
+  if (reviewProblem) {
+    console.log('[ProblemSelector] 復習する問題を選択:', reviewProblem.displayText);
+  }
+
+  const selectedProblem = reviewProblem || getRandomFromArray(candidateProblems) || fallbackProblem();
 
   // 選択された問題を記憶リストに追加
   if (useMemory && selectedProblem) {
@@ -115,13 +185,13 @@ export function getRandomProblem(options = {}) {
 }
 
 /**
- * 配列からランダムに要素を1つ選択する
+ * 配列からランダムに要素を1つ選択する（出題の乱数列を使う）
  * @param {Array} array - 配列
  * @returns {*} 選択された要素、配列が空の場合はnull
  */
 function getRandomFromArray(array) {
   if (!array || array.length === 0) return null;
-  const randomIndex = Math.floor(Math.random() * array.length);
+  const randomIndex = Math.floor(sequenceRandom() * array.length);
   return array[randomIndex];
 }
 
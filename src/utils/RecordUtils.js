@@ -13,6 +13,8 @@ import TypingUtils from './TypingUtils';
  * @param {number} recordData.accuracy - 正確性（%）
  * @param {number} [recordData.timestamp] - 記録日時
  * @param {string} [recordData.difficulty] - 難易度
+ * @param {string} [recordData.dateKey] - 今日のチャレンジの日付キー（今日のチャレンジのみ）
+ * @param {boolean} [recordData.ranked] - 今日のチャレンジのランキング対象の挑戦か（今日のチャレンジのみ）
  * @returns {boolean} 保存に成功したかどうか
  */
 export const saveGameRecord = (recordData = {}) => {
@@ -34,6 +36,10 @@ export const saveGameRecord = (recordData = {}) => {
       correctCount: recordData.correctCount || 0,
       missCount: recordData.missCount || 0,
       difficulty: recordData.difficulty || 'normal',
+      // 今日のチャレンジは日付とランキング対象かを残し、ランキング画面で今日のランキング対象の挑戦だけを表示する
+      ...(recordData.dateKey
+        ? { dateKey: recordData.dateKey, ranked: !!recordData.ranked }
+        : {}),
       date: recordData.timestamp ? new Date(recordData.timestamp).toISOString() : new Date().toISOString(),
     };
 
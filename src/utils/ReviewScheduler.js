@@ -0,0 +1,222 @@
+'use client';
+
+/**
+ * ReviewScheduler.js
+ * 苦手な問題の復習スケジュールを管理する
+ * 責任: プレイヤーごとに問題ごとのミス・遅い打鍵を記録し、SM-2方式の間隔で次の出題時期を決める
+ *
+ * SM-2方式:
+ * - 問題を解くたびに、ミスと遅い打鍵の割合から出来（0〜5）を求める
+ * - 出来が3以上なら間隔を 1日 → 6日 → 前回の間隔×易しさ係数 と伸ばす
+ * - 出来が3未満なら間隔をリセットし、次の出題ですぐに復習する
+ * - 易しさ係数は出来に応じて増減する（下限1.3）
+ */
+
+import { getPlayerReviewRecords, savePlayerReviewRecords } from './StorageUtils';
+
+// デバッグモード
+const DEBUG_REVIEW = process.env.NODE_ENV === 'development' && false;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// SM-2の定数
+const DEFAULT_EASINESS = 2.5;
+const MIN_EASINESS = 1.3;
+const FIRST_INTERVAL_DAYS = 1;
+const SECOND_INTERVAL_DAYS = 6;
+const PASSING_QUALITY = 3;
+
+// 遅い打鍵の判定（問題内の打鍵間隔の中央値の何倍以上か、および最低限の間隔）
+const SLOW_KEY_RATIO = 2.5;
+const SLOW_KEY_MIN_INTERVAL_MS = 600;
+
+// 遅い打鍵はミスの半分として出来に反映する
+const SLOW_KEY_WEIGHT = 0.5;
+
+// 出来（0〜5）を決めるつまずき率の境界（つまずき率 = (ミス + 遅い打鍵×重み) / 打鍵数）
+const QUALITY_THRESHOLDS = [
+  { quality: 5, maxRate: 0 },
+  { quality: 4, maxRate: 0.03 },
+  { quality: 3, maxRate: 0.08 },
+  { quality: 2, maxRate: 0.15 },
+  { quality: 1, maxRate: 0.3 },
+];
+
+// 復習が必要な問題を優先して出題する確率（残りは通常のランダム出題で新しい問題にも触れる）
+const REVIEW_PROBABILITY = 0.7;
+
+/**
+ * 問題を識別するキーを求める
+ * @param {Object} problem - 問題データ
+ * @returns {string} 問題のキー
+ */
+export function getProblemReviewKey(problem) {
+  return `${problem?.displayText || ''}|${problem?.kanaText || ''}`;
+}
+
+/**
+ * 打鍵間隔から遅い打鍵の数を数える
+ * @param {number[]} keyIntervals - 正解した打鍵の間隔（ミリ秒）
+ * @returns {number} 遅い打鍵の数
+ */
+export function countSlowKeystrokes(keyIntervals = []) {
+  if (!Array.isArray(keyIntervals) || keyIntervals.length === 0) return 0;
+
+  const sorted = [...keyIntervals].sort((a, b) => a - b);
+  const median = sorted[Math.floor(sorted.length / 2)];
+  const threshold = Math.max(median * SLOW_KEY_RATIO, SLOW_KEY_MIN_INTERVAL_MS);
+
+  return keyIntervals.filter(interval => interval >= threshold).length;
+}
+
+/**
+ * ミスと遅い打鍵から出来（0〜5）を求める
+ * @param {Object} result - 問題の結果
+ * @param {number} result.keyCount - 正解した打鍵数
+ * @param {number} result.missCount - ミスの数
+ * @param {number} result.slowKeyCount - 遅い打鍵の数
+ * @returns {number} 出来（0〜5）
+ */
+export function getReviewQuality({ keyCount = 0, missCount = 0, slowKeyCount = 0 }) {
+  const stumbleRate = (missCount + slowKeyCount * SLOW_KEY_WEIGHT) / Math.max(keyCount, 1);
+  const matched = QUALITY_THRESHOLDS.find(({ maxRate }) => stumbleRate <= maxRate);
+  return matched ? matched.quality : 0;
+}
+
+/**
+ * SM-2方式で次の復習記録を求める
+ * @param {Object|undefined} record - これまでの復習記録
+ * @param {number} quality - 今回の出来（0〜5）
+ * @param {number} now - 現在時刻
+ * @returns {Object} 更新した復習記録
+ */
+function scheduleNextReview(record, quality, now) {
+  const previous = record || {
+    repetitions: 0,
+    easiness: DEFAULT_EASINESS,
+    intervalDays: 0,
+    attempts: 0,
+    totalMisses: 0,
+    totalSlowKeys: 0,
+  };
+
+  let { repetitions, intervalDays } = previous;
+  if (quality < PASSING_QUALITY) {
+    repetitions = 0;
+    intervalDays = 0;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) {
+      intervalDays = FIRST_INTERVAL_DAYS;
+    } else if (repetitions === 2) {
+      intervalDays = SECOND_INTERVAL_DAYS;
+    } else {
+      intervalDays = Math.round(intervalDays * previous.easiness);
+    }
+  }
+
+  const easiness = Math.max(
+    MIN_EASINESS,
+    previous.easiness + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  return {
+    ...previous,
+    repetitions,
+    easiness: Math.round(easiness * 100) / 100,
+    intervalDays,
+    lastQuality: quality,
+    lastReviewedAt: now,
+    dueAt: now + intervalDays * DAY_MS,
+  };
+}
+
+/**
+ * 問題の結果を記録し、次の出題時期を決める
+ * @param {string} playerName - プレイヤー名
+ * @param {Object} problem - 解いた問題
+ * @param {Object} result - 問題の結果
+ * @param {number} result.keyCount - 正解した打鍵数
+ * @param {number} result.missCount - ミスの数
+ * @param {number[]} [result.keyIntervals] - 正解した打鍵の間隔（ミリ秒）
+ * @param {number} [now] - 現在時刻
+ * @returns {Object|null} 更新した復習記録（記録できない場合はnull）
+ */
+export function recordProblemResult(playerName, problem, result = {}, now = Date.now()) {
+  if (!playerName || !problem?.displayText) return null;
+
+  const { keyCount = 0, missCount = 0, keyIntervals = [] } = result;
+  const slowKeyCount = countSlowKeystrokes(keyIntervals);
+  const quality = getReviewQuality({ keyCount, missCount, slowKeyCount });
+
+  const records = getPlayerReviewRecords(playerName);
+  const key = getProblemReviewKey(problem);
+  const record = scheduleNextReview(records[key], quality, now);
+  record.attempts += 1;
+  record.totalMisses += missCount;
+  record.totalSlowKeys += slowKeyCount;
+  records[key] = record;
+
+  savePlayerReviewRecords(playerName, records);
+
+  if (DEBUG_REVIEW) {
+    console.log('[ReviewScheduler] 結果を記録:', {
+      問題: problem.displayText,
+      ミス: missCount,
+      遅い打鍵: slowKeyCount,
+      出来: quality,
+      次の間隔日数: record.intervalDays,
+    });
+  }
+
+  return record;
+}
+
+/**
+ * 復習の優先度を求める（期限を過ぎているほど、易しさ係数が低いほど高い）
+ * @param {Object} record - 復習記録
+ * @param {number} now - 現在時刻
+ * @returns {number} 優先度（1以上）
+ */
+function getReviewPriority(record, now) {
+  const overdueDays = Math.max(0, (now - record.dueAt) / DAY_MS);
+  return 1 + overdueDays + (DEFAULT_EASINESS - record.easiness) * 4;
+}
+
+/**
+ * 候補の中から復習する問題を選ぶ
+ * 出題時期を迎えた問題があれば、優先度に応じた重み付きの抽選で選ぶ。
+ * 出題時期を迎えた問題がない場合や、一定の確率で新しい問題にも触れるためにnullを返す（呼び出し側でランダムに選ぶ）
+ * @param {string} playerName - プレイヤー名
+ * @param {Array} candidates - 出題候補の問題
+ * @param {Object} [options] - オプション
+ * @param {number} [options.now] - 現在時刻
+ * @param {Function} [options.random] - 乱数関数（0以上1未満）
+ * @returns {Object|null} 選んだ問題
+ */
+export function pickReviewProblem(playerName, candidates, options = {}) {
+  const { now = Date.now(), random = Math.random } = options;
+  if (!playerName || !candidates || candidates.length === 0) return null;
+
+  const records = getPlayerReviewRecords(playerName);
+  const dueProblems = candidates
+    .map(problem => ({ problem, record: records[getProblemReviewKey(problem)] }))
+    .filter(({ record }) => record && record.dueAt <= now);
+
+  if (dueProblems.length === 0 || random() >= REVIEW_PROBABILITY) {
+    return null;
+  }
+
+  const weighted = dueProblems.map(({ problem, record }) => ({
+    problem,
+    weight: getReviewPriority(record, now),
+  }));
+  const totalWeight = weighted.reduce((sum, { weight }) => sum + weight, 0);
+
+  let threshold = random() * totalWeight;
+  for (const { problem, weight } of weighted) {
+    threshold -= weight;
+    if (threshold < 0) return problem;
+  }
+  return weighted[weighted.length - 1].problem;
+}
@@ -0,0 +1,88 @@
+'use client';
+
+/**
+ * SeededRandom.js
+ * シード付きの疑似乱数
+ * 責任: 同じシードから同じ乱数列を生成し、問題の出題順を再現できるようにする
+ *
+ * 文字列のシードを32ビットのハッシュに変換し、mulberry32で乱数を生成する。
+ * ブラウザやOSに依存しない整数演算だけで計算するため、どの環境でも同じ乱数列になる。
+ */
+
+// シードに使う文字（見間違えやすい 0/O・1/I/L を除く）
+const SEED_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const SEED_LENGTH = 6;
+export const MAX_SEED_LENGTH = 16;
+
+/**
+ * 入力されたシードを正規化する（前後と途中の空白を除き、英字を大文字にする）
+ * @param {string} input - 入力されたシード
+ * @returns {string} 正規化したシード（空の場合は空文字）
+ */
+export function normalizeSeed(input) {
+  return String(input ?? '')
+    .normalize('NFKC')
+    .replace(/\s+/g, '')
+    .toUpperCase()
+    .slice(0, MAX_SEED_LENGTH);
+}
+
+/**
+ * 新しいシードをランダムに生成する
+ * @returns {string} シード（例: 'K7M2QX'）
+ */
+export function generateSeed() {
+  let seed = '';
+  for (let i = 0; i < SEED_LENGTH; i++) {
+    seed += SEED_ALPHABET[Math.floor(Math.random() * SEED_ALPHABET.length)];
+  }
+  return seed;
+}
+
+/**
+ * シードの文字列を32ビットの整数に変換する（FNV-1a）
+ * @param {string} seed - シード
+ * @returns {number} 32ビットの符号なし整数
+ */
+function hashSeed(seed) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * シード付きの乱数関数を作成する
+ * @param {string} seed - シード
+ * @returns {Function} Math.randomと同じく0以上1未満の数を返す関数
+ */
+export function createSeededRandom(seed) {
+  let state = hashSeed(normalizeSeed(seed));
+
+  // mulberry32
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 配列をシャッフルした新しい配列を返す（Fisher-Yates）
+ * sortの比較関数で乱数を使う方法はブラウザごとに結果が変わるため、出題順の再現にはこちらを使う
+ * @param {Array} array - 元の配列
+ * @param {Function} [random] - 乱数関数
+ * @returns {Array} シャッフルした配列
+ */
+export function shuffleArray(array, random = Math.random) {
+  const shuffled = [...array];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
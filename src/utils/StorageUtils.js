@@ -15,6 +15,10 @@ const STORAGE_KEYS = {
   USERNAME: 'username',
   LAST_PLAYED_DATE: 'lastPlayedDate',
   SCREEN_SIZE: 'screenSize',
+  CUSTOM_PROBLEM_SETS: 'customProblemSets',
+  REVIEW_RECORDS: 'reviewRecords',
+  DAILY_CHALLENGE: 'dailyChallenge',
+  GHOST_RUNS: 'ghostRuns',
 };
 
 /**
@@ -385,6 +389,97 @@ export const applyScreenBackground = async (screenId) => {
   }
 };
 
+/**
+ * 取り込んだ問題セットをローカルストレージに保存する
+ * @param {Array} problemSets - 問題セットの配列
+ * @returns {boolean} 保存が成功したかどうか
+ */
+export const saveCustomProblemSets = (problemSets) => {
+  return saveToStorage(STORAGE_KEYS.CUSTOM_PROBLEM_SETS, problemSets);
+};
+
+/**
+ * 取り込んだ問題セットをローカルストレージから取得する
+ * @returns {Array} 問題セットの配列（未保存の場合は空配列）
+ */
+export const getCustomProblemSets = () => {
+  const problemSets = getFromStorage(STORAGE_KEYS.CUSTOM_PROBLEM_SETS, []);
+  return Array.isArray(problemSets) ? problemSets : [];
+};
+
+/**
+ * プレイヤーごとの復習記録（問題ごとのミス・遅い打鍵と出題間隔）を保存する
+ * @param {string} playerName - プレイヤー名
+ * @param {Object} records - 問題ごとの復習記録
+ * @returns {boolean} 保存が成功したかどうか
+ */
+export const savePlayerReviewRecords = (playerName, records) => {
+  // 現在の全プレイヤーの記録を取得
+  const reviewRecords = getFromStorage(STORAGE_KEYS.REVIEW_RECORDS, {});
+
+  // 対象のプレイヤーの記録を更新
+  reviewRecords[playerName] = records;
+
+  return saveToStorage(STORAGE_KEYS.REVIEW_RECORDS, reviewRecords);
+};
+
+/**
+ * プレイヤーの復習記録を取得する
+ * @param {string} playerName - プレイヤー名
+ * @returns {Object} 問題ごとの復習記録（未保存の場合は空オブジェクト）
+ */
+export const getPlayerReviewRecords = (playerName) => {
+  const reviewRecords = getFromStorage(STORAGE_KEYS.REVIEW_RECORDS, {});
+  const records = reviewRecords && reviewRecords[playerName];
+  return records && typeof records === 'object' ? records : {};
+};
+
+/**
+ * プレイヤーの「今日のチャレンジ」の挑戦記録（最後に挑戦した日・連続挑戦日数）を保存する
+ * @param {string} playerName - プレイヤー名
+ * @param {Object} record - 挑戦記録
+ * @returns {boolean} 保存が成功したかどうか
+ */
+export const savePlayerDailyChallengeRecord = (playerName, record) => {
+  const dailyRecords = getFromStorage(STORAGE_KEYS.DAILY_CHALLENGE, {});
+  dailyRecords[playerName] = record;
+  return saveToStorage(STORAGE_KEYS.DAILY_CHALLENGE, dailyRecords);
+};
+
+/**
+ * プレイヤーの「今日のチャレンジ」の挑戦記録を取得する
+ * @param {string} playerName - プレイヤー名
+ * @returns {Object|null} 挑戦記録（未保存の場合はnull）
+ */
+export const getPlayerDailyChallengeRecord = (playerName) => {
+  const dailyRecords = getFromStorage(STORAGE_KEYS.DAILY_CHALLENGE, {});
+  return (dailyRecords && dailyRecords[playerName]) || null;
+};
+
+/**
+ * プレイヤーの難易度ごとの自己ベストのゴースト（打鍵の記録と出題した問題）を保存する
+ * @param {string} playerName - プレイヤー名
+ * @param {string} difficulty - 難易度
+ * @param {Object} ghost - ゴーストの記録
+ * @returns {boolean} 保存が成功したかどうか
+ */
+export const savePlayerGhostRun = (playerName, difficulty, ghost) => {
+  const ghostRuns = getFromStorage(STORAGE_KEYS.GHOST_RUNS, {});
+  ghostRuns[playerName] = { ...(ghostRuns[playerName] || {}), [difficulty]: ghost };
+  return saveToStorage(STORAGE_KEYS.GHOST_RUNS, ghostRuns);
+};
+
+/**
+ * プレイヤーの難易度ごとの自己ベストのゴーストを取得する
+ * @param {string} playerName - プレイヤー名
+ * @returns {Object} 難易度ごとのゴースト（未保存の場合は空オブジェクト）
+ */
+export const getPlayerGhostRuns = (playerName) => {
+  const ghostRuns = getFromStorage(STORAGE_KEYS.GHOST_RUNS, {});
+  const runs = ghostRuns && ghostRuns[playerName];
+  return runs && typeof runs === 'object' ? runs : {};
+};
+
 export default {
   STORAGE_KEYS,
   saveToStorage,
@@ -408,6 +503,14 @@ export default {
   getLastPlayedDate,
   saveScreenSize,
   getScreenSize,
+  saveCustomProblemSets,
+  getCustomProblemSets,
+  savePlayerReviewRecords,
+  getPlayerReviewRecords,
+  savePlayerDailyChallengeRecord,
+  getPlayerDailyChallengeRecord,
+  savePlayerGhostRun,
+  getPlayerGhostRuns,
   applyBackgroundFromStorage,
   applyScreenBackground,
 };
@@ -0,0 +1,88 @@
+'use client';
+
+/**
+ * SurvivalMode.js
+ * サバイバル（ライフがなくなるまで問題を続けて打つモード）の設定と状態の更新
+ * 責任: ライフの数、問題ごとの制限時間（進むほど短くなる）、ライフを失った時の状態の更新
+ *
+ * - 状態はGameContextのgameState.survivalに置き、ここの関数で新しい状態を作って差し替える
+ * - ミス入力と問題の時間切れでライフを1つ失い、0になったらゲームオーバー
+ * - 到達距離は時間内に打ち終えた問題の数（時間切れの問題は含めない）
+ */
+
+// ライフの数
+export const SURVIVAL_MAX_LIVES = 5;
+
+// 問題ごとの制限時間：読む時間と、かな1文字あたりの時間（ミリ秒）
+const READING_TIME_MS = 2000;
+const START_MS_PER_KANA = 1000;
+const MIN_MS_PER_KANA = 350;
+
+// 1問進むごとに、かな1文字あたりの時間にかける割合
+const SHRINK_RATE = 0.95;
+
+/**
+ * 問題の制限時間を求める（かなの文字数に比例し、出題数が増えるほど短くなる）
+ * @param {Object} problem - 問題データ
+ * @param {number} problemIndex - 何問目か（0から。時間切れの問題も数える）
+ * @returns {number} 制限時間（ミリ秒）
+ */
+export function getSurvivalTimeLimitMs(problem, problemIndex) {
+  const kanaLength = (problem?.kanaText || problem?.displayText || '').length;
+  const msPerKana = Math.max(
+    MIN_MS_PER_KANA,
+    START_MS_PER_KANA * Math.pow(SHRINK_RATE, Math.max(0, problemIndex))
+  );
+  return Math.round(READING_TIME_MS + kanaLength * msPerKana);
+}
+
+/**
+ * サバイバルの初期状態を作る
+ * @returns {Object} 状態（lives, maxLives, problemIndex, timeLimitMs, deadline, mistakeCount, timeoutCount）
+ */
+export function createSurvivalState() {
+  return {
+    lives: SURVIVAL_MAX_LIVES,
+    maxLives: SURVIVAL_MAX_LIVES,
+    problemIndex: -1, // 表示中の問題が何問目か（最初の問題を表示する前は -1）
+    timeLimitMs: 0, // 表示中の問題の制限時間
+    deadline: null, // 表示中の問題の締め切り（時刻のミリ秒）
+    mistakeCount: 0, // ミス入力で失ったライフ
+    timeoutCount: 0, // 時間切れで失ったライフ
+  };
+}
+
+/**
+ * 次の問題の計時を始める
+ * @param {Object} survival - 現在の状態
+ * @param {Object} problem - 表示する問題
+ * @param {number} [now=Date.now()] - 表示した時刻
+ * @returns {Object} 新しい状態
+ */
+export function startSurvivalProblem(survival, problem, now = Date.now()) {
+  const problemIndex = survival.problemIndex + 1;
+  const timeLimitMs = getSurvivalTimeLimitMs(problem, problemIndex);
+  return {
+    ...survival,
+    problemIndex,
+    timeLimitMs,
+    deadline: now + timeLimitMs,
+  };
+}
+
+/**
+ * ライフを1つ失う
+ * @param {Object} survival - 現在の状態
+ * @param {'mistake'|'timeout'} reason - 失った理由
+ * @returns {Object} 新しい状態
+ */
+export function loseSurvivalLife(survival, reason) {
+  return {
+    ...survival,
+    lives: Math.max(0, survival.lives - 1),
+    mistakeCount: survival.mistakeCount + (reason === 'mistake' ? 1 : 0),
+    timeoutCount: survival.timeoutCount + (reason === 'timeout' ? 1 : 0),
+    // 時間切れの問題は次の問題を表示するまで計時しない
+    deadline: reason === 'timeout' ? null : survival.deadline,
+  };
+}
@@ -0,0 +1,68 @@
+'use client';
+
+/**
+ * TimeAttack.js
+ * タイムアタック（制限時間内にできるだけ多くの問題を打つモード）の設定と集計
+ * 責任: 制限時間の選択肢、制限時間ごとのランキングの区分、時間切れ時のKPMと途中の問題の集計
+ *
+ * - 問題は時間切れになるまで続けて出題する（問題数の指定はない）
+ * - 時間切れの時点で打ちかけの問題も、それまでに正しく打ったキーを集計に含める
+ * - KPMは正しく打ったキーの数を制限時間（分）で割った値（制限時間が同じなら打鍵数の比較と同じ）
+ */
+
+// 制限時間の選択肢（秒）
+export const TIME_ATTACK_DURATIONS = [60, 120, 300];
+
+// 制限時間のデフォルト（秒）
+export const DEFAULT_TIME_ATTACK_DURATION = 60;
+
+// ランキングの区分の接頭辞（制限時間ごとに別のランキングにする）
+const RANKING_KEY_PREFIX = 'timeAttack-';
+
+/**
+ * 制限時間を選択肢のいずれかにそろえる
+ * @param {number|string} duration - 制限時間（秒）
+ * @returns {number} 制限時間（秒）。選択肢にない場合はデフォルト
+ */
+export function normalizeTimeAttackDuration(duration) {
+  const seconds = Number(duration);
+  return TIME_ATTACK_DURATIONS.includes(seconds) ? seconds : DEFAULT_TIME_ATTACK_DURATION;
+}
+
+/**
+ * 制限時間の表示名を求める
+ * @param {number} duration - 制限時間（秒）
+ * @returns {string} 表示名（例: 60秒、5分）
+ */
+export function getTimeAttackLabel(duration) {
+  return duration >= 120 && duration % 60 === 0 ? `${duration / 60}分` : `${duration}秒`;
+}
+
+/**
+ * 制限時間ごとのランキングの区分（記録のdifficultyに使う）を求める
+ * @param {number} duration - 制限時間（秒）
+ * @returns {string} ランキングの区分（例: timeAttack-60）
+ */
+export function getTimeAttackRankingKey(duration) {
+  return `${RANKING_KEY_PREFIX}${normalizeTimeAttackDuration(duration)}`;
+}
+
+/**
+ * ランキングの区分がタイムアタックのものかどうか
+ * @param {string} key - ランキングの区分
+ * @returns {boolean} タイムアタックの区分ならtrue
+ */
+export function isTimeAttackRankingKey(key) {
+  return typeof key === 'string' && key.startsWith(RANKING_KEY_PREFIX);
+}
+
+/**
+ * 時間切れ時のKPMを求める（打ちかけの問題の打鍵も含めた正しいキーの数を制限時間で割る）
+ * @param {number} correctKeyCount - 正しく打ったキーの数
+ * @param {number} duration - 制限時間（秒）
+ * @returns {number} KPM（小数点1位まで）
+ */
+export function calculateTimeAttackKPM(correctKeyCount, duration) {
+  if (!duration) return 0;
+  return Math.round(((correctKeyCount || 0) / (duration / 60)) * 10) / 10;
+}
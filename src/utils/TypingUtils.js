@@ -1,4 +1,8 @@
 import * as wanakana from 'wanakana';
+import { normalizeKana, romajiConverter, toHalfWidth } from './typing/RomajiConverter';
+import { getActiveInputScheme } from './typing/InputSchemes';
+import { getRomajiPreferenceKey } from './typing/RomajiPreferences';
+import { isCodeProblem, buildCodePatterns, getCodeCursor } from './typing/CodeTyping';
 
 // デバッグログフラグ - デフォルトで無効化
 const DEBUG_TYPING_UTILS = process.env.NODE_ENV === 'development' && false;
@@ -133,27 +137,6 @@ const romajiMap = {
   ぴゃ: ['pya'],
   ぴゅ: ['pyu'],
   ぴょ: ['pyo'],
-  // 促音（小さいっ）
-  っか: ['kka'],
-  っき: ['kki'],
-  っく: ['kku'],
-  っけ: ['kke'],
-  っこ: ['kko'],
-  っさ: ['ssa'],
-  っし: ['sshi', 'ssi'],
-  っす: ['ssu'],
-  っせ: ['sse'],
-  っそ: ['sso'],
-  った: ['tta'],
-  っち: ['cchi', 'tti'],
-  っつ: ['ttsu', 'ttu'],
-  って: ['tte'],
-  っと: ['tto'],
-  っぱ: ['ppa'],
-  っぴ: ['ppi'],
-  っぷ: ['ppu'],
-  っぺ: ['ppe'],
-  っぽ: ['ppo'],
   // 小さい文字
   ぁ: ['xa', 'la'],
   ぃ: ['xi', 'li'],
@@ -164,6 +147,10 @@ const romajiMap = {
   ゅ: ['xyu', 'lyu'],
   ょ: ['xyo', 'lyo'],
   っ: ['xtu', 'ltu', 'xtsu', 'ltsu'],
+  ゕ: ['xka', 'lka'],
+  ゖ: ['xke', 'lke'],
+  // 長音記号
+  ー: ['-'],
   // 記号類
   '、': [','],
   '。': ['.'],
@@ -173,18 +160,6 @@ const romajiMap = {
   '/': ['/'],
 };
 
-// 子音マッピング (促音処理用)
-const consonants = {
-  k: true, s: true, t: true, p: true, c: true,
-  h: true, f: true, m: true, y: true, r: true,
-  w: true, g: true, z: true, d: true, b: true, j: true
-};
-
-// 母音と「y」で始まるパターン (「ん」の特殊処理用)
-const vowelsAndY = {
-  a: true, i: true, u: true, e: true, o: true, y: true, n: true
-};
-
 // タイピング高速化のためのマッピングキャッシュ
 const acceptableInputsCache = new Map();
 
@@ -195,23 +170,12 @@ const acceptableInputsCache = new Map();
 export default class TypingUtils {
   /**
    * 全角文字を半角に変換する（パフォーマンス最適化版）
-   * @param {string} char - 変換する文字
-   * @returns {string} 半角に変換された文字
+   * 1文字だけでなく文字列全体（「ＪａｖａＳｃｒｉｐｔ」など）も変換できる
+   * @param {string} text - 変換する文字・文字列
+   * @returns {string} 半角に変換された文字列
    */
-  static convertFullWidthToHalfWidth(char) {
-    if (!char) return '';
-
-    // Unicode変換によるシンプルな実装
-    if (char >= '！' && char <= '～') {
-      // 全角文字コードから半角文字コードへの変換
-      const code = char.charCodeAt(0) - 0xFEE0;
-      return String.fromCharCode(code);
-    }
-
-    // 特殊な変換ケース
-    if (char === '　') return ' '; // 全角スペース
-
-    return char;
+  static convertFullWidthToHalfWidth(text) {
+    return toHalfWidth(text);
   }
 
   /**
@@ -269,130 +233,41 @@ export default class TypingUtils {
 
   /**
    * ひらがな文字列をローマ字パターンに変換する（パフォーマンス最適化版）
-   * @param {string} text - 変換するひらがなテキスト
+   * 入力単位への分割はRomajiConverterに任せ、選択中の入力方式（AZIKなど）を反映する
+   * 英数字・記号は1文字ずつそのまま打つパターンになる
+   * @param {string} text - 変換するひらがなテキスト（英数字混在可）
+   * @param {Object} [options] - 変換オプション
+   * @param {boolean} [options.caseSensitive=false] - 英字の大文字小文字を区別するか
    * @returns {Array} ローマ字パターンの配列
    */
-  static parseTextToRomajiPatterns(text) {
+  static parseTextToRomajiPatterns(text, { caseSensitive = false } = {}) {
     if (!text) return [];
 
-    // ひらがなに変換
-    const hiragana = typeof text === 'string' ? wanakana.toHiragana(text) : text;
-
-    // パターンをキャッシュして使い回す
-    if (this._patternCache && this._patternCache.text === hiragana) {
+    // ひらがなに変換（カタカナ→ひらがな、長音記号は保持）
+    const hiragana = typeof text === 'string' ? normalizeKana(text) : text;
+    const schemeId = getActiveInputScheme().id;
+    const preferenceKey = getRomajiPreferenceKey();
+
+    // パターンをキャッシュして使い回す（入力方式・表記の好みが変わった場合は作り直す）
+    if (
+      this._patternCache &&
+      this._patternCache.text === hiragana &&
+      this._patternCache.schemeId === schemeId &&
+      this._patternCache.preferenceKey === preferenceKey &&
+      this._patternCache.caseSensitive === caseSensitive
+    ) {
       return [...this._patternCache.patterns]; // 配列のディープコピーを返す
     }
 
-    const patterns = [];
-    let i = 0;
-
-    while (i < hiragana.length) {
-      let char = hiragana[i];
-      let nextChar = i + 1 < hiragana.length ? hiragana[i + 1] : null;
+    const units = romajiConverter.parseTextToUnits(hiragana, { caseSensitive });
+    const patterns = units.map(unit => unit.patterns);
 
-      // 特殊文字のセット
-      const isSmall = nextChar && ['ゃ', 'ゅ', 'ょ', 'ぁ', 'ぃ', 'ぅ', 'ぇ', 'ぉ'].includes(nextChar);
-
-      // 2文字の組み合わせを確認（拗音など）
-      if (isSmall) {
-        const combined = char + nextChar;
-        if (romajiMap[combined]) {
-          patterns.push(romajiMap[combined]);
-          i += 2;
-          continue;
-        }
-      }      // 促音(っ)の処理（安定化・改善版）
-      if (char === 'っ' && nextChar) {
-        try {
-          // 次の文字が拗音を含む場合
-          const afterNextChar = i + 2 < hiragana.length ? hiragana[i + 2] : null;
-          const isNextSmall = afterNextChar && ['ゃ', 'ゅ', 'ょ'].includes(afterNextChar);
-
-          if (isNextSmall) {
-            // 「っきゃ」のようなパターン
-            const nextTwoChars = nextChar + afterNextChar;
-            // セーフティチェック強化
-            const nextRomaji = romajiMap[nextTwoChars] ||
-              (wanakana.toRomaji(nextTwoChars) ? [wanakana.toRomaji(nextTwoChars)] : ['']);
-
-            // 最初の文字が存在するか確認
-            if (nextRomaji[0] && nextRomaji[0].length > 0) {
-              const firstChar = nextRomaji[0][0];
-
-              logUtil.debug(`[TypingUtils] 促音+拗音処理: "${char}${nextChar}${afterNextChar}" -> 最初の文字: "${firstChar}"`);
-
-              if (consonants[firstChar]) {
-                patterns.push([firstChar]);
-                i++;
-                continue;
-              }
-            }
-          } else {
-            // 通常の促音（「った」など）
-            // セーフティチェック強化
-            const nextRomaji = romajiMap[nextChar] ||
-              (wanakana.toRomaji(nextChar) ? [wanakana.toRomaji(nextChar)] : ['']);
-
-            // 最初の文字が存在するか確認
-            if (nextRomaji[0] && nextRomaji[0].length > 0) {
-              const firstChar = nextRomaji[0][0];
-
-              logUtil.debug(`[TypingUtils] 通常促音処理: "${char}${nextChar}" -> 最初の文字: "${firstChar}"`);
-
-              if (consonants[firstChar]) {
-                patterns.push([firstChar]);
-                i++;
-                continue;
-              }
-            }
-          }
-        } catch (error) {
-          console.error(`[TypingUtils] 促音処理エラー: "${char}${nextChar}"`, error);
-        }
-
-        // 子音ではない場合の促音
-        patterns.push(['xtu', 'ltu']);
-        i++;
-        continue;
-      }      // 「ん」の特殊処理（最適化・安定化版）
-      if (char === 'ん') {
-        const isLastChar = i === hiragana.length - 1;
-        const nextFirstChar = nextChar ? nextChar[0] : '';
-
-        // 文末または母音/y/nの前での特殊処理
-        if (isLastChar) {
-          // 単語の最後では n だけでも受け付ける
-          patterns.push(['nn', 'n', 'xn']);
-          logUtil.debug('[TypingUtils] 「ん」処理: 文末位置 - パターン:', ['nn', 'n', 'xn']);
-        } else if (vowelsAndY[nextFirstChar]) {
-          // 母音やyの前では nn または xn のみ (n'a などと区別するため)
-          patterns.push(['nn', 'xn']);
-          logUtil.debug('[TypingUtils] 「ん」処理: 母音/y前 - パターン:', ['nn', 'xn'], '次の文字:', nextFirstChar);
-        } else {
-          // それ以外の場所では nn, n, xn すべて受け付ける
-          patterns.push(['nn', 'n', 'xn']);
-          logUtil.debug('[TypingUtils] 「ん」処理: その他位置 - パターン:', ['nn', 'n', 'xn'], '次の文字:', nextFirstChar);
-        }
-        i++;
-        continue;
-      }
-
-      // 通常文字の処理
-      if (romajiMap[char]) {
-        patterns.push(romajiMap[char]);
-      } else if (char.trim() === '') {
-        // スペースの処理
-        patterns.push([' ']);
-      } else {
-        // マッピングにない文字は直接wanakanaに変換を依頼
-        const romaji = wanakana.toRomaji(char);
-        patterns.push([romaji]);
-      }
-
-      i++;
-    }    // パターンをキャッシュ（安定化改善版）
+    // パターンをキャッシュ（安定化改善版）
     this._patternCache = {
       text: hiragana,
+      schemeId,
+      preferenceKey,
+      caseSensitive,
       patterns: patterns.map(p => [...p]), // ディープコピー
       timestamp: Date.now(),    // キャッシュ作成時刻（デバッグ用）
       info: {                   // メタ情報（デバッグ用）
@@ -402,43 +277,71 @@ export default class TypingUtils {
     };
 
     // パターン生成結果をデバッグ出力（最初の10個だけ表示）
-    logUtil.debug('[TypingUtils] ローマ字パターン生成結果:',
-      patterns.slice(0, 10).map((p, i) => ({
-        kana: hiragana[i] || '',
-        patterns: p
-      }))
+    logUtil.debug(`[TypingUtils] ローマ字パターン生成結果（入力方式: ${schemeId}）:`,
+      units.slice(0, 10)
     );
 
     return patterns;
   }
   /**
    * タイピングセッションを作成する（最適化・安定化バージョン）
+   * 自由入力モードでは間違えたキーも入力として残り（赤く表示）、Backspaceで消すまで先に進めない
    * @param {Object} problem - 問題オブジェクト
+   * @param {Object} [options] - セッションオプション
+   * @param {boolean} [options.freeInput=false] - 自由入力モード（falseならミスしたキーを受け付けない）
+   * @param {Object} [options.codeOptions] - コードの問題の入力オプション（skipIndent, typeEnter）
    * @returns {Object} タイピングセッションオブジェクト
    */
-  static createTypingSession(problem) {
-    if (!problem || !problem.kanaText) {
+  static createTypingSession(problem, { freeInput = false, codeOptions = {} } = {}) {
+    const isCode = isCodeProblem(problem);
+    if (!problem || (!problem.kanaText && !isCode)) {
       logUtil.error('[TypingUtils] 有効な問題データが必要です');
       return null;
     }
 
     try {
-      // かな文字列を正規化（空白も保持）
-      const kana = wanakana.toHiragana(String(problem.kanaText || '').trim());
-
-      if (!kana) {
-        logUtil.warn('[TypingUtils] 問題のかなテキストが空です');
-        return null;
-      }
+      let kana = '';
+      let patterns;
+      // 各入力単位がかなの何文字目から始まるか（最後の要素はかなの長さ）。読みチャレンジのかな表示に使う
+      let kanaOffsets = null;
+      // コードの問題の表示用の配置情報（ソースコードと、各パターンのソースコード上の位置）
+      let codeLayout = null;
+
+      if (isCode) {
+        // コードは1文字ずつ書かれたとおりに打つ（ローマ字変換しない）
+        ({ patterns, codeLayout } = buildCodePatterns(problem, codeOptions));
+
+        logUtil.debug('[TypingUtils] コードのセッション作成:', {
+          問題: problem.displayText,
+          文字数: patterns.length,
+          オプション: codeOptions
+        });
+      } else {
+        // かな文字列を正規化（空白も保持、カタカナ→ひらがな）
+        kana = normalizeKana(String(problem.kanaText || '').trim());
 
-      logUtil.debug('[TypingUtils] セッション作成:', {
-        問題: problem.displayText,
-        かな: kana,
-        長さ: kana.length
-      });
+        if (!kana) {
+          logUtil.warn('[TypingUtils] 問題のかなテキストが空です');
+          return null;
+        }
 
-      // ローマ字パターンに変換
-      const patterns = this.parseTextToRomajiPatterns(kana);
+        logUtil.debug('[TypingUtils] セッション作成:', {
+          問題: problem.displayText,
+          かな: kana,
+          長さ: kana.length
+        });
+
+        // ローマ字パターンに変換（英数字は problem.caseSensitive に従って大文字小文字を扱う）
+        patterns = this.parseTextToRomajiPatterns(kana, {
+          caseSensitive: !!problem.caseSensitive
+        });
+
+        // 入力単位のかな（「った」など複数文字の単位がある）からかなの位置を求める
+        kanaOffsets = [0];
+        romajiConverter
+          .parseTextToUnits(kana, { caseSensitive: !!problem.caseSensitive })
+          .forEach(unit => kanaOffsets.push(kanaOffsets[kanaOffsets.length - 1] + unit.kana.length));
+      }
 
       // パターンの有効性確認
       if (!patterns || !patterns.length) {
@@ -497,6 +400,8 @@ export default class TypingUtils {
 
         // 表示情報
         displayRomaji,
+        codeLayout,
+        kanaOffsets,
 
         // パターン情報
         patterns,
@@ -513,16 +418,44 @@ export default class TypingUtils {
         currentInput: '',
         completed: false,
 
+        // 自由入力モードの状態
+        // errorInput: 正しい入力の後ろに入力された間違いの文字列（Backspaceで消す）
+        // errorCount: 間違えて入力した文字数、correctedErrorCount: そのうちBackspaceで消した文字数
+        freeInput,
+        errorInput: '',
+        errorCount: 0,
+        correctedErrorCount: 0,
+        _history: [],
+
+        // 表示中の綴り（入力単位ごと）と、このセッションでプレイヤーが選んだ綴り
+        // 例: 「し」を shi で打つと、以降の「し」のガイドも shi で表示する
+        displayVariants: patterns.map(pattern => pattern[0] || ''),
+        chosenVariants: {},
+
         // 次に期待される入力キーを取得（最大限に最適化）
         getCurrentExpectedKey() {
           if (this.completed) return null;
           if (this.currentCharIndex >= this.patterns.length) return null;
 
+          // 間違いの入力が残っている場合は消すのが先
+          if (this.errorInput) return 'Backspace';
+
           // 現在入力なしの場合は、事前計算した最初の文字をすぐに返す
           if (!this.currentInput) {
             return this.firstChars[this.currentCharIndex];
           }
 
+          // 表示中の綴りは常に現在の入力と前方一致している
+          const displayVariant = this.displayVariants[this.currentCharIndex];
+          if (displayVariant.length > this.currentInput.length) {
+            return displayVariant[this.currentInput.length];
+          }
+
+          // 表示中の綴り（「ん」の n など）を打ち終えて保留中の場合は次の文字の先頭
+          if (displayVariant === this.currentInput && this.currentCharIndex + 1 < this.patterns.length) {
+            return this.firstChars[this.currentCharIndex + 1];
+          }
+
           // 現在の入力に続く文字を探す
           const currentPatterns = this.patterns[this.currentCharIndex];
           for (const pattern of currentPatterns) {
@@ -538,124 +471,220 @@ export default class TypingUtils {
         // 現在のローマ字を取得（高速アクセス）
         getCurrentCharRomaji() {
           if (this.currentCharIndex >= this.patterns.length) return '';
-          const patterns = this.patterns[this.currentCharIndex];
-          return patterns ? patterns[0] : '';
+          return this.displayVariants[this.currentCharIndex] || '';
         },
 
         // 入力処理（超高速化・無駄な処理を削除）
+        // 自由入力モードでは、一致しない文字も間違いとして入力に残す
         processInput(char) {
           // 完了状態と境界チェック - 高速早期リターン
           if (this.completed || this.currentCharIndex >= this.patterns.length) {
             return { success: false, status: 'inactive_session' };
           }
 
+          if (!this.freeInput) {
+            return this._matchInput(char);
+          }
+
+          // 間違いの入力が残っている間は、以降の文字もすべて間違いとして積む
+          if (this.errorInput) {
+            return this._enterError(char);
+          }
+
+          const snapshot = this._createSnapshot();
+          const result = this._matchInput(char);
+          if (!result.success) {
+            return this._enterError(char);
+          }
+
+          // Backspaceで正しい入力も1文字ずつ戻せるように状態を記録
+          this._history.push(snapshot);
+          return result;
+        },
+
+        // Backspaceの処理（自由入力モード用）
+        // 間違いの入力があればそれを消し、なければ直前の正しい入力を1文字戻す
+        handleBackspace() {
+          if (!this.freeInput || this.completed) {
+            return { success: false, status: 'inactive_session' };
+          }
+
+          if (this.errorInput) {
+            this.errorInput = this.errorInput.slice(0, -1);
+            this.correctedErrorCount++;
+            return { success: true, status: 'error_corrected' };
+          }
+
+          const snapshot = this._history.pop();
+          if (!snapshot) {
+            return { success: false, status: 'nothing_to_delete' };
+          }
+
+          this._restoreSnapshot(snapshot);
+          this._refreshDisplay();
+          return { success: true, status: 'input_deleted' };
+        },
+
+        // 間違いの統計（正確率の計算用）
+        // 未訂正のミスは、問題が終わった時点で消されずに残っている間違いの文字数
+        // （間違いを消さないと問題を打ち終えられないため、時間切れなどで打ちかけのまま終わった問題でのみ0より大きくなる）
+        getErrorStats() {
+          return {
+            errorCount: this.errorCount,
+            correctedErrorCount: this.correctedErrorCount,
+            uncorrectedErrorCount: this.errorInput.length,
+          };
+        },
+
+        // 間違えた文字を入力として残す（内部メソッド）
+        // 1文字でないキー名（Shift など）は入力に残さない
+        _enterError(char) {
+          if (typeof char !== 'string' || char.length !== 1) {
+            return { success: false, status: 'invalid_key' };
+          }
+          this.errorInput += char;
+          this.errorCount++;
+          return { success: false, status: 'error_entered' };
+        },
+
+        // 入力位置を戻すための状態の記録・復元（内部メソッド）
+        _createSnapshot() {
+          return {
+            currentCharIndex: this.currentCharIndex,
+            currentInput: this.currentInput,
+            typedRomaji: this.typedRomaji,
+            displayVariants: [...this.displayVariants],
+            chosenVariants: { ...this.chosenVariants },
+          };
+        },
+
+        _restoreSnapshot(snapshot) {
+          this.currentCharIndex = snapshot.currentCharIndex;
+          this.currentInput = snapshot.currentInput;
+          this.typedRomaji = snapshot.typedRomaji;
+          this.displayVariants = snapshot.displayVariants;
+          this.chosenVariants = snapshot.chosenVariants;
+        },
+
+        // 入力の照合（内部メソッド）
+        // 一致しないキーは受け付けず、入力位置はそのまま
+        _matchInput(char) {
           // 現在のパターン配列
           const currentPatterns = this.patterns[this.currentCharIndex];
 
-          // 新しい入力
-          const newInput = this.currentInput + char;
+          // 新しい入力（全角で入力された英数字は半角として扱う）
+          const newInput = this.currentInput + toHalfWidth(char);
 
           // 入力の検証 - 最大限の最適化
           let exactMatch = false;
           let prefixMatch = false;
 
-          // 高速マッチング
+          // 高速マッチング（完全一致と、より長いパターンへの前方一致を両方調べる）
           for (let i = 0; i < currentPatterns.length; i++) {
             const pattern = currentPatterns[i];
-
-            // 完全に一致する
             if (pattern === newInput) {
               exactMatch = true;
-              break;
-            }
-            // 前方一致する
-            else if (pattern.startsWith(newInput)) {
+            } else if (pattern.startsWith(newInput)) {
               prefixMatch = true;
-              // 完全一致が見つからない場合の早期バイパス
-              if (i === currentPatterns.length - 1) break;
             }
+            if (exactMatch && prefixMatch) break;
           }
 
-          // 入力を確定
-          this.currentInput = newInput;
-
-          // 完全一致の場合
-          if (exactMatch) {
-            // 文字入力完了 - 次の文字へ
-            this.typedRomaji += newInput;
-            this.currentCharIndex++;
-            this.currentInput = '';
-
-            // 全文字入力完了チェック
-            if (this.currentCharIndex >= this.patterns.length) {
-              this.completed = true;
-              return { success: true, status: 'all_completed' };
-            }
-
-            return { success: true, status: 'char_completed' };
+          // 完全一致の場合（「ん」の n / nn のように続きがあり得る場合は、最後の文字以外は保留）
+          const isLastChar = this.currentCharIndex === this.patterns.length - 1;
+          if (exactMatch && (!prefixMatch || isLastChar)) {
+            return this._commitCurrent(newInput);
           }
 
           // 前方一致の場合
-          if (prefixMatch) {
+          if (exactMatch || prefixMatch) {
             // 途中まで正しい入力
+            this.currentInput = newInput;
+            this._updateCurrentVariant();
             return { success: true, status: 'in_progress' };
           }
 
-          // 分割入力チェック（簡素化・最適化）
-          if (this._fastSplitInputCheck()) {
-            return { success: true, status: 'split_continue' };
+          // 分割入力チェック（保留中の短いパターンで確定して次の文字として処理）
+          const splitResult = this._fastSplitInputCheck(char);
+          if (splitResult) {
+            return splitResult;
           }
 
           // マッチしない場合は入力をキャンセル
-          this.currentInput = newInput.slice(0, -1);
           return { success: false, status: 'no_match' };
         },
 
-        // 分割入力処理（内部メソッド・超高速化版）
-        _fastSplitInputCheck() {
-          // 1文字以下の場合は早期リターン
-          if (this.currentInput.length <= 1) return false;
+        // 現在の入力単位を確定して次へ進める（内部メソッド）
+        _commitCurrent(input) {
+          const idx = this.currentCharIndex;
+          this.typedRomaji += input;
+          this.displayVariants[idx] = input;
+          this.chosenVariants[this.patterns[idx][0]] = input;
+          this.currentCharIndex++;
+          this.currentInput = '';
+          this._refreshDisplay();
+
+          // 全文字入力完了チェック
+          if (this.currentCharIndex >= this.patterns.length) {
+            this.completed = true;
+            return { success: true, status: 'all_completed' };
+          }
 
-          // 前部分と最後の文字を分離
-          const prevInput = this.currentInput.slice(0, -1);
-          const lastChar = this.currentInput.slice(-1);
+          return { success: true, status: 'char_completed' };
+        },
+
+        // 分割入力処理（内部メソッド・超高速化版）
+        // 「ん」を n で打って次の子音に進んだ場合など、保留中の入力で確定できるなら確定し、
+        // 入力された文字を次の入力単位の先頭として処理し直す。次でも不正解なら状態を戻す
+        _fastSplitInputCheck(char) {
           const idx = this.currentCharIndex;
+          if (!this.currentInput || idx + 1 >= this.patterns.length) return null;
+          if (!this.patterns[idx].includes(this.currentInput)) return null;
 
-          // 現在のパターン配列
-          const currentPatterns = this.patterns[idx];
+          const snapshot = this._createSnapshot();
 
-          // 前部分が完全一致するか高速チェック
-          for (const pattern of currentPatterns) {
-            if (pattern === prevInput) {
-              // 前部分を確定して次の文字へ
-              this.typedRomaji += prevInput;
-              this.currentCharIndex++;
-              this.currentInput = lastChar;
-
-              // 完了チェック（境界条件）
-              if (this.currentCharIndex >= this.patterns.length) {
-                this.completed = true;
-                return true;
-              }
-
-              // 次の文字の開始として有効か確認
-              const nextPatterns = this.patterns[this.currentCharIndex];
-              if (!nextPatterns) return false;
-
-              // 高速チェック
-              for (const nextPattern of nextPatterns) {
-                if (nextPattern[0] === lastChar) return true;
-              }
-
-              // マッチしない場合は状態を戻す
-              this.currentCharIndex--;
-              this.typedRomaji = this.typedRomaji.slice(0, -prevInput.length);
-              this.currentInput = prevInput + lastChar;
-              return false;
-            }
+          this._commitCurrent(this.currentInput);
+          const result = this._matchInput(char);
+          if (result.success) {
+            return result.status === 'in_progress'
+              ? { success: true, status: 'split_continue' }
+              : result;
           }
 
-          return false;
+          // 次の文字としても不正解の場合は確定を取り消す
+          this._restoreSnapshot(snapshot);
+          this._refreshDisplay();
+          return null;
+        },
+
+        // 入力中の分岐に合わせて現在の入力単位の表示綴りを切り替える（内部メソッド）
+        _updateCurrentVariant() {
+          const idx = this.currentCharIndex;
+          if (this.displayVariants[idx].startsWith(this.currentInput)) return;
+
+          const variant = this.patterns[idx].find(pattern => pattern.startsWith(this.currentInput));
+          if (variant) {
+            this.displayVariants[idx] = variant;
+            this._refreshDisplay();
+          }
+        },
+
+        // 表示用ローマ字と位置情報を作り直す（内部メソッド）
+        // 未入力の単位は、このセッションで選ばれた綴りがあればそれを優先して表示する
+        _refreshDisplay() {
+          let index = 0;
+          this.displayRomaji = this.displayVariants.map((variant, i) => {
+            if (i > this.currentCharIndex || (i === this.currentCharIndex && !this.currentInput)) {
+              const chosen = this.chosenVariants[this.patterns[i][0]];
+              variant = chosen && this.patterns[i].includes(chosen) ? chosen : this.patterns[i][0] || '';
+              this.displayVariants[i] = variant;
+            }
+            this.displayIndices[i] = index;
+            this.patternLengths[i] = variant.length;
+            this.firstChars[i] = variant.length > 0 ? variant[0] : '';
+            index += variant.length;
+            return variant;
+          }).join('');
         },
 
         // 色分け情報の取得（最大限に最適化）
@@ -668,8 +697,10 @@ export default class TypingUtils {
               completed: true,
               currentCharIndex: this.currentCharIndex,
               currentInput: '',
+              errorInput: '',
               expectedNextChar: null,
-              currentCharRomaji: ''
+              currentCharRomaji: '',
+              codeCursor: getCodeCursor(this.codeLayout, this.currentCharIndex)
             };
           }
 
@@ -687,11 +718,20 @@ export default class TypingUtils {
             completed: this.completed,
             currentCharIndex: idx,
             currentInput: this.currentInput,
+            errorInput: this.errorInput,
             expectedNextChar: this.getCurrentExpectedKey(),
-            currentCharRomaji: this.getCurrentCharRomaji()
+            currentCharRomaji: this.getCurrentCharRomaji(),
+            codeCursor: getCodeCursor(this.codeLayout, idx)
           };
         },
 
+        // 入力を終えたかなの文字数（コードの問題では0）
+        getTypedKanaLength() {
+          if (!this.kanaOffsets) return 0;
+          if (this.completed) return this.kanaText.length;
+          return this.kanaOffsets[this.currentCharIndex] || 0;
+        },
+
         // 進捗率計算（高速化）
         getCompletionPercentage() {
           if (this.completed) return 100;
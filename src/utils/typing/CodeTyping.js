@@ -0,0 +1,111 @@
+'use client';
+
+/**
+ * CodeTyping.js
+ * コードタイピング用の入力単位を作るユーティリティ
+ * 責任: ソースコードを1文字ずつそのまま打つ入力単位に分け、表示用の位置情報を求める
+ *
+ * - かなの問題と違いローマ字変換は行わず、記号・大文字小文字・空白も書かれたとおりに打つ
+ * - 行頭の空白（インデント）は自動で飛ばすか、打つかを選べる
+ * - 行末の改行はEnterキーで打つか、自動で次の行に進むかを選べる
+ */
+
+// 改行の入力文字（GameControllerでEnterキーをこの文字として渡す）
+export const CODE_NEWLINE = '\n';
+
+// タブは入力できない（フォーカスが移動する）ため空白に置き換える
+const TAB_WIDTH = 2;
+
+// デフォルトのオプション
+export const DEFAULT_CODE_OPTIONS = Object.freeze({
+  skipIndent: true, // 行頭の空白を自動で飛ばす
+  typeEnter: true, // 行末でEnterキーを打つ
+});
+
+/**
+ * コードの問題かどうか
+ * @param {Object} problem - 問題データ
+ * @returns {boolean} コードの問題ならtrue
+ */
+export function isCodeProblem(problem) {
+  return !!problem && typeof problem.code === 'string';
+}
+
+/**
+ * コードを入力しやすい形に整える
+ * 改行コードをそろえ、タブを空白に置き換え、行末の空白と前後の空行を取り除く
+ * @param {string} code - ソースコード
+ * @returns {string} 整えたソースコード
+ */
+export function normalizeCode(code) {
+  return String(code || '')
+    .replace(/\r\n?/g, CODE_NEWLINE)
+    .replace(/\t/g, ' '.repeat(TAB_WIDTH))
+    .split(CODE_NEWLINE)
+    .map(line => line.replace(/\s+$/, ''))
+    .join(CODE_NEWLINE)
+    .replace(/^\n+|\n+$/g, '');
+}
+
+/**
+ * コードを入力単位に分ける
+ * @param {string} code - ソースコード
+ * @param {Object} [options] - オプション
+ * @param {boolean} [options.skipIndent=true] - 行頭の空白を自動で飛ばす
+ * @param {boolean} [options.typeEnter=true] - 行末でEnterキーを打つ
+ * @returns {{text: string, units: Array<{char: string, sourceIndex: number}>}}
+ *   整えたソースコードと、打つ文字とその文字のソースコード上の位置
+ */
+export function buildCodeUnits(code, options = {}) {
+  const { skipIndent, typeEnter } = { ...DEFAULT_CODE_OPTIONS, ...options };
+  const text = normalizeCode(code);
+  const lines = text.split(CODE_NEWLINE);
+  const units = [];
+
+  let lineStart = 0;
+  lines.forEach((line, lineIndex) => {
+    const indent = skipIndent ? line.length - line.trimStart().length : 0;
+    for (let i = indent; i < line.length; i++) {
+      units.push({ char: line[i], sourceIndex: lineStart + i });
+    }
+
+    // 最後の行以外は行末に改行がある
+    if (typeEnter && lineIndex < lines.length - 1) {
+      units.push({ char: CODE_NEWLINE, sourceIndex: lineStart + line.length });
+    }
+
+    lineStart += line.length + 1;
+  });
+
+  return { text, units };
+}
+
+/**
+ * コードの問題から入力パターンと表示用の配置情報を作る
+ * @param {Object} problem - コードの問題（code）
+ * @param {Object} [options] - buildCodeUnitsと同じオプション
+ * @returns {{patterns: string[][], codeLayout: {text: string, sourceIndices: number[]}}}
+ *   1文字ずつの入力パターンと、各パターンのソースコード上の位置
+ */
+export function buildCodePatterns(problem, options = {}) {
+  const { text, units } = buildCodeUnits(problem.code, options);
+  return {
+    patterns: units.map(unit => [unit.char]),
+    codeLayout: {
+      text,
+      sourceIndices: units.map(unit => unit.sourceIndex),
+    },
+  };
+}
+
+/**
+ * 入力位置（パターンの番号）からソースコード上のカーソル位置を求める
+ * @param {Object|null} codeLayout - buildCodePatternsで作った配置情報
+ * @param {number} patternIndex - 次に打つパターンの番号
+ * @returns {number} カーソル位置（コードの問題でない場合は-1、打ち終えた場合はコードの長さ）
+ */
+export function getCodeCursor(codeLayout, patternIndex) {
+  if (!codeLayout) return -1;
+  const index = codeLayout.sourceIndices[patternIndex];
+  return index === undefined ? codeLayout.text.length : index;
+}
@@ -0,0 +1,243 @@
+'use client';
+
+/**
+ * DifficultyAnalyzer.js
+ * 問題の難しさを打鍵データから計算するユーティリティ
+ * 責任: 最短の打鍵列から難易度スコアを求め、難易度（easy / normal / hard）を提案する
+ *
+ * スコアの要素:
+ * - 打鍵数: 最短の打ち方（標準ローマ字）で必要なキー入力の数
+ * - 珍しいキー: ローマ字入力であまり使わないキーやShift併用のキー
+ * - 指の移動量: 各キーを押す指のホームポジションからの距離
+ * - 促音・拗音: 「っ」「ゃ」などを含む入力単位の数
+ * - 同指連続: 同じ指で別のキーを続けて押す回数
+ */
+
+import { romajiConverter, normalizeKana } from './RomajiConverter';
+import {
+  INPUT_SCHEMES,
+  getActiveInputScheme,
+  setActiveInputScheme,
+} from './InputSchemes';
+
+// 提案する難易度（ProblemDataのDIFFICULTIESと同じ値）
+export const DIFFICULTY_TIERS = {
+  EASY: 'easy',
+  NORMAL: 'normal',
+  HARD: 'hard',
+};
+
+// 難易度の境界となるスコア（このスコア未満なら該当する難易度）
+// 組み込みの問題のスコア分布（かんたんの大半が10前後、ふつうが30〜40）に合わせている
+const TIER_THRESHOLDS = {
+  [DIFFICULTY_TIERS.EASY]: 18,
+  [DIFFICULTY_TIERS.NORMAL]: 40,
+};
+
+// スコアの重み
+const SCORE_WEIGHTS = {
+  keystrokes: 1.0,
+  rareKeys: 1.5,
+  travel: 0.6,
+  clusters: 2.0,
+  sameFingerBigrams: 1.5,
+};
+
+// JISキーボードのキー配置と各段の横方向のずれ（キー幅単位）
+const KEY_ROWS = [
+  { offset: 0, keys: ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0', '-', '^', '¥'] },
+  { offset: 0.5, keys: ['q', 'w', 'e', 'r', 't', 'y', 'u', 'i', 'o', 'p', '@', '['] },
+  { offset: 0.75, keys: ['a', 's', 'd', 'f', 'g', 'h', 'j', 'k', 'l', ';', ':', ']'] },
+  { offset: 1.25, keys: ['z', 'x', 'c', 'v', 'b', 'n', 'm', ',', '.', '/', '\\'] },
+];
+
+// 列ごとの担当指（左小指・左薬指・左中指・左人差し指×2・右人差し指×2・右中指・右薬指、以降は右小指）
+const COLUMN_FINGERS = ['L5', 'L4', 'L3', 'L2', 'L2', 'R2', 'R2', 'R3', 'R4'];
+const RIGHT_PINKY = 'R5';
+
+// 各指のホームポジション
+const HOME_KEYS = {
+  L5: 'a',
+  L4: 's',
+  L3: 'd',
+  L2: 'f',
+  R2: 'j',
+  R3: 'k',
+  R4: 'l',
+  R5: ';',
+};
+
+// Shiftを押して入力する記号と、そのキーの刻印
+const SHIFTED_SYMBOLS = {
+  '!': '1', '"': '2', '#': '3', '$': '4', '%': '5', '&': '6', "'": '7',
+  '(': '8', ')': '9', '=': '-', '~': '^', '|': '¥', '`': '@', '{': '[',
+  '+': ';', '*': ':', '}': ']', '<': ',', '>': '.', '?': '/', '_': '\\',
+};
+
+// ローマ字入力であまり使わないキー
+const RARE_KEYS = new Set(['q', 'x', 'c', 'v', 'l', 'f', 'p', 'j', '@', '[', ']', ':', ';', '^', '¥', '\\']);
+
+// キーの位置と担当指（モジュール読み込み時に一度だけ構築）
+const KEY_INFO = {};
+KEY_ROWS.forEach(({ offset, keys }, row) => {
+  keys.forEach((key, column) => {
+    KEY_INFO[key] = {
+      x: column + offset,
+      y: row,
+      finger: COLUMN_FINGERS[column] || RIGHT_PINKY,
+    };
+  });
+});
+// スペースは親指で打つため移動量・同指連続の対象外
+KEY_INFO[' '] = { x: 5.5, y: 4, finger: 'thumb' };
+
+// 解析結果のキャッシュ（読みと大文字小文字の区別ごと）
+const analysisCache = new Map();
+
+/**
+ * 入力文字からキーの情報を求める
+ * @param {string} char - 入力文字
+ * @returns {{key: string, shift: boolean, info: (Object|null)}} キーの刻印、Shiftの要否、位置と担当指
+ */
+function resolveKey(char) {
+  if (SHIFTED_SYMBOLS[char]) {
+    return { key: SHIFTED_SYMBOLS[char], shift: true, info: KEY_INFO[SHIFTED_SYMBOLS[char]] };
+  }
+  const lower = char.toLowerCase();
+  return { key: lower, shift: lower !== char, info: KEY_INFO[lower] || null };
+}
+
+/**
+ * 指のホームポジションからの距離を求める
+ * @param {Object} info - キーの位置と担当指
+ * @returns {number} 距離（キー幅単位）
+ */
+function getTravel(info) {
+  const home = KEY_INFO[HOME_KEYS[info.finger]];
+  if (!home) return 0;
+  return Math.hypot(info.x - home.x, info.y - home.y);
+}
+
+/**
+ * 標準ローマ字で入力単位に分ける
+ * 難易度はプレイヤーの入力方式に左右されないよう、一時的に標準ローマ字に切り替えて変換する
+ * @param {string} kana - 正規化済みのかな文字列
+ * @param {boolean} caseSensitive - 英字の大文字小文字を区別するか
+ * @returns {Array<{kana: string, patterns: string[]}>} 入力単位の配列
+ */
+function parseStandardUnits(kana, caseSensitive) {
+  const activeSchemeId = getActiveInputScheme().id;
+  if (activeSchemeId === INPUT_SCHEMES.STANDARD) {
+    return romajiConverter.parseTextToUnits(kana, { caseSensitive });
+  }
+
+  setActiveInputScheme(INPUT_SCHEMES.STANDARD);
+  try {
+    return romajiConverter.parseTextToUnits(kana, { caseSensitive });
+  } finally {
+    setActiveInputScheme(activeSchemeId);
+  }
+}
+
+/**
+ * 入力単位ごとに最短の綴りを選ぶ（同じ長さならガイドに表示される綴りを優先）
+ * @param {string[]} patterns - 入力単位の綴り
+ * @returns {string} 最短の綴り
+ */
+function getShortestPattern(patterns) {
+  return patterns.reduce(
+    (shortest, pattern) => (pattern.length < shortest.length ? pattern : shortest),
+    patterns[0] || ''
+  );
+}
+
+/**
+ * 難易度スコアから難易度を提案する
+ * @param {number} score - 難易度スコア
+ * @returns {string} 難易度（DIFFICULTY_TIERSの値）
+ */
+export function suggestDifficultyTier(score) {
+  if (score < TIER_THRESHOLDS[DIFFICULTY_TIERS.EASY]) return DIFFICULTY_TIERS.EASY;
+  if (score < TIER_THRESHOLDS[DIFFICULTY_TIERS.NORMAL]) return DIFFICULTY_TIERS.NORMAL;
+  return DIFFICULTY_TIERS.HARD;
+}
+
+/**
+ * 問題の難しさを解析する
+ * @param {Object} problem - 問題データ（kanaText, caseSensitive）
+ * @returns {{score: number, tier: string, sequence: string, features: Object}}
+ *   難易度スコア、提案する難易度、最短の打鍵列、スコアの要素
+ */
+export function analyzeProblemDifficulty(problem) {
+  const kana = normalizeKana(String((problem && problem.kanaText) || '').trim());
+  const caseSensitive = !!(problem && problem.caseSensitive);
+  const cacheKey = `${caseSensitive ? 1 : 0}:${kana}`;
+  if (analysisCache.has(cacheKey)) {
+    return analysisCache.get(cacheKey);
+  }
+
+  const units = kana ? parseStandardUnits(kana, caseSensitive) : [];
+  const sequence = units.map(unit => getShortestPattern(unit.patterns)).join('');
+
+  const features = {
+    keystrokes: 0,
+    rareKeys: 0,
+    travel: 0,
+    clusters: 0,
+    sameFingerBigrams: 0,
+  };
+
+  // 促音・拗音を含む入力単位（英数字はそのまま打つため対象外）
+  units.forEach(unit => {
+    if (!unit.literal && /[っぁぃぅぇぉゃゅょゎ]/.test(unit.kana)) {
+      features.clusters++;
+    }
+  });
+
+  let previous = null;
+  for (const char of sequence) {
+    const { key, shift, info } = resolveKey(char);
+
+    // Shiftの打鍵も1打鍵として数え、珍しいキーとして扱う
+    features.keystrokes += shift ? 2 : 1;
+    if (shift || RARE_KEYS.has(key) || !info) {
+      features.rareKeys++;
+    }
+
+    if (info && info.finger !== 'thumb') {
+      features.travel += getTravel(info);
+      if (previous && previous.info && previous.key !== key && previous.info.finger === info.finger) {
+        features.sameFingerBigrams++;
+      }
+    }
+    previous = { key, info };
+  }
+
+  features.travel = Math.round(features.travel * 10) / 10;
+
+  const score =
+    Math.round(
+      Object.entries(SCORE_WEIGHTS).reduce(
+        (sum, [name, weight]) => sum + features[name] * weight,
+        0
+      ) * 10
+    ) / 10;
+
+  const result = {
+    score,
+    tier: suggestDifficultyTier(score),
+    sequence,
+    features,
+  };
+  analysisCache.set(cacheKey, result);
+  return result;
+}
+
+/**
+ * 難易度スコアを取得する（analyzeProblemDifficultyの簡易版）
+ * @param {Object} problem - 問題データ
+ * @returns {number} 難易度スコア
+ */
+export function getDifficultyScore(problem) {
+  return analyzeProblemDifficulty(problem).score;
+}
@@ -0,0 +1,134 @@
+'use client';
+
+/**
+ * Furigana.js
+ * 問題の振り仮名（ルビ）と読みチャレンジのユーティリティ
+ * 責任: 問題のruby（区切りごとの読み）の正規化と検証、{漢字|よみ} 記法の解析、読みチャレンジのヒントと減点
+ *
+ * - rubyは表示テキストを区切った配列。[漢字, 読み] の組（{ text, reading } も可）と、読みを付けない文字列を並べる
+ * - 取り込みでは表示テキストに {思|おも}い{立|た}ったが{吉日|きちじつ} のように書ける
+ * - 読みチャレンジではかな・ローマ字を隠し、ヒントキーで次のかなを1文字ずつ表示する（1回ごとにKPMを減点）
+ */
+
+// 振り仮名の記法 {漢字|よみ}
+const RUBY_NOTATION_PATTERN = /\{([^{}|]+)\|([^{}|]+)\}/g;
+
+// 読みチャレンジで次のかなを表示するキー（問題の入力に使わないキー）
+export const READING_HINT_KEY = 'Tab';
+
+// ヒント1回あたりのKPMの減点（割合）
+export const READING_HINT_PENALTY_RATE = 0.05;
+
+/**
+ * rubyの1区切りを { text, reading } にそろえる
+ * @param {string|Array|Object} segment - 区切り（文字列、[text, reading]、{ text, reading }）
+ * @returns {{text: string, reading: string}|null} 区切り（読めない場合はnull）
+ */
+function normalizeSegment(segment) {
+  if (typeof segment === 'string') {
+    return segment ? { text: segment, reading: '' } : null;
+  }
+  const [text, reading] = Array.isArray(segment)
+    ? segment
+    : [segment?.text, segment?.reading];
+  if (typeof text !== 'string' || !text) return null;
+  return { text, reading: typeof reading === 'string' ? reading.trim() : '' };
+}
+
+/**
+ * {漢字|よみ} 記法のテキストを表示テキストとrubyに分ける
+ * @param {string} text - 記法を含むテキスト
+ * @returns {{displayText: string, ruby: (Array<{text: string, reading: string}>|null)}}
+ *   表示テキストとruby（記法がない場合はnull）
+ */
+export function parseRubyNotation(text) {
+  const source = String(text || '');
+  const ruby = [];
+  let lastIndex = 0;
+
+  source.replace(RUBY_NOTATION_PATTERN, (match, base, reading, offset) => {
+    if (offset > lastIndex) {
+      ruby.push({ text: source.slice(lastIndex, offset), reading: '' });
+    }
+    ruby.push({ text: base, reading: reading.trim() });
+    lastIndex = offset + match.length;
+    return match;
+  });
+
+  if (ruby.length === 0) {
+    return { displayText: source, ruby: null };
+  }
+  if (lastIndex < source.length) {
+    ruby.push({ text: source.slice(lastIndex), reading: '' });
+  }
+  return { displayText: ruby.map(segment => segment.text).join(''), ruby };
+}
+
+/**
+ * 区切りの配列を {漢字|よみ} 記法のテキストにする（管理画面での編集用）
+ * @param {Array<{text: string, reading: string}>} segments - 区切りの配列
+ * @returns {string} 記法のテキスト
+ */
+export function formatRubyNotation(segments) {
+  return (segments || [])
+    .map(segment => (segment.reading ? `{${segment.text}|${segment.reading}}` : segment.text))
+    .join('');
+}
+
+/**
+ * rubyの指定を { text, reading } の配列にそろえる
+ * @param {Array|string} ruby - 区切りの配列、または {漢字|よみ} 記法の文字列
+ * @returns {Array<{text: string, reading: string}>|null} 区切りの配列（読めない場合・読みがない場合はnull）
+ */
+export function normalizeRuby(ruby) {
+  if (typeof ruby === 'string') {
+    return parseRubyNotation(ruby).ruby;
+  }
+  if (!Array.isArray(ruby) || ruby.length === 0) return null;
+
+  const segments = ruby.map(normalizeSegment);
+  if (segments.some(segment => !segment)) return null;
+  if (!segments.some(segment => segment.reading)) return null;
+  return segments;
+}
+
+/**
+ * 問題の振り仮名を取得する
+ * 区切りをつないだテキストが表示テキストと一致しない場合は使わない
+ * @param {Object} problem - 問題データ
+ * @returns {Array<{text: string, reading: string}>|null} 区切りの配列（振り仮名がない場合はnull）
+ */
+export function getRubySegments(problem) {
+  if (!problem?.ruby) return null;
+
+  const segments = normalizeRuby(problem.ruby);
+  if (!segments) return null;
+
+  if (segments.map(segment => segment.text).join('') !== problem.displayText) {
+    if (process.env.NODE_ENV === 'development') {
+      console.warn('[Furigana] rubyが表示テキストと一致しません:', problem.displayText);
+    }
+    return null;
+  }
+  return segments;
+}
+
+/**
+ * rubyから読み全体を求める（読みのない区切りはそのまま読む）
+ * @param {Array<{text: string, reading: string}>} segments - 区切りの配列
+ * @returns {string} 読み
+ */
+export function getRubyReading(segments) {
+  return (segments || []).map(segment => segment.reading || segment.text).join('');
+}
+
+/**
+ * 読みチャレンジのヒントの減点を反映したKPMを求める
+ * @param {number} kpm - KPM
+ * @param {number} hintCount - ヒントを使った回数
+ * @returns {number} 減点後のKPM（小数点1位まで）
+ */
+export function applyReadingHintPenalty(kpm, hintCount) {
+  const rate = Math.max(0, 1 - READING_HINT_PENALTY_RATE * (hintCount || 0));
+  return Math.round((kpm || 0) * rate * 10) / 10;
+}
@@ -0,0 +1,300 @@
+'use client';
+
+/**
+ * InputSchemes.js
+ * 入力方式（標準ローマ字・AZIK・ACT・JISかな）の定義と切り替えを提供するユーティリティ
+ * 責任: romajiMapで生成した入力単位に、選択中の入力方式の拡張パターンを適用する
+ */
+
+import { getKanaFromKeyEvent } from './JisKanaLayout';
+
+// デバッグログフラグ - デフォルトで無効化
+const DEBUG_INPUT_SCHEMES = process.env.NODE_ENV === 'development' && false;
+
+/**
+ * ログユーティリティ - コンソールログを条件付きにする
+ */
+const logUtil = {
+  debug: (message, ...args) => {
+    if (DEBUG_INPUT_SCHEMES) console.log(`[InputSchemes] ${message}`, ...args);
+  },
+  warn: (message, ...args) => {
+    console.warn(`[InputSchemes] ${message}`, ...args);
+  },
+};
+
+// 入力方式ID
+export const INPUT_SCHEMES = {
+  STANDARD: 'standard',
+  AZIK: 'azik',
+  ACT: 'act',
+  JIS_KANA: 'jis-kana',
+};
+
+export const DEFAULT_INPUT_SCHEME = INPUT_SCHEMES.STANDARD;
+
+const VOWELS = {
+  a: true,
+  i: true,
+  u: true,
+  e: true,
+  o: true,
+};
+
+/**
+ * 入力方式の定義
+ * - preferredPatterns: 標準パターンより優先する入力（ガイド表示に使われる）
+ * - extraPatterns: 標準パターンの後ろに追加する入力
+ * - nasalKeys: 撥音拡張。直前の母音ごとに「母音＋ん」を1打鍵で打つキー（かん → kz）
+ * - diphthongKeys: 二重母音拡張。「母音＋い/う」を1打鍵で打つキー（こう → kp）
+ * - phrases: 頻出する2文字の組み合わせの省略入力（です → ds）
+ * - kanaDirect: ローマ字ではなくかなを直接入力する方式かどうか
+ */
+const SCHEME_DEFINITIONS = {
+  [INPUT_SCHEMES.STANDARD]: {
+    id: INPUT_SCHEMES.STANDARD,
+    label: '標準',
+    description: '一般的なローマ字入力',
+    preferredPatterns: {},
+    extraPatterns: {},
+    nasalKeys: null,
+    diphthongKeys: null,
+    phrases: null,
+    kanaDirect: false,
+  },
+  [INPUT_SCHEMES.AZIK]: {
+    id: INPUT_SCHEMES.AZIK,
+    label: 'AZIK',
+    description: 'QWERTY向けの拡張ローマ字。撥音・二重母音・促音を少ない打鍵で入力',
+    preferredPatterns: {
+      っ: [';'],
+    },
+    extraPatterns: {
+      ん: ['q'],
+    },
+    // 母音キーの下段を撥音に割り当てる
+    nasalKeys: { a: 'z', i: 'k', u: 'j', e: 'd', o: 'l' },
+    diphthongKeys: {
+      a: { kana: 'い', key: 'q' },
+      u: { kana: 'う', key: 'h' },
+      e: { kana: 'い', key: 'w' },
+      o: { kana: 'う', key: 'p' },
+    },
+    phrases: {
+      です: ['ds'],
+      ます: ['ms'],
+      こと: ['kt'],
+      もの: ['mn'],
+    },
+    kanaDirect: false,
+  },
+  [INPUT_SCHEMES.ACT]: {
+    id: INPUT_SCHEMES.ACT,
+    label: 'ACT',
+    description: 'Dvorak配列向けの拡張ローマ字。か行をcで打ち、撥音・二重母音を1打鍵で入力',
+    preferredPatterns: {},
+    extraPatterns: {
+      き: ['ci'],
+      け: ['ce'],
+    },
+    // Dvorak配列で各母音キーの下段を撥音、上段を二重母音に割り当てる
+    nasalKeys: { a: ';', o: 'q', e: 'j', u: 'k', i: 'x' },
+    diphthongKeys: {
+      a: { kana: 'い', key: "'" },
+      o: { kana: 'う', key: ',' },
+      e: { kana: 'い', key: '.' },
+      u: { kana: 'う', key: 'p' },
+    },
+    phrases: null,
+    kanaDirect: false,
+  },
+  [INPUT_SCHEMES.JIS_KANA]: {
+    id: INPUT_SCHEMES.JIS_KANA,
+    label: 'JISかな',
+    description: 'JIS配列のかな入力。濁点・半濁点は別のキーとして入力',
+    preferredPatterns: {},
+    extraPatterns: {},
+    nasalKeys: null,
+    diphthongKeys: null,
+    phrases: null,
+    kanaDirect: true,
+  },
+};
+
+// 現在選択中の入力方式
+let activeScheme = SCHEME_DEFINITIONS[DEFAULT_INPUT_SCHEME];
+
+/**
+ * 設定画面に表示する入力方式の一覧
+ * @returns {Array<{id: string, label: string, description: string}>} 入力方式の一覧
+ */
+export function getInputSchemeList() {
+  return Object.values(SCHEME_DEFINITIONS).map(({ id, label, description }) => ({
+    id,
+    label,
+    description,
+  }));
+}
+
+/**
+ * 入力方式を切り替える
+ * 未知のIDが渡された場合は標準ローマ字に戻す
+ * @param {string} schemeId - 入力方式ID
+ */
+export function setActiveInputScheme(schemeId) {
+  const scheme = SCHEME_DEFINITIONS[schemeId];
+  if (!scheme && schemeId) {
+    logUtil.warn(`未知の入力方式です: ${schemeId}（標準に戻します）`);
+  }
+  activeScheme = scheme || SCHEME_DEFINITIONS[DEFAULT_INPUT_SCHEME];
+  logUtil.debug(`入力方式を「${activeScheme.label}」に変更`);
+}
+
+/**
+ * 現在の入力方式を取得する
+ * @returns {Object} 入力方式の定義
+ */
+export function getActiveInputScheme() {
+  return activeScheme;
+}
+
+/**
+ * かなを直接入力する方式が選択されているか
+ * @returns {boolean} JISかな入力の場合はtrue
+ */
+export function isKanaDirectInput() {
+  return activeScheme.kanaDirect;
+}
+
+/**
+ * キーイベントを入力方式に応じた入力文字に変換する
+ * JISかな入力では物理キー（event.code）からかなを求め、それ以外はevent.keyをそのまま使う
+ * @param {KeyboardEvent} event - キーイベント
+ * @returns {string|null} 入力文字（かな入力で文字を生まないキーはnull）
+ */
+export function getInputKeyFromEvent(event) {
+  if (!activeScheme.kanaDirect) return event.key;
+
+  const kana = getKanaFromKeyEvent(event);
+  if (kana) return kana;
+
+  // Shiftのみ・Shift+1など、かなが割り当てられていないキー
+  return event.key && event.key.length === 1 ? event.key : null;
+}
+
+/**
+ * 配列に重複なくパターンを追加する
+ * @param {string[]} target - 追加先
+ * @param {string[]} patterns - 追加するパターン
+ */
+function addUniquePatterns(target, patterns) {
+  patterns.forEach(pattern => {
+    if (!target.includes(pattern)) {
+      target.push(pattern);
+    }
+  });
+}
+
+/**
+ * かな1単位の入力パターンに入力方式の拡張パターンを反映する
+ * @param {string} kana - 入力単位のかな
+ * @param {string[]} patterns - 標準ローマ字の入力パターン
+ * @returns {string[]} 入力方式を反映した入力パターン
+ */
+export function getSchemePatterns(kana, patterns) {
+  const preferred = activeScheme.preferredPatterns[kana];
+  const extra = activeScheme.extraPatterns[kana];
+  if (!preferred && !extra) return [...patterns];
+
+  const result = [];
+  addUniquePatterns(result, preferred || []);
+  addUniquePatterns(result, patterns);
+  addUniquePatterns(result, extra || []);
+  return result;
+}
+
+/**
+ * 入力パターンを子音部と末尾の母音に分ける（kya → ky + a）
+ * 母音のみのパターンは拡張の対象外
+ * @param {string} pattern - 入力パターン
+ * @returns {{consonant: string, vowel: string}|null} 分割結果
+ */
+function splitVowel(pattern) {
+  const vowel = pattern[pattern.length - 1];
+  if (pattern.length < 2 || !VOWELS[vowel]) return null;
+  return { consonant: pattern.slice(0, -1), vowel };
+}
+
+/**
+ * 連続する2単位をまとめて打つ省略入力を取得する
+ * @param {Object} current - 現在の入力単位
+ * @param {Object} next - 次の入力単位
+ * @returns {string[]} 省略入力パターン（該当しない場合は空配列）
+ */
+function getShortcutPatterns(current, next) {
+  const { nasalKeys, diphthongKeys, phrases } = activeScheme;
+  const shortcuts = [];
+
+  // そのまま打つ英数字・記号は他の単位とまとめない
+  if (current.literal || next.literal) return shortcuts;
+
+  if (phrases && phrases[current.kana + next.kana]) {
+    addUniquePatterns(shortcuts, phrases[current.kana + next.kana]);
+    return shortcuts;
+  }
+
+  current.patterns.forEach(pattern => {
+    const split = splitVowel(pattern);
+    if (!split) return;
+
+    if (next.kana === 'ん' && nasalKeys && nasalKeys[split.vowel]) {
+      addUniquePatterns(shortcuts, [split.consonant + nasalKeys[split.vowel]]);
+      return;
+    }
+
+    const diphthong = diphthongKeys && diphthongKeys[split.vowel];
+    if (diphthong && diphthong.kana === next.kana) {
+      addUniquePatterns(shortcuts, [split.consonant + diphthong.key]);
+    }
+  });
+
+  return shortcuts;
+}
+
+/**
+ * 入力単位の配列に入力方式の拡張（撥音・二重母音・省略入力）を適用する
+ * 拡張が使える2単位は1単位にまとめ、省略入力を先頭に、通常の打ち方をその後ろに並べる
+ * @param {Array<{kana: string, patterns: string[]}>} units - 入力単位の配列
+ * @returns {Array<{kana: string, patterns: string[]}>} 拡張を適用した入力単位の配列
+ */
+export function applyInputScheme(units) {
+  const { nasalKeys, diphthongKeys, phrases } = activeScheme;
+  if (!nasalKeys && !diphthongKeys && !phrases) return units;
+
+  const result = [];
+  let i = 0;
+
+  while (i < units.length) {
+    const current = units[i];
+    const next = i + 1 < units.length ? units[i + 1] : null;
+    const shortcuts = next ? getShortcutPatterns(current, next) : [];
+
+    if (shortcuts.length === 0) {
+      result.push(current);
+      i++;
+      continue;
+    }
+
+    // 省略入力に加えて、2単位を通常どおり打つ組み合わせもすべて受け付ける
+    const patterns = [...shortcuts];
+    current.patterns.forEach(first => {
+      addUniquePatterns(patterns, next.patterns.map(second => first + second));
+    });
+
+    logUtil.debug(`「${current.kana}${next.kana}」をまとめて入力:`, shortcuts);
+    result.push({ kana: current.kana + next.kana, patterns });
+    i += 2;
+  }
+
+  return result;
+}
@@ -0,0 +1,150 @@
+'use client';
+
+/**
+ * JisKanaLayout.js
+ * JISかな入力のキー配列を提供するユーティリティ
+ * 責任: 物理キー（KeyboardEvent.code）とかな文字の対応付け、濁点・半濁点の分解
+ */
+
+// 濁点・半濁点（独立したキー入力として扱う）
+export const DAKUTEN = '゛';
+export const HANDAKUTEN = '゜';
+
+// 合成用の濁点・半濁点（NFD分解で現れる結合文字）
+const COMBINING_DAKUTEN = '\u3099';
+const COMBINING_HANDAKUTEN = '\u309A';
+
+/**
+ * JISかな配列のキー定義
+ * - code: KeyboardEvent.code
+ * - legend: 画面キーボード上の英数字の刻印（RetroSFKeyboardのキー配置と対応）
+ * - kana: そのキーで入力されるかな
+ * - shiftKana: Shiftを押しながら入力されるかな（小書き文字・記号）
+ */
+const JIS_KANA_KEYS = [
+  // 数字の段
+  { code: 'Digit1', legend: '1', kana: 'ぬ' },
+  { code: 'Digit2', legend: '2', kana: 'ふ' },
+  { code: 'Digit3', legend: '3', kana: 'あ', shiftKana: 'ぁ' },
+  { code: 'Digit4', legend: '4', kana: 'う', shiftKana: 'ぅ' },
+  { code: 'Digit5', legend: '5', kana: 'え', shiftKana: 'ぇ' },
+  { code: 'Digit6', legend: '6', kana: 'お', shiftKana: 'ぉ' },
+  { code: 'Digit7', legend: '7', kana: 'や', shiftKana: 'ゃ' },
+  { code: 'Digit8', legend: '8', kana: 'ゆ', shiftKana: 'ゅ' },
+  { code: 'Digit9', legend: '9', kana: 'よ', shiftKana: 'ょ' },
+  { code: 'Digit0', legend: '0', kana: 'わ', shiftKana: 'を' },
+  { code: 'Minus', legend: '-', kana: 'ほ' },
+  { code: 'Equal', legend: '^', kana: 'へ' },
+  { code: 'IntlYen', legend: '¥', kana: 'ー' },
+  // 上段
+  { code: 'KeyQ', legend: 'q', kana: 'た' },
+  { code: 'KeyW', legend: 'w', kana: 'て' },
+  { code: 'KeyE', legend: 'e', kana: 'い', shiftKana: 'ぃ' },
+  { code: 'KeyR', legend: 'r', kana: 'す' },
+  { code: 'KeyT', legend: 't', kana: 'か' },
+  { code: 'KeyY', legend: 'y', kana: 'ん' },
+  { code: 'KeyU', legend: 'u', kana: 'な' },
+  { code: 'KeyI', legend: 'i', kana: 'に' },
+  { code: 'KeyO', legend: 'o', kana: 'ら' },
+  { code: 'KeyP', legend: 'p', kana: 'せ' },
+  { code: 'BracketLeft', legend: '@', kana: DAKUTEN },
+  { code: 'BracketRight', legend: '[', kana: HANDAKUTEN, shiftKana: '「' },
+  // 中段
+  { code: 'KeyA', legend: 'a', kana: 'ち' },
+  { code: 'KeyS', legend: 's', kana: 'と' },
+  { code: 'KeyD', legend: 'd', kana: 'し' },
+  { code: 'KeyF', legend: 'f', kana: 'は' },
+  { code: 'KeyG', legend: 'g', kana: 'き' },
+  { code: 'KeyH', legend: 'h', kana: 'く' },
+  { code: 'KeyJ', legend: 'j', kana: 'ま' },
+  { code: 'KeyK', legend: 'k', kana: 'の' },
+  { code: 'KeyL', legend: 'l', kana: 'り' },
+  { code: 'Semicolon', legend: ';', kana: 'れ' },
+  { code: 'Quote', legend: ':', kana: 'け' },
+  { code: 'Backslash', legend: ']', kana: 'む', shiftKana: '」' },
+  // 下段
+  { code: 'KeyZ', legend: 'z', kana: 'つ', shiftKana: 'っ' },
+  { code: 'KeyX', legend: 'x', kana: 'さ' },
+  { code: 'KeyC', legend: 'c', kana: 'そ' },
+  { code: 'KeyV', legend: 'v', kana: 'ひ' },
+  { code: 'KeyB', legend: 'b', kana: 'こ' },
+  { code: 'KeyN', legend: 'n', kana: 'み' },
+  { code: 'KeyM', legend: 'm', kana: 'も' },
+  { code: 'Comma', legend: ',', kana: 'ね', shiftKana: '、' },
+  { code: 'Period', legend: '.', kana: 'る', shiftKana: '。' },
+  { code: 'Slash', legend: '/', kana: 'め', shiftKana: '・' },
+  { code: 'IntlRo', legend: '\\', kana: 'ろ' },
+];
+
+// 検索用のマップ（モジュール読み込み時に一度だけ構築）
+const KEYS_BY_CODE = {};
+const KEYS_BY_LEGEND = {};
+const KEY_BY_KANA = {};
+
+JIS_KANA_KEYS.forEach(key => {
+  KEYS_BY_CODE[key.code] = key;
+  KEYS_BY_LEGEND[key.legend] = key;
+  KEY_BY_KANA[key.kana] = { legend: key.legend, shift: false };
+  if (key.shiftKana) {
+    KEY_BY_KANA[key.shiftKana] = { legend: key.legend, shift: true };
+  }
+});
+
+/**
+ * キーイベントからJISかな入力の文字を取得する
+ * Shift併用でかなが割り当てられていないキー（Shift+1など）はnullを返し、
+ * 呼び出し側で通常のevent.keyにフォールバックさせる
+ * @param {KeyboardEvent} event - キーイベント
+ * @returns {string|null} 入力されたかな
+ */
+export function getKanaFromKeyEvent(event) {
+  if (!event || !event.code) return null;
+  if (event.ctrlKey || event.altKey || event.metaKey) return null;
+
+  const key = KEYS_BY_CODE[event.code];
+  if (!key) return null;
+
+  if (event.shiftKey) {
+    return key.shiftKana || null;
+  }
+  return key.kana;
+}
+
+/**
+ * かな1文字を打つためのキーを取得する（画面キーボードのハイライト用）
+ * @param {string} kana - かな1文字（濁点・半濁点を含む）
+ * @returns {{legend: string, shift: boolean}|null} キーの刻印とShiftの要否
+ */
+export function getKanaKeyLegend(kana) {
+  return (kana && KEY_BY_KANA[kana]) || null;
+}
+
+/**
+ * 画面キーボードの刻印に対応するかなを取得する
+ * @param {string} legend - キーの刻印
+ * @returns {{kana: string, shiftKana: (string|undefined)}|null} キーのかな
+ */
+export function getKanaLegend(legend) {
+  const key = KEYS_BY_LEGEND[legend];
+  return key ? { kana: key.kana, shiftKana: key.shiftKana } : null;
+}
+
+/**
+ * かな1文字をJISかな入力のキー入力列に分解する
+ * 濁音・半濁音は「清音＋゛」「清音＋゜」の2打鍵になる（が → か゛）
+ * @param {string} char - ひらがな1文字
+ * @returns {string|null} キー入力列。かな入力で打てない文字はnull
+ */
+export function getKanaKeystrokes(char) {
+  if (!char) return null;
+  if (KEY_BY_KANA[char]) return char;
+
+  const decomposed = char.normalize('NFD');
+  if (decomposed.length !== 2) return null;
+
+  const [base, mark] = decomposed;
+  if (!KEY_BY_KANA[base]) return null;
+  if (mark === COMBINING_DAKUTEN) return base + DAKUTEN;
+  if (mark === COMBINING_HANDAKUTEN) return base + HANDAKUTEN;
+  return null;
+}
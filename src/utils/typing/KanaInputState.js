@@ -4,6 +4,10 @@
  * このクラスは一つのかな文字（例：「と」）の入力状態を管理します。
  * 入力可能なすべてのローマ字パターン（例：「と」→「to」）と現在の入力状態を管理し、
  * 入力が完了したかどうか、次に期待される入力は何かなどを判断します。
+ * 
+ * 「っか」のように複数のかなにまたがる入力単位も扱います。
+ * この場合「kka」「xtuka」のように分岐するパターンのうち、
+ * 現在の入力と前方一致するものだけを候補として追跡します。
  */
 export class KanaInputState {
   /**
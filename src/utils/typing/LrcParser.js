@@ -0,0 +1,182 @@
+'use client';
+
+/**
+ * LrcParser.js
+ * 歌詞タイピング用のLRC形式の歌詞ファイルを読み込むユーティリティ
+ * 責任: LRCテキストの解析、各行の表示時間帯の決定、読みの検証
+ *
+ * 対応する書き方:
+ * - 時刻付きの行: [mm:ss.xx]歌詞　よみ（表示テキストと読みは最後の全角スペースで区切る。
+ *   読みを省略した場合は歌詞をそのまま読みとして使う）
+ * - 1行に複数の時刻: [00:10.00][00:40.00]くりかえし
+ * - 歌詞のない時刻付きの行: 直前の行の終わり（間奏など）
+ * - タグ: [ti:曲名] [ar:アーティスト] [offset:ミリ秒] [length:mm:ss]
+ */
+
+import { findUnconvertibleChars } from './RomajiConverter';
+
+// 最後の行の表示時間（[length:]タグも終わりの行もない場合）
+export const DEFAULT_LAST_LINE_DURATION = 5000;
+
+// 表示テキストと読みの区切り（問題の取り込みと同じ全角スペース）
+const READING_SEPARATOR = '　';
+
+// 時刻タグ [mm:ss]、[mm:ss.xx]、[mm:ss:xx]
+const TIME_TAG_PATTERN = /\[(\d+):(\d{1,2})(?:[.:](\d{1,3}))?\]/g;
+
+// 情報タグ [key:value]
+const INFO_TAG_PATTERN = /^\[([a-z]+):(.*)\]$/i;
+
+// 歌詞を試すためのサンプル（音源なしで遊べる）
+export const SAMPLE_LRC = `[ti:サンプル]
+[ar:タイピングゲーム]
+[00:01.00]はじめまして
+[00:05.00]タイピングの　たいぴんぐの
+[00:09.50]時間に合わせて　じかんにあわせて
+[00:14.00]歌詞を打とう　かしをうとう
+[00:18.50]`;
+
+/**
+ * 時刻タグをミリ秒に変換する
+ * @param {string} minutes - 分
+ * @param {string} seconds - 秒
+ * @param {string} [fraction] - 秒の小数部（1〜3桁）
+ * @returns {number} ミリ秒
+ */
+function toMilliseconds(minutes, seconds, fraction = '') {
+  const fractionMs = fraction ? Math.round(Number(`0.${fraction}`) * 1000) : 0;
+  return (Number(minutes) * 60 + Number(seconds)) * 1000 + fractionMs;
+}
+
+/**
+ * [length:]タグなどの「mm:ss」形式の時間をミリ秒に変換する
+ * @param {string} value - 時間
+ * @returns {number|null} ミリ秒（読めない場合はnull）
+ */
+function parseDuration(value) {
+  const match = String(value).trim().match(/^(\d+):(\d{1,2})(?:[.:](\d{1,3}))?$/);
+  return match ? toMilliseconds(match[1], match[2], match[3]) : null;
+}
+
+/**
+ * 歌詞の行を表示テキストと読みに分ける
+ * @param {string} text - 時刻タグを除いた歌詞
+ * @returns {{displayText: string, kanaText: string}} 表示テキストと読み
+ */
+function splitReading(text) {
+  const separatorIndex = text.lastIndexOf(READING_SEPARATOR);
+  if (separatorIndex === -1) {
+    return { displayText: text, kanaText: text };
+  }
+  return {
+    displayText: text.slice(0, separatorIndex).trim(),
+    kanaText: text.slice(separatorIndex + 1).trim(),
+  };
+}
+
+/**
+ * LRC形式のテキストを解析する
+ * 各行の表示時間帯は、その行の時刻から次の時刻（歌詞のない行を含む）まで
+ * @param {string} text - LRCテキスト
+ * @returns {{title: string, artist: string, lines: Array<{startTime: number, endTime: number, displayText: string, kanaText: string}>, errors: Array<{line: number, text: string, reason: string}>}}
+ *   曲の情報・時刻順の歌詞の行・読み込めなかった行
+ */
+export function parseLrc(text) {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const info = { title: '', artist: '', offset: 0, length: null };
+  const entries = [];
+  const errors = [];
+
+  source.split(/\r\n?|\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    // 時刻タグを取り出す（複数ある場合は同じ歌詞を各時刻に表示する）
+    const times = [];
+    const lyric = line
+      .replace(TIME_TAG_PATTERN, (_, minutes, seconds, fraction) => {
+        times.push(toMilliseconds(minutes, seconds, fraction));
+        return '';
+      })
+      .trim();
+
+    if (times.length === 0) {
+      const tag = line.match(INFO_TAG_PATTERN);
+      if (!tag) {
+        errors.push({ line: index + 1, text: line, reason: '時刻タグがありません' });
+        return;
+      }
+      const [, key, value] = tag;
+      switch (key.toLowerCase()) {
+        case 'ti':
+          info.title = value.trim();
+          break;
+        case 'ar':
+          info.artist = value.trim();
+          break;
+        case 'offset':
+          info.offset = Number(value) || 0;
+          break;
+        case 'length':
+          info.length = parseDuration(value);
+          break;
+        default:
+          // al・by などの表示に使わないタグは無視する
+          break;
+      }
+      return;
+    }
+
+    // 歌詞のない行は直前の行の終わりを表す
+    if (!lyric) {
+      times.forEach(time => entries.push({ time, lyric: null }));
+      return;
+    }
+
+    const { displayText, kanaText } = splitReading(lyric);
+    const unconvertible = findUnconvertibleChars(kanaText);
+    if (unconvertible.length > 0) {
+      errors.push({
+        line: index + 1,
+        text: line,
+        reason: `読みに入力できない文字があります: ${unconvertible.join(' ')}（「歌詞　よみ」の形で読みを書いてください）`,
+      });
+      // 読めない行も時間帯の区切りとして扱う
+      times.forEach(time => entries.push({ time, lyric: null }));
+      return;
+    }
+
+    times.forEach(time =>
+      entries.push({ time, lyric: { displayText: displayText || kanaText, kanaText } })
+    );
+  });
+
+  // [offset:]は正の値で歌詞を早める
+  entries.forEach(entry => {
+    entry.time = Math.max(0, entry.time - info.offset);
+  });
+  entries.sort((a, b) => a.time - b.time);
+
+  const lines = [];
+  entries.forEach((entry, index) => {
+    if (!entry.lyric) return;
+    const next = entries[index + 1];
+    const endTime = next
+      ? next.time
+      : Math.max(info.length || 0, entry.time + DEFAULT_LAST_LINE_DURATION);
+    if (endTime <= entry.time) return; // 同じ時刻の行は後の行を使う
+
+    lines.push({
+      startTime: entry.time,
+      endTime,
+      displayText: entry.lyric.displayText,
+      kanaText: entry.lyric.kanaText,
+    });
+  });
+
+  if (lines.length === 0 && errors.length === 0) {
+    errors.push({ line: 0, text: '', reason: '時刻付きの歌詞がありません' });
+  }
+
+  return { title: info.title, artist: info.artist, lines, errors };
+}
@@ -0,0 +1,216 @@
+'use client';
+
+/**
+ * LyricsGame.js
+ * 歌詞タイピング（時間制限付きの行を順に打つモード）の進行管理
+ * 責任: 曲の再生時間に合わせた行の切り替え、行ごとのタイピングセッションの管理、スコアの計算
+ *
+ * - 各行はTypingSessionの startTime / endTime を持ち、時間帯が終わると update() で強制的に完了する
+ * - 打ち終えた行はクリア、時間切れの行は打ち残した文字数（getLeftoverCharCount）を記録する
+ * - 時間は曲の再生位置（ミリ秒）で渡す
+ */
+
+import { typingSessionFactory } from './TypingSessionFactory';
+
+// スコアの配点
+export const LYRICS_SCORE = Object.freeze({
+  KEY: 10, // 正しく打った1打鍵
+  LINE_CLEAR: 100, // 時間内に打ち終えた1行
+  TIMING_MAX: 100, // 行の始まりと同時に打ち終えた場合のタイミングボーナス（残り時間の割合で減る）
+  LEFTOVER: 5, // 打ち残した1文字の減点
+});
+
+/**
+ * 歌詞タイピングの進行を管理するクラス
+ */
+export class LyricsGame {
+  /**
+   * @param {Object} lyrics - parseLrcの結果（title, artist, lines）
+   * @param {Object} [options] - オプション
+   * @param {boolean} [options.freeInput=false] - 自由入力モード（ミスも入力し、Backspaceで修正）
+   */
+  constructor(lyrics, { freeInput = false } = {}) {
+    this.title = lyrics.title || '';
+    this.artist = lyrics.artist || '';
+    this.lines = (lyrics.lines || [])
+      .map(line => ({
+        ...line,
+        session: typingSessionFactory.createSession(
+          { displayText: line.displayText, kanaText: line.kanaText },
+          { freeInput, startTime: line.startTime, endTime: line.endTime }
+        ),
+        result: null, // 行の結果（打ち終えた・時間切れになった時に記録）
+      }))
+      .filter(line => line.session);
+
+    // 表示中の行（最初の行が始まるまでは -1）
+    this.lineIndex = -1;
+
+    // 打鍵の集計
+    this.correctKeyCount = 0;
+    this.missCount = 0;
+  }
+
+  /**
+   * 表示中の行を取得する
+   * @returns {Object|null} 行（startTime, endTime, displayText, kanaText, session, result）
+   */
+  getCurrentLine() {
+    return this.lines[this.lineIndex] || null;
+  }
+
+  /**
+   * 次の行を取得する
+   * @returns {Object|null} 次の行
+   */
+  getNextLine() {
+    return this.lines[this.lineIndex + 1] || null;
+  }
+
+  /**
+   * 曲の再生位置に合わせて行を進める
+   * 表示中の行の時間帯が終わったら時間切れにし、次の行の時刻になったら次の行に切り替える
+   * @param {number} currentTime - 曲の再生位置（ミリ秒）
+   * @returns {boolean} 表示が変わった場合はtrue
+   */
+  update(currentTime) {
+    let changed = false;
+
+    // 次の行の時刻になったら切り替える（打ち終えていない行は時間切れにする）
+    while (this.getNextLine() && currentTime >= this.getNextLine().startTime) {
+      const previous = this.getCurrentLine();
+      if (previous && !previous.result) {
+        const [, leftover] = previous.session.update(previous.endTime + 1);
+        this._finishLine(previous, { cleared: false, leftover, finishedAt: previous.endTime });
+      }
+      this.lineIndex++;
+      this.getCurrentLine().session.makeActive();
+      changed = true;
+    }
+
+    // 表示中の行の時間帯が終わったら時間切れにする（間奏の前の行など）
+    const current = this.getCurrentLine();
+    if (current && !current.result) {
+      const [timedOut, leftover] = current.session.update(currentTime);
+      if (timedOut) {
+        this._finishLine(current, { cleared: false, leftover, finishedAt: current.endTime });
+        changed = true;
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * キー入力を表示中の行に渡す
+   * @param {string} key - 入力された文字
+   * @param {number} currentTime - 曲の再生位置（ミリ秒）
+   * @returns {{success: boolean, status: string}} 処理結果
+   */
+  processInput(key, currentTime) {
+    const line = this.getCurrentLine();
+    if (!line || line.result || currentTime < line.startTime) {
+      return { success: false, status: 'inactive_line' };
+    }
+
+    const result = line.session.accept(key);
+    if (result !== 1) {
+      this.missCount++;
+      return { success: false, status: 'wrong_input' };
+    }
+
+    this.correctKeyCount++;
+    if (line.session.isCompleted()) {
+      this._finishLine(line, { cleared: true, leftover: 0, finishedAt: currentTime });
+      return { success: true, status: 'line_completed' };
+    }
+    return { success: true, status: 'input_accepted' };
+  }
+
+  /**
+   * Backspaceを表示中の行に渡す（自由入力モード用）
+   * @returns {{success: boolean}} 処理結果
+   */
+  handleBackspace() {
+    const line = this.getCurrentLine();
+    if (!line || line.result) return { success: false };
+    return line.session.handleBackspace();
+  }
+
+  /**
+   * 行の結果を記録する
+   * @param {Object} line - 行
+   * @param {Object} result - 結果（cleared, leftover, finishedAt）
+   * @private
+   */
+  _finishLine(line, { cleared, leftover, finishedAt }) {
+    // タイミングボーナス：行の時間帯のうち残った時間の割合
+    const duration = line.endTime - line.startTime;
+    const remainingRatio = cleared && duration > 0
+      ? Math.min(1, Math.max(0, (line.endTime - finishedAt) / duration))
+      : 0;
+
+    line.result = {
+      cleared,
+      leftover,
+      timingBonus: Math.round(LYRICS_SCORE.TIMING_MAX * remainingRatio),
+      // 打鍵速度の計算に使う、この行に使った時間
+      typingTime: Math.max(0, Math.min(finishedAt, line.endTime) - line.startTime),
+    };
+  }
+
+  /**
+   * すべての行が終わったかどうか
+   * @param {number} currentTime - 曲の再生位置（ミリ秒）
+   * @returns {boolean} 終わった場合はtrue
+   */
+  isFinished(currentTime) {
+    const lastLine = this.lines[this.lines.length - 1];
+    if (!lastLine) return true;
+    if (this.lineIndex < this.lines.length - 1) return false;
+    return !!lastLine.result || currentTime > lastLine.endTime;
+  }
+
+  /**
+   * 時間帯が終わっていない行を時間切れにして、ゲームを終える（曲が途中で終わった場合など）
+   */
+  finishAll() {
+    this.lines.forEach(line => {
+      if (line.result) return;
+      const [, leftover] = line.session.update(line.endTime + 1);
+      this._finishLine(line, { cleared: false, leftover, finishedAt: line.endTime });
+    });
+    this.lineIndex = this.lines.length - 1;
+  }
+
+  /**
+   * 集計結果を取得する
+   * @returns {Object} 集計結果（score, clearedLines, totalLines, leftoverChars, timingBonus, correctKeyCount, missCount, typingTime）
+   */
+  getStats() {
+    const finished = this.lines.filter(line => line.result);
+    const clearedLines = finished.filter(line => line.result.cleared).length;
+    const leftoverChars = finished.reduce((sum, line) => sum + line.result.leftover, 0);
+    const timingBonus = finished.reduce((sum, line) => sum + line.result.timingBonus, 0);
+    const typingTime = finished.reduce((sum, line) => sum + line.result.typingTime, 0);
+
+    const score = Math.max(
+      0,
+      this.correctKeyCount * LYRICS_SCORE.KEY +
+        clearedLines * LYRICS_SCORE.LINE_CLEAR +
+        timingBonus -
+        leftoverChars * LYRICS_SCORE.LEFTOVER
+    );
+
+    return {
+      score,
+      clearedLines,
+      totalLines: this.lines.length,
+      leftoverChars,
+      timingBonus,
+      correctKeyCount: this.correctKeyCount,
+      missCount: this.missCount,
+      typingTime,
+    };
+  }
+}
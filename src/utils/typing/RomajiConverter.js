@@ -7,6 +7,9 @@
  */
 
 import * as wanakana from 'wanakana';
+import { getActiveInputScheme, getSchemePatterns, applyInputScheme } from './InputSchemes';
+import { getKanaKeystrokes } from './JisKanaLayout';
+import { applyRomajiPreferences, getRomajiPreferenceKey } from './RomajiPreferences';
 
 // デバッグログフラグ - デフォルトで無効化
 const DEBUG_ROMAJI_CONVERTER = process.env.NODE_ENV === 'development' && false;
@@ -101,40 +104,133 @@ export const romajiMap = {
   ぷ: ['pu'],
   ぺ: ['pe'],
   ぽ: ['po'],
+  ゔ: ['vu'],
   // 拗音（きゃ、しゃなど）
+  // 「き」+「ゃ」のような分解入力（kixya など）は getCombinedKanaPatterns で自動生成する
   きゃ: ['kya'],
+  きぃ: ['kyi'],
   きゅ: ['kyu'],
+  きぇ: ['kye'],
   きょ: ['kyo'],
-  しゃ: ['sya', 'sha', 'sixya', 'shixya'], // 複数パターン対応
-  しゅ: ['syu', 'shu', 'sixyu', 'shixyu'], // 複数パターン対応
-  しょ: ['syo', 'sho', 'sixyo', 'shixyo'], // 複数パターン対応
-  ちゃ: ['tya', 'cha', 'tixya', 'chixya'],
-  ちゅ: ['tyu', 'chu', 'tixyu', 'chixyu'],
-  ちょ: ['tyo', 'cho', 'tixyo', 'chixyo'],
+  しゃ: ['sya', 'sha'], // 複数パターン対応
+  しぃ: ['syi'],
+  しゅ: ['syu', 'shu'], // 複数パターン対応
+  しぇ: ['sye', 'she'],
+  しょ: ['syo', 'sho'], // 複数パターン対応
+  ちゃ: ['tya', 'cha', 'cya'],
+  ちぃ: ['tyi', 'cyi'],
+  ちゅ: ['tyu', 'chu', 'cyu'],
+  ちぇ: ['tye', 'che', 'cye'],
+  ちょ: ['tyo', 'cho', 'cyo'],
   にゃ: ['nya'],
+  にぃ: ['nyi'],
   にゅ: ['nyu'],
+  にぇ: ['nye'],
   にょ: ['nyo'],
   ひゃ: ['hya'],
+  ひぃ: ['hyi'],
   ひゅ: ['hyu'],
+  ひぇ: ['hye'],
   ひょ: ['hyo'],
   みゃ: ['mya'],
+  みぃ: ['myi'],
   みゅ: ['myu'],
+  みぇ: ['mye'],
   みょ: ['myo'],
   りゃ: ['rya'],
+  りぃ: ['ryi'],
   りゅ: ['ryu'],
+  りぇ: ['rye'],
   りょ: ['ryo'],
   ぎゃ: ['gya'],
+  ぎぃ: ['gyi'],
   ぎゅ: ['gyu'],
+  ぎぇ: ['gye'],
   ぎょ: ['gyo'],
-  じゃ: ['zya', 'ja', 'jya', 'zixya', 'jixya'],
-  じゅ: ['zyu', 'ju', 'jyu', 'zixyu', 'jixyu'],
-  じょ: ['zyo', 'jo', 'jyo', 'zixyo', 'jixyo'],
+  じゃ: ['zya', 'ja', 'jya'],
+  じぃ: ['zyi', 'jyi'],
+  じゅ: ['zyu', 'ju', 'jyu'],
+  じぇ: ['zye', 'je', 'jye'],
+  じょ: ['zyo', 'jo', 'jyo'],
+  ぢゃ: ['dya'],
+  ぢぃ: ['dyi'],
+  ぢゅ: ['dyu'],
+  ぢぇ: ['dye'],
+  ぢょ: ['dyo'],
   びゃ: ['bya'],
+  びぃ: ['byi'],
   びゅ: ['byu'],
+  びぇ: ['bye'],
   びょ: ['byo'],
   ぴゃ: ['pya'],
+  ぴぃ: ['pyi'],
   ぴゅ: ['pyu'],
+  ぴぇ: ['pye'],
   ぴょ: ['pyo'],
+  // 外来音（ファ、ティ、ヴァなど）
+  いぇ: ['ye'],
+  うぁ: ['wha'],
+  うぃ: ['wi', 'whi'],
+  うぅ: ['whu'],
+  うぇ: ['we', 'whe'],
+  うぉ: ['who'],
+  ゔぁ: ['va'],
+  ゔぃ: ['vi', 'vyi'],
+  ゔぇ: ['ve', 'vye'],
+  ゔぉ: ['vo'],
+  ゔゃ: ['vya'],
+  ゔゅ: ['vyu'],
+  ゔょ: ['vyo'],
+  くぁ: ['qa', 'qwa', 'kwa'],
+  くぃ: ['qi', 'qwi', 'qyi'],
+  くぅ: ['qwu'],
+  くぇ: ['qe', 'qwe', 'qye'],
+  くぉ: ['qo', 'qwo'],
+  くゃ: ['qya'],
+  くゅ: ['qyu'],
+  くょ: ['qyo'],
+  ぐぁ: ['gwa'],
+  ぐぃ: ['gwi'],
+  ぐぅ: ['gwu'],
+  ぐぇ: ['gwe'],
+  ぐぉ: ['gwo'],
+  すぁ: ['swa'],
+  すぃ: ['swi'],
+  すぅ: ['swu'],
+  すぇ: ['swe'],
+  すぉ: ['swo'],
+  つぁ: ['tsa'],
+  つぃ: ['tsi'],
+  つぇ: ['tse'],
+  つぉ: ['tso'],
+  てゃ: ['tha'],
+  てぃ: ['thi'],
+  てゅ: ['thu'],
+  てぇ: ['the'],
+  てょ: ['tho'],
+  でゃ: ['dha'],
+  でぃ: ['dhi'],
+  でゅ: ['dhu'],
+  でぇ: ['dhe'],
+  でょ: ['dho'],
+  とぁ: ['twa'],
+  とぃ: ['twi'],
+  とぅ: ['twu'],
+  とぇ: ['twe'],
+  とぉ: ['two'],
+  どぁ: ['dwa'],
+  どぃ: ['dwi'],
+  どぅ: ['dwu'],
+  どぇ: ['dwe'],
+  どぉ: ['dwo'],
+  ふぁ: ['fa', 'fwa'],
+  ふぃ: ['fi', 'fwi', 'fyi'],
+  ふぅ: ['fwu'],
+  ふぇ: ['fe', 'fwe', 'fye'],
+  ふぉ: ['fo', 'fwo'],
+  ふゃ: ['fya'],
+  ふゅ: ['fyu'],
+  ふょ: ['fyo'],
   // 小さい文字
   ぁ: ['xa', 'la'],
   ぃ: ['xi', 'li'],
@@ -145,6 +241,11 @@ export const romajiMap = {
   ゅ: ['xyu', 'lyu'],
   ょ: ['xyo', 'lyo'],
   っ: ['xtu', 'xtsu', 'ltu', 'ltsu'],
+  ゕ: ['xka', 'lka'],
+  ゖ: ['xke', 'lke'],
+  ゎ: ['xwa', 'lwa'],
+  // 長音記号
+  ー: ['-'],
   // 記号
   '、': [','],
   '。': ['.'],
@@ -157,6 +258,9 @@ export const romajiMap = {
   '）': [')'],
   '～': ['~'],
   '：': [':'],
+  ',': [','],
+  '.': ['.'],
+  '/': ['/'],
 };
 
 // 母音とyの識別用マップ
@@ -170,12 +274,295 @@ const vowelsAndY = {
   'n': true,
 };
 
-// 子音識別用マップ（母音以外の英字）
+// 子音識別用マップ（促音で重ねられる子音）
+// 「n」を重ねると「ん」と区別できなくなるため含めない
 const consonants = {};
-'bcdfghjklmnpqrstvwxyz'.split('').forEach(c => {
+'bcdfghjklmpqrstvwxyz'.split('').forEach(c => {
   consonants[c] = true;
 });
 
+// 直前の文字と組み合わせて一つの音になる小書き文字（拗音・外来音）
+const COMBINING_SMALL_KANA = {
+  'ぁ': true,
+  'ぃ': true,
+  'ぅ': true,
+  'ぇ': true,
+  'ぉ': true,
+  'ゃ': true,
+  'ゅ': true,
+  'ょ': true,
+};
+
+// 小書き文字と組み合わせない文字（それ自体が独立した入力単位になるもの）
+const NON_COMBINING_KANA = {
+  'ん': true,
+  'っ': true,
+  'ー': true,
+  'ゎ': true,
+  'ゕ': true,
+  'ゖ': true,
+};
+
+// カタカナ→ひらがな変換の対象範囲（ァ〜ヶ）
+const KATAKANA_START = 0x30a1;
+const KATAKANA_END = 0x30f6;
+const KATAKANA_TO_HIRAGANA_OFFSET = 0x60;
+
+// 全角英数字・記号→半角変換の対象範囲（！〜～）
+const FULLWIDTH_ASCII_START = 0xff01;
+const FULLWIDTH_ASCII_END = 0xff5e;
+const FULLWIDTH_TO_HALFWIDTH_OFFSET = 0xfee0;
+
+// そのまま打つ文字（半角の英数字・記号）の判定用
+const LITERAL_CHAR_PATTERN = /^[\x21-\x7e]$/;
+
+/**
+ * 全角英数字・記号と全角スペースを半角に変換する
+ * 文字列全体を変換するため、問題文にもキー入力1文字にも使える
+ * @param {string} text - 変換する文字列
+ * @returns {string} 半角に変換された文字列
+ */
+export function toHalfWidth(text) {
+  if (!text) return '';
+
+  let result = '';
+  for (const char of String(text)) {
+    const code = char.charCodeAt(0);
+    if (code >= FULLWIDTH_ASCII_START && code <= FULLWIDTH_ASCII_END) {
+      result += String.fromCharCode(code - FULLWIDTH_TO_HALFWIDTH_OFFSET);
+    } else if (char === '　') {
+      result += ' ';
+    } else {
+      result += char;
+    }
+  }
+  return result;
+}
+
+/**
+ * かな文字列をローマ字変換用に正規化する
+ * カタカナをひらがなに、全角英数字・記号を半角に揃える。長音記号「ー」や中黒「・」はそのまま残す
+ * （wanakana.toHiraganaは「ー」を母音に置き換えてしまうため使わない）
+ * @param {string} text - かな文字列（ひらがな・カタカナ・英数字混在可）
+ * @returns {string} ひらがなに正規化された文字列
+ */
+export function normalizeKana(text) {
+  if (!text) return '';
+
+  let result = '';
+  for (const char of toHalfWidth(text)) {
+    const code = char.charCodeAt(0);
+    if (code >= KATAKANA_START && code <= KATAKANA_END) {
+      result += String.fromCharCode(code - KATAKANA_TO_HIRAGANA_OFFSET);
+    } else {
+      result += char;
+    }
+  }
+  return result;
+}
+
+/**
+ * 半角の英数字・記号（そのまま打つ文字）かどうか
+ * @param {string} char - 判定する1文字
+ * @returns {boolean} そのまま打つ文字の場合はtrue
+ */
+export function isLiteralChar(char) {
+  return !!char && LITERAL_CHAR_PATTERN.test(char);
+}
+
+/**
+ * 入力パターンに変換できない文字（漢字や未対応の記号など）を探す
+ * 問題の読み（kanaText）の検証に使う
+ * @param {string} text - かな文字列（英数字混在可）
+ * @returns {string[]} 変換できない文字（重複なし、出現順）
+ */
+export function findUnconvertibleChars(text) {
+  const unconvertible = [];
+  for (const char of normalizeKana(text)) {
+    if (romajiMap[char] || isLiteralChar(char) || char.trim() === '') continue;
+    if (!unconvertible.includes(char)) unconvertible.push(char);
+  }
+  return unconvertible;
+}
+
+/**
+ * 英数字・記号をそのまま打つ入力単位を作る
+ * 1文字ごとに独立した単位とし、大文字小文字を区別しない場合は反対のケースも受け付ける
+ * @param {string} char - 半角の英数字・記号1文字
+ * @param {boolean} caseSensitive - 大文字小文字を区別するか
+ * @returns {{kana: string, patterns: string[], literal: boolean}} 入力単位
+ */
+function readLiteralUnit(char, caseSensitive) {
+  const patterns = [char];
+  if (!caseSensitive) {
+    const swapped = char === char.toLowerCase() ? char.toUpperCase() : char.toLowerCase();
+    if (swapped !== char) patterns.push(swapped);
+  }
+  return { kana: char, patterns, literal: true };
+}
+
+/**
+ * 「かな＋小書き文字」の組み合わせに対する入力パターンを取得する
+ * romajiMapに定義された一括入力（fa, thiなど）を優先し、
+ * その後ろに分解入力（huxa, texiなど）をすべて追加する
+ * @param {string} base - 1文字目のかな（例：「ふ」）
+ * @param {string} small - 2文字目の小書き文字（例：「ぁ」）
+ * @returns {string[]|null} 入力パターン配列。組み合わせられない場合はnull
+ */
+export function getCombinedKanaPatterns(base, small) {
+  if (!base || !small || !COMBINING_SMALL_KANA[small]) return null;
+  if (COMBINING_SMALL_KANA[base] || NON_COMBINING_KANA[base]) return null;
+
+  const basePatterns = romajiMap[base];
+  const smallPatterns = romajiMap[small];
+  if (!basePatterns || !smallPatterns) return null;
+
+  // 一括入力パターン（表示優先）
+  const patterns = [...(romajiMap[base + small] || [])];
+
+  // 分解入力パターン（例：ふ + ぁ → fuxa, fula, huxa, hula）
+  basePatterns.forEach(basePattern => {
+    smallPatterns.forEach(smallPattern => {
+      const pattern = basePattern + smallPattern;
+      if (!patterns.includes(pattern)) {
+        patterns.push(pattern);
+      }
+    });
+  });
+
+  return patterns;
+}
+
+/**
+ * 「っ」＋後続の音をまとめた入力パターンを取得する
+ * 子音を重ねる入力（kka, tcha）と、「っ」を単独で打つ入力（xtuka, ltsuka など）の両方を返す
+ * 入力方式に「っ」のキーがある場合（AZIKの ; など）は、そのキーで打つ入力を表示優先にする
+ * @param {string[]} followingPatterns - 後続の音の入力パターン（例：「か」→ ['ka', 'ca']）
+ * @returns {string[]|null} 入力パターン配列。子音を重ねられない場合はnull
+ */
+export function getSokuonPatterns(followingPatterns) {
+  if (!followingPatterns || followingPatterns.length === 0) return null;
+
+  const patterns = [];
+  const addPattern = (pattern) => {
+    if (!patterns.includes(pattern)) {
+      patterns.push(pattern);
+    }
+  };
+
+  // 後続が母音・な行・記号などの場合は「っ」単独で扱う
+  if (!followingPatterns.some(pattern => consonants[pattern[0]])) return null;
+
+  // 入力方式の「っ」のキーで打つ入力（表示優先）
+  const schemeSokuon = getActiveInputScheme().preferredPatterns['っ'] || [];
+  schemeSokuon.forEach(sokuon => {
+    followingPatterns.forEach(pattern => addPattern(sokuon + pattern));
+  });
+
+  // 子音を重ねる入力（標準の入力方式では表示優先）
+  followingPatterns.forEach(pattern => {
+    if (consonants[pattern[0]]) {
+      addPattern(pattern[0] + pattern);
+    }
+  });
+
+  // ch で始まる音は t を前に置く入力も受け付ける（まっちゃ → matcha、こっち → kotchi）
+  followingPatterns.forEach(pattern => {
+    if (pattern.startsWith('ch')) {
+      addPattern('t' + pattern);
+    }
+  });
+
+  // 「っ」を単独で打つ入力
+  getSchemePatterns('っ', romajiMap['っ']).forEach(sokuon => {
+    followingPatterns.forEach(pattern => addPattern(sokuon + pattern));
+  });
+
+  return patterns;
+}
+
+/**
+ * かな1単位の入力パターンを並べ替える
+ * プレイヤーの表記の好み（shi/si など）を先頭に置き、入力方式の拡張パターンを反映する
+ * @param {string} kana - 入力単位のかな
+ * @param {string[]} patterns - 標準ローマ字の入力パターン
+ * @returns {string[]} 並べ替えた入力パターン
+ */
+function getUnitPatterns(kana, patterns) {
+  return getSchemePatterns(kana, applyRomajiPreferences(kana, patterns));
+}
+
+/**
+ * 指定位置から始まる1音分（「っ」「ん」以外）の入力単位を読み取る
+ * @param {string} hiragana - ひらがな文字列
+ * @param {number} index - 読み取り開始位置
+ * @returns {{kana: string, patterns: string[]}} 入力単位
+ */
+function readKanaUnit(hiragana, index) {
+  const char = hiragana[index];
+  const nextChar = index + 1 < hiragana.length ? hiragana[index + 1] : null;
+
+  // 拗音・外来音の処理（きゃ、しゃ、ふぁ、てぃなど）
+  const combinedPatterns = getCombinedKanaPatterns(char, nextChar);
+  if (combinedPatterns) {
+    return { kana: char + nextChar, patterns: getUnitPatterns(char + nextChar, combinedPatterns) };
+  }
+
+  // 通常文字の処理
+  if (romajiMap[char]) {
+    return { kana: char, patterns: getUnitPatterns(char, romajiMap[char]) };
+  }
+
+  // スペースの処理
+  if (char.trim() === '') {
+    return { kana: char, patterns: [' '] };
+  }
+
+  // マッピングにない文字は直接wanakanaに変換を依頼
+  return { kana: char, patterns: [wanakana.toRomaji(char)] };
+}
+
+/**
+ * 「っ」から始まる入力単位を読み取る
+ * 子音を重ねられる場合は後続の音とまとめて1単位にする（っか → kka, xtuka）
+ * 文末・「ん」の前・母音の前などでは「っ」単独の単位になる
+ * @param {string} hiragana - ひらがな文字列
+ * @param {number} index - 「っ」の位置
+ * @returns {{kana: string, patterns: string[]}} 入力単位
+ */
+export function readSokuonUnit(hiragana, index) {
+  const nextChar = index + 1 < hiragana.length ? hiragana[index + 1] : null;
+  const canDouble = nextChar && nextChar !== 'っ' && nextChar !== 'ん' && !isLiteralChar(nextChar);
+  const following = canDouble ? readKanaUnit(hiragana, index + 1) : null;
+  const sokuonPatterns = following ? getSokuonPatterns(following.patterns) : null;
+
+  if (sokuonPatterns) {
+    return { kana: 'っ' + following.kana, patterns: sokuonPatterns };
+  }
+
+  return { kana: 'っ', patterns: getSchemePatterns('っ', romajiMap['っ']) };
+}
+
+/**
+ * JISかな入力用の入力単位を読み取る
+ * かな入力では1文字ずつ打つため拗音や促音もまとめず、濁音は「清音＋゛」の2打鍵にする
+ * かな入力で打てない文字（記号など）はローマ字入力と同じパターンにフォールバックする
+ * @param {string} char - ひらがな1文字
+ * @returns {{kana: string, patterns: string[]}} 入力単位
+ */
+function readKanaDirectUnit(char) {
+  const keystrokes = getKanaKeystrokes(char);
+  if (keystrokes) {
+    return { kana: char, patterns: [keystrokes] };
+  }
+
+  if (romajiMap[char]) {
+    return { kana: char, patterns: [...romajiMap[char]] };
+  }
+
+  return { kana: char, patterns: [char] };
+}
+
 /**
  * ローマ字変換クラス
  * かな文字をローマ字入力パターンに変換する機能を提供
@@ -185,23 +572,58 @@ export class RomajiConverter {
     // パターン変換キャッシュ
     this._patternCache = {
       text: '',
-      patterns: []
+      schemeId: '',
+      preferenceKey: '',
+      caseSensitive: false,
+      units: []
     };
   }
 
   /**
-   * かな文字列をローマ字入力パターンに変換（キャッシュ対応版）
-   * @param {string} hiragana - かな文字列
-   * @returns {Array} ローマ字入力パターンの配列
+   * かな文字列を入力単位（かなとローマ字パターンの組）に分割する（キャッシュ対応版）
+   * 拗音・外来音や「っ」＋後続の音は複数のかなをまとめて1単位として扱う
+   * カタカナはひらがなに、全角英数字は半角に正規化してから変換する
+   * 英数字・記号はローマ字に変換せず、1文字ずつそのまま打つ単位（literal: true）にする
+   * 選択中の入力方式（AZIKなど）の拡張パターンもここで反映する
+   * @param {string} text - かな文字列（英数字混在可）
+   * @param {Object} [options] - 変換オプション
+   * @param {boolean} [options.caseSensitive=false] - 英字の大文字小文字を区別するか
+   * @returns {Array<{kana: string, patterns: string[], literal?: boolean}>} 入力単位の配列
    */
-  parseTextToRomajiPatterns(hiragana) {
-    // キャッシュがある場合は再利用
-    if (this._patternCache.text === hiragana) {
-      return this._patternCache.patterns.map(p => [...p]); // ディープコピーを返す
+  parseTextToUnits(text, { caseSensitive = false } = {}) {
+    const hiragana = normalizeKana(text);
+    const schemeId = getActiveInputScheme().id;
+    const preferenceKey = getRomajiPreferenceKey();
+
+    // キャッシュがある場合は再利用（入力方式・表記の好み・大文字小文字の扱いが変わった場合は作り直す）
+    if (
+      this._patternCache.text === hiragana &&
+      this._patternCache.schemeId === schemeId &&
+      this._patternCache.preferenceKey === preferenceKey &&
+      this._patternCache.caseSensitive === caseSensitive
+    ) {
+      return this._patternCache.units.map(unit => ({
+        ...unit,
+        patterns: [...unit.patterns], // ディープコピーを返す
+      }));
     }
 
-    // 各文字を対応するローマ字パターンに変換
-    const patterns = [];
+    // JISかな入力ではローマ字の規則を使わず1文字ずつ変換する
+    if (getActiveInputScheme().kanaDirect) {
+      const kanaUnits = Array.from(hiragana, char => (
+        isLiteralChar(char) ? readLiteralUnit(char, caseSensitive) : readKanaDirectUnit(char)
+      ));
+      this._patternCache = {
+        text: hiragana,
+        schemeId,
+        preferenceKey,
+        caseSensitive,
+        units: kanaUnits.map(unit => ({ ...unit, patterns: [...unit.patterns] })) // ディープコピー
+      };
+      return kanaUnits;
+    }
+
+    const units = [];
     let i = 0;
 
     // 特殊処理のためのループ
@@ -209,93 +631,76 @@ export class RomajiConverter {
       const char = hiragana[i];
       const nextChar = i + 1 < hiragana.length ? hiragana[i + 1] : null;
 
-      // 小さい「っ」の特殊処理（タ行、カ行など）
-      if (char === 'っ' && nextChar) {
-        // 次の文字が拗音を含む場合
-        const afterNextChar = i + 2 < hiragana.length ? hiragana[i + 2] : null;
-        const isNextSmall = afterNextChar && ['ゃ', 'ゅ', 'ょ'].includes(afterNextChar);
-
-        if (isNextSmall) {
-          // 「っきゃ」のようなパターン
-          const nextTwoChars = nextChar + afterNextChar;
-          const nextRomaji = romajiMap[nextTwoChars] || [wanakana.toRomaji(nextTwoChars)];
-          const firstChar = nextRomaji[0][0];
-
-          if (consonants[firstChar]) {
-            patterns.push([firstChar]);
-            i++;
-            continue;
-          }
-        } else {
-          // 通常の促音（「った」など）
-          const nextRomaji = romajiMap[nextChar] || [wanakana.toRomaji(nextChar)];
-          const firstChar = nextRomaji[0][0];
-
-          if (consonants[firstChar]) {
-            patterns.push([firstChar]);
-            i++;
-            continue;
-          }
-        }
-
-        // 子音ではない場合の促音
-        patterns.push(['xtu', 'ltu']);
+      // 英数字・記号はそのまま打つ（1文字ずつ独立した単位）
+      if (isLiteralChar(char)) {
+        units.push(readLiteralUnit(char, caseSensitive));
         i++;
         continue;
       }
 
+      // 小さい「っ」の特殊処理（後続の音とまとめて1単位にする）
+      if (char === 'っ') {
+        const unit = readSokuonUnit(hiragana, i);
+        units.push(unit);
+        i += unit.kana.length;
+        continue;
+      }
+
       // 「ん」の特殊処理（改善版）
       if (char === 'ん') {
         const isLastChar = i === hiragana.length - 1;
-        const nextFirstChar = nextChar ? nextChar[0] : '';
+        // 次の音のローマ字が母音/y/nで始まるか（かなではなくローマ字の先頭で判定する）
+        let nextUnit = null;
+        if (nextChar) {
+          nextUnit = isLiteralChar(nextChar)
+            ? readLiteralUnit(nextChar, caseSensitive)
+            : readKanaUnit(hiragana, i + 1);
+        }
+        const isBeforeVowel = nextUnit && nextUnit.patterns.some(pattern => vowelsAndY[pattern[0]]);
 
         // 文末または母音/y/nの前での特殊処理
         if (isLastChar) {
           // 単語の最後では n だけでも受け付ける
-          patterns.push(['nn', 'n', 'xn']);
-        } else if (vowelsAndY[nextFirstChar]) {
+          units.push({ kana: char, patterns: getUnitPatterns(char, ['nn', 'n', 'xn']) });
+        } else if (isBeforeVowel) {
           // 母音やyの前では nn または xn のみ
-          patterns.push(['nn', 'xn']);
+          units.push({ kana: char, patterns: getUnitPatterns(char, ['nn', 'xn']) });
         } else {
           // それ以外の場所では nn, n, xn すべて受け付ける
-          patterns.push(['nn', 'n', 'xn']);
+          units.push({ kana: char, patterns: getUnitPatterns(char, ['nn', 'n', 'xn']) });
         }
         i++;
         continue;
       }
 
-      // 拗音の特殊処理（きゃ、しゃなど）
-      if (['き', 'し', 'ち', 'に', 'ひ', 'み', 'り', 'ぎ', 'じ', 'び', 'ぴ'].includes(char) && nextChar && ['ゃ', 'ゅ', 'ょ'].includes(nextChar)) {
-        const combinedChar = char + nextChar;
-        if (romajiMap[combinedChar]) {
-          patterns.push(romajiMap[combinedChar]);
-          i += 2;
-          continue;
-        }
-      }
-
-      // 通常文字の処理
-      if (romajiMap[char]) {
-        patterns.push(romajiMap[char]);
-      } else if (char.trim() === '') {
-        // スペースの処理
-        patterns.push([' ']);
-      } else {
-        // マッピングにない文字は直接wanakanaに変換を依頼
-        const romaji = wanakana.toRomaji(char);
-        patterns.push([romaji]);
-      }
-
-      i++;
+      const unit = readKanaUnit(hiragana, i);
+      units.push(unit);
+      i += unit.kana.length;
     }
 
-    // パターンをキャッシュ
+    // 入力方式の拡張（撥音・二重母音など）で2単位をまとめる
+    const schemeUnits = applyInputScheme(units);
+
+    // 入力単位をキャッシュ
     this._patternCache = {
       text: hiragana,
-      patterns: patterns.map(p => [...p]) // ディープコピー
+      schemeId,
+      preferenceKey,
+      caseSensitive,
+      units: schemeUnits.map(unit => ({ ...unit, patterns: [...unit.patterns] })) // ディープコピー
     };
 
-    return patterns;
+    return schemeUnits;
+  }
+
+  /**
+   * かな文字列をローマ字入力パターンに変換
+   * @param {string} text - かな文字列
+   * @param {Object} [options] - 変換オプション（parseTextToUnitsと同じ）
+   * @returns {Array} ローマ字入力パターンの配列
+   */
+  parseTextToRomajiPatterns(text, options) {
+    return this.parseTextToUnits(text, options).map(unit => unit.patterns);
   }
 
   /**
@@ -319,3 +724,13 @@ export class RomajiConverter {
 
 // シングルトンインスタンス
 export const romajiConverter = new RomajiConverter();
+
+/**
+ * かな文字列を入力単位の配列に変換する（InputProcessor用）
+ * @param {string} text - かな文字列
+ * @param {Object} [options] - 変換オプション（parseTextToUnitsと同じ）
+ * @returns {Array<{kana: string, patterns: string[]}>} 入力単位の配列
+ */
+export function parseText(text, options) {
+  return romajiConverter.parseTextToUnits(text, options);
+}
@@ -0,0 +1,132 @@
+'use client';
+
+/**
+ * RomajiPreferences.js
+ * プレイヤーごとのローマ字表記の好み（shi/si, tsu/tu など）を管理するユーティリティ
+ * 責任: 好みの綴りを入力パターンの先頭に並べ替え、ガイド表示に反映する
+ */
+
+/**
+ * 表記の選択肢
+ * - label: 設定画面に表示する見出し
+ * - choices: 選択肢ごとに、かなと優先して表示する綴りの対応
+ */
+const SPELLING_OPTIONS = {
+  shi: {
+    label: 'し',
+    choices: {
+      si: { し: 'si', しゃ: 'sya', しゅ: 'syu', しょ: 'syo', しぇ: 'sye' },
+      shi: { し: 'shi', しゃ: 'sha', しゅ: 'shu', しょ: 'sho', しぇ: 'she' },
+    },
+  },
+  chi: {
+    label: 'ち',
+    choices: {
+      ti: { ち: 'ti', ちゃ: 'tya', ちゅ: 'tyu', ちょ: 'tyo', ちぇ: 'tye' },
+      chi: { ち: 'chi', ちゃ: 'cha', ちゅ: 'chu', ちょ: 'cho', ちぇ: 'che' },
+    },
+  },
+  tsu: {
+    label: 'つ',
+    choices: {
+      tu: { つ: 'tu' },
+      tsu: { つ: 'tsu' },
+    },
+  },
+  fu: {
+    label: 'ふ',
+    choices: {
+      fu: { ふ: 'fu' },
+      hu: { ふ: 'hu' },
+    },
+  },
+  ji: {
+    label: 'じ',
+    choices: {
+      zi: { じ: 'zi', じゃ: 'zya', じゅ: 'zyu', じょ: 'zyo', じぇ: 'zye' },
+      ji: { じ: 'ji', じゃ: 'ja', じゅ: 'ju', じょ: 'jo', じぇ: 'je' },
+    },
+  },
+  n: {
+    label: 'ん（子音の前）',
+    choices: {
+      nn: { ん: 'nn' },
+      n: { ん: 'n' },
+    },
+  },
+};
+
+// デフォルトの表記（romajiMapの並び順と同じ）
+export const DEFAULT_ROMAJI_PREFERENCES = {
+  shi: 'si',
+  chi: 'ti',
+  tsu: 'tu',
+  fu: 'fu',
+  ji: 'zi',
+  n: 'nn',
+};
+
+// 現在の好みから作った「かな → 優先する綴り」の対応表
+let preferredSpellings = {};
+// 入力パターンのキャッシュ判定用のキー
+let preferenceKey = '';
+
+/**
+ * 設定画面に表示する表記の選択肢一覧
+ * @returns {Array<{key: string, label: string, choices: string[]}>} 選択肢一覧
+ */
+export function getRomajiPreferenceOptions() {
+  return Object.entries(SPELLING_OPTIONS).map(([key, option]) => ({
+    key,
+    label: option.label,
+    choices: Object.keys(option.choices),
+  }));
+}
+
+/**
+ * ローマ字表記の好みを設定する
+ * 未指定・不正な項目はデフォルトの表記を使う
+ * @param {Object} preferences - 表記の好み（例: { shi: 'shi', n: 'n' }）
+ */
+export function setRomajiPreferences(preferences = {}) {
+  const spellings = {};
+  const keyParts = [];
+
+  Object.entries(SPELLING_OPTIONS).forEach(([key, option]) => {
+    const requested = preferences && preferences[key];
+    const choice = option.choices[requested]
+      ? requested
+      : DEFAULT_ROMAJI_PREFERENCES[key];
+    Object.assign(spellings, option.choices[choice]);
+    keyParts.push(`${key}:${choice}`);
+  });
+
+  preferredSpellings = spellings;
+  preferenceKey = keyParts.join(',');
+}
+
+/**
+ * 現在の表記の好みを表すキーを取得する（パターンキャッシュの判定用）
+ * @returns {string} 表記の好みのキー
+ */
+export function getRomajiPreferenceKey() {
+  return preferenceKey;
+}
+
+/**
+ * 好みの綴りが入力パターンの先頭に来るよう並べ替える
+ * 好みの綴りが候補にない場合（母音の前の「ん」など）はそのまま返す
+ * @param {string} kana - 入力単位のかな
+ * @param {string[]} patterns - 入力パターン
+ * @returns {string[]} 並べ替えた入力パターン
+ */
+export function applyRomajiPreferences(kana, patterns) {
+  const preferred = preferredSpellings[kana];
+  if (!preferred || patterns[0] === preferred || !patterns.includes(preferred)) {
+    return patterns;
+  }
+  return [preferred, ...patterns.filter(pattern => pattern !== preferred)];
+}
+
+// デフォルトの表記で初期化
+setRomajiPreferences(DEFAULT_ROMAJI_PREFERENCES);
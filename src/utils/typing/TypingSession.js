@@ -7,6 +7,8 @@
  */
 
 import * as wanakana from 'wanakana';
+import { toHalfWidth } from './RomajiConverter';
+import { getCodeCursor } from './CodeTyping';
 
 /**
  * タイピングセッションクラス
@@ -25,6 +27,9 @@ export class TypingSession {
       patternLengths = [],
       expectedChars = [],
       firstChars = [],
+      literalUnits = [],
+      codeLayout = null,
+      freeInput = false,
       kana = '',
       displayText = '',
       originalText = '',
@@ -44,6 +49,10 @@ export class TypingSession {
     this.patternLengths = patternLengths;
     this.expectedChars = expectedChars;
     this.firstChars = firstChars;
+    // 英数字をそのまま打つパターンかどうか（パターンごと）
+    this.literalUnits = literalUnits;
+    // コードの問題の表示用の配置情報（かなの問題ではnull）
+    this.codeLayout = codeLayout;
 
     // 状態管理
     this.currentCharIndex = 0;
@@ -56,6 +65,17 @@ export class TypingSession {
       totalProgress: 0,
     };
 
+    // 自由入力モード（間違えたキーも入力として残し、Backspaceで消すまで先に進めない）
+    this.freeInput = freeInput;
+    this.errorInput = '';
+    this.errorCount = 0;
+    this.correctedErrorCount = 0;
+    this._history = [];
+
+    // 表示中の綴り（パターンごと）と、このセッションでプレイヤーが選んだ綴り
+    this.displayVariants = this.patterns.map((pattern) => pattern[0] || '');
+    this._chosenVariants = {};
+
     // 表示用ローマ字
     this.displayRomaji = this._generateDisplayRomaji();
 
@@ -83,11 +103,44 @@ export class TypingSession {
 
   /**
    * 表示用ローマ字文字列を生成
+   * 入力済みのパターンは実際に打った綴り、入力中のパターンは現在の分岐の綴り、
+   * 未入力のパターンはこのセッションで選ばれた綴り（なければpattern[0]）で表示する
    * @returns {string} 表示用ローマ字文字列
    * @private
    */
   _generateDisplayRomaji() {
-    return this.patterns.map((pattern) => pattern[0]).join('');
+    for (let i = 0; i < this.patterns.length; i++) {
+      const pattern = this.patterns[i];
+
+      if (i === this.patternIndex && this.currentInput) {
+        // 入力中の分岐に合わせる（shi と打ち始めたら si ではなく shi を表示）
+        if (!this.displayVariants[i].startsWith(this.currentInput)) {
+          const { variant } = this._matchPattern(i, this.currentInput);
+          if (variant) this.displayVariants[i] = variant;
+        }
+      } else if (i >= this.patternIndex) {
+        const chosen = this._chosenVariants[pattern[0]];
+        this.displayVariants[i] =
+          chosen && pattern.includes(chosen) ? chosen : pattern[0] || '';
+      }
+
+      this.patternLengths[i] = this.displayVariants[i].length;
+    }
+
+    return this.displayVariants.join('');
+  }
+
+  /**
+   * 現在のパターンを指定した綴りで確定して次のパターンへ進む
+   * @param {string} variant - 実際に入力された綴り
+   * @private
+   */
+  _commitPattern(variant) {
+    this.displayVariants[this.patternIndex] = variant;
+    this._chosenVariants[this.patterns[this.patternIndex][0]] = variant;
+    this.patternIndex++;
+    this.currentCharIndex++;
+    this.currentInput = '';
   }
 
   /**
@@ -146,7 +199,7 @@ export class TypingSession {
     // 現在のパターンの残り
     if (this.patternIndex < this.patterns.length) {
       const currentPatternLength = this.patternLengths[this.patternIndex];
-      leftover += currentPatternLength - this.currentInput.length;
+      leftover += Math.max(0, currentPatternLength - this.currentInput.length);
     }
 
     // 残りのパターン
@@ -175,6 +228,11 @@ export class TypingSession {
       return -1;
     }
 
+    // 自由入力モードは入力の状態が間違いの有無で変わるためキャッシュを使わない
+    if (this.freeInput) {
+      return this._acceptFree(character);
+    }
+
     // 入力キャッシュをチェック
     const cacheKey = `${this.patternIndex}-${this.currentInput.length}-${character}`;
     if (this._inputResultCache.has(cacheKey)) {
@@ -232,6 +290,134 @@ export class TypingSession {
     }
   }
 
+  /**
+   * 自由入力モードのキー入力処理
+   * 一致しないキーや、間違いが残っている間のキーは間違いとして入力に残す
+   * @param {string} character 入力された文字
+   * @returns {number} 処理結果 (1: 正しい入力, -1: 間違いの入力, 0: 無効)
+   * @private
+   */
+  _acceptFree(character) {
+    // 1文字でないキー名（Shift など）は入力に残さない
+    if (typeof character !== 'string' || character.length !== 1) return 0;
+
+    if (!this.errorInput) {
+      const snapshot = this._createSnapshot();
+      const result = this.processInput(character);
+      if (result.success) {
+        // Backspaceで正しい入力も1文字ずつ戻せるように状態を記録
+        this._history.push(snapshot);
+        this.combo += 1;
+        this.maxCombo = Math.max(this.combo, this.maxCombo);
+        return 1;
+      }
+    }
+
+    this.errorInput += character;
+    this.errorCount++;
+    this.combo = 0;
+    return -1;
+  }
+
+  /**
+   * Backspaceの処理（自由入力モード用）
+   * 間違いの入力があればそれを消し、なければ直前の正しい入力を1文字戻す
+   * @returns {Object} 処理結果
+   */
+  handleBackspace() {
+    if (!this.freeInput || this.completionStatus.completed) {
+      return { success: false, status: 'inactive_session' };
+    }
+
+    if (this.errorInput) {
+      this.errorInput = this.errorInput.slice(0, -1);
+      this.correctedErrorCount++;
+      return { success: true, status: 'error_corrected' };
+    }
+
+    const snapshot = this._history.pop();
+    if (!snapshot) {
+      return { success: false, status: 'nothing_to_delete' };
+    }
+
+    this._restoreSnapshot(snapshot);
+    return { success: true, status: 'input_deleted' };
+  }
+
+  /**
+   * 間違いの統計を取得する（正確率の計算用）
+   * 未訂正のミスは、問題が終わった時点で消されずに残っている間違いの文字数
+   * @returns {{errorCount: number, correctedErrorCount: number, uncorrectedErrorCount: number}} 間違いの統計
+   */
+  getErrorStats() {
+    return {
+      errorCount: this.errorCount,
+      correctedErrorCount: this.correctedErrorCount,
+      uncorrectedErrorCount: this.errorInput.length,
+    };
+  }
+
+  /**
+   * 入力位置を戻すための状態を記録する
+   * @returns {Object} 状態のスナップショット
+   * @private
+   */
+  _createSnapshot() {
+    return {
+      patternIndex: this.patternIndex,
+      currentCharIndex: this.currentCharIndex,
+      currentInput: this.currentInput,
+      typedString: this.typedString,
+      completionStatus: { ...this.completionStatus },
+      displayVariants: [...this.displayVariants],
+      chosenVariants: { ...this._chosenVariants },
+    };
+  }
+
+  /**
+   * 記録した状態に戻す
+   * @param {Object} snapshot - _createSnapshotで記録した状態
+   * @private
+   */
+  _restoreSnapshot(snapshot) {
+    this.patternIndex = snapshot.patternIndex;
+    this.currentCharIndex = snapshot.currentCharIndex;
+    this.currentInput = snapshot.currentInput;
+    this.typedString = snapshot.typedString;
+    this.completionStatus = snapshot.completionStatus;
+    this.displayVariants = snapshot.displayVariants;
+    this._chosenVariants = snapshot.chosenVariants;
+    this.displayRomaji = this._generateDisplayRomaji();
+  }
+
+  /**
+   * パターンの綴りのうち入力と前方一致するものを調べる
+   * WebAssembly版のセッションはこのメソッドを置き換えて照合を行う
+   * @param {number} patternIndex - パターンのインデックス
+   * @param {string} input - 照合する入力
+   * @returns {{count: number, exact: boolean, hasLonger: boolean, variant: (string|null)}}
+   *   一致した綴りの数、完全一致の有無、入力より長い綴りの有無、最初に一致した綴り
+   * @protected
+   */
+  _matchPattern(patternIndex, input) {
+    const result = { count: 0, exact: false, hasLonger: false, variant: null };
+    const pattern = this.patterns[patternIndex];
+    if (!pattern) return result;
+
+    for (const variant of pattern) {
+      if (!variant.startsWith(input)) continue;
+      result.count++;
+      if (!result.variant) result.variant = variant;
+      if (variant.length === input.length) {
+        result.exact = true;
+      } else {
+        result.hasLonger = true;
+      }
+    }
+
+    return result;
+  }
+
   /**
    * 入力を処理する
    * @param {string} key - 入力キー
@@ -259,22 +445,56 @@ export class TypingSession {
         };
       }
 
-      // 現在の入力と期待する入力を比較
-      const expectedNextChar = this.getCurrentExpectedKey();
+      // 現在の入力に続けて前方一致するパターンを探す
+      // （「っか」の kka / xtuka のように分岐するパターンにも対応）
+      // 英数字はそのまま、ローマ字は小文字にそろえて照合する（全角は半角として扱う）
+      const inputKey = this.literalUnits[this.patternIndex]
+        ? toHalfWidth(key)
+        : toHalfWidth(key).toLowerCase();
+      const newInput = this.currentInput + inputKey;
+      const match = this._matchPattern(this.patternIndex, newInput);
+
+      // 「ん」の n / nn のように短いパターンで確定できる入力が保留中の場合は、
+      // 確定させてから次のパターンとして入力を処理し直す（次でも不正解なら元に戻す）
+      if (
+        match.count === 0 &&
+        this.currentInput &&
+        currentPattern.includes(this.currentInput) &&
+        this.patternIndex + 1 < this.patterns.length
+      ) {
+        const snapshot = {
+          currentInput: this.currentInput,
+          displayVariants: [...this.displayVariants],
+          chosenVariants: { ...this._chosenVariants },
+        };
+
+        this._commitPattern(this.currentInput);
+        this.displayRomaji = this._generateDisplayRomaji();
+        const result = this.processInput(key);
+        if (result.success) return result;
+
+        this.patternIndex--;
+        this.currentCharIndex--;
+        this.currentInput = snapshot.currentInput;
+        this.displayVariants = snapshot.displayVariants;
+        this._chosenVariants = snapshot.chosenVariants;
+        this.displayRomaji = this._generateDisplayRomaji();
+        return result;
+      }
 
       // 入力が正しいかチェック
-      if (key.toLowerCase() === expectedNextChar.toLowerCase()) {
+      if (match.count > 0) {
         // 正しい入力の処理
-        this.currentInput += key.toLowerCase();
-        this.typedString += key.toLowerCase();
+        this.currentInput = newInput;
+        this.typedString += inputKey;
 
-        // パターン完了チェック
-        const patternLength = this.patternLengths[this.patternIndex];
-        if (this.currentInput.length >= patternLength) {
+        // パターン完了チェック（いずれかのパターンに完全一致し、
+        // より長いパターンの途中でもない場合のみ確定。最後のパターンは即確定）
+        const isLastPattern = this.patternIndex === this.patterns.length - 1;
+        if (match.exact && (!match.hasLonger || isLastPattern)) {
           // パターン完了
-          this.patternIndex++;
-          this.currentCharIndex++;
-          this.currentInput = '';
+          this._commitPattern(newInput);
+          this.displayRomaji = this._generateDisplayRomaji();
 
           // 全体完了チェック
           if (this.patternIndex >= this.patterns.length) {
@@ -289,7 +509,12 @@ export class TypingSession {
               status: 'all_completed',
             };
           }
-        } // 進捗状況の更新
+        } else {
+          // 入力中の分岐に合わせてガイドを作り直す
+          this.displayRomaji = this._generateDisplayRomaji();
+        }
+
+        // 進捗状況の更新
         this._updateProgress();
 
         // 進捗が100%に達した場合も完了と判定する（強化）
@@ -313,7 +538,7 @@ export class TypingSession {
         return {
           success: false,
           status: 'wrong_input',
-          expectedChar: expectedNextChar,
+          expectedChar: this.getCurrentExpectedKey(),
         };
       }
     } finally {
@@ -336,8 +561,11 @@ export class TypingSession {
    * @private
    */
   _updateProgress() {
-    // パターン内の進捗
-    const currentPatternLength = this.patternLengths[this.patternIndex] || 1;
+    // パターン内の進捗（入力中の分岐のうち最短のパターン長を使用）
+    const currentPatternLength = Math.max(
+      this._getCurrentBranchLength(),
+      this.currentInput.length + 1
+    );
     const patternProgress = Math.floor(
       (this.currentInput.length / currentPatternLength) * 100
     );
@@ -370,6 +598,28 @@ export class TypingSession {
     };
   }
 
+  /**
+   * 現在の入力と前方一致するパターンのうち最短のものの長さを取得
+   * @returns {number} パターン長
+   * @private
+   */
+  _getCurrentBranchLength() {
+    const currentPattern = this.patterns[this.patternIndex];
+    if (!currentPattern) return 1;
+
+    let shortest = 0;
+    for (const variant of currentPattern) {
+      if (
+        variant.startsWith(this.currentInput) &&
+        (shortest === 0 || variant.length < shortest)
+      ) {
+        shortest = variant.length;
+      }
+    }
+
+    return shortest || this.patternLengths[this.patternIndex] || 1;
+  }
+
   /**
    * 次に入力するべきキーを取得
    * @returns {string} 期待される次のキー
@@ -377,12 +627,33 @@ export class TypingSession {
   getCurrentExpectedKey() {
     if (this.completionStatus.completed) return '';
 
+    // 間違いの入力が残っている場合は消すのが先
+    if (this.errorInput) return 'Backspace';
+
     const currentPattern = this.patterns[this.patternIndex];
     if (!currentPattern) return '';
 
-    // オリジナルのパターンから入力位置の文字を取得
+    // 表示中の綴りは常に現在の入力と前方一致している
+    const displayVariant = this.displayVariants[this.patternIndex] || '';
+    if (
+      displayVariant.startsWith(this.currentInput) &&
+      this.currentInput.length < displayVariant.length
+    ) {
+      return displayVariant[this.currentInput.length];
+    }
+
+    // 表示中の綴り（「ん」の n など）を打ち終えて保留中の場合は次のパターンの先頭
+    const nextVariant = this.displayVariants[this.patternIndex + 1];
+    if (displayVariant === this.currentInput && nextVariant) {
+      return nextVariant[0];
+    }
+
+    // 現在の入力と前方一致するパターンから入力位置の文字を取得
     for (let variant of currentPattern) {
-      if (this.currentInput.length < variant.length) {
+      if (
+        variant.startsWith(this.currentInput) &&
+        this.currentInput.length < variant.length
+      ) {
         return variant[this.currentInput.length];
       }
     }
@@ -405,11 +676,8 @@ export class TypingSession {
   getColoringInfo() {
     const expectedNextChar = this.getCurrentExpectedKey();
 
-    // 現在の文字のローマ字表現
-    let currentCharRomaji = '';
-    if (this.patterns[this.patternIndex]) {
-      currentCharRomaji = this.patterns[this.patternIndex][0] || '';
-    }
+    // 現在の文字のローマ字表現（表示中の綴り）
+    const currentCharRomaji = this.displayVariants[this.patternIndex] || '';
 
     return {
       romaji: this.displayRomaji,
@@ -417,8 +685,10 @@ export class TypingSession {
       currentInputLength: this.currentInput.length,
       currentCharIndex: this.currentCharIndex,
       currentInput: this.currentInput,
+      errorInput: this.errorInput,
       expectedNextChar,
       currentCharRomaji,
+      codeCursor: getCodeCursor(this.codeLayout, this.patternIndex),
     };
   }
 
@@ -434,13 +704,13 @@ export class TypingSession {
 
     // 現在のパターンの残り
     if (this.patternIndex < this.patterns.length) {
-      const currentPattern = this.patterns[this.patternIndex][0] || '';
-      remainingText = currentPattern.substring(this.currentInput.length);
+      const currentVariant = this.displayVariants[this.patternIndex] || '';
+      remainingText = currentVariant.substring(this.currentInput.length);
     }
 
     // 残りのパターン
     for (let i = this.patternIndex + 1; i < this.patterns.length; i++) {
-      remainingText += this.patterns[i][0] || '';
+      remainingText += this.displayVariants[i] || '';
     }
 
     return remainingText.toUpperCase();
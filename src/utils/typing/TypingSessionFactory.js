@@ -6,9 +6,9 @@
  * 責任: セッションの作成、共通設定の適用
  */
 
-import * as wanakana from 'wanakana';
 import { TypingSession } from './TypingSession';
-import { romajiConverter } from './RomajiConverter';
+import { romajiConverter, normalizeKana } from './RomajiConverter';
+import { isCodeProblem, buildCodePatterns } from './CodeTyping';
 
 /**
  * タイピングセッションファクトリークラス
@@ -18,20 +18,60 @@ export class TypingSessionFactory {
   /**
    * 問題データからタイピングセッションを作成
    * @param {Object} problem - 問題データ
+   * @param {Object} [options] - セッションオプション
+   * @param {boolean} [options.freeInput=false] - 自由入力モード（ミスも入力し、Backspaceで修正）
+   * @param {Object} [options.codeOptions] - コードの問題の入力オプション（skipIndent, typeEnter）
+   * @param {number} [options.startTime=0] - 入力できる時間帯の開始（ミリ秒。歌詞タイピングの行など）
+   * @param {number} [options.endTime=0] - 入力できる時間帯の終了（ミリ秒。0の場合は時間制限なし）
    * @returns {TypingSession|null} 作成されたセッション
    */
-  createSession(problem) {
-    if (!problem || !problem.kanaText) {
+  createSession(problem, options = {}) {
+    const sessionOptions = this.buildSessionOptions(problem, options);
+    return sessionOptions ? new TypingSession(sessionOptions) : null;
+  }
+
+  /**
+   * 問題データからセッションの構築オプション（入力パターン・表示情報）を作成
+   * TypingSession以外のセッション実装（WebAssembly版など）も同じオプションで構築する
+   * @param {Object} problem - 問題データ
+   * @param {Object} [options] - セッションオプション
+   * @param {boolean} [options.freeInput=false] - 自由入力モード
+   * @param {Object} [options.codeOptions] - コードの問題の入力オプション
+   * @param {number} [options.startTime=0] - 入力できる時間帯の開始（ミリ秒）
+   * @param {number} [options.endTime=0] - 入力できる時間帯の終了（ミリ秒）
+   * @returns {Object|null} セッションの構築オプション
+   */
+  buildSessionOptions(
+    problem,
+    { freeInput = false, codeOptions = {}, startTime = 0, endTime = 0 } = {}
+  ) {
+    const isCode = isCodeProblem(problem);
+    if (!problem || (!problem.kanaText && !isCode)) {
       console.error('[TypingSessionFactory] 有効な問題データが必要です');
       return null;
     }
 
     try {
-      // かな文字列を正規化
-      const kana = wanakana.toHiragana(problem.kanaText.trim());
-
-      // ローマ字パターンに変換
-      const patterns = romajiConverter.parseTextToRomajiPatterns(kana);
+      let kana = '';
+      let patterns;
+      let literalUnits;
+      let codeLayout = null;
+
+      if (isCode) {
+        // コードは1文字ずつ書かれたとおりに打つ
+        ({ patterns, codeLayout } = buildCodePatterns(problem, codeOptions));
+        literalUnits = patterns.map(() => true);
+      } else {
+        // かな文字列を正規化（カタカナ→ひらがな、長音記号は保持）
+        kana = normalizeKana(problem.kanaText.trim());
+
+        // ローマ字パターンに変換（英数字は problem.caseSensitive に従って大文字小文字を扱う）
+        const units = romajiConverter.parseTextToUnits(kana, {
+          caseSensitive: !!problem.caseSensitive,
+        });
+        patterns = units.map((unit) => unit.patterns);
+        literalUnits = units.map((unit) => !!unit.literal);
+      }
 
       // 表示用情報と最適化データを事前計算
       const displayIndices = new Array(patterns.length);
@@ -59,18 +99,22 @@ export class TypingSessionFactory {
         }
       }
 
-      // 新しいセッションを作成
-      return new TypingSession({
+      return {
         problem,
         patterns,
         displayIndices,
         patternLengths,
         expectedChars,
         firstChars,
+        literalUnits,
+        codeLayout,
+        freeInput,
         kana,
         displayText: problem.displayText || problem.kanaText,
-        originalText: problem.kanaText,
-      });
+        originalText: isCode ? codeLayout.text : problem.kanaText,
+        startTime,
+        endTime,
+      };
     } catch (error) {
       console.error('[TypingSessionFactory] セッション作成エラー:', error);
       return null;
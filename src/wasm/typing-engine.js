@@ -1,361 +1,370 @@
 /**
  * WebAssemblyを使ったタイピングエンジン
- * 高速な入力処理と判定を実現するためのモジュール
+ * 入力パターンの表を線形メモリに展開し、入力との前方一致判定をWebAssemblyで行うモジュール
+ *
+ * メモリレイアウト（すべてリトルエンディアン）:
+ * - [0, INPUT_BUFFER_SIZE): 照合する入力文字列（UTF-16の16bit単位）
+ * - それ以降: 入力単位ごとのパターン表（割り当て後は解放しない）
+ *   - 単位レコード (8バイト): [綴りレコードの先頭アドレス, 綴りの数]
+ *   - 綴りレコード (8バイト): [文字列の先頭アドレス, 文字数]
+ *   - 文字列: UTF-16の16bit単位（かな直接入力のパターンもそのまま扱える）
  */
 
+import { romajiMap } from '../utils/typing/RomajiConverter';
+
+// デバッグログフラグ - デフォルトで無効化
+const DEBUG_WASM_ENGINE = process.env.NODE_ENV === 'development' && false;
+
+/**
+ * ログユーティリティ - コンソールログを条件付きにする
+ */
+const logUtil = {
+  debug: (message, ...args) => {
+    if (DEBUG_WASM_ENGINE) console.log(`[WebAssembly] ${message}`, ...args);
+  },
+  warn: (message, ...args) => {
+    console.warn(`[WebAssembly] ${message}`, ...args);
+  },
+};
+
+// 入力バッファのサイズ（バイト）。1単位の入力はこれより十分短い
+const INPUT_BUFFER_SIZE = 512;
+const INPUT_MAX_LENGTH = INPUT_BUFFER_SIZE / 2;
+
+// 照合結果のビット配置
+const MATCH_COUNT_MASK = 0xffff;
+const MATCH_EXACT_FLAG = 1 << 16;
+const MATCH_LONGER_FLAG = 1 << 17;
+const MATCH_FIRST_SHIFT = 18;
+
 // WebAssemblyのインスタンス
-let wasmInstance = null;
 let wasmMemory = null;
+let matchExport = null;
 let initialized = false;
-let exports = null; // エクスポートされた関数を保持する変数
+let initPromise = null;
 
-// エンジンが使用する文字列エンコード/デコード用ユーティリティ
-const encoder = new TextEncoder();
-const decoder = new TextDecoder();
+// パターン表の割り当て位置と、綴りの並びごとの単位レコード
+let heapTop = INPUT_BUFFER_SIZE;
+const unitRecords = new Map();
 
 /**
- * WebAssemblyモジュールを初期化する
- * @returns {Promise<boolean>} 初期化の成否
+ * 符号なしLEB128でエンコードする
+ * @param {number} value - 値
+ * @returns {number[]} バイト列
  */
-export async function initWasm() {
-  if (initialized) return true;
-
-  try {
-    // メモリの初期化 (初期1ページ = 64KB、最大100ページ = 6.4MB)
-    wasmMemory = new WebAssembly.Memory({ initial: 1, maximum: 100 });
-
-    // シンプルな add 関数を含んだ完全なWASMモジュール
-    // 注：このバイナリは実際に動作確認済みのものです
-    const wasmBytes = new Uint8Array([
-      0x00,
-      0x61,
-      0x73,
-      0x6d, // マジックバイト (WASM_BINARY_MAGIC)
-      0x01,
-      0x00,
-      0x00,
-      0x00, // バージョン: 1
-
-      // タイプセクション
-      0x01,
-      0x07, // セクションID: 1, ペイロードサイズ: 7
-      0x01, // エントリーカウント: 1
-      0x60, // タイプ: func
-      0x02,
-      0x7f,
-      0x7f, // パラメータ: 2つの i32
-      0x01,
-      0x7f, // 結果: 1つの i32
-
-      // 関数セクション
-      0x03,
-      0x02, // セクションID: 3, ペイロードサイズ: 2
-      0x01, // エントリーカウント: 1
-      0x00, // タイプインデックス: 0
-
-      // メモリセクション
-      0x05,
-      0x03, // セクションID: 5, ペイロードサイズ: 3
-      0x01, // エントリーカウント: 1
-      0x00,
-      0x01, // リミット フラグ: 0, 初期サイズ: 1
-
-      // エクスポートセクション
-      0x07,
-      0x10, // セクションID: 7, ペイロードサイズ: 16
-      0x02, // エントリーカウント: 2
-
-      // エクスポート1: "memory"
-      0x06, // 名前の長さ: 6
-      0x6d,
-      0x65,
-      0x6d,
-      0x6f,
-      0x72,
-      0x79, // "memory"
-      0x02,
-      0x00, // タイプ: メモリ(2), インデックス: 0
-
-      // エクスポート2: "add"
-      0x03, // 名前の長さ: 3
-      0x61,
-      0x64,
-      0x64, // "add"
-      0x00,
-      0x00, // タイプ: 関数(0), インデックス: 0
-
-      // コードセクション
-      0x0a,
-      0x09, // セクションID: 10, ペイロードサイズ: 9
-      0x01, // エントリーカウント: 1
-
-      // 関数本体
-      0x07, // 本文のサイズ: 7
-      0x00, // ローカル宣言カウント: 0
-      0x20,
-      0x00, // local.get 0
-      0x20,
-      0x01, // local.get 1
-      0x6a, // i32.add
-      0x0b, // end
-    ]);
-
-    // WebAssemblyモジュールをコンパイル
-    const module = await WebAssembly.compile(wasmBytes);
-
-    // WebAssemblyインスタンスを作成
-    const instance = await WebAssembly.instantiate(module, {
-      env: {
-        memory: wasmMemory,
-      },
-    });
-
-    wasmInstance = instance;
-
-    // 必要な追加のエクスポート関数をJavaScriptで実装
-    const jsExports = {
-      // 文字比較関数
-      processChar: (ptr1, ptr2) => {
-        // メモリから文字を取り出して比較
-        const mem = new Uint8Array(wasmMemory.buffer);
-        return mem[ptr1] === mem[ptr2] ? 1 : 0;
-      },
-
-      // 文字列比較関数
-      processInput: (ptr1, ptr2, len) => {
-        const mem = new Uint8Array(wasmMemory.buffer);
-        let matchCount = 0;
-        for (let i = 0; i < len; i++) {
-          if (mem[ptr1 + i] === mem[ptr2 + i]) {
-            matchCount++;
-          }
-        }
-        return matchCount;
-      },
-
-      // スコア計算関数
-      calculateTypingScore: (correctCount, missCount, elapsedTimeMs) => {
-        const baseScore = correctCount * 100;
-        const accuracy =
-          correctCount + missCount > 0
-            ? Math.floor((correctCount / (correctCount + missCount)) * 100)
-            : 100;
-        const speedBonus =
-          elapsedTimeMs > 0
-            ? Math.floor((correctCount * 1000) / elapsedTimeMs)
-            : 0;
-        return baseScore + accuracy + speedBonus;
-      },
-    };
-
-    // エクスポート関数を結合したプロキシオブジェクトを作成
-    exports = {
-      ...instance.exports,
-      ...jsExports,
-    };
-
-    initialized = true;
-    console.log('[WebAssembly] タイピングエンジンの初期化が完了しました');
-
-    // グローバルに公開して他のモジュールからも使えるようにする
-    if (typeof window !== 'undefined') {
-      window.wasmTypingModule = {
-        validateInput: (input, expected) =>
-          exports.processChar(input, expected),
-        calculateScore: (correctCount, missCount, elapsedTimeMs) =>
-          exports.calculateTypingScore(correctCount, missCount, elapsedTimeMs),
-      };
-    }
-
-    return true;
-  } catch (err) {
-    console.error('[WebAssembly] 初期化に失敗しました:', err);
-    // エラーが発生してもゲームを続行できるように、JSによるフォールバック実装を用意
-    initialized = true; // 初期化されたとマークする
-
-    // フォールバック実装を持つオブジェクトを作成
-    exports = {
-      add: (a, b) => a + b,
-      processChar: () => 1, // 常に一致するように
-      processInput: (_, __, len) => len, // すべて一致とみなす
-      calculateTypingScore: (correctCount, missCount, elapsedTimeMs) => {
-        const baseScore = correctCount * 100;
-        const accuracy =
-          correctCount + missCount > 0
-            ? Math.floor((correctCount / (correctCount + missCount)) * 100)
-            : 100;
-        const speedBonus =
-          elapsedTimeMs > 0
-            ? Math.floor((correctCount * 1000) / elapsedTimeMs)
-            : 0;
-        return baseScore + accuracy + speedBonus;
-      },
-    };
-
-    console.log('[WebAssembly] フォールバック実装を使用します');
-    return true;
-  }
+function uleb(value) {
+  const bytes = [];
+  do {
+    let byte = value & 0x7f;
+    value >>>= 7;
+    if (value !== 0) byte |= 0x80;
+    bytes.push(byte);
+  } while (value !== 0);
+  return bytes;
 }
 
 /**
- * WebAssemblyのprocessChar関数を呼び出す
- * @param {string} input 入力された文字
- * @param {string} expected 期待される文字
- * @returns {number} 一致していれば1、そうでなければ0
+ * 符号付きLEB128でエンコードする（i32.constの即値用）
+ * @param {number} value - 値
+ * @returns {number[]} バイト列
  */
-export function processCharWasm(input, expected) {
-  if (!initialized) {
-    console.warn('[WebAssembly] モジュールが初期化されていません');
-    return 1; // フォールバック：常に一致とみなす
+function sleb(value) {
+  const bytes = [];
+  let more = true;
+  while (more) {
+    let byte = value & 0x7f;
+    value >>= 7;
+    if (
+      (value === 0 && (byte & 0x40) === 0) ||
+      (value === -1 && (byte & 0x40) !== 0)
+    ) {
+      more = false;
+    } else {
+      byte |= 0x80;
+    }
+    bytes.push(byte);
   }
+  return bytes;
+}
 
-  // 文字列をバイト配列に変換
-  const inputBytes = encoder.encode(input);
-  const expectedBytes = encoder.encode(expected);
+/**
+ * 文字列をWASMの名前（長さ＋バイト列）にエンコードする
+ * @param {string} name - 名前
+ * @returns {number[]} バイト列
+ */
+function encodeName(name) {
+  const bytes = Array.from(new TextEncoder().encode(name));
+  return [...uleb(bytes.length), ...bytes];
+}
 
-  // メモリにコピー
-  const mem = new Uint8Array(wasmMemory.buffer);
-  const inputPtr = 0; // メモリの先頭から
-  const expectedPtr = inputBytes.length; // 入力文字列の後ろから
+/**
+ * セクション（ID＋サイズ＋内容）を組み立てる
+ * @param {number} id - セクションID
+ * @param {number[]} payload - セクションの内容
+ * @returns {number[]} バイト列
+ */
+function section(id, payload) {
+  return [id, ...uleb(payload.length), ...payload];
+}
 
-  mem.set(inputBytes, inputPtr);
-  mem.set(expectedBytes, expectedPtr);
+// 命令のオペコード
+const OP = {
+  block: 0x02,
+  loop: 0x03,
+  if: 0x04,
+  end: 0x0b,
+  br: 0x0c,
+  brIf: 0x0d,
+  select: 0x1b,
+  localGet: 0x20,
+  localSet: 0x21,
+  i32Load: 0x28,
+  i32Load16U: 0x2f,
+  i32Const: 0x41,
+  i32Eqz: 0x45,
+  i32Eq: 0x46,
+  i32Ne: 0x47,
+  i32LtU: 0x49,
+  i32GeU: 0x4f,
+  i32Add: 0x6a,
+  i32Or: 0x72,
+  i32Shl: 0x74,
+};
+const VOID_BLOCK = 0x40;
+const I32 = 0x7f;
 
-  // WebAssembly関数を呼び出して一致/不一致を判定
-  return exports.processChar(inputPtr, expectedPtr);
+/**
+ * 照合関数 match(unitPtr, inputPtr, inputLength) の本体を組み立てる
+ *
+ * 単位レコードの綴りを順に調べ、入力と前方一致する綴りについて以下をまとめて返す:
+ * - 下位16bit: 一致した綴りの数
+ * - bit16: 入力と完全一致する綴りがある
+ * - bit17: 入力より長い綴りがある
+ * - bit18以降: 最初に一致した綴りの番号+1（一致なしは0）
+ * @returns {number[]} 関数本体のバイト列
+ */
+function buildMatchBody() {
+  // 引数: 0=unitPtr, 1=inputPtr, 2=inputLength
+  // ローカル変数: 3=綴りレコード, 4=終端, 5=文字列, 6=綴りの長さ, 7=文字位置,
+  //               8=一致数, 9=フラグ, 10=最初の一致, 11=綴りの番号
+  const get = (index) => [OP.localGet, index];
+  const set = (index) => [OP.localSet, index];
+  const cnst = (value) => [OP.i32Const, ...sleb(value)];
+  const load = (offset) => [OP.i32Load, 2, ...uleb(offset)];
+  const increment = (index) => [...get(index), ...cnst(1), OP.i32Add, ...set(index)];
+
+  const code = [
+    // 綴りレコードの範囲を求める
+    ...get(0), ...load(0), ...set(3),
+    ...get(0), ...load(4), ...cnst(3), OP.i32Shl, ...get(3), OP.i32Add, ...set(4),
+
+    OP.block, VOID_BLOCK, // $done
+    OP.loop, VOID_BLOCK, // $variants
+    ...get(3), ...get(4), OP.i32GeU, OP.brIf, 1,
+
+    OP.block, VOID_BLOCK, // $skip
+    ...get(3), ...load(0), ...set(5),
+    ...get(3), ...load(4), ...set(6),
+    // 入力より短い綴りは一致しない
+    ...get(6), ...get(2), OP.i32LtU, OP.brIf, 0,
+    ...cnst(0), ...set(7),
+
+    OP.block, VOID_BLOCK, // $matched
+    OP.loop, VOID_BLOCK, // $compare
+    ...get(7), ...get(2), OP.i32GeU, OP.brIf, 1,
+    ...get(5), ...get(7), ...cnst(1), OP.i32Shl, OP.i32Add, OP.i32Load16U, 1, 0,
+    ...get(1), ...get(7), ...cnst(1), OP.i32Shl, OP.i32Add, OP.i32Load16U, 1, 0,
+    OP.i32Ne, OP.brIf, 2,
+    ...increment(7),
+    OP.br, 0,
+    OP.end, // $compare
+    OP.end, // $matched
+
+    // 前方一致した綴りを記録する
+    ...increment(8),
+    ...get(10), OP.i32Eqz, OP.if, VOID_BLOCK,
+    ...get(11), ...cnst(1), OP.i32Add, ...set(10),
+    OP.end,
+    ...get(9),
+    ...cnst(MATCH_EXACT_FLAG), ...cnst(MATCH_LONGER_FLAG),
+    ...get(6), ...get(2), OP.i32Eq, OP.select,
+    OP.i32Or, ...set(9),
+    OP.end, // $skip
+
+    // 次の綴りへ
+    ...get(3), ...cnst(8), OP.i32Add, ...set(3),
+    ...increment(11),
+    OP.br, 0,
+    OP.end, // $variants
+    OP.end, // $done
+
+    ...get(8), ...get(9), OP.i32Or,
+    ...get(10), ...cnst(MATCH_FIRST_SHIFT), OP.i32Shl, OP.i32Or,
+    OP.end,
+  ];
+
+  // ローカル変数の宣言: i32 × 9
+  const body = [1, 9, I32, ...code];
+  return [...uleb(body.length), ...body];
 }
 
 /**
- * WebAssemblyのcalculateTypingScore関数を呼び出す
- * @param {number} correctCount 正解した文字数
- * @param {number} missCount ミスした文字数
- * @param {number} elapsedTimeMs 経過時間（ミリ秒）
- * @returns {number} 計算されたスコア
+ * 照合モジュールのバイナリを組み立てる
+ * メモリはJS側で拡張できるようにenv.memoryとしてインポートする
+ * @returns {Uint8Array} WASMバイナリ
  */
-export function calculateTypingScoreWasm(
-  correctCount,
-  missCount,
-  elapsedTimeMs
-) {
-  if (!initialized) {
-    console.warn('[WebAssembly] モジュールが初期化されていません');
-    // フォールバック：JavaScript実装を使用
-    const baseScore = correctCount * 100;
-    const accuracy =
-      correctCount + missCount > 0
-        ? Math.floor((correctCount / (correctCount + missCount)) * 100)
-        : 100;
-    const speedBonus =
-      elapsedTimeMs > 0 ? Math.floor((correctCount * 1000) / elapsedTimeMs) : 0;
-    return baseScore + accuracy + speedBonus;
-  }
-
-  return exports.calculateTypingScore(correctCount, missCount, elapsedTimeMs);
+function buildModuleBytes() {
+  const typeSection = section(1, [1, 0x60, 3, I32, I32, I32, 1, I32]);
+  const importSection = section(2, [
+    1,
+    ...encodeName('env'),
+    ...encodeName('memory'),
+    0x02, // メモリ
+    0x00, // 最大サイズなし
+    1, // 初期1ページ
+  ]);
+  const functionSection = section(3, [1, 0]);
+  const exportSection = section(7, [1, ...encodeName('match'), 0x00, 0]);
+  const codeSection = section(10, [1, ...buildMatchBody()]);
+
+  return new Uint8Array([
+    0x00, 0x61, 0x73, 0x6d, // マジックバイト
+    0x01, 0x00, 0x00, 0x00, // バージョン: 1
+    ...typeSection,
+    ...importSection,
+    ...functionSection,
+    ...exportSection,
+    ...codeSection,
+  ]);
 }
 
 /**
- * WebAssemblyのメモリにデータを書き込む
- * @param {string} data 書き込むデータ文字列
- * @returns {number} メモリのポインタ（位置）
+ * パターン表の領域を割り当てる（必要に応じてメモリを拡張）
+ * @param {number} byteLength - 必要なバイト数
+ * @returns {number} 割り当てた領域の先頭アドレス
  */
-export function writeToWasmMemory(data) {
-  if (!initialized || !wasmMemory) {
-    return -1; // 初期化されていない場合はエラー値を返す
-  }
-
-  // 文字列をバイト配列に変換
-  const bytes = encoder.encode(data);
-
-  // メモリサイズが足りるか確認し、必要に応じて拡張
-  const requiredBytes = bytes.length;
-  const memorySize = wasmMemory.buffer.byteLength;
-
-  if (memorySize < requiredBytes + 8) {
-    // メモリを拡張（ページ単位で、1ページ=64KB）
-    const requiredPages = Math.ceil((requiredBytes + 8) / 65536);
-    wasmMemory.grow(requiredPages);
-    console.log(`[WebAssembly] メモリを拡張しました: ${requiredPages}ページ`);
+function allocate(byteLength) {
+  const ptr = heapTop;
+  // 32bit値の読み込みがそろうよう4バイト境界に合わせる
+  heapTop = (heapTop + byteLength + 3) & ~3;
+
+  const shortage = heapTop - wasmMemory.buffer.byteLength;
+  if (shortage > 0) {
+    const pages = Math.ceil(shortage / 65536);
+    wasmMemory.grow(pages);
+    logUtil.debug(`メモリを拡張しました: ${pages}ページ`);
   }
 
-  // メモリにデータをコピー
-  const mem = new Uint8Array(wasmMemory.buffer);
-  const ptr = 8; // 8バイト目から開始（先頭を避ける）
-  mem.set(bytes, ptr);
-
   return ptr;
 }
 
 /**
- * WebAssemblyのメモリからデータを読み込む
- * @param {number} ptr メモリのポインタ
- * @param {number} length 読み込む長さ
- * @returns {string} 読み込んだデータ文字列
+ * 入力単位の綴りを線形メモリに書き込み、単位レコードのアドレスを返す
+ * 同じ綴りの並びは一度だけ書き込み、以降は同じレコードを使う
+ * @param {string[]} variants - 入力単位の綴り
+ * @returns {number} 単位レコードのアドレス
  */
-export function readFromWasmMemory(ptr, length) {
-  if (!initialized || !wasmMemory) {
-    return ''; // 初期化されていない場合は空文字を返す
-  }
+export function compilePattern(variants) {
+  const key = variants.join('\u0000');
+  const cached = unitRecords.get(key);
+  if (cached !== undefined) return cached;
+
+  const charCount = variants.reduce((sum, variant) => sum + variant.length, 0);
+  const unitPtr = allocate(8 + variants.length * 8 + charCount * 2);
+  const variantsPtr = unitPtr + 8;
+  let charsPtr = variantsPtr + variants.length * 8;
+
+  const view = new DataView(wasmMemory.buffer);
+  view.setUint32(unitPtr, variantsPtr, true);
+  view.setUint32(unitPtr + 4, variants.length, true);
+
+  variants.forEach((variant, index) => {
+    const recordPtr = variantsPtr + index * 8;
+    view.setUint32(recordPtr, charsPtr, true);
+    view.setUint32(recordPtr + 4, variant.length, true);
+    for (let i = 0; i < variant.length; i++) {
+      view.setUint16(charsPtr + i * 2, variant.charCodeAt(i), true);
+    }
+    charsPtr += variant.length * 2;
+  });
 
-  const mem = new Uint8Array(wasmMemory.buffer);
-  const bytes = mem.slice(ptr, ptr + length);
-  return decoder.decode(bytes);
+  unitRecords.set(key, unitPtr);
+  return unitPtr;
 }
 
 /**
- * WebAssemblyのprocessInput関数を呼び出す
- * 文字列同士の比較を行い、一致度を計算する
- * @param {string} input ユーザーが入力した文字列
- * @param {string} expected 期待される文字列
- * @returns {Object} 比較結果オブジェクト {correctCount, missCount, errorPosition}
+ * WebAssemblyモジュールを初期化する
+ * 初期化時にromajiMapの全パターンを表に展開しておく
+ * @returns {Promise<boolean>} WebAssemblyが使える場合はtrue
  */
-export function processInputWasm(input, expected) {
-  if (!initialized) {
-    console.warn('[WebAssembly] モジュールが初期化されていません');
-    // フォールバック：JavaScript実装を使用
-    let correctCount = 0;
-    let missCount = 0;
-    let errorPosition = -1;
-
-    const minLength = Math.min(input.length, expected.length);
-
-    for (let i = 0; i < minLength; i++) {
-      if (input[i] === expected[i]) {
-        correctCount++;
-      } else {
-        missCount++;
-        if (errorPosition === -1) errorPosition = i;
-      }
-    }
+export function initWasm() {
+  if (initPromise) return initPromise;
 
-    // 入力と期待値の長さの差分をミスとしてカウント
-    if (input.length > expected.length) {
-      missCount += input.length - expected.length;
+  initPromise = (async () => {
+    if (typeof WebAssembly === 'undefined') {
+      logUtil.warn('WebAssemblyに対応していない環境です（JavaScript版で照合します）');
+      return false;
     }
 
-    return { correctCount, missCount, errorPosition };
-  }
+    try {
+      wasmMemory = new WebAssembly.Memory({ initial: 1 });
+      const { instance } = await WebAssembly.instantiate(buildModuleBytes(), {
+        env: { memory: wasmMemory },
+      });
+      matchExport = instance.exports.match;
+
+      Object.values(romajiMap).forEach((variants) => compilePattern(variants));
+      initialized = true;
+
+      console.log(
+        `[WebAssembly] タイピングエンジンの初期化が完了しました（パターン表 ${unitRecords.size}件）`
+      );
+      return true;
+    } catch (err) {
+      console.error('[WebAssembly] 初期化に失敗しました:', err);
+      wasmMemory = null;
+      matchExport = null;
+      return false;
+    }
+  })();
 
-  // 本来はここでWASM関数を呼び出す
-  // 現在のデモでは未実装のため、常にJavaScriptフォールバックを使用
-  let correctCount = 0;
-  let missCount = 0;
-  let errorPosition = -1;
+  return initPromise;
+}
 
-  const minLength = Math.min(input.length, expected.length);
+/**
+ * WebAssemblyの照合が使える状態かどうか
+ * @returns {boolean} 初期化済みの場合はtrue
+ */
+export function isWasmReady() {
+  return initialized;
+}
 
-  for (let i = 0; i < minLength; i++) {
-    if (input[i] === expected[i]) {
-      correctCount++;
-    } else {
-      missCount++;
-      if (errorPosition === -1) errorPosition = i;
-    }
+/**
+ * 入力単位の綴りと入力の前方一致をWebAssemblyで調べる
+ * @param {number} unitPtr - compilePatternで得た単位レコードのアドレス
+ * @param {string[]} variants - 入力単位の綴り（一致した綴りを返すために使う）
+ * @param {string} input - 照合する入力
+ * @returns {{count: number, exact: boolean, hasLonger: boolean, variant: (string|null)}} 照合結果
+ */
+export function matchPattern(unitPtr, variants, input) {
+  // 入力バッファに収まらない長さの入力に一致する綴りはない
+  const length = input.length;
+  if (length > INPUT_MAX_LENGTH) {
+    return { count: 0, exact: false, hasLonger: false, variant: null };
   }
 
-  // 入力と期待値の長さの差分をミスとしてカウント
-  if (input.length > expected.length) {
-    missCount += input.length - expected.length;
+  const buffer = new Uint16Array(wasmMemory.buffer, 0, length);
+  for (let i = 0; i < length; i++) {
+    buffer[i] = input.charCodeAt(i);
   }
 
-  return { correctCount, missCount, errorPosition };
+  const packed = matchExport(unitPtr, 0, length);
+  const first = packed >>> MATCH_FIRST_SHIFT;
+
+  return {
+    count: packed & MATCH_COUNT_MASK,
+    exact: (packed & MATCH_EXACT_FLAG) !== 0,
+    hasLonger: (packed & MATCH_LONGER_FLAG) !== 0,
+    variant: first > 0 ? variants[first - 1] : null,
+  };
 }
@@ -0,0 +1,64 @@
+/**
+ * WebAssembly版タイピングセッション
+ * TypingSessionと同じインタフェース（accept / getColoringInfo など）のまま、
+ * 入力パターンとの照合をWebAssemblyの照合関数で行う
+ */
+
+import { TypingSession } from '../utils/typing/TypingSession';
+import { typingSessionFactory } from '../utils/typing/TypingSessionFactory';
+import { compilePattern, isWasmReady, matchPattern } from './typing-engine';
+
+/**
+ * WebAssemblyで照合するタイピングセッション
+ * 入力状態の管理やガイド表示はTypingSessionの実装をそのまま使う
+ */
+export class WasmTypingSession extends TypingSession {
+  /**
+   * コンストラクタ
+   * @param {Object} options セッション設定オプション（TypingSessionと同じ）
+   */
+  constructor(options = {}) {
+    super(options);
+
+    // 入力単位ごとのパターン表（線形メモリ上の単位レコードのアドレス）
+    this.unitPointers = this.patterns.map((pattern) => compilePattern(pattern));
+    // 表示の作り直しで照合が呼ばれるため、構築後に改めてガイドを生成する
+    this.displayRomaji = this._generateDisplayRomaji();
+  }
+
+  /**
+   * パターンの綴りのうち入力と前方一致するものをWebAssemblyで調べる
+   * @param {number} patternIndex - パターンのインデックス
+   * @param {string} input - 照合する入力
+   * @returns {{count: number, exact: boolean, hasLonger: boolean, variant: (string|null)}} 照合結果
+   * @protected
+   */
+  _matchPattern(patternIndex, input) {
+    // 親クラスのコンストラクタ内（パターン表の作成前）はJavaScript版で照合する
+    if (!this.unitPointers) {
+      return super._matchPattern(patternIndex, input);
+    }
+
+    const unitPtr = this.unitPointers[patternIndex];
+    if (unitPtr === undefined) {
+      return { count: 0, exact: false, hasLonger: false, variant: null };
+    }
+    return matchPattern(unitPtr, this.patterns[patternIndex], input);
+  }
+}
+
+/**
+ * 問題データからセッションを作成する
+ * WebAssemblyが初期化済みならWebAssembly版、使えない場合はJavaScript版のTypingSessionを返す
+ * @param {Object} problem - 問題データ
+ * @param {Object} [options] - セッションオプション（TypingSessionFactory.createSessionと同じ）
+ * @returns {TypingSession|null} 作成されたセッション
+ */
+export function createWasmTypingSession(problem, options = {}) {
+  if (!isWasmReady()) {
+    return typingSessionFactory.createSession(problem, options);
+  }
+
+  const sessionOptions = typingSessionFactory.buildSessionOptions(problem, options);
+  return sessionOptions ? new WasmTypingSession(sessionOptions) : null;
+}